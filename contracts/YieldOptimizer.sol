@@ -2,12 +2,20 @@
 pragma solidity ^0.8.0;
 
 import './diamond/interfaces/IERC4626.sol';
+import '@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol';
 
 interface ICOFIMoney {
 
     function migrate(address _cofi, address _newVault) external returns (bool);
+
+    function getVault(address _cofi) external view returns (address);
 }
 
+/**
+ * @notice Tracks the yield of candidate vaults for each cofi token and migrates the cofi token
+ *         to the best performing one.
+ * @dev Needs Upkeep (or Admin) on the diamond to call 'migrate()'.
+ */
 contract YieldOptimizer {
 
     // E.g., coUSD => [yvUSDC, wsoUSDC, etc.].
@@ -18,6 +26,9 @@ contract YieldOptimizer {
 
     mapping(address => uint8) authorized;
 
+    // COFIMoney diamond.
+    address public app;
+
     struct VaultInfo {
         // An array of assets for the given shares ref, stored in chronological order.
         uint256[] assets;
@@ -27,53 +38,19 @@ contract YieldOptimizer {
         uint8 enabled;
     }
 
+    // 1e18 = 100%.
+    uint256 constant PRECISION = 1e18;
+
+    event Optimized(address indexed cofi, address indexed vault, address indexed newVault, int256 yield);
+
     error VAULT_NOT_FOUND();
     error INSUFFICIENT_ENTRIES();
 
-    constructor() {
+    constructor(address _app) {
+        app = _app;
         authorized[msg.sender] = 1;
     }
 
-    function calculateEMA(address vaultAddress, uint256[] memory prices) internal view returns (uint256) {
-        require(prices.length >= 10, "Not enough price data for EMA calculation");
-        
-        uint256 alpha = 2 * (10 + 1); // EMA smoothing factor
-        uint256 ema = prices[0]; // Initialize EMA with the first price
-        
-        for (uint256 i = 1; i < 10; i++) {
-            ema = (prices[i] * alpha + ema * (10 - 1)) / (alpha + 1);
-        }
-        
-        return ema;
-    }
-    
-    function compareVaults() external view returns (address) {
-        // Replace with actual price retrieval logic
-        // For this example, we assume you have a function to get the last 10 prices
-        uint256[] memory vault1Prices = getVaultPrices(vault1);
-        uint256[] memory vault2Prices = getVaultPrices(vault2);
-        
-        // Calculate EMA for both vaults
-        uint256 emaVault1 = calculateEMA(vault1, vault1Prices);
-        uint256 emaVault2 = calculateEMA(vault2, vault2Prices);
-        
-        // Determine which vault has a greater EMA
-        if (emaVault1 > emaVault2) {
-            return vault1;
-        } else {
-            return vault2;
-        }
-    }
-    
-    // Replace with actual price retrieval logic
-    // This is just a placeholder function
-    function getVaultPrices(address vaultAddress) internal view returns (uint256[] memory) {
-        // Implement your logic to fetch the last 10 prices for the vault
-        // Return an array with the most recent price at index 0 and older prices in ascending order
-        // Make sure you handle cases where there aren't enough prices yet
-        // For this example, we assume you have such logic in place.
-    }
-
     /**
      * @notice Captures assets from the shares ref point across all vaults.
      * @dev Need to ensure captures are triggered over equal time intervals.
@@ -95,62 +72,104 @@ contract YieldOptimizer {
     }
 
     /**
-     * @notice 
+     * @notice Returns the median and EMA of the yield between each of the last '_entries'
+     *         captures of '_vault', as a fraction of the assets captured before (1e18 = 100%).
+     * @dev Needs '_entries' + 1 captures. If there are fewer, reverts if '_strict' is set,
+     *      otherwise uses those available.
      */
     function retrieve(
         address _vault,
         uint256 _entries,
         uint8   _strict
     )   public view
-        onlyAuthorized
-        returns (uint256 yield, uint256 smoothYield)
+        returns (int256 median, int256 ema)
     {
-        // Get assetsDelta between entries.
-        for (uint i = vaultInfo[_vault].assets.length - _entries; i < vaultInfo[_vault].assets.length; i++) {
-
-        }
-
-        // Order numerically and return median.
-
-        if (vaultInfo[_vault].assets.length < _entries) {
+        uint256[] storage assets = vaultInfo[_vault].assets;
+        if (assets.length < _entries + 1) {
             if (_strict > 0) {
                 revert INSUFFICIENT_ENTRIES();
             }
-            _entries = vaultInfo[_vault].assets.length;
+            _entries = assets.length > 0 ? assets.length - 1 : 0;
+        }
+        if (_entries == 0) {
+            return (0, 0);
         }
 
-        yield =
-            vaultInfo[_vault].assets[vaultInfo[_vault].assets.length - 1] -
-            vaultInfo[_vault].assets[vaultInfo[_vault].assets.length - _entries];
+        // Get yield between entries, oldest first.
+        int256[] memory yields = new int256[](_entries);
+        for (uint i = 0; i < _entries; i++) {
+            uint256 prev = assets[assets.length - _entries - 1 + i];
+            uint256 next = assets[assets.length - _entries + i];
+            yields[i] = prev == 0 ? int256(0) : (int256(next) - int256(prev)) * int256(PRECISION) / int256(prev);
+        }
+
+        // Smoothing factor 2 / (_entries + 1), weighting recent entries most.
+        ema = yields[0];
+        for (uint i = 1; i < _entries; i++) {
+            ema = (yields[i] * 2 + ema * int256(_entries - 1)) / int256(_entries + 1);
+        }
 
-        smoothYield = yield / _entries;
+        // Order numerically and return median.
+        for (uint i = 1; i < _entries; i++) {
+            int256 yield = yields[i];
+            uint j = i;
+            for (; j > 0 && yields[j - 1] > yield; j--) {
+                yields[j] = yields[j - 1];
+            }
+            yields[j] = yield;
+        }
+        median = _entries % 2 == 1
+            ? yields[_entries / 2]
+            : (yields[_entries / 2 - 1] + yields[_entries / 2]) / 2;
     }
 
     /**
-     * @notice 
+     * @notice Returns the enabled vault of '_cofi' with the highest median (or, if '_ema' is set,
+     *         EMA) yield over the last '_entries' captures.
+     * @dev 'target' is the zero address if no vault is enabled.
      */
     function evaluate(
         address _cofi,
         uint256 _entries,
-        uint8   _strict
+        uint8   _strict,
+        uint8   _ema
     )   public view
-        onlyAuthorized
-        returns (address target, uint256 yield)
+        returns (address target, int256 yield)
     {
+        yield = type(int256).min;
         for (uint i = 0; i < vaults[_cofi].length; i++) {
-            uint256 round = retrieve(vaults[_cofi][i], _entries, _strict);
-            if (yield < round) {
+            if (vaultInfo[vaults[_cofi][i]].enabled == 0) {
+                continue;
+            }
+            (int256 median, int256 ema) = retrieve(vaults[_cofi][i], _entries, _strict);
+            int256 round = _ema > 0 ? ema : median;
+            if (target == address(0) || yield < round) {
                 yield = round;
                 target = vaults[_cofi][i];
             }
         }
     }
 
+    /**
+     * @notice Migrates '_cofi' to the vault returned by 'evaluate()', if it is not already there.
+     */
     function optimize(
         address _cofi,
         uint256 _entries,
-        uint8   _strict
-    )
+        uint8   _strict,
+        uint8   _ema
+    )   external
+        onlyAuthorized
+        returns (address target)
+    {
+        int256 yield;
+        (target, yield) = evaluate(_cofi, _entries, _strict, _ema);
+        address vault = ICOFIMoney(app).getVault(_cofi);
+        if (target != address(0) && target != vault) {
+            ICOFIMoney(app).migrate(_cofi, target);
+            emit Optimized(_cofi, vault, target, yield);
+        }
+    }
 
     function addVault(
         address _cofi,
@@ -158,9 +177,8 @@ contract YieldOptimizer {
     )   external onlyAuthorized returns (bool) {
 
         vaults[_cofi].push(_vault);
-        // Need to initialise a ref point for shares to track yield over time.
-        // Initialise using all existing shares for max granularity.
-        vaultInfo[_vault].initSharesRef = IERC20(_vault).totalSupply();
+        vaultInfo[_vault].enabled = 1;
+        _initSharesRef(_vault);
         return true;
     }
 
@@ -183,15 +201,63 @@ contract YieldOptimizer {
         revert VAULT_NOT_FOUND();
     }
 
+    /**
+     * @notice Clears the captures of the given vault and takes a new shares ref point.
+     */
     function resetVault(address _vault) external onlyAuthorized returns (bool) {
 
-        vaultInfo[_vault].assets = [0];
-        vaultInfo[_vault].initSharesRef = 0;
+        delete vaultInfo[_vault].assets;
+        _initSharesRef(_vault);
+        return true;
+    }
+
+    function setEnabled(address _vault, uint8 _enabled) external onlyAuthorized returns (bool) {
+
+        vaultInfo[_vault].enabled = _enabled;
+        return true;
+    }
+
+    function setAuthorized(address _account, uint8 _authorized) external onlyAuthorized returns (bool) {
+
+        authorized[_account] = _authorized;
+        return true;
+    }
+
+    function setApp(address _app) external onlyAuthorized returns (bool) {
+
+        app = _app;
         return true;
     }
 
+    function _initSharesRef(address _vault) internal {
+
+        // Need to initialise a ref point for shares to track yield over time.
+        // Initialise using all existing shares for max granularity, or one share if there are none.
+        uint256 shares = IERC20(_vault).totalSupply();
+        vaultInfo[_vault].initSharesRef = shares > 0 ? shares : 10 ** IERC20Metadata(_vault).decimals();
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                                Getters
+    //////////////////////////////////////////////////////////////*/
+
+    function getVaults(address _cofi) external view returns (address[] memory) {
+
+        return vaults[_cofi];
+    }
+
+    function getVaultInfo(address _vault) external view returns (VaultInfo memory) {
+
+        return vaultInfo[_vault];
+    }
+
+    function getAuthorized(address _account) external view returns (uint8) {
+
+        return authorized[_account];
+    }
+
     modifier onlyAuthorized() {
         require(authorized[msg.sender] == 1, 'Caller not authorized');
         _;
     }
-}
\ No newline at end of file
+}
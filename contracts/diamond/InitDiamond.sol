@@ -6,7 +6,8 @@ import { IERC165 } from './core/interfaces/IERC165.sol';
 import { IDiamondCut } from './core/interfaces/IDiamondCut.sol';
 import { IDiamondLoupe } from './core/interfaces/IDiamondLoupe.sol';
 import { IERC173 } from './core/interfaces/IERC173.sol';
-import { SwapProtocol, AppStorage } from './libs/LibAppStorage.sol';
+import { SwapProtocol, AppStorage, Role } from './libs/LibAppStorage.sol';
+import { LibRole } from './libs/LibRole.sol';
 import { LibToken } from './libs/LibToken.sol';
 
 contract InitDiamond {
@@ -100,7 +101,7 @@ contract InitDiamond {
 
         s.owner         = msg.sender;
         s.backupOwner   = _args.roles[1];
-        s.feeCollector  = _args.roles[2];
+        LibRole._setFeeCollector(_args.roles[2]);
 
         s.initReward    = 100*10**18;   // 100 Points for initial deposit.
         s.referReward   = 10*10**18;    // 10 Points each for each referral.
@@ -227,19 +228,19 @@ contract InitDiamond {
         s.priceFeed[WBTC]   = 0xD702DD976Fb76Fffc2D3963D037dfDae5b04E593;
         s.priceFeed[OP]     = 0x0D276FC14719f9292D5C1eA2198673d1f4269246;
 
-        s.isAdmin[msg.sender] = 1;
-        s.isWhitelisted[msg.sender] = 1;
+        LibRole._setRole(Role.Admin, msg.sender, 1);
+        LibRole._setRole(Role.Whitelisted, msg.sender, 1);
 
         // Set admins.
         for(uint i = 1; i < _args.roles.length; ++i) {
-            s.isAdmin[_args.roles[i]] = 1;
-            s.isWhitelisted[_args.roles[i]] = 1;
+            LibRole._setRole(Role.Admin, _args.roles[i], 1);
+            LibRole._setRole(Role.Whitelisted, _args.roles[i], 1);
         }
 
         // Set accounts that can whitelist.
         // First account can whitelist but is not admin.
         for(uint i = 0; i < _args.roles.length; ++i) {
-            s.isWhitelister[_args.roles[i]] = 1;
+            LibRole._setRole(Role.Whitelister, _args.roles[i], 1);
         }
     }
 }
\ No newline at end of file
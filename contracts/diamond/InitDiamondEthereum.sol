@@ -6,7 +6,8 @@ import { IERC165 } from './core/interfaces/IERC165.sol';
 import { IDiamondCut } from './core/interfaces/IDiamondCut.sol';
 import { IDiamondLoupe } from './core/interfaces/IDiamondLoupe.sol';
 import { IERC173 } from './core/interfaces/IERC173.sol';
-import { AppStorage } from './libs/LibAppStorage.sol';
+import { AppStorage, Role } from './libs/LibAppStorage.sol';
+import { LibRole } from './libs/LibRole.sol';
 import { LibToken } from './libs/LibToken.sol';
 
 contract InitDiamondEthereum {
@@ -58,7 +59,7 @@ contract InitDiamondEthereum {
 
         s.owner         = msg.sender;
         s.backupOwner   = _args.roles[1];
-        s.feeCollector  = _args.roles[2];
+        LibRole._setFeeCollector(_args.roles[2]);
 
         s.initReward    = 100*10**18;   // 100 Points for initial deposit.
         s.referReward   = 10*10**18;    // 10 Points each for each referral.
@@ -68,19 +69,19 @@ contract InitDiamondEthereum {
         // 10 DAI buffer for migrations.
         s.buffer[_args.coUSD] = 10*10**uint256(s.decimals[_args.DAI]);
 
-        s.isAdmin[msg.sender] = 1;
-        s.isWhitelisted[msg.sender] = 1;
+        LibRole._setRole(Role.Admin, msg.sender, 1);
+        LibRole._setRole(Role.Whitelisted, msg.sender, 1);
 
         // Set admins.
         for(uint i = 1; i < _args.roles.length; ++i) {
-            s.isAdmin[_args.roles[i]] = 1;
-            s.isWhitelisted[_args.roles[i]] = 1;
+            LibRole._setRole(Role.Admin, _args.roles[i], 1);
+            LibRole._setRole(Role.Whitelisted, _args.roles[i], 1);
         }
 
         // Set accounts that can whitelist
         // First account can whitelist but is not admin
         for(uint i = 0; i < _args.roles.length; ++i) {
-            s.isWhitelister[_args.roles[i]] = 1;
+            LibRole._setRole(Role.Whitelister, _args.roles[i], 1);
         }
     }
 }
\ No newline at end of file
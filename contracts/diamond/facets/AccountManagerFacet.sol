@@ -1,8 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
-import { Modifiers } from '../libs/LibAppStorage.sol';
+import { Modifiers, Role } from '../libs/LibAppStorage.sol';
 import { LibToken } from '../libs/LibToken.sol';
+import { LibRole } from '../libs/LibRole.sol';
 import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
 
 /**
@@ -68,7 +69,24 @@ contract AccountManagerFacet is Modifiers {
         onlyWhitelister
         returns (bool)
     {
-        s.isWhitelisted[_account] = _enabled;
+        LibRole._setRole(Role.Whitelisted, _account, _enabled);
+        return true;
+    }
+
+    /**
+     * @notice Sets the whitelist status of each of '_accounts' to the matching '_enabled'.
+     */
+    function setWhitelistBatch(
+        address[]   memory _accounts,
+        uint8[]     memory _enabled
+    )   external
+        onlyWhitelister
+        returns (bool)
+    {
+        require(_accounts.length == _enabled.length, 'AccessFacet: Length mismatch');
+        for (uint i = 0; i < _accounts.length; ++i) {
+            LibRole._setRole(Role.Whitelisted, _accounts[i], _enabled[i]);
+        }
         return true;
     }
 
@@ -80,10 +98,10 @@ contract AccountManagerFacet is Modifiers {
         returns (bool)
     {
         require(
-            _account != s.owner || _account != s.backupOwner,
+            (_account != s.owner && _account != s.backupOwner) || _enabled == 1,
             'AccessFacet: Owners must retain admin status'
         );
-        s.isAdmin[_account] = _enabled;
+        LibRole._setRole(Role.Admin, _account, _enabled);
         return true;
     }
 
@@ -94,7 +112,7 @@ contract AccountManagerFacet is Modifiers {
         onlyAdmin
         returns (bool)
     {
-        s.isUpkeep[_account] = _enabled;
+        LibRole._setRole(Role.Upkeep, _account, _enabled);
         return true;
     }
 
@@ -104,7 +122,24 @@ contract AccountManagerFacet is Modifiers {
         onlyAdmin
         returns (bool)
     {
-        s.feeCollector = _account;
+        LibRole._setFeeCollector(_account);
+        return true;
+    }
+
+    /**
+     * @notice Enumerates accounts that hold '_role' but are missing from its members, and drops
+     *         members that no longer hold it, e.g. for roles set before members were tracked.
+     */
+    function indexRoleMembers(
+        Role        _role,
+        address[]   memory _accounts
+    )   external
+        onlyAdmin
+        returns (bool)
+    {
+        for (uint i = 0; i < _accounts.length; ++i) {
+            LibRole._index(_role, _accounts[i]);
+        }
         return true;
     }
 
@@ -150,4 +185,40 @@ contract AccountManagerFacet is Modifiers {
     {
         return s.feeCollector;
     }
+
+    function getRoleMemberCount(
+        Role _role
+    )   external view
+        returns (uint256)
+    {
+        return s.roleMembers[_role].length;
+    }
+
+    function getRoleMember(
+        Role    _role,
+        uint256 _index
+    )   external view
+        returns (address)
+    {
+        return s.roleMembers[_role][_index];
+    }
+
+    /**
+     * @notice Returns up to '_count' members of '_role' from '_start', in no particular order.
+     * @dev Members may be reordered by each removal, so page through them at a single block.
+     */
+    function getRoleMembers(
+        Role    _role,
+        uint256 _start,
+        uint256 _count
+    )   external view
+        returns (address[] memory members)
+    {
+        uint256 length = s.roleMembers[_role].length;
+        uint256 end = _start + _count > length ? length : _start + _count;
+        members = new address[](end > _start ? end - _start : 0);
+        for (uint i = 0; i < members.length; ++i) {
+            members[i] = s.roleMembers[_role][_start + i];
+        }
+    }
 }
\ No newline at end of file
@@ -41,6 +41,18 @@ struct SwapInfo {
     uint256 wait;
 }
 
+/*//////////////////////////////////////////////////////////////
+                        Account Types
+//////////////////////////////////////////////////////////////*/
+
+/// @dev Each role is stored in its own 'is<Role>' mapping, enumerated by 'roleMembers'.
+enum Role {
+    Whitelisted,
+    Whitelister,
+    Admin,
+    Upkeep
+}
+
 struct AppStorage {
 
     /*//////////////////////////////////////////////////////////////
@@ -163,6 +175,16 @@ struct AppStorage {
     uint256 defaultSlippage;
 
     uint256 defaultWait;
+
+    /*//////////////////////////////////////////////////////////////
+                            Role Members
+    //////////////////////////////////////////////////////////////*/
+
+    // E.g., Role.Admin => [admin accounts]. Unordered.
+    mapping(Role => address[]) roleMembers;
+
+    // E.g., Role.Admin => admin account => index in roleMembers + 1 (0 if not a member).
+    mapping(Role => mapping(address => uint256)) roleMemberIndex;
 }
 
 library LibAppStorage {
@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import { AppStorage, LibAppStorage, Role } from './LibAppStorage.sol';
+
+library LibRole {
+
+    /**
+     * @notice Emitted when a role of an account is set (including to its current value).
+     * @param role      The role set.
+     * @param account   The account whose role is set.
+     * @param enabled   1 if the account holds the role, 0 if not.
+     */
+    event RoleUpdated(Role indexed role, address indexed account, uint8 enabled);
+
+    /**
+     * @notice Emitted when the fee collector is set.
+     * @param feeCollector  The new fee collector.
+     */
+    event FeeCollectorUpdated(address indexed feeCollector);
+
+    /// @notice Returns the status mapping of '_role' (e.g., 's.isAdmin' for Role.Admin).
+    function _status(
+        Role _role
+    )   internal view
+        returns (mapping(address => uint8) storage)
+    {
+        AppStorage storage s = LibAppStorage.diamondStorage();
+
+        if (_role == Role.Whitelisted) return s.isWhitelisted;
+        if (_role == Role.Whitelister) return s.isWhitelister;
+        if (_role == Role.Admin) return s.isAdmin;
+        return s.isUpkeep;
+    }
+
+    /**
+     * @notice Sets '_role' of '_account', keeping 'roleMembers' in sync.
+     * @param _role     The role to set.
+     * @param _account  The account to set the role of.
+     * @param _enabled  1 to grant the role, 0 to revoke it.
+     */
+    function _setRole(
+        Role    _role,
+        address _account,
+        uint8   _enabled
+    )   internal
+    {
+        _status(_role)[_account] = _enabled;
+        _index(_role, _account);
+        emit RoleUpdated(_role, _account, _enabled);
+    }
+
+    /**
+     * @notice Adds '_account' to, or removes it from, the members of '_role' to match its status.
+     * @dev Also used to enumerate accounts set before 'roleMembers' existed.
+     */
+    function _index(
+        Role    _role,
+        address _account
+    )   internal
+    {
+        AppStorage storage s = LibAppStorage.diamondStorage();
+
+        uint256 index = s.roleMemberIndex[_role][_account];
+        if (_status(_role)[_account] > 0) {
+            if (index == 0) {
+                s.roleMembers[_role].push(_account);
+                s.roleMemberIndex[_role][_account] = s.roleMembers[_role].length;
+            }
+        } else if (index > 0) {
+            // Move the last member into the index to be deleted.
+            address last = s.roleMembers[_role][s.roleMembers[_role].length - 1];
+            s.roleMembers[_role][index - 1] = last;
+            s.roleMemberIndex[_role][last] = index;
+            s.roleMembers[_role].pop();
+            delete s.roleMemberIndex[_role][_account];
+        }
+    }
+
+    /**
+     * @notice Sets the fee collector.
+     * @param _account  The new fee collector.
+     */
+    function _setFeeCollector(
+        address _account
+    )   internal
+    {
+        AppStorage storage s = LibAppStorage.diamondStorage();
+
+        s.feeCollector = _account;
+        emit FeeCollectorUpdated(_account);
+    }
+}
@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol';
+
+/**
+ * @dev Chainlink price feed stand-in. Each 'setAnswer()' starts a new, complete round at the
+ *      current block. 'setRoundData()' sets every field of a round directly, e.g., for stale
+ *      (answeredInRound < roundId), incomplete (updatedAt = 0) or non-positive answers.
+ *      See 'test/fixtures/prices.js' for scripting price paths.
+ */
+contract MockAggregator is AggregatorV3Interface {
+
+    struct RoundData {
+        int256  answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+        uint80  answeredInRound;
+    }
+
+    uint8 public decimals;
+    string public description = "MockAggregator";
+    uint256 public version = 1;
+
+    uint80 public latestRound;
+    mapping(uint80 => RoundData) rounds;
+
+    constructor(
+        uint8 _decimals,
+        int256 _answer
+    ) {
+        decimals = _decimals;
+        setAnswer(_answer);
+    }
+
+    function setDecimals(
+        uint8 _decimals
+    )   external
+    {
+        decimals = _decimals;
+    }
+
+    function setAnswer(
+        int256 _answer
+    )   public
+    {
+        latestRound++;
+        rounds[latestRound] = RoundData({
+            answer: _answer,
+            startedAt: block.timestamp,
+            updatedAt: block.timestamp,
+            answeredInRound: latestRound
+        });
+    }
+
+    /// @dev '_roundId' becomes the latest round.
+    function setRoundData(
+        uint80  _roundId,
+        int256  _answer,
+        uint256 _startedAt,
+        uint256 _updatedAt,
+        uint80  _answeredInRound
+    )   external
+    {
+        latestRound = _roundId;
+        rounds[_roundId] = RoundData({
+            answer: _answer,
+            startedAt: _startedAt,
+            updatedAt: _updatedAt,
+            answeredInRound: _answeredInRound
+        });
+    }
+
+    function getRoundData(
+        uint80 _roundId
+    )   external view
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        RoundData memory round = rounds[_roundId];
+        require(round.updatedAt != 0 || round.answeredInRound != 0, 'MockAggregator: No data present');
+        return (_roundId, round.answer, round.startedAt, round.updatedAt, round.answeredInRound);
+    }
+
+    function latestRoundData()
+        external view
+        returns (uint80, int256, uint256, uint256, uint80)
+    {
+        RoundData memory round = rounds[latestRound];
+        return (latestRound, round.answer, round.startedAt, round.updatedAt, round.answeredInRound);
+    }
+}
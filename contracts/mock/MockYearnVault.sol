@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import '@openzeppelin/contracts/token/ERC20/ERC20.sol';
+import '@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol';
+import '@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol';
+
+/**
+ * @dev Yearn V2 vault stand-in for the 'YearnV2' wrapper. Shares are priced at the token
+ *      balance held, so yield can be simulated by minting 'token' directly to this contract.
+ *      There is no locked profit and no deposit limit.
+ */
+contract MockYearnVault is ERC20 {
+    using SafeERC20 for IERC20;
+
+    address public token;
+    uint256 public lastReport;
+    uint256 public lockedProfit;
+    uint256 public lockedProfitDegradation;
+
+    constructor(
+        string memory _name,
+        string memory _symbol,
+        address _token
+    ) ERC20(_name, _symbol) {
+        token = _token;
+        lastReport = block.timestamp;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return IERC20Metadata(token).decimals();
+    }
+
+    function totalAssets() public view returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    function pricePerShare() external view returns (uint256) {
+        return totalSupply() == 0
+            ? 10 ** decimals()
+            : totalAssets() * 10 ** decimals() / totalSupply();
+    }
+
+    function availableDepositLimit() external pure returns (uint256) {
+        return type(uint256).max;
+    }
+
+    function deposit(
+        uint256 _amount,
+        address _recipient
+    )   external
+        returns (uint256 shares)
+    {
+        shares = totalSupply() == 0 ? _amount : _amount * totalSupply() / totalAssets();
+        IERC20(token).safeTransferFrom(msg.sender, address(this), _amount);
+        _mint(_recipient, shares);
+    }
+
+    function withdraw(
+        uint256 _maxShares,
+        address _recipient,
+        uint256
+    )   external
+        returns (uint256 assets)
+    {
+        assets = _maxShares * totalAssets() / totalSupply();
+        _burn(msg.sender, _maxShares);
+        IERC20(token).safeTransfer(_recipient, assets);
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import { IRouterClient } from "@chainlink/contracts-ccip/src/v0.8/ccip/interfaces/IRouterClient.sol";
+import { IAny2EVMMessageReceiver } from "@chainlink/contracts-ccip/src/v0.8/ccip/interfaces/IAny2EVMMessageReceiver.sol";
+import { Client } from "@chainlink/contracts-ccip/src/v0.8/ccip/libraries/Client.sol";
+
+/**
+ * @dev Local stand-in for a CCIP router, one per simulated chain. 'ccipSend()' charges a flat
+ *      native fee and records the message via 'CCIPSendRequested'. Messages are delivered by
+ *      calling 'routeMessage()' on the destination chain's router (see 'test/fixtures/ccip.js'),
+ *      which calls 'ccipReceive()' on the receiver and bubbles up any revert.
+ */
+contract MockCCIPRouter is IRouterClient {
+
+    event CCIPSendRequested(
+        bytes32 indexed messageId,
+        uint64 indexed destChainSelector,
+        address indexed sender,
+        address receiver,
+        bytes data,
+        uint256 fee
+    );
+    event MessageExecuted(bytes32 indexed messageId, uint64 indexed sourceChainSelector, address receiver);
+
+    uint64 public immutable chainSelector;
+    uint256 public fee;
+    uint256 public nonce;
+
+    mapping(uint64 => bool) public isChainSupported;
+    mapping(bytes32 => bool) public executed;
+
+    constructor(
+        uint64 _chainSelector,
+        uint256 _fee
+    ) {
+        chainSelector = _chainSelector;
+        fee = _fee;
+    }
+
+    function setFee(
+        uint256 _fee
+    ) external {
+        fee = _fee;
+    }
+
+    function setChainSupported(
+        uint64 _chainSelector,
+        bool _supported
+    ) external {
+        isChainSupported[_chainSelector] = _supported;
+    }
+
+    function getSupportedTokens(
+        uint64
+    ) external pure returns (address[] memory tokens) {
+        return tokens;
+    }
+
+    function getFee(
+        uint64 _destChainSelector,
+        Client.EVM2AnyMessage memory
+    ) public view returns (uint256) {
+        return isChainSupported[_destChainSelector] ? fee : 0;
+    }
+
+    function ccipSend(
+        uint64 _destChainSelector,
+        Client.EVM2AnyMessage calldata _message
+    ) external payable returns (bytes32 messageId) {
+        if (!isChainSupported[_destChainSelector]) revert UnsupportedDestinationChain(_destChainSelector);
+        require(_message.feeToken == address(0), "MockCCIPRouter: Only native fees supported");
+        require(_message.tokenAmounts.length == 0, "MockCCIPRouter: Token transfers not supported");
+        if (msg.value < fee) revert InsufficientFeeTokenAmount();
+
+        messageId = keccak256(abi.encode(chainSelector, ++nonce, msg.sender, _message.receiver, _message.data));
+
+        emit CCIPSendRequested(
+            messageId,
+            _destChainSelector,
+            msg.sender,
+            abi.decode(_message.receiver, (address)),
+            _message.data,
+            msg.value
+        );
+    }
+
+    /// @dev Acts as the OffRamp. Unrestricted, as the harness plays the role of the DON.
+    function routeMessage(
+        bytes32 _messageId,
+        uint64 _sourceChainSelector,
+        address _sender,
+        address _receiver,
+        bytes calldata _data
+    ) external {
+        require(!executed[_messageId], "MockCCIPRouter: Message already executed");
+        executed[_messageId] = true;
+
+        IAny2EVMMessageReceiver(_receiver).ccipReceive(Client.Any2EVMMessage({
+            messageId: _messageId,
+            sourceChainSelector: _sourceChainSelector,
+            sender: abi.encode(_sender),
+            data: _data,
+            destTokenAmounts: new Client.EVMTokenAmount[](0)
+        }));
+
+        emit MessageExecuted(_messageId, _sourceChainSelector, _receiver);
+    }
+}
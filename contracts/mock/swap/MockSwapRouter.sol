@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import { IWETH } from '../../diamond/interfaces/IWETH.sol';
+import { IERC20Metadata } from '@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol';
+import '@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol';
+
+interface IMintable {
+    function mint(address _to, uint _amount) external;
+}
+
+/**
+ * @dev Shared pricing and failure injection for the offline swap routers. Each hop converts at
+ *      the prices reported by the configured price feeds (1e8 if not set), less the pool fee.
+ *      Tokens in are retained, ERC20 tokens out are minted (see 'ERC20Token.sol') and wETH/ETH
+ *      out is paid from this contract's Ether balance.
+ *
+ *      'slippage' is deducted from every swap output on top of pool fees, so that tests can push
+ *      the amount received below the 'amountOutMin' computed by 'LibSwap._getAmountOutMin()'.
+ *      'delay' is added to 'block.timestamp' before checking deadlines, as if the transaction
+ *      had been pending for that long.
+ */
+abstract contract MockSwapRouter {
+
+    IWETH constant WETH = IWETH(0x4200000000000000000000000000000000000006);
+
+    mapping(address => AggregatorV3Interface) public priceFeed;
+
+    /// @dev Basis points.
+    uint256 public slippage;
+
+    /// @dev Seconds.
+    uint256 public delay;
+
+    function setPriceFeed(
+        address _token,
+        address _priceFeed
+    )   external
+    {
+        priceFeed[_token] = AggregatorV3Interface(_priceFeed);
+    }
+
+    function setSlippage(
+        uint256 _slippage
+    )   external
+    {
+        require(_slippage <= 1e4, 'MockSwapRouter: Invalid slippage');
+        slippage = _slippage;
+    }
+
+    function setDelay(
+        uint256 _delay
+    )   external
+    {
+        delay = _delay;
+    }
+
+    /// @notice Converts '_amount' of '_from' to '_to' at the current feed prices, excluding fees.
+    function quote(
+        uint256 _amount,
+        address _from,
+        address _to
+    )   public view
+        returns (uint256)
+    {
+        return _amount * _getPrice(_from) * 10**IERC20Metadata(_to).decimals()
+            / (_getPrice(_to) * 10**IERC20Metadata(_from).decimals());
+    }
+
+    /// @param _fee Pool fee in hundredths of a bip (i.e., 1e-6).
+    function _quoteHop(
+        uint256 _amount,
+        address _from,
+        address _to,
+        uint256 _fee
+    )   internal view
+        returns (uint256)
+    {
+        return quote(_amount, _from, _to) * (1e6 - _fee) / 1e6;
+    }
+
+    function _applySlippage(
+        uint256 _amount
+    )   internal view
+        returns (uint256)
+    {
+        return _amount * (1e4 - slippage) / 1e4;
+    }
+
+    function _expired(
+        uint256 _deadline
+    )   internal view
+        returns (bool)
+    {
+        return block.timestamp + delay > _deadline;
+    }
+
+    function _pay(
+        address _token,
+        address _recipient,
+        uint256 _amount
+    )   internal
+    {
+        if (_token == address(WETH)) {
+            WETH.deposit{value: _amount}();
+            WETH.transfer(_recipient, _amount);
+        } else {
+            IMintable(_token).mint(_recipient, _amount);
+        }
+    }
+
+    function _payETH(
+        address _recipient,
+        uint256 _amount
+    )   internal
+    {
+        (bool sent, ) = payable(_recipient).call{value: _amount}('');
+        require(sent, 'MockSwapRouter: Failed to send Ether');
+    }
+
+    function _getPrice(
+        address _token
+    )   internal view
+        returns (uint256)
+    {
+        if (address(priceFeed[_token]) == address(0)) return 1e8;
+        (, int256 answer, , , ) = priceFeed[_token].latestRoundData();
+        return uint256(answer);
+    }
+
+    receive() external payable {}
+}
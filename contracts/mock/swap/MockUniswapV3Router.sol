@@ -0,0 +1,97 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import { MockSwapRouter } from './MockSwapRouter.sol';
+import { ISwapRouter } from '@uniswap/v3-periphery/contracts/interfaces/ISwapRouter.sol';
+import { IERC20 } from '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+
+/**
+ * @dev Offline stand-in for the Uniswap V3 SwapRouter, installed at the address hardcoded in
+ *      'LibUniswapV3.sol' with 'hardhat_setCode'. Decodes the packed path
+ *      (token, fee, token, [fee, token, ...]) and walks each hop (see 'MockSwapRouter.sol').
+ *      Reverts with the same messages as the live router.
+ */
+contract MockUniswapV3Router is MockSwapRouter {
+
+    function exactInput(
+        ISwapRouter.ExactInputParams calldata _params
+    )   external payable
+        returns (uint256 amountOut)
+    {
+        require(!_expired(_params.deadline), 'Transaction too old');
+
+        (address[] memory tokens, ) = decodePath(_params.path);
+
+        if (msg.value > 0) {
+            require(
+                tokens[0] == address(WETH) && msg.value == _params.amountIn,
+                'MockUniswapV3Router: Invalid Ether amount'
+            );
+        } else {
+            IERC20(tokens[0]).transferFrom(msg.sender, address(this), _params.amountIn);
+        }
+
+        amountOut = getAmountOut(_params.amountIn, _params.path);
+        require(amountOut >= _params.amountOutMinimum, 'Too little received');
+
+        _pay(tokens[tokens.length - 1], _params.recipient, amountOut);
+    }
+
+    /// @notice Amount received for swapping '_amountIn' along '_path', including slippage.
+    function getAmountOut(
+        uint256 _amountIn,
+        bytes memory _path
+    )   public view
+        returns (uint256 amountOut)
+    {
+        (address[] memory tokens, uint24[] memory fees) = decodePath(_path);
+
+        amountOut = _amountIn;
+        for (uint256 i = 0; i < fees.length; i++) {
+            amountOut = _quoteHop(amountOut, tokens[i], tokens[i + 1], fees[i]);
+        }
+        amountOut = _applySlippage(amountOut);
+    }
+
+    function decodePath(
+        bytes memory _path
+    )   public pure
+        returns (address[] memory tokens, uint24[] memory fees)
+    {
+        require(
+            _path.length >= 43 && (_path.length - 20) % 23 == 0,
+            'MockUniswapV3Router: Invalid path'
+        );
+
+        fees = new uint24[]((_path.length - 20) / 23);
+        tokens = new address[](fees.length + 1);
+
+        tokens[0] = _toAddress(_path, 0);
+        for (uint256 i = 0; i < fees.length; i++) {
+            fees[i] = _toUint24(_path, i * 23 + 20);
+            tokens[i + 1] = _toAddress(_path, i * 23 + 23);
+        }
+    }
+
+    function _toAddress(
+        bytes memory _bytes,
+        uint256 _start
+    )   internal pure
+        returns (address addr)
+    {
+        assembly {
+            addr := shr(96, mload(add(add(_bytes, 0x20), _start)))
+        }
+    }
+
+    function _toUint24(
+        bytes memory _bytes,
+        uint256 _start
+    )   internal pure
+        returns (uint24 value)
+    {
+        assembly {
+            value := shr(232, mload(add(add(_bytes, 0x20), _start)))
+        }
+    }
+}
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import { MockSwapRouter } from './MockSwapRouter.sol';
+import { IRouter } from '../../diamond/interfaces/IRouter.sol';
+import { IERC20 } from '@openzeppelin/contracts/token/ERC20/IERC20.sol';
+
+/**
+ * @dev Offline stand-in for the Velodrome V2 Router, installed at the address hardcoded in
+ *      'LibVelodromeV2.sol' with 'hardhat_setCode'. Walks each route (see 'MockSwapRouter.sol')
+ *      with a 0.05% fee for stable pools and 0.3% for volatile pools. Reverts with the same
+ *      custom errors as the live router.
+ */
+contract MockVelodromeV2Router is MockSwapRouter {
+
+    uint256 constant STABLE_FEE = 500;
+    uint256 constant VOLATILE_FEE = 3000;
+
+    function swapExactTokensForTokens(
+        uint256 _amountIn,
+        uint256 _amountOutMin,
+        IRouter.Route[] calldata _routes,
+        address _to,
+        uint256 _deadline
+    )   external
+        returns (uint256[] memory amounts)
+    {
+        amounts = _swap(_amountIn, _amountOutMin, _routes, _deadline);
+        IERC20(_routes[0].from).transferFrom(msg.sender, address(this), _amountIn);
+        _pay(_routes[_routes.length - 1].to, _to, amounts[amounts.length - 1]);
+    }
+
+    function swapExactETHForTokens(
+        uint256 _amountOutMin,
+        IRouter.Route[] calldata _routes,
+        address _to,
+        uint256 _deadline
+    )   external payable
+        returns (uint256[] memory amounts)
+    {
+        if (_routes[0].from != address(WETH)) revert IRouter.InvalidPath();
+        amounts = _swap(msg.value, _amountOutMin, _routes, _deadline);
+        _pay(_routes[_routes.length - 1].to, _to, amounts[amounts.length - 1]);
+    }
+
+    function swapExactTokensForETH(
+        uint256 _amountIn,
+        uint256 _amountOutMin,
+        IRouter.Route[] calldata _routes,
+        address _to,
+        uint256 _deadline
+    )   external
+        returns (uint256[] memory amounts)
+    {
+        if (_routes[_routes.length - 1].to != address(WETH)) revert IRouter.InvalidPath();
+        amounts = _swap(_amountIn, _amountOutMin, _routes, _deadline);
+        IERC20(_routes[0].from).transferFrom(msg.sender, address(this), _amountIn);
+        _payETH(_to, amounts[amounts.length - 1]);
+    }
+
+    /// @notice Amounts received at each step of '_routes', including slippage on the last.
+    function getAmountsOut(
+        uint256 _amountIn,
+        IRouter.Route[] memory _routes
+    )   public view
+        returns (uint256[] memory amounts)
+    {
+        if (_routes.length < 1) revert IRouter.InvalidPath();
+
+        amounts = new uint256[](_routes.length + 1);
+        amounts[0] = _amountIn;
+        for (uint256 i = 0; i < _routes.length; i++) {
+            amounts[i + 1] = _quoteHop(
+                amounts[i],
+                _routes[i].from,
+                _routes[i].to,
+                _routes[i].stable ? STABLE_FEE : VOLATILE_FEE
+            );
+        }
+        amounts[_routes.length] = _applySlippage(amounts[_routes.length]);
+    }
+
+    function _swap(
+        uint256 _amountIn,
+        uint256 _amountOutMin,
+        IRouter.Route[] calldata _routes,
+        uint256 _deadline
+    )   internal view
+        returns (uint256[] memory amounts)
+    {
+        if (_expired(_deadline)) revert IRouter.Expired();
+        amounts = getAmountsOut(_amountIn, _routes);
+        if (amounts[amounts.length - 1] < _amountOutMin) revert IRouter.InsufficientOutputAmount();
+    }
+}
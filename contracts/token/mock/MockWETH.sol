@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @dev WETH9 stand-in. Name and symbol are constant so the runtime code can be installed
+///      at the canonical WETH address with 'hardhat_setCode' (constructors do not run).
+contract MockWETH is ERC20 {
+
+    constructor() ERC20("Wrapped Ether", "WETH") {}
+
+    function name() public pure override returns (string memory) {
+        return "Wrapped Ether";
+    }
+
+    function symbol() public pure override returns (string memory) {
+        return "WETH";
+    }
+
+    function deposit() public payable {
+        _mint(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 _amount) external {
+        _burn(msg.sender, _amount);
+        (bool sent, ) = payable(msg.sender).call{value: _amount}("");
+        require(sent, "MockWETH: Failed to send Ether");
+    }
+
+    receive() external payable {
+        deposit();
+    }
+}
@@ -1,6 +1,19 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-diamond-abi");
 require("dotenv").config();
+require("./tasks/apy.js");
+require("./tasks/diamond.js");
+require("./tasks/indexer.js");
+require("./tasks/keeper.js");
+require("./tasks/optimizer.js");
+require("./tasks/points.js");
+require("./tasks/roles.js");
+require("./tasks/safe.js");
+require("./tasks/snapshot.js");
+require("./tasks/supply.js");
+require("./tasks/swap.js");
+require("./tasks/vault.js");
+require("./tasks/whitelist.js");
 
 const { INFURA_API_KEY, INFURA_API_KEY_2, ALCHEMY_API_KEY, ETH_SCAN_API_KEY, POLY_SCAN_API_KEY, 
   PRIV_KEY, PRIV_KEY_2, PRIV_KEY_3, OPT_SCAN_API_KEY, ANKR_API_KEY, ARB_SCAN_API_KEY, AVAX_SCAN_API_KEY } = process.env;
@@ -15,7 +28,13 @@ module.exports = {
         runs: 1000
       },
       evmVersion: 'paris',
-      viaIR: true
+      viaIR: true,
+      // For the AppStorage layout check (cofi:storage:check).
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
+      }
     }
   },
   diamondAbi: {
@@ -67,8 +86,10 @@ module.exports = {
       // forking: {
       //   url: `https://optimism-mainnet.infura.io/v3/${INFURA_API_KEY}`,
       // },
+      // Tests that do not rely on live Optimism state run without an Alchemy key.
       forking: {
-        url: `https://opt-mainnet.g.alchemy.com/v2/${ALCHEMY_API_KEY}`
+        url: `https://opt-mainnet.g.alchemy.com/v2/${ALCHEMY_API_KEY}`,
+        enabled: ALCHEMY_API_KEY !== undefined
       }
     }
   },
@@ -1,5 +1,6 @@
 /* global ethers */
 
+const { getAddress, getContract } = require('../libs/registry.js')
 const { ethers } = require('hardhat')
 const helpers = require('@nomicfoundation/hardhat-network-helpers');
 
@@ -7,14 +8,14 @@ async function main() {
 
     const signer = await ethers.provider.getSigner(0)
 
-    // Deposit
-    const cofiMoney = (await ethers.getContractAt('COFIMoney', '0xD5D0AEb7231d37229De09dB4556477E2857abB98')).connect(signer)
+    // Deposit, to the app's diamond, a separate deployment from 'COFIMoney'.
+    const cofiMoney = await getContract('COFIMoneyApp', signer)
 
     // Deposit USDC
     await cofiMoney.underlyingToCofi(
         '10000000',
         '0',
-        '0xEA6676493CcAe182dbddeE68be564078F4B6f7F1', // coUSD
+        getAddress('coUSDApp'),
         '0x5fd20F920525aA638afa163a4AE59eA27351225c',
         '0x5fd20F920525aA638afa163a4AE59eA27351225c',
         '0x0000000000000000000000000000000000000000'
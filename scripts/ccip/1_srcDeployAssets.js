@@ -1,5 +1,6 @@
 /* global ethers */
 
+const { deployContract } = require('../libs/registry.js')
 const { ethers } = require('hardhat')
 
 async function main() {
@@ -8,20 +9,11 @@ async function main() {
     const owner = accounts[0]
 
     // Deploy Mock ERC20 "Asset" (e.g., coUSD).
-    const ERC20 = await ethers.getContractFactory("ERC20Token")
-    const erc20 = await ERC20.deploy(
-        "COFI Dollar (Polygon)",
-        "coUSDmat",
-        18,
-        // {gasLimit: "30000000"}
-    )
-    await erc20.waitForDeployment()
-    console.log("coUSDmat address: ", await erc20.getAddress())
-
-    // const erc20 = await ethers.getContractAt(
-    //     "ERC20Token",
-    //     "0x0f28dE21b407448f6EC578481445C2CF752Ef10a"
-    // )
+    const { contract: erc20 } = await deployContract({
+        name: 'coUSDmat',
+        contract: 'ERC20Token',
+        args: ["COFI Dollar (Polygon)", "coUSDmat", 18]
+    })
 
     // Mint tokens to owner.
     await erc20.mint(
@@ -32,15 +24,11 @@ async function main() {
     console.log(await erc20.balanceOf(await owner.getAddress()))
 
     // Deploy Mock "Vault" (e.g. wcoUSD)
-    const Vault = await ethers.getContractFactory("Vault")
-    const vault = await Vault.deploy(
-        "Wrapped COFI Dollar (Polygon)",
-        "wcoUSDmat",
-        await erc20.getAddress(),
-        // {gasLimit: "30000000"}
-    )
-    await vault.waitForDeployment()
-    console.log("wcoUSDmat address: ", await vault.getAddress())
+    await deployContract({
+        name: 'wcoUSDmat',
+        contract: 'Vault',
+        args: ["Wrapped COFI Dollar (Polygon)", "wcoUSDmat", await erc20.getAddress()]
+    })
 }
 
 // We recommend this pattern to be able to use async/await everywhere
@@ -1,5 +1,6 @@
 /* global ethers */
 
+const { deployContract, getAddress, registryPath } = require('../libs/registry.js')
 const { ethers } = require('hardhat')
 
 const MUMBAI_ROUTER = "0x70499c328e1E2a3c41108bd3730F6670a44595D1"
@@ -12,29 +13,30 @@ const MUMBAI_CHAIN_SELECTOR = "12532609583862916517"
 const FUJI_ROUTER = "0x554472a2720E5E7D5D3C817529aBA05EEd5F82D8"
 const FUJI_LINK = "0x0b9d5D9136855f6FEc3c0993feE6E9CE8a297846"
 
+// Network the COFIBridgeEntry and source assets are deployed to.
+const SRC_NETWORK = "mumbai"
+
 async function main() {
 
     // Deploy Mock ERC20 "Asset" (e.g., coUSD).
-    const ERC20 = await ethers.getContractFactory("ERC20Token")
-    const erc20 = await ERC20.deploy(
-        "Avalanche Wrapped COFI Dollar (Polygon)",
-        "avaxcoUSDmat",
-        18
-    )
-    await erc20.waitForDeployment()
-    console.log("avaxcoUSDmat address: ", await erc20.getAddress())
+    const { address: erc20Addr } = await deployContract({
+        name: 'avaxcoUSDmat',
+        contract: 'ERC20Token',
+        args: ["Avalanche Wrapped COFI Dollar (Polygon)", "avaxcoUSDmat", 18]
+    })
 
     // Ensure ETH resides at this contract after deploying.
-    const BridgeExit = await ethers.getContractFactory("COFIBridgeExit")
-    const bridgeExit = await BridgeExit.deploy(
-        FUJI_ROUTER,
-        FUJI_LINK,
-        await erc20.getAddress(), // destShare
-        "0x23f0618e3ccBbAc605d6Ed0f85D3ce581E64df2f", // srcAsset
-        MUMBAI_CHAIN_SELECTOR
-    )
-    await bridgeExit.waitForDeployment()
-    console.log("COFI Bridge Exit deployed: ", await bridgeExit.getAddress())
+    await deployContract({
+        name: 'COFIBridgeExit',
+        contract: 'COFIBridgeExit',
+        args: [
+            FUJI_ROUTER,
+            FUJI_LINK,
+            erc20Addr, // destShare
+            getAddress('coUSDmat', registryPath(SRC_NETWORK)), // srcAsset
+            MUMBAI_CHAIN_SELECTOR
+        ]
+    })
 }
 
 // We recommend this pattern to be able to use async/await everywhere
@@ -1,5 +1,6 @@
 /* global ethers */
 
+const { deployContract, getAddress, registryPath } = require('../libs/registry.js')
 const { ethers } = require('hardhat')
 
 const SEPOLIA_ROUTER = "0xD0daae2231E9CB96b94C8512223533293C3693Bf"
@@ -14,20 +15,24 @@ const MUMBAI_CHAIN_SELECTOR = "12532609583862916517"
 const ARBITRUM_GOERLI_CHAIN_SELECTOR = "6101244977088475029"
 const FUJI_CHAIN_SELECTOR = "14767482510784806043"
 
+// Network the COFIBridgeExit and destination shares are deployed to.
+const DEST_NETWORK = "fuji"
+
 async function main() {
 
-    const BridgeEntry = await ethers.getContractFactory("COFIBridgeEntry")
-    const bridgeEntry = await BridgeEntry.deploy(
-        FUJI_ROUTER,
-        FUJI_LINK,
-        "0x23f0618e3ccBbAc605d6Ed0f85D3ce581E64df2f", // cofi
-        "0x746C78bCB4106D2a37ebAD36552c1249b2Bd41bB", // vault
-        FUJI_CHAIN_SELECTOR,
-        "0x87Cf8659222d322D2b6b6B485d997eBf4C2Cc2E7", // destShare
-        "0xaF772601Fb01660Ef40A9934691e50B357364BF3" // exit bridge
-    )
-    await bridgeEntry.waitForDeployment()
-    console.log("COFI Bridge Entry deployed: ", await bridgeEntry.getAddress())
+    await deployContract({
+        name: 'COFIBridgeEntry',
+        contract: 'COFIBridgeEntry',
+        args: [
+            FUJI_ROUTER,
+            FUJI_LINK,
+            getAddress('coUSDmat'), // cofi
+            getAddress('wcoUSDmat'), // vault
+            FUJI_CHAIN_SELECTOR,
+            getAddress('avaxcoUSDmat', registryPath(DEST_NETWORK)), // destShare
+            getAddress('COFIBridgeExit', registryPath(DEST_NETWORK)) // exit bridge
+        ]
+    })
 }
 
 // We recommend this pattern to be able to use async/await everywhere
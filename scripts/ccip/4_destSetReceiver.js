@@ -1,21 +1,22 @@
 /* global ethers */
 
+const { getAddress, getContract, registryPath } = require('../libs/registry.js')
 const { ethers } = require('hardhat')
 
 const SEPOLIA_CHAIN_SELECTOR = "16015286601757825753"
 const OPTIMISM_GOERLI_CHAIN_SELECTOR = "2664363617261496610"
 const MUMBAI_CHAIN_SELECTOR = "12532609583862916517"
 
+// Network the COFIBridgeEntry is deployed to.
+const SRC_NETWORK = "mumbai"
+
 async function main() {
 
-    const bridgeExit = await ethers.getContractAt(
-        "COFIBridgeExit",
-        "0xd75F5608f4a38A75F2435f652164c138B2eb9A29"
-    )
+    const bridgeExit = await getContract('COFIBridgeExit')
 
     await bridgeExit.setReceiver(
         MUMBAI_CHAIN_SELECTOR,
-        "0x82E55a92611E1D8319bBB63e154AA0833755c819", // entry bridge
+        getAddress('COFIBridgeEntry', registryPath(SRC_NETWORK)), // entry bridge
         true
     )
     console.log("Receiver set")
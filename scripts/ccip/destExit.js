@@ -1,5 +1,6 @@
 /* global ethers */
 
+const { getAddress, getContract } = require('../libs/registry.js')
 const { ethers } = require('hardhat')
 
 async function main() {
@@ -7,13 +8,10 @@ async function main() {
     const accounts = await ethers.getSigners()
     const owner = accounts[0]
 
-    const bridgeExit = await ethers.getContractAt(
-        "COFIBridgeExit",
-        "0x3421A038B62EcC0482008790DC79CDEe7FE0553b"
-    )
+    const bridgeExit = await getContract('COFIBridgeExit')
 
     await bridgeExit.exit(
-        "0x5b6643F3315E53a3463F11897c48491eFAaa5072",
+        getAddress('avaxcoUSDmat'), // destShare
         ethers.parseEther('25'),
         await owner.getAddress()
     )
@@ -1,5 +1,6 @@
 /* global ethers */
 
+const { getAddress, getContract } = require('../libs/registry.js')
 const { ethers } = require('hardhat')
 
 const MUMBAI_CHAIN_SELECTOR = "12532609583862916517"
@@ -11,25 +12,20 @@ async function main() {
     const accounts = await ethers.getSigners()
     const owner = accounts[0]
 
-    const erc20 = await ethers.getContractAt(
-        "ERC20Token",
-        "0x23f0618e3ccBbAc605d6Ed0f85D3ce581E64df2f"
-    )
+    const erc20 = await getContract('coUSDmat')
+    const cofiAddr = await erc20.getAddress()
 
     // await erc20.approve(
-    //     "0x82E55a92611E1D8319bBB63e154AA0833755c819", // bridge entry
+    //     getAddress('COFIBridgeEntry'),
     //     ethers.parseEther('1000'),
     //     // {gasLimit: "30000000"}
     // )
     // console.log("Approved Bridge spend")
 
-    const bridgeEntry = await ethers.getContractAt(
-        "COFIBridgeEntry",
-        "0x82E55a92611E1D8319bBB63e154AA0833755c819"
-    )
+    const bridgeEntry = await getContract('COFIBridgeEntry')
 
     const fee = await bridgeEntry.getFeeETH(
-        "0x23f0618e3ccBbAc605d6Ed0f85D3ce581E64df2f", // cofi
+        cofiAddr,
         FUJI_CHAIN_SELECTOR,
         ethers.parseEther('100'),
         await owner.getAddress()
@@ -38,7 +34,7 @@ async function main() {
 
     // Ensure ETH is sent to entry and exit contracts beforehand.
     await bridgeEntry.enter(
-        "0x23f0618e3ccBbAc605d6Ed0f85D3ce581E64df2f",
+        cofiAddr,
         FUJI_CHAIN_SELECTOR,
         ethers.parseEther('100'),
         await owner.getAddress(),
@@ -1,17 +1,15 @@
 /* global ethers */
 
+const { getAddress, getContract } = require('../libs/registry.js')
 const { ethers } = require('hardhat')
 
 async function main() {
 
-    const bridgeEntry = await ethers.getContractAt(
-        "COFIBridgeEntry",
-        "0x171727e5D16C63683996962a05148f56c3a028A9"
-    )
+    const bridgeEntry = await getContract('COFIBridgeEntry')
     // Ensure ETH is sent to entry and exit contracts beforehand.
     await bridgeEntry.setVault(
-        "0x09a52a1c6093E61fEB5AB9E1597BbAfE72cC5992",
-        "0xd75F5608f4a38A75F2435f652164c138B2eb9A29"
+        getAddress('coUSDmat'),
+        getAddress('wcoUSDmat')
     )
     console.log("Vault set")
 }
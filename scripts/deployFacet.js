@@ -1,13 +1,10 @@
 /* global ethers */
 
-const { ethers } = require('hardhat')
+const { deployContract } = require('./libs/registry.js')
 
 async function main() {
 
-    const Helper1Facet = await ethers.getContractFactory("Helper1Facet")
-    const helper1Facet = await Helper1Facet.deploy()
-    await helper1Facet.waitForDeployment()
-    console.log('Helper1Facet deployed: ', await helper1Facet.getAddress())
+    await deployContract({ name: 'Helper1Facet', contract: 'Helper1Facet' })
 }
 
 // We recommend this pattern to be able to use async/await everywhere
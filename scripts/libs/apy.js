@@ -0,0 +1,174 @@
+/* global ethers */
+
+/*
+ * Realized APY of cofi tokens from rebasingCreditsPerTokenHighres (rCPT).
+ *
+ * A rebase lowers rCPT, so a rebasing balance grows by rCPT(start) / rCPT(end) over any period.
+ * That growth is net of the service fee. Gross growth (i.e. without the fee) undoes the fee's
+ * share of each rebase: with 'yield' and 'fee' from TotalSupplyUpdated, a rebase's growth is
+ * scaled by yield / (yield - fee). When sampling blocks directly, the current 'getServiceFee'
+ * is assumed to have applied throughout.
+ *
+ * rCPT is sampled either from TotalSupplyUpdated events ('events', any node) or by calling the
+ * token at the block closest to each window's start ('blocks', needs an archive node). Growth
+ * over a window is annualized with compounding over the time actually covered by the samples,
+ * so a window reaching back before the first sample is reported as 'partial'.
+ *
+ * APYs are fractions (0.05 is 5%). rCPT and block data are strings/numbers, ready for JSON.
+ */
+
+const DAY = 86400
+const YEAR = 365 * DAY
+const PRECISION = 10n ** 18n
+
+const COFI_ABI = [
+  'function symbol() view returns (string)',
+  'function rebasingCreditsPerTokenHighres() view returns (uint256)'
+]
+
+function ratio (numerator, denominator) {
+  return Number(numerator * PRECISION / denominator) / Number(PRECISION)
+}
+
+function annualize (growth, seconds) {
+  return seconds > 0 ? growth ** (YEAR / seconds) - 1 : null
+}
+
+/**
+ * Rebases of 'cofi' from TotalSupplyUpdated events.
+ * @returns [{ block, timestamp, rCPT, yield, fee }] in block order.
+ */
+async function eventSamples ({ cofiMoney, cofi, fromBlock = 0, toBlock = 'latest' }) {
+  const events = await cofiMoney.queryFilter(cofiMoney.filters.TotalSupplyUpdated(cofi), fromBlock, toBlock)
+  const samples = []
+  for (const event of events) {
+    samples.push({
+      block: event.blockNumber,
+      timestamp: (await event.getBlock()).timestamp,
+      rCPT: event.args.rCPT,
+      yield: event.args.yield,
+      fee: event.args.fee
+    })
+  }
+  return samples
+}
+
+// Latest block with a timestamp at or before 'timestamp' (the earliest block if none).
+async function blockAt (timestamp, latest) {
+  let low = 0
+  let high = latest.number
+  if (latest.timestamp <= timestamp) return latest
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if ((await ethers.provider.getBlock(mid)).timestamp <= timestamp) low = mid
+    else high = mid - 1
+  }
+  return await ethers.provider.getBlock(low)
+}
+
+// Net and gross growth for the window from events: rebases after 'start' up to the end.
+function eventWindow (samples, start) {
+  const before = samples.filter(sample => sample.timestamp <= start)
+  const within = samples.filter(sample => sample.timestamp > start)
+  // Without a rebase before the window, growth starts at the first rebase in it.
+  const first = before.length ? before[before.length - 1] : within.shift()
+  if (!first || within.length === 0) return null
+
+  let net = 1
+  let gross = 1
+  let previous = first
+  for (const sample of within) {
+    const growth = ratio(previous.rCPT, sample.rCPT)
+    net *= growth
+    gross *= sample.yield > sample.fee
+      ? 1 + (growth - 1) * ratio(sample.yield, sample.yield - sample.fee)
+      : growth
+    previous = sample
+  }
+  return { from: first, to: previous, net, gross, partial: before.length === 0 }
+}
+
+/**
+ * Realized APY of 'cofi' over each window ending at the latest block.
+ * @param cofiMoney COFIMoney contract.
+ * @param cofi      Cofi token address.
+ * @param windows   Window lengths in days.
+ * @param source    'events' or 'blocks'.
+ * @param fromBlock First block to read events from (with 'events').
+ * @returns         { address, symbol, serviceFee, rCPT, windows: { '<n>d': { from, to, days,
+ *                  apy, apyGross, partial } | null } }, 'apy' being net of the service fee.
+ */
+async function tokenAPY ({ cofiMoney, cofi, windows = [1, 7, 30], source = 'events', fromBlock = 0 }) {
+  const token = new ethers.Contract(cofi, COFI_ABI, ethers.provider)
+  const latest = await ethers.provider.getBlock('latest')
+  const serviceFee = await cofiMoney.getServiceFee(cofi)
+  const result = {
+    address: cofi,
+    symbol: await token.symbol(),
+    serviceFee: Number(serviceFee),
+    rCPT: (await token.rebasingCreditsPerTokenHighres()).toString(),
+    windows: {}
+  }
+
+  const samples = source === 'events' ? await eventSamples({ cofiMoney, cofi, fromBlock, toBlock: latest.number }) : null
+  for (const days of windows) {
+    const start = latest.timestamp - days * DAY
+    let window
+    if (source === 'events') {
+      window = eventWindow(samples, start)
+    } else {
+      const startBlock = await blockAt(start, latest)
+      const from = {
+        block: startBlock.number,
+        timestamp: startBlock.timestamp,
+        rCPT: await token.rebasingCreditsPerTokenHighres({ blockTag: startBlock.number })
+      }
+      const to = { block: latest.number, timestamp: latest.timestamp, rCPT: BigInt(result.rCPT) }
+      const net = ratio(from.rCPT, to.rCPT)
+      window = {
+        from,
+        to,
+        net,
+        gross: serviceFee < 10000n ? 1 + (net - 1) * 10000 / (10000 - Number(serviceFee)) : net,
+        partial: startBlock.timestamp > start
+      }
+    }
+    if (window === null) {
+      result.windows[`${days}d`] = null
+      continue
+    }
+
+    const seconds = window.to.timestamp - window.from.timestamp
+    result.windows[`${days}d`] = {
+      from: { block: window.from.block, timestamp: window.from.timestamp },
+      to: { block: window.to.block, timestamp: window.to.timestamp },
+      days: seconds / DAY,
+      apy: annualize(window.net, seconds),
+      apyGross: annualize(window.gross, seconds),
+      partial: window.partial
+    }
+  }
+  return result
+}
+
+/**
+ * 'tokenAPY()' for each of 'cofi' ({ name: address }).
+ * @returns { block, timestamp, source, tokens: { <name>: tokenAPY } }
+ */
+async function apy ({ cofiMoney, cofi, windows, source = 'events', fromBlock }) {
+  if (!['events', 'blocks'].includes(source)) {
+    throw Error(`Unknown source '${source}', expected 'events' or 'blocks'.`)
+  }
+  const latest = await ethers.provider.getBlock('latest')
+  const tokens = {}
+  for (const [name, address] of Object.entries(cofi)) {
+    tokens[name] = await tokenAPY({ cofiMoney, cofi: address, windows, source, fromBlock })
+  }
+  return { block: latest.number, timestamp: latest.timestamp, source, tokens }
+}
+
+module.exports = {
+  eventSamples,
+  tokenAPY,
+  apy
+}
@@ -0,0 +1,251 @@
+/*
+ * Offline backtester for vault strategies of a cofi token, from recorded share prices.
+ *
+ * Pure Node (no hardhat or ethers), so series recorded on any network can be replayed anywhere.
+ *
+ * A series holds, per vault, the assets redeemable for a fixed amount of shares over time, as
+ * recorded by YieldOptimizer.capture (previewRedeem of its shares ref) or any convertToAssets
+ * sampler. parseSeries() reads it from CSV ('timestamp,vault,assets' rows, with a header) or JSON
+ * ([{ timestamp, vault, assets }]). Vaults are compared in the same unit, e.g. USD for coUSD.
+ *
+ * backtest() replays a strategy over the union of timestamps, carrying each vault's last value
+ * forward, and mirrors the diamond:
+ *   rebase  - LibToken._poke: if assets exceed supply, supply grows by the yield, of which the
+ *             service fee is minted to the fee collector. Reverts (is skipped) when assets reach
+ *             supply * (1 + rateLimit), which lasts until the rate limit is raised.
+ *   migrate - VaultManagerFacet.migrate: redeems, pays 'slippage' (the swap, when the underlying
+ *             differs), deposits the assets plus the buffer, then rebases, so a migration whose
+ *             rebase exceeds the rate limit reverts and is skipped.
+ * The buffer is paid by the protocol, and distributed to holders by the rebase that follows.
+ *
+ * Fees, rate limit and slippage are in basis points (1e4 = 100%), as set on the diamond.
+ * APYs are fractions (0.05 is 5%), annualized with compounding.
+ */
+
+const YEAR = 365 * 86400
+
+/**
+ * @param text   CSV or JSON, e.g. 'timestamp,vault,assets\n1700000000,wyvDAI,1000012...'.
+ * @returns      { vault: [{ timestamp, assets }] } in timestamp order.
+ */
+function parseSeries (text) {
+  let rows
+  if (text.trim().startsWith('[')) {
+    rows = JSON.parse(text)
+  } else {
+    const [header, ...lines] = text.trim().split(/\r?\n/)
+    const columns = header.split(',').map(c => c.trim())
+    for (const column of ['timestamp', 'vault', 'assets']) {
+      if (!columns.includes(column)) {
+        throw Error(`Missing '${column}' column. Expected a 'timestamp,vault,assets' header.`)
+      }
+    }
+    rows = lines.filter(line => line.trim()).map(line => {
+      const cells = line.split(',').map(c => c.trim())
+      return Object.fromEntries(columns.map((column, i) => [column, cells[i]]))
+    })
+  }
+
+  const series = {}
+  for (const row of rows) {
+    const timestamp = Number(row.timestamp)
+    const assets = Number(row.assets)
+    if (!Number.isFinite(timestamp) || !(assets > 0)) {
+      throw Error(`Bad row: ${JSON.stringify(row)}`)
+    }
+    (series[row.vault] = series[row.vault] || []).push({ timestamp, assets })
+  }
+  for (const samples of Object.values(series)) {
+    samples.sort((a, b) => a.timestamp - b.timestamp)
+  }
+  return series
+}
+
+// Yield between each of the last 'entries' captures, as YieldOptimizer.retrieve.
+function captureYields (values, entries) {
+  const count = Math.min(entries, values.length - 1)
+  const yields = []
+  for (let i = values.length - count; i < values.length; i++) {
+    yields.push(values[i] / values[i - 1] - 1)
+  }
+  return yields
+}
+
+function median (values) {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// Smoothing factor 2 / (entries + 1), as YieldOptimizer.retrieve.
+function ema (values) {
+  if (values.length === 0) return 0
+  let result = values[0]
+  for (const value of values.slice(1)) {
+    result = (value * 2 + result * (values.length - 1)) / (values.length + 1)
+  }
+  return result
+}
+
+/*
+ * Strategies return the vault to be in after each sample, from the values seen so far.
+ * select({ timestamp, vault, history: { vault: [assets] } }) => vault
+ */
+
+function hold (vault) {
+  return { name: `hold ${vault}`, select: () => vault }
+}
+
+/**
+ * YieldOptimizer.evaluate over the last 'entries' samples: the vault with the highest median
+ * (or EMA) yield, if it beats the current vault's by 'minImprovement' (a fraction per sample).
+ */
+function optimizer ({ entries = 7, useEma = false, minImprovement = 0, vaults } = {}) {
+  return {
+    name: `optimizer ${useEma ? 'EMA' : 'median'} of ${entries}`,
+    select ({ vault, history }) {
+      const score = name => (useEma ? ema : median)(captureYields(history[name], entries))
+      let best = vault
+      for (const name of vaults || Object.keys(history)) {
+        if (history[name].length > entries && score(name) > score(best)) {
+          best = name
+        }
+      }
+      return score(best) - score(vault) >= minImprovement ? best : vault
+    }
+  }
+}
+
+/**
+ * Replays 'strategy' over 'series' from the first sample of 'vault'.
+ * @param serviceFee     Service fee in bps.
+ * @param rateLimit      Rate limit in bps.
+ * @param slippage       Migration cost in bps, or (from, to) => bps.
+ * @param buffer         Buffer deposited on migration, as bps of the assets migrated.
+ * @param rebaseInterval Minimum seconds between rebases (0 rebases at every sample).
+ * @returns { strategy, start, end, apy, grossApy, fees, migrations: [{ timestamp, from, to }],
+ *            failedMigrations, slippageCost, bufferCost, skippedRebases, deficit, vaultTime }
+ *          Costs and fees are fractions of the initial deposit, 'deficit' the supply not backed
+ *          by assets at the end, and 'vaultTime' the fraction of time spent in each vault.
+ */
+function backtest ({
+  series,
+  strategy,
+  vault,
+  serviceFee = 0,
+  rateLimit = 1e4,
+  slippage = 0,
+  buffer = 0,
+  rebaseInterval = 0
+}) {
+  if (!series[vault]) {
+    throw Error(`No samples for vault '${vault}'.`)
+  }
+  const start = series[vault][0].timestamp
+  const timestamps = [...new Set(Object.values(series).flatMap(s => s.map(sample => sample.timestamp)))]
+    .filter(t => t >= start)
+    .sort((a, b) => a - b)
+  const slippageOf = typeof slippage === 'function' ? slippage : () => slippage
+
+  // Values of each vault up to 'timestamp', carrying the last forward.
+  const history = {}
+  const cursor = {}
+  for (const name of Object.keys(series)) {
+    history[name] = []
+    cursor[name] = 0
+  }
+
+  // Deposit of 1 unit at 'start'. 'shares' are in units of the vault's value at its first sample.
+  let supply = 1
+  let holders = 1
+  let shares = 1 / series[vault][0].assets
+  let lastRebase = start
+  const result = {
+    strategy: strategy.name,
+    start,
+    end: timestamps[timestamps.length - 1],
+    fees: 0,
+    migrations: [],
+    failedMigrations: 0,
+    slippageCost: 0,
+    bufferCost: 0,
+    skippedRebases: 0,
+    vaultTime: {}
+  }
+  let grossGrowth = 1
+  let previous
+
+  // LibToken._poke, returning false if it would revert.
+  function rebase (assets) {
+    if (assets <= supply) return true
+    if (assets >= supply * (1 + rateLimit / 1e4)) return false
+    const yield_ = assets - supply
+    const shareYield = yield_ * (1 - serviceFee / 1e4)
+    holders *= (supply + shareYield) / supply
+    result.fees += yield_ - shareYield
+    supply = assets
+    return true
+  }
+
+  for (const timestamp of timestamps) {
+    for (const [name, samples] of Object.entries(series)) {
+      while (cursor[name] < samples.length && samples[cursor[name]].timestamp <= timestamp) {
+        cursor[name]++
+      }
+      if (cursor[name] > 0) {
+        history[name].push(samples[cursor[name] - 1].assets)
+      }
+    }
+    const value = name => history[name][history[name].length - 1]
+
+    if (previous !== undefined) {
+      result.vaultTime[vault] = (result.vaultTime[vault] || 0) + timestamp - previous.timestamp
+      grossGrowth *= value(vault) / previous.value
+    }
+
+    if (timestamp - lastRebase >= rebaseInterval) {
+      if (rebase(shares * value(vault))) {
+        lastRebase = timestamp
+      } else {
+        result.skippedRebases++
+      }
+    }
+
+    const target = strategy.select({ timestamp, vault, history })
+    if (target !== vault && history[target] && history[target].length > 0) {
+      const assets = shares * value(vault)
+      const cost = assets * slippageOf(vault, target) / 1e4
+      const deposit = assets - cost + assets * buffer / 1e4
+      if (rebase(deposit)) {
+        result.migrations.push({ timestamp, from: vault, to: target })
+        result.slippageCost += cost
+        result.bufferCost += assets * buffer / 1e4
+        shares = deposit / value(target)
+        vault = target
+        lastRebase = timestamp
+      } else {
+        // 'migrate' reverts with the rebase.
+        result.failedMigrations++
+      }
+    }
+    previous = { timestamp, value: value(vault) }
+  }
+
+  const seconds = result.end - start
+  const total = Object.values(result.vaultTime).reduce((a, b) => a + b, 0)
+  for (const name of Object.keys(result.vaultTime)) {
+    result.vaultTime[name] /= total
+  }
+  result.apy = seconds > 0 ? holders ** (YEAR / seconds) - 1 : null
+  result.grossApy = seconds > 0 ? grossGrowth ** (YEAR / seconds) - 1 : null
+  result.deficit = Math.max(0, supply - shares * previous.value)
+  return result
+}
+
+module.exports = {
+  parseSeries,
+  hold,
+  optimizer,
+  backtest
+}
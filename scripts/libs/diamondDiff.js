@@ -0,0 +1,167 @@
+/* global ethers artifacts */
+
+/*
+ * Diff between the compiled facets and a live diamond, to review before a cut.
+ *
+ * Every compiled facet in contracts/diamond/facets and contracts/diamond/core/facets is matched to
+ * the live facet addresses (DiamondLoupeFacet.facets()) sharing most of its selectors, then:
+ *   added      - declared by the facet, not live.
+ *   replaced   - declared by the facet and live, i.e. what upgradeWithNewFacets replaces. Empty if
+ *                the live code is the compiled deployed bytecode ('unchanged'), except for
+ *                selectors moving to the facet from the address of another.
+ *   removed    - live at the facet's address, no longer declared by any compiled facet.
+ *   orphaned   - live at an address no compiled facet matches, and declared by none.
+ *   collisions - a selector declared by two compiled facets.
+ *   abiLost    - live selectors the COFIMoney ABI (hardhat-diamond-abi) no longer has.
+ */
+
+const FACET_PATHS = ['contracts/diamond/facets/', 'contracts/diamond/core/facets/']
+
+// [{ facet, abi, bytecode, selectors: { selector: signature } }] for every facet directly under FACET_PATHS.
+async function compiledFacets () {
+  const facets = []
+  for (const name of await artifacts.getAllFullyQualifiedNames()) {
+    const dir = FACET_PATHS.find(p => name.startsWith(p))
+    if (!dir || name.slice(dir.length).includes('/')) continue
+    const artifact = await artifacts.readArtifact(name)
+    const selectors = {}
+    new ethers.Interface(artifact.abi).forEachFunction(fragment => {
+      selectors[fragment.selector] = fragment.format('sighash')
+    })
+    facets.push({ facet: artifact.contractName, abi: artifact.abi, bytecode: artifact.deployedBytecode, selectors })
+  }
+  return facets
+}
+
+// { selector: signature } over every compiled artifact, to name selectors no facet declares anymore.
+async function knownSignatures () {
+  const known = {}
+  for (const name of await artifacts.getAllFullyQualifiedNames()) {
+    const artifact = await artifacts.readArtifact(name)
+    new ethers.Interface(artifact.abi).forEachFunction(fragment => {
+      known[fragment.selector] = known[fragment.selector] || fragment.format('sighash')
+    })
+  }
+  return known
+}
+
+/**
+ * @param diamond  Diamond address.
+ * @param only     Facet names to report added/replaced/removed for (default: all compiled), throwing
+ *                 on any that is not compiled.
+ * @returns { facets: [{ facet, addresses, unchanged, added, replaced, removed }], orphaned,
+ *            collisions: [{ selector, signatures }], abiLost }
+ *          Selectors are reported as { selector, signature?, address? }.
+ */
+async function diffDiamond ({ diamond, only }) {
+  const loupe = await ethers.getContractAt('DiamondLoupeFacet', diamond)
+  const live = {}
+  for (const [address, selectors] of await loupe.facets()) {
+    for (const selector of selectors) {
+      live[selector] = address
+    }
+  }
+  const compiled = await compiledFacets()
+  const unknown = (only || []).filter(name => !compiled.some(({ facet }) => facet === name))
+  if (unknown.length > 0) {
+    throw Error(`Unknown facet(s): ${unknown.join(', ')}. Compiled facets: ${compiled.map(c => c.facet).join(', ')}.`)
+  }
+  const known = await knownSignatures()
+
+  // Live address => compiled facet sharing most of its selectors.
+  const matched = {}
+  for (const address of new Set(Object.values(live))) {
+    let best = 0
+    for (const { facet, selectors } of compiled) {
+      const shared = Object.keys(selectors).filter(s => live[s] === address).length
+      if (shared > best) {
+        best = shared
+        matched[address] = facet
+      }
+    }
+  }
+
+  const declared = {}
+  for (const { facet, selectors } of compiled) {
+    for (const [selector, signature] of Object.entries(selectors)) {
+      (declared[selector] = declared[selector] || []).push(`${facet}.${signature}`)
+    }
+  }
+  const collisions = []
+  for (const [selector, signatures] of Object.entries(declared)) {
+    if (signatures.length > 1) {
+      collisions.push({ selector, signatures })
+    }
+  }
+
+  const facets = []
+  for (const { facet, bytecode, selectors } of compiled) {
+    if (only && !only.includes(facet)) continue
+    const addresses = Object.keys(matched).filter(a => matched[a] === facet)
+    const codes = await Promise.all(addresses.map(a => ethers.provider.getCode(a)))
+    const unchanged = addresses.length > 0 && codes.every(code => code === bytecode)
+    const report = { facet, addresses, unchanged, added: [], replaced: [], removed: [] }
+    for (const [selector, signature] of Object.entries(selectors)) {
+      if (!live[selector]) {
+        report.added.push({ selector, signature })
+      } else if (!unchanged || !addresses.includes(live[selector])) {
+        report.replaced.push({ selector, signature, address: live[selector] })
+      }
+    }
+    for (const [selector, address] of Object.entries(live)) {
+      if (addresses.includes(address) && !declared[selector]) {
+        report.removed.push({ selector, signature: known[selector], address })
+      }
+    }
+    facets.push(report)
+  }
+
+  const orphaned = Object.entries(live)
+    .filter(([selector, address]) => !matched[address] && !declared[selector])
+    .map(([selector, address]) => ({ selector, signature: known[selector], address }))
+
+  const abi = new ethers.Interface((await artifacts.readArtifact('COFIMoney')).abi)
+  const abiLost = Object.entries(live)
+    .filter(([selector]) => !abi.getFunction(selector))
+    .map(([selector, address]) => ({ selector, signature: known[selector], address }))
+
+  return { facets, orphaned, collisions, abiLost }
+}
+
+function formatSelectors (title, selectors) {
+  return selectors.map(({ selector, signature, address }) =>
+    `    ${title} ${selector} ${signature || '(unknown)'}${address ? ` @ ${address}` : ''}`
+  )
+}
+
+function formatDiff ({ facets, orphaned, collisions, abiLost }) {
+  const lines = []
+  for (const f of facets) {
+    const at = f.addresses.length > 0 ? f.addresses.join(', ') : 'not live'
+    lines.push(`  ${f.facet} (${at})${f.unchanged ? ' unchanged' : ''}`)
+    lines.push(...formatSelectors('+', f.added))
+    lines.push(...formatSelectors('~', f.replaced))
+    lines.push(...formatSelectors('-', f.removed))
+  }
+  if (orphaned.length > 0) {
+    lines.push('  Orphaned')
+    lines.push(...formatSelectors('?', orphaned))
+  }
+  if (abiLost.length > 0) {
+    lines.push('  Lost from the COFIMoney ABI')
+    lines.push(...formatSelectors('!', abiLost))
+  }
+  if (collisions.length > 0) {
+    lines.push('  Collisions')
+    for (const { selector, signatures } of collisions) {
+      lines.push(`    ! ${selector} ${signatures.join(', ')}`)
+    }
+  }
+  return lines.join('\n')
+}
+
+module.exports = {
+  compiledFacets,
+  diffDiamond,
+  formatDiff
+}
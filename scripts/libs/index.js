@@ -8,14 +8,16 @@ const FacetCutAction = {
   
   // eslint-disable-next-line no-unused-vars
   function getSignatures (contract) {
-    return Object.keys(contract.interface.functions)
+    return contract.interface.fragments
+      .filter((fragment) => fragment.type === 'function')
+      .map((fragment) => fragment.format('sighash'))
   }
   
   function getSelectors (contract) {
-    const signatures = Object.keys(contract.interface.functions)
-    const selectors = signatures.reduce((acc, val) => {
-      if (val !== 'init(bytes)') {
-        acc.push(contract.interface.getSighash(val))
+    const fragments = contract.interface.fragments.filter((fragment) => fragment.type === 'function')
+    const selectors = fragments.reduce((acc, val) => {
+      if (val.format('sighash') !== 'init(bytes)') {
+        acc.push(val.selector)
       }
       return acc
     }, [])
@@ -30,10 +32,10 @@ const FacetCutAction = {
         if (typeof facet[0] !== 'string') {
           throw Error(`Error using facet: facet name must be a string. Bad input: ${facet[0]}`)
         }
-        if (!(facet[1] instanceof ethers.Contract)) {
+        if (!(facet[1] instanceof ethers.BaseContract)) {
           throw Error(`Error using facet: facet must be a Contract. Bad input: ${facet[1]}`)
         }
-        console.log(`Using already deployed ${facet[0]}: ${facet[1].address}`)
+        console.log(`Using already deployed ${facet[0]}: ${await facet[1].getAddress()}`)
         console.log('--')
         deployed.push(facet)
       } else {
@@ -43,8 +45,8 @@ const FacetCutAction = {
         const facetFactory = await ethers.getContractFactory(facet)
         console.log(`Deploying ${facet}`)
         const deployedFactory = await facetFactory.deploy()
-        await deployedFactory.deployed()
-        console.log(`${facet} deployed: ${deployedFactory.address}`)
+        await deployedFactory.waitForDeployment()
+        console.log(`${facet} deployed: ${await deployedFactory.getAddress()}`)
         console.log('--')
         deployed.push([facet, deployedFactory])
       }
@@ -64,6 +66,13 @@ const FacetCutAction = {
       throw Error(`Requires only 1 map argument. ${arguments.length} arguments used.`)
     }
     facets = await deployFacets(facets)
+    // The Diamond constructor registers 'diamondCut()' itself, so DiamondCutFacet is kept out of the cut.
+    let diamondCutFacet = facets.find(([name]) => name === 'DiamondCutFacet')
+    if (diamondCutFacet) {
+      facets = facets.filter((facet) => facet !== diamondCutFacet)
+    } else {
+      [diamondCutFacet] = await deployFacets(['DiamondCutFacet'])
+    }
     const diamondFactory = await ethers.getContractFactory('Diamond')
     const diamondCut = []
     console.log('--')
@@ -74,7 +83,7 @@ const FacetCutAction = {
       console.log(getSignatures(deployedFacet))
       console.log('--')
       diamondCut.push([
-        deployedFacet.address,
+        await deployedFacet.getAddress(),
         FacetCutAction.Add,
         getSelectors(deployedFacet)
       ])
@@ -87,8 +96,8 @@ const FacetCutAction = {
       console.log(`Deploying ${initDiamondName}`)
       initDiamond = await ethers.getContractFactory(initDiamond)
       initDiamond = await initDiamond.deploy()
-      await initDiamond.deployed()
-      result = await initDiamond.deployTransaction.wait()
+      await initDiamond.waitForDeployment()
+      result = await initDiamond.deploymentTransaction().wait()
       if (!result.status) {
         throw (Error(`Deploying ${initDiamondName} TRANSACTION FAILED!!! -------------------------------------------`))
       }
@@ -105,22 +114,23 @@ const FacetCutAction = {
   
     console.log(`Deploying ${diamondName}`)
   
-    const deployedDiamond = await diamondFactory.deploy(owner)
-    await deployedDiamond.deployed()
-    result = await deployedDiamond.deployTransaction.wait()
+    const deployedDiamond = await diamondFactory.deploy(owner, await diamondCutFacet[1].getAddress())
+    await deployedDiamond.waitForDeployment()
+    result = await deployedDiamond.deploymentTransaction().wait()
     if (!result.status) {
       console.log('Deploying diamond TRANSACTION FAILED!!! -------------------------------------------')
       console.log('See block explorer app for details.')
-      console.log('Transaction hash:' + deployedDiamond.deployTransaction.hash)
+      console.log('Transaction hash:' + deployedDiamond.deploymentTransaction().hash)
       throw (Error('failed to deploy diamond'))
     }
-    console.log('Diamond deploy transaction hash:' + deployedDiamond.deployTransaction.hash)
+    console.log('Diamond deploy transaction hash:' + deployedDiamond.deploymentTransaction().hash)
   
-    console.log(`${diamondName} deployed: ${deployedDiamond.address}`)
+    const diamondAddress = await deployedDiamond.getAddress()
+    console.log(`${diamondName} deployed: ${diamondAddress}`)
     console.log(`Diamond owner: ${owner}`)
   
-    const diamondCutFacet = await ethers.getContractAt('DiamondCutFacet', deployedDiamond.address)
-    const tx = await diamondCutFacet.diamondCut(diamondCut, initDiamond.address, functionCall, txArgs)
+    const diamondCutContract = await ethers.getContractAt('DiamondCutFacet', diamondAddress)
+    const tx = await diamondCutContract.diamondCut(diamondCut, await initDiamond.getAddress(), functionCall, txArgs)
   
     // console.log(`${diamondName} diamondCut arguments:`)
     // console.log(JSON.stringify([facets, initDiamond.address, args], null, 4))
@@ -172,7 +182,7 @@ const FacetCutAction = {
         if (!(typeof facetName === 'string')) {
           throw Error('First value in facet[0] array must be a string.')
         }
-        if (!(contract instanceof ethers.Contract)) {
+        if (!(contract instanceof ethers.BaseContract)) {
           throw Error('Second value in facet[0] array must be a Contract object.')
         }
         facet[0] = facetName
@@ -183,7 +193,7 @@ const FacetCutAction = {
         }
       }
       for (const signature of facet[2]) {
-        const selector = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(signature)).slice(0, 10)
+        const selector = ethers.id(signature).slice(0, 10)
         console.log(`Function: ${selector} ${signature}`)
         selectors.push(selector)
         functions.set(selector, signature)
@@ -193,7 +203,7 @@ const FacetCutAction = {
         if (facetName) {
           throw (Error(`Can't remove functions because facet name must have a false value not ${facetName}.`))
         }
-        facet[0] = ethers.constants.AddressZero
+        facet[0] = ethers.ZeroAddress
         for (const selector of selectors) {
           if (!inFacets(selector, existingFacets)) {
             const signature = functions.get(selector)
@@ -204,15 +214,11 @@ const FacetCutAction = {
       } else if (facet[1] === FacetCutAction.Replace) {
         let facetFactory = facetFactories.get(facetName)
         if (!facetFactory) {
-          if (contract) {
-            facetFactories.set(facetName, contract)
-          } else {
-            facetFactory = await ethers.getContractFactory(facetName)
-            facetFactories.set(facetName, facetFactory)
-          }
+          facetFactory = contract || await ethers.getContractFactory(facetName)
+          facetFactories.set(facetName, facetFactory)
         }
         for (const signature of facet[2]) {
-          if (!Object.prototype.hasOwnProperty.call(facetFactory.interface.functions, signature)) {
+          if (!facetFactory.interface.hasFunction(signature)) {
             throw (Error(`Can't replace '${signature}'. It doesn't exist in ${facetName} source code.`))
           }
         }
@@ -226,15 +232,11 @@ const FacetCutAction = {
       } else if (facet[1] === FacetCutAction.Add) {
         let facetFactory = facetFactories.get(facetName)
         if (!facetFactory) {
-          if (contract) {
-            facetFactories.set(facetName, contract)
-          } else {
-            facetFactory = await ethers.getContractFactory(facetName)
-            facetFactories.set(facetName, facetFactory)
-          }
+          facetFactory = contract || await ethers.getContractFactory(facetName)
+          facetFactories.set(facetName, facetFactory)
         }
         for (const signature of facet[2]) {
-          if (!Object.prototype.hasOwnProperty.call(facetFactory.interface.functions, signature)) {
+          if (!facetFactory.interface.hasFunction(signature)) {
             throw (Error(`Can't add ${signature}. It doesn't exist in ${facetName} source code.`))
           }
         }
@@ -261,36 +263,37 @@ const FacetCutAction = {
         console.log(`Deploying ${facet[0]}`)
         const facetFactory = facetFactories.get(facet[0])
         let deployedFacet = facetFactory
-        if (!(deployedFacet instanceof ethers.Contract)) {
+        if (!(deployedFacet instanceof ethers.BaseContract)) {
           deployedFacet = await facetFactory.deploy()
-          await deployedFacet.deployed()
+          await deployedFacet.waitForDeployment()
         }
         facetFactories.set(facet[0], deployedFacet)
-        console.log(`${facet[0]} deployed: ${deployedFacet.address}`)
-        alreadDeployed.set(facet[0], deployedFacet.address)
-        facet[0] = deployedFacet.address
+        const facetAddress = await deployedFacet.getAddress()
+        console.log(`${facet[0]} deployed: ${facetAddress}`)
+        alreadDeployed.set(facet[0], facetAddress)
+        facet[0] = facetAddress
       }
     }
   
     console.log('diamondCut arg:')
     console.log(diamondCut)
   
-    let initFacetAddress = ethers.constants.AddressZero
+    let initFacetAddress = ethers.ZeroAddress
     let functionCall = '0x'
     if (initFacetName !== undefined) {
       let initFacet = facetFactories.get(initFacetName)
       if (!initFacet) {
         const InitFacet = await ethers.getContractFactory(initFacetName)
         initFacet = await InitFacet.deploy()
-        await initFacet.deployed()
-        console.log('Deployed init facet: ' + initFacet.address)
+        await initFacet.waitForDeployment()
+        console.log('Deployed init facet: ' + await initFacet.getAddress())
       } else {
-        console.log('Using init facet: ' + initFacet.address)
+        console.log('Using init facet: ' + await initFacet.getAddress())
       }
       functionCall = initFacet.interface.encodeFunctionData('init', initArgs)
       console.log('Function call: ')
       console.log(functionCall)
-      initFacetAddress = initFacet.address
+      initFacetAddress = await initFacet.getAddress()
     }
   
     const result = await diamondCutFacet.diamondCut(
@@ -309,17 +312,17 @@ const FacetCutAction = {
     return result
   }
   
-  async function upgradeWithNewFacets ({
+  // Deploys 'facetNames' and builds the cut adding or replacing their selectors, without sending it.
+  async function prepareUpgradeWithNewFacets ({
     diamondAddress,
     facetNames,
     selectorsToRemove = [],
     initFacetName = undefined,
     initArgs = []
   }) {
-    if (arguments.length === 1) {
+    if (arguments.length !== 1) {
       throw Error(`Requires only 1 map argument. ${arguments.length} arguments used.`)
     }
-    const diamondCutFacet = await ethers.getContractAt('DiamondCutFacet', diamondAddress)
     const diamondLoupeFacet = await ethers.getContractAt('DiamondLoupeFacet', diamondAddress)
   
     const diamondCut = []
@@ -340,7 +343,7 @@ const FacetCutAction = {
         }
       }
       diamondCut.push([
-        ethers.constants.AddressZeo,
+        ethers.ZeroAddress,
         FacetCutAction.Remove,
         selectorsToRemove
       ])
@@ -352,9 +355,10 @@ const FacetCutAction = {
     }
   
     for (const [name, deployedFactory] of deployed) {
-      await deployedFactory.deployed()
+      await deployedFactory.waitForDeployment()
+      const facetAddress = await deployedFactory.getAddress()
       console.log('--')
-      console.log(`${name} deployed: ${deployedFactory.address}`)
+      console.log(`${name} deployed: ${facetAddress}`)
       const add = []
       const replace = []
       for (const selector of getSelectors(deployedFactory)) {
@@ -365,11 +369,11 @@ const FacetCutAction = {
         }
       }
       if (add.length > 0) {
-        diamondCut.push([deployedFactory.address, FacetCutAction.Add, add])
+        diamondCut.push([facetAddress, FacetCutAction.Add, add])
       }
       if (replace.length > 0) {
         diamondCut.push([
-          deployedFactory.address,
+          facetAddress,
           FacetCutAction.Replace,
           replace
         ])
@@ -379,7 +383,7 @@ const FacetCutAction = {
     console.log(diamondCut)
     console.log('------')
   
-    let initFacetAddress = ethers.constants.AddressZero
+    let initFacetAddress = ethers.ZeroAddress
     let functionCall = '0x'
     if (initFacetName !== undefined) {
       let initFacet
@@ -392,22 +396,36 @@ const FacetCutAction = {
       if (!initFacet) {
         const InitFacet = await ethers.getContractFactory(initFacetName)
         initFacet = await InitFacet.deploy()
-        await initFacet.deployed()
-        console.log('Deployed init facet: ' + initFacet.address)
+        await initFacet.waitForDeployment()
+        console.log('Deployed init facet: ' + await initFacet.getAddress())
       } else {
-        console.log('Using init facet: ' + initFacet.address)
+        console.log('Using init facet: ' + await initFacet.getAddress())
       }
       functionCall = initFacet.interface.encodeFunctionData('init', initArgs)
       console.log('Function call: ')
       console.log(functionCall)
-      initFacetAddress = initFacet.address
+      initFacetAddress = await initFacet.getAddress()
     }
+    return { diamondCut, initFacetAddress, functionCall }
+  }
+  
+  async function upgradeWithNewFacets (args) {
+    if (arguments.length !== 1) {
+      throw Error(`Requires only 1 map argument. ${arguments.length} arguments used.`)
+    }
+    const diamondCutFacet = await ethers.getContractAt('DiamondCutFacet', args.diamondAddress)
+    const { diamondCut, initFacetAddress, functionCall } = await prepareUpgradeWithNewFacets(args)
   
     const result = await diamondCutFacet.diamondCut(
       diamondCut,
       initFacetAddress,
       functionCall
     )
+    const receipt = await result.wait()
+    if (!receipt.status) {
+      console.log('TRANSACTION FAILED!!! -------------------------------------------')
+      console.log('See block explorer app for details.')
+    }
     console.log('------')
     console.log('Upgrade transaction hash: ' + result.hash)
     return result
@@ -416,6 +434,8 @@ const FacetCutAction = {
   exports.FacetCutAction = FacetCutAction
   exports.upgrade = upgrade
   exports.upgradeWithNewFacets = upgradeWithNewFacets
+  exports.prepareUpgradeWithNewFacets = prepareUpgradeWithNewFacets
+  exports.getSignatures = getSignatures
   exports.getSelectors = getSelectors
   exports.deployFacets = deployFacets
   exports.deploy = deploy
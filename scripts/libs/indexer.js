@@ -0,0 +1,170 @@
+/* global ethers */
+
+const fs = require('fs')
+const path = require('path')
+const initSqlJs = require('sql.js')
+
+/*
+ * Indexes COFIMoney diamond events into a local SQLite database (sql.js, written to a file).
+ *
+ * Each event below gets its own table, named in snake_case (e.g. 'total_supply_updated'), with
+ * columns 'block_number', 'timestamp', 'tx_hash', 'log_index' followed by the event's params in
+ * snake_case. Addresses are stored checksummed and uint256 values as decimal strings.
+ * 'indexer_state' holds the last block indexed, so each run continues from where the previous
+ * one stopped unless given a start block. Re-indexing a range is safe, rows are keyed by
+ * (tx_hash, log_index).
+ */
+
+const EVENTS = [
+  'Deposit',
+  'Withdraw',
+  'Mint',
+  'Burn',
+  'TotalSupplyUpdated',
+  'Wrap',
+  'Unwrap',
+  'Harvest',
+  'VaultMigration',
+  'Swap',
+  'RewardDistributed',
+  'Referral'
+]
+
+// Not emitted by any facet, so missing from the generated COFIMoney ABI.
+const EXTRA_EVENTS = [
+  'event Referral(address indexed referral, address indexed account, uint256 points)'
+]
+
+function snakeCase (name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase()
+}
+
+// Event fragments to index from the COFIMoney ABI, keyed by topic.
+function eventFragments (abi) {
+  const iface = new ethers.Interface([
+    ...abi.filter(item => item.type !== 'event' || EVENTS.includes(item.name)),
+    ...EXTRA_EVENTS
+  ])
+  const fragments = {}
+  iface.forEachEvent(fragment => {
+    fragments[fragment.topicHash] = fragment
+  })
+  return { iface, fragments }
+}
+
+function createTables (db, fragments) {
+  db.run('CREATE TABLE IF NOT EXISTS indexer_state (key TEXT PRIMARY KEY, value TEXT)')
+  for (const fragment of Object.values(fragments)) {
+    const columns = fragment.inputs.map(input => `"${snakeCase(input.name)}" TEXT`)
+    db.run(`CREATE TABLE IF NOT EXISTS "${snakeCase(fragment.name)}" (
+      block_number INTEGER NOT NULL,
+      timestamp INTEGER NOT NULL,
+      tx_hash TEXT NOT NULL,
+      log_index INTEGER NOT NULL,
+      ${columns.join(',\n      ')},
+      PRIMARY KEY (tx_hash, log_index)
+    )`)
+  }
+}
+
+/**
+ * Opens (or creates) the database at 'file', or an in-memory database if omitted.
+ * @param abi   COFIMoney ABI (e.g. 'cofiMoney.interface.fragments').
+ * @returns     { db, save() }, 'save()' writing the database back to 'file'.
+ */
+async function openDatabase ({ abi, file }) {
+  const SQL = await initSqlJs()
+  const db = file && fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database()
+  createTables(db, eventFragments(abi).fragments)
+  return {
+    db,
+    save () {
+      if (!file) return
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, Buffer.from(db.export()))
+    }
+  }
+}
+
+function getLastBlock (db) {
+  const rows = db.exec("SELECT value FROM indexer_state WHERE key = 'lastBlock'")
+  return rows.length ? Number(rows[0].values[0][0]) : undefined
+}
+
+function toColumn (value) {
+  return typeof value === 'bigint' ? value.toString() : value
+}
+
+/**
+ * Indexes diamond events between 'fromBlock' and 'toBlock' (inclusive).
+ * @param db            sql.js database from 'openDatabase()'.
+ * @param cofiMoney     COFIMoney contract.
+ * @param fromBlock     Defaults to the block after the last one indexed, or 0.
+ * @param toBlock       Defaults to the latest block.
+ * @param blockRange    Maximum blocks per log query.
+ * @returns             { fromBlock, toBlock, counts: { <event>: n } }
+ */
+async function indexEvents ({ db, cofiMoney, fromBlock, toBlock, blockRange = 10000 }) {
+  const { iface, fragments } = eventFragments(cofiMoney.interface.fragments)
+  const address = await cofiMoney.getAddress()
+  if (fromBlock === undefined) {
+    const lastBlock = getLastBlock(db)
+    fromBlock = lastBlock === undefined ? 0 : lastBlock + 1
+  }
+  if (toBlock === undefined) toBlock = await ethers.provider.getBlockNumber()
+
+  const counts = {}
+  const timestamps = {}
+  for (let from = fromBlock; from <= toBlock; from += blockRange) {
+    const to = Math.min(from + blockRange - 1, toBlock)
+    const logs = await ethers.provider.getLogs({
+      address,
+      fromBlock: from,
+      toBlock: to,
+      topics: [Object.keys(fragments)]
+    })
+
+    for (const log of logs) {
+      const fragment = fragments[log.topics[0]]
+      const { args } = iface.parseLog(log)
+      if (timestamps[log.blockNumber] === undefined) {
+        timestamps[log.blockNumber] = (await ethers.provider.getBlock(log.blockNumber)).timestamp
+      }
+      const columns = fragment.inputs.map(input => `"${snakeCase(input.name)}"`)
+      db.run(
+        `INSERT OR IGNORE INTO "${snakeCase(fragment.name)}"
+          (block_number, timestamp, tx_hash, log_index, ${columns.join(', ')})
+          VALUES (${Array(columns.length + 4).fill('?').join(', ')})`,
+        [
+          log.blockNumber,
+          timestamps[log.blockNumber],
+          log.transactionHash,
+          log.index,
+          ...fragment.inputs.map((_, i) => toColumn(args[i]))
+        ]
+      )
+      counts[fragment.name] = (counts[fragment.name] || 0) + 1
+    }
+    db.run("INSERT OR REPLACE INTO indexer_state (key, value) VALUES ('lastBlock', ?)", [String(to)])
+  }
+  return { fromBlock, toBlock, counts }
+}
+
+// Runs 'sql' and returns rows as objects.
+function query (db, sql, params = []) {
+  const statement = db.prepare(sql)
+  statement.bind(params)
+  const rows = []
+  while (statement.step()) rows.push(statement.getAsObject())
+  statement.free()
+  return rows
+}
+
+module.exports = {
+  EVENTS,
+  snakeCase,
+  openDatabase,
+  indexEvents,
+  getLastBlock,
+  query
+}
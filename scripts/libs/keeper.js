@@ -0,0 +1,208 @@
+/* global ethers */
+
+/*
+ * Rebase keeper for VaultManagerFacet.rebase.
+ *
+ * Each round, for every cofi token, compares getTotalAssets (scaled to cofi decimals) with the
+ * token's totalSupply and only calls rebase if:
+ *   - the caller may rebase (Upkeep, Admin or rebasePublic),
+ *   - the yield is at least 'minYield' (in cofi tokens),
+ *   - the new supply stays within getRateLimit (otherwise rebase reverts) and
+ *   - the yield, valued in wETH via getConversion, is at least 'minYieldToGas' times the
+ *     estimated gas cost.
+ * In dry-run mode rebase is only simulated with a static call. Every TotalSupplyUpdated event
+ * emitted since the previous round is logged, whoever triggered it.
+ */
+
+const WETH_Addr = '0x4200000000000000000000000000000000000006'
+
+const COFI_ABI = [
+  'function symbol() view returns (string)',
+  'function totalSupply() view returns (uint256)',
+  'function decimals() view returns (uint8)'
+]
+
+// 'percentMul' with half-up rounding, as in PercentageMath.
+function percentMul (value, percentage) {
+  return (value * percentage + 5000n) / 10000n
+}
+
+function scaleBy (value, to, from) {
+  if (to > from) return value * 10n ** BigInt(to - from)
+  if (to < from) return value / 10n ** BigInt(from - to)
+  return value
+}
+
+/**
+ * Decides whether to rebase 'cofi'.
+ * @returns { cofi, symbol, supply, assets, yield, maxSupply, gasCost, yieldValue, rebase, reason }
+ *          Amounts are in cofi decimals except 'gasCost' and 'yieldValue' (wei).
+ */
+async function checkRebase ({ cofiMoney, cofi, signer, minYield = 0n, minYieldToGas = 1 }) {
+  const token = new ethers.Contract(cofi, COFI_ABI, ethers.provider)
+  const caller = await signer.getAddress()
+  const result = {
+    cofi,
+    symbol: await token.symbol(),
+    rebase: false
+  }
+
+  const decimals = await token.decimals()
+  const underlyingDecimals = await cofiMoney.getDecimals(await cofiMoney.getUnderlying(cofi))
+  result.supply = await token.totalSupply()
+  result.assets = scaleBy(await cofiMoney.getTotalAssets(cofi), decimals, underlyingDecimals)
+  result.yield = result.assets > result.supply ? result.assets - result.supply : 0n
+  result.maxSupply = percentMul(result.supply, 10000n + await cofiMoney.getRateLimit(cofi))
+
+  if (
+    await cofiMoney.getRebasePublic(cofi) === 0n &&
+    await cofiMoney.getUpkeepStatus(caller) === 0n &&
+    await cofiMoney.getAdminStatus(caller) === 0n
+  ) {
+    result.reason = `${caller} is not Upkeep or Admin`
+    return result
+  }
+  if (result.supply === 0n) {
+    result.reason = 'No supply'
+    return result
+  }
+  if (result.yield === 0n || result.yield < minYield) {
+    result.reason = `Yield below threshold (${ethers.formatEther(minYield)})`
+    return result
+  }
+  if (result.assets >= result.maxSupply) {
+    result.reason = 'Supply update exceeds rate limit'
+    return result
+  }
+
+  const gas = await cofiMoney.connect(signer).rebase.estimateGas(cofi)
+  const { gasPrice, maxFeePerGas } = await ethers.provider.getFeeData()
+  result.gasCost = gas * (maxFeePerGas || gasPrice)
+  // 'getConversion()' prices cofi tokens as their underlying, so expects underlying decimals.
+  result.yieldValue = await cofiMoney.getConversion(
+    scaleBy(result.yield, underlyingDecimals, decimals),
+    0,
+    cofi,
+    WETH_Addr
+  )
+  // Scaled by 100 to allow fractional multiples.
+  if (result.yieldValue * 100n < result.gasCost * BigInt(Math.round(minYieldToGas * 100))) {
+    result.reason = `Yield worth less than ${minYieldToGas}x gas`
+    return result
+  }
+
+  result.rebase = true
+  return result
+}
+
+/**
+ * Runs keeper rounds until 'rounds' have completed (forever if 0) or 'stop()' is called.
+ * @param cofiMoney     COFIMoney contract.
+ * @param cofi          Array of cofi token addresses.
+ * @param signer        Signer sending rebase transactions.
+ * @param minYield      Minimum yield in cofi token units (wei).
+ * @param minYieldToGas Minimum ratio of yield value to gas cost.
+ * @param interval      Seconds between rounds.
+ * @param rounds        Number of rounds to run (0 to run until stopped).
+ * @param dryRun        Simulate rebase with a static call instead of sending it.
+ * @param log           Logging function (default console.log).
+ * @returns             { done, results, events, stop }, where 'done' resolves once the keeper
+ *                      stops, 'results' holds each round's 'checkRebase()' results and 'events'
+ *                      the TotalSupplyUpdated events seen.
+ */
+function runKeeper ({
+  cofiMoney,
+  cofi,
+  signer,
+  minYield = 0n,
+  minYieldToGas = 1,
+  interval = 60,
+  rounds = 0,
+  dryRun = false,
+  log = console.log
+}) {
+  const state = { stopped: false, results: [], events: [] }
+  let fromBlock
+  let timer
+  let wake
+
+  async function logEvents () {
+    const toBlock = await ethers.provider.getBlockNumber()
+    if (fromBlock !== undefined && fromBlock <= toBlock) {
+      const events = await cofiMoney.queryFilter(cofiMoney.filters.TotalSupplyUpdated(), fromBlock, toBlock)
+      for (const event of events) {
+        const { cofi, assets, yield: yield_, rCPT, fee } = event.args
+        log(`[${event.blockNumber}] TotalSupplyUpdated ${cofi} assets: ${assets} yield: ${yield_} rCPT: ${rCPT} fee: ${fee} (tx ${event.transactionHash})`)
+        state.events.push(event)
+      }
+    }
+    fromBlock = toBlock + 1
+  }
+
+  async function round () {
+    const results = []
+    for (const address of cofi) {
+      let result
+      try {
+        result = await checkRebase({ cofiMoney, cofi: address, signer, minYield, minYieldToGas })
+      } catch (err) {
+        result = { cofi: address, rebase: false, reason: `Check failed: ${err.message}` }
+      }
+      results.push(result)
+      const label = result.symbol || address
+      if (!result.rebase) {
+        log(`${label}: skip - ${result.reason}`)
+        continue
+      }
+      log(`${label}: yield ${ethers.formatEther(result.yield)} on supply ${ethers.formatEther(result.supply)}`)
+      try {
+        if (dryRun) {
+          const [assets, yield_, shareYield] = await cofiMoney.connect(signer).rebase.staticCall(address)
+          result.simulated = { assets, yield: yield_, shareYield }
+          log(`${label}: dry run - rebase would distribute ${ethers.formatEther(shareYield)}`)
+        } else {
+          const tx = await cofiMoney.connect(signer).rebase(address)
+          await tx.wait()
+          result.tx = tx.hash
+          log(`${label}: rebase tx ${tx.hash}`)
+        }
+      } catch (err) {
+        result.error = err.message
+        log(`${label}: rebase failed - ${err.message}`)
+      }
+    }
+    state.results.push(results)
+    await logEvents()
+  }
+
+  const done = (async () => {
+    await logEvents()
+    for (let i = 0; !state.stopped && (rounds === 0 || i < rounds); i++) {
+      if (i > 0) {
+        await new Promise(resolve => {
+          wake = resolve
+          timer = setTimeout(resolve, interval * 1000)
+        })
+        if (state.stopped) break
+      }
+      await round()
+    }
+    return state
+  })()
+
+  return {
+    done,
+    results: state.results,
+    events: state.events,
+    stop () {
+      state.stopped = true
+      clearTimeout(timer)
+      if (wake) wake()
+    }
+  }
+}
+
+module.exports = {
+  checkRebase,
+  runKeeper
+}
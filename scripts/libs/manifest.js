@@ -0,0 +1,234 @@
+/* global ethers */
+
+const { FacetCutAction, getSelectors } = require('./index.js')
+const { registryPath, readRegistry, writeRegistry, serializeArgs, recordContract, deployContract } = require('./registry.js')
+
+/*
+ * Runs a deployment manifest (see scripts/manifests/) against the current network.
+ *
+ * A manifest is made up of the following sections, processed in order:
+ *   roles     - { name: address } of externally owned role holders.
+ *   tokens    - { name: { contract, args, address? } } cofi tokens.
+ *   vaults    - { name: { contract, args, address? } } vaults/wrappers.
+ *   diamond   - { name, address?, owner?, facets: [name], init: { contract, args } }.
+ *   contracts - { name: { contract, args, address? } } anything deployed after the diamond.
+ *   wiring    - [{ target, method, args }] post-deploy calls.
+ *
+ * Any string arg beginning with '$' references an address by name, e.g. '$coUSD', '$COFIMoney',
+ * '$whitelister' or the built-in '$deployer'. Items with an 'address' are recorded in the
+ * registry (see registry.js) and reused, everything else is deployed unless the registry holds
+ * an identical deployment. Each transaction sent is recorded too, so a run that fails part way
+ * through can be resumed by running it again.
+ * A facet redeployed after the diamond was cut, e.g. as its bytecode changed, is cut in again,
+ * replacing the selectors that point elsewhere and adding any new ones. A diamond with an
+ * 'address' is adopted rather than deployed: it is not initialized ('init' may be left out) and
+ * its facets are cut in the same way.
+ */
+
+// Replaces '$name' references with addresses, recursing into arrays and struct args.
+function resolve (value, names) {
+  if (typeof value === 'string' && value.startsWith('$')) {
+    const name = value.slice(1)
+    if (names[name] === undefined) {
+      throw Error(`Manifest reference '${value}' has not been deployed.`)
+    }
+    return names[name]
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => resolve(v, names))
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolve(v, names)]))
+  }
+  return value
+}
+
+function checkNames (manifest) {
+  const seen = new Set(['deployer', 'DiamondCutFacet'])
+  const all = [
+    ...Object.keys(manifest.roles || {}),
+    ...Object.keys(manifest.tokens || {}),
+    ...Object.keys(manifest.vaults || {}),
+    ...(manifest.diamond ? [manifest.diamond.name, ...(manifest.diamond.init ? [manifest.diamond.init.contract] : []), ...manifest.diamond.facets] : []),
+    ...Object.keys(manifest.contracts || {})
+  ]
+  for (const name of all) {
+    if (seen.has(name)) {
+      throw Error(`Manifest name '${name}' is used more than once.`)
+    }
+    seen.add(name)
+  }
+}
+
+async function deployItem (ctx, name, item) {
+  ctx.abis[name] = item.abi || item.contract
+  if (item.address) {
+    recordContract({ name, contract: item.contract, abi: item.abi, address: item.address, file: ctx.file })
+    ctx.names[name] = item.address
+    console.log(`${name} reused: ${item.address}`)
+    return
+  }
+  const { address, deployed } = await deployContract({
+    name,
+    contract: item.contract,
+    abi: item.abi,
+    args: resolve(item.args || [], ctx.names),
+    signer: ctx.signer,
+    file: ctx.file
+  })
+  ctx.names[name] = address
+  if (deployed) {
+    // Transactions sent to a previous instance need to be sent again.
+    const registry = readRegistry(ctx.file)
+    for (const key of Object.keys(registry.steps)) {
+      if (key.startsWith(`${name}.`)) {
+        delete registry.steps[key]
+      }
+    }
+    writeRegistry(registry, ctx.file)
+  }
+}
+
+// '<target>.<method>(<args>)', with struct and array args as JSON so that different calls never share a key.
+function stepKey (target, method, args) {
+  const shown = serializeArgs(args).map(arg => arg !== null && typeof arg === 'object' ? JSON.stringify(arg) : arg)
+  return `${target}.${method}(${shown.join(',')})`
+}
+
+async function sendStep (ctx, key, send) {
+  const sent = readRegistry(ctx.file).steps[key]
+  if (sent) {
+    console.log(`Skipping ${key}, already sent: ${sent}`)
+    return
+  }
+  const tx = await send()
+  const receipt = await tx.wait()
+  if (!receipt.status) {
+    throw Error(`Transaction failed: ${tx.hash}`)
+  }
+  recordSteps(ctx, [key], tx.hash)
+  console.log(`${key}: ${tx.hash}`)
+}
+
+function recordSteps (ctx, keys, hash) {
+  const registry = readRegistry(ctx.file)
+  for (const key of keys) {
+    registry.steps[key] = hash
+  }
+  writeRegistry(registry, ctx.file)
+}
+
+async function deployDiamond (ctx, diamond) {
+  if (!diamond.address) {
+    await deployItem(ctx, 'DiamondCutFacet', { contract: 'DiamondCutFacet' })
+  }
+  // Calls to the diamond go through the combined facet ABI.
+  await deployItem(ctx, diamond.name, {
+    contract: 'Diamond',
+    abi: diamond.name,
+    address: diamond.address,
+    args: [diamond.owner || '$deployer', '$DiamondCutFacet']
+  })
+  if (!diamond.address) {
+    await deployItem(ctx, diamond.init.contract, { contract: diamond.init.contract })
+  }
+  for (const facet of diamond.facets) {
+    await deployItem(ctx, facet, { contract: facet })
+  }
+  const diamondCut = await ethers.getContractAt('IDiamondCut', ctx.names[diamond.name], ctx.signer)
+
+  const cutKey = `${diamond.name}.diamondCut`
+  if (!diamond.address && !readRegistry(ctx.file).steps[cutKey]) {
+    await sendStep(ctx, cutKey, async () => {
+      const cut = []
+      for (const facet of diamond.facets) {
+        cut.push({
+          facetAddress: ctx.names[facet],
+          action: FacetCutAction.Add,
+          functionSelectors: getSelectors(await ethers.getContractAt(facet, ctx.names[facet]))
+        })
+      }
+      const diamondInit = await ethers.getContractAt(diamond.init.contract, ctx.names[diamond.init.contract])
+      const functionCall = diamondInit.interface.encodeFunctionData('init', [resolve(diamond.init.args, ctx.names)])
+      return diamondCut.diamondCut(cut, ctx.names[diamond.init.contract], functionCall)
+    })
+    // '<facet>.diamondCut' is cleared when the facet is redeployed (see deployItem()).
+    recordSteps(ctx, diamond.facets.map(facet => `${facet}.diamondCut`), readRegistry(ctx.file).steps[cutKey])
+    return
+  }
+
+  // Facets redeployed since the diamond was cut, e.g. as their bytecode changed, or not yet cut
+  // into an adopted diamond.
+  const loupe = await ethers.getContractAt('DiamondLoupeFacet', ctx.names[diamond.name])
+  for (const facet of diamond.facets) {
+    const key = `${facet}.diamondCut`
+    const sent = readRegistry(ctx.file).steps[key]
+    if (sent) {
+      console.log(`Skipping ${key}, already sent: ${sent}`)
+      continue
+    }
+    const cut = [
+      { facetAddress: ctx.names[facet], action: FacetCutAction.Replace, functionSelectors: [] },
+      { facetAddress: ctx.names[facet], action: FacetCutAction.Add, functionSelectors: [] }
+    ]
+    for (const selector of getSelectors(await ethers.getContractAt(facet, ctx.names[facet]))) {
+      const current = await loupe.facetAddress(selector)
+      if (current === ethers.ZeroAddress) {
+        cut[1].functionSelectors.push(selector)
+      } else if (current !== ctx.names[facet]) {
+        cut[0].functionSelectors.push(selector)
+      }
+    }
+    const changes = cut.filter(c => c.functionSelectors.length)
+    if (changes.length === 0) {
+      console.log(`${facet} already cut in`)
+      continue
+    }
+    await sendStep(ctx, key, () => diamondCut.diamondCut(changes, ethers.ZeroAddress, '0x'))
+  }
+}
+
+async function runManifest ({ manifest, signer, file }) {
+  checkNames(manifest)
+  signer = signer || (await ethers.getSigners())[0]
+  file = file || registryPath()
+
+  const ctx = {
+    signer,
+    file,
+    names: { deployer: await signer.getAddress(), ...manifest.roles },
+    abis: {}
+  }
+
+  for (const [name, item] of Object.entries(manifest.tokens || {})) {
+    await deployItem(ctx, name, item)
+  }
+  for (const [name, item] of Object.entries(manifest.vaults || {})) {
+    await deployItem(ctx, name, item)
+  }
+  if (manifest.diamond) {
+    await deployDiamond(ctx, manifest.diamond)
+  }
+  for (const [name, item] of Object.entries(manifest.contracts || {})) {
+    await deployItem(ctx, name, item)
+  }
+
+  for (const step of manifest.wiring || []) {
+    if (!ctx.abis[step.target]) {
+      throw Error(`Wiring target '${step.target}' is not in the manifest.`)
+    }
+    const args = resolve(step.args || [], ctx.names)
+    await sendStep(ctx, stepKey(step.target, step.method, args), async () => {
+      const target = await ethers.getContractAt(ctx.abis[step.target], ctx.names[step.target], ctx.signer)
+      return target[step.method](...args)
+    })
+  }
+
+  return ctx.names
+}
+
+module.exports = {
+  runManifest,
+  resolve,
+  stepKey
+}
@@ -0,0 +1,204 @@
+/* global ethers */
+
+const { setBalance } = require('@nomicfoundation/hardhat-network-helpers')
+const { decodeRevert } = require('./revert.js')
+
+/*
+ * Readiness checks and dry run for VaultManagerFacet.migrate.
+ *
+ * checkMigration() checks each precondition 'migrate' silently depends on for moving 'cofi' to
+ * 'newVault', instead of it reverting with 'Vault migration slippage exceeded' or a bare swap
+ * failure:
+ *   migrationEnabled - setMigrationEnabled from the current vault (there is no getter, so
+ *                      'migrate' is simulated from 'caller').
+ *   swapRoute        - a swap protocol, and for SwapV3 a route, between differing underlyings.
+ *                      SwapV2 routes are reported with their mid token and stable flags.
+ *   decimals         - setDecimals for the new underlying.
+ *   buffer           - setBuffer for the new underlying, and that buffer held at the diamond.
+ *   harvestable      - set if and only if the diamond can call the new vault's 'harvest()'.
+ *
+ * dryRunMigration() sends 'migrate' from 'caller' (impersonated) on a local or forked network,
+ * reports the assets before and after, the buffer consumed and the rebase, then reverts to the
+ * snapshot taken beforehand.
+ */
+
+const SWAP_V2 = 1n
+const SWAP_V3 = 2n
+const MIGRATION_DISABLED = 'VaultManagerFacet: Migration from current vault to new vault disabled'
+
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address) view returns (uint256)',
+  'function totalSupply() view returns (uint256)'
+]
+const ERC4626_ABI = [
+  'function asset() view returns (address)',
+  'function harvest() returns (uint256)'
+]
+
+// Upkeep and Admin may migrate. Defaults to the diamond owner, who InitDiamond makes Admin.
+async function migrationCaller (cofiMoney, caller) {
+  if (caller) return ethers.getAddress(caller)
+  return (await ethers.getContractAt('OwnershipFacet', await cofiMoney.getAddress())).owner()
+}
+
+/**
+ * @param caller Account to simulate 'migrate' from (default: the diamond owner).
+ * @returns { cofi, vault, newVault, underlying, newUnderlying, steps: [{ step, done, detail }], ready }
+ */
+async function checkMigration ({ cofiMoney, cofi, newVault, caller }) {
+  cofi = ethers.getAddress(cofi)
+  newVault = ethers.getAddress(newVault)
+  caller = await migrationCaller(cofiMoney, caller)
+  const diamond = await cofiMoney.getAddress()
+  const vault = await cofiMoney.getVault(cofi)
+  if (vault === ethers.ZeroAddress) {
+    throw Error(`No vault set for ${cofi}.`)
+  }
+  const underlying = await cofiMoney.getUnderlying(cofi)
+  const wrapper = new ethers.Contract(newVault, ERC4626_ABI, ethers.provider)
+  const newUnderlying = await wrapper.asset()
+  const token = new ethers.Contract(newUnderlying, ERC20_ABI, ethers.provider)
+  const symbol = await token.symbol()
+  const decimals = await token.decimals()
+
+  const steps = []
+  const step = (name, done, detail) => steps.push({ step: name, done, detail })
+
+  let reason
+  try {
+    await cofiMoney.connect(ethers.provider).migrate.staticCall(cofi, newVault, { from: caller })
+  } catch (err) {
+    reason = decodeRevert(err, cofiMoney.interface)
+  }
+  if (reason === 'VaultManagerFacet: Caller not Upkeep or Admin') {
+    step('migrationEnabled', false, `cannot check, ${caller} is not Upkeep or Admin`)
+  } else {
+    step('migrationEnabled', reason !== MIGRATION_DISABLED, `from ${vault}`)
+  }
+
+  if (underlying !== newUnderlying) {
+    const protocol = await cofiMoney.getSwapProtocol(underlying, newUnderlying)
+    if (protocol === SWAP_V2) {
+      const { mid, stable } = await cofiMoney.getSwapRouteV2(underlying, newUnderlying)
+      // A direct SwapV2 route has no mid token, so cannot be told apart from an unset one.
+      step(
+        'swapRoute',
+        true,
+        mid === ethers.ZeroAddress ? `SwapV2 direct, stable ${stable[0]}` : `SwapV2 via ${mid}, stable ${stable.join(',')}`
+      )
+    } else if (protocol === SWAP_V3) {
+      const route = await cofiMoney.getSwapRouteV3(underlying, newUnderlying)
+      step('swapRoute', route !== '0x', `SwapV3 ${route}`)
+    } else {
+      step('swapRoute', false, `no swap protocol from ${underlying}`)
+    }
+  }
+
+  const actual = await cofiMoney.getDecimals(newUnderlying)
+  step(`decimals(${symbol})`, actual === decimals, `${actual}, expected ${decimals}`)
+
+  const buffer = await cofiMoney.getBuffer(newUnderlying)
+  const held = await token.balanceOf(diamond)
+  step(
+    'buffer',
+    buffer > 0n && held >= buffer,
+    `${ethers.formatUnits(buffer, decimals)} ${symbol} set, ${ethers.formatUnits(held, decimals)} held at the diamond`
+  )
+
+  const harvestable = await cofiMoney.getHarvestable(newVault)
+  let harvests = true
+  try {
+    await wrapper.harvest.staticCall({ from: diamond })
+  } catch (err) {
+    harvests = false
+  }
+  step(
+    'harvestable',
+    (harvestable === 1n) === harvests,
+    `${harvestable}, 'harvest()' ${harvests ? 'succeeds' : 'reverts'} for the diamond`
+  )
+
+  return {
+    cofi,
+    vault,
+    newVault,
+    underlying,
+    newUnderlying,
+    steps,
+    ready: steps.every(s => s.done),
+    ...(reason && reason !== MIGRATION_DISABLED && { reason })
+  }
+}
+
+/**
+ * Runs 'migrate' on the current (local or forked) network and reverts it.
+ * @returns { ok, reason?, assetsBefore, assetsAfter?, migrated?: { assets, newAssets },
+ *            bufferBefore, bufferAfter, bufferConsumed, supplyBefore, supplyAfter,
+ *            rebase?: { supply, yield, fee }, gasUsed? }
+ *          'assetsBefore' is in the old underlying's decimals, 'assetsAfter' and the buffer in
+ *          the new underlying's, and supply in the cofi token's.
+ */
+async function dryRunMigration ({ cofiMoney, cofi, newVault, caller }) {
+  cofi = ethers.getAddress(cofi)
+  newVault = ethers.getAddress(newVault)
+  caller = await migrationCaller(cofiMoney, caller)
+  const diamond = await cofiMoney.getAddress()
+  const cofiToken = new ethers.Contract(cofi, ERC20_ABI, ethers.provider)
+  const newUnderlying = new ethers.Contract(
+    await new ethers.Contract(newVault, ERC4626_ABI, ethers.provider).asset(),
+    ERC20_ABI,
+    ethers.provider
+  )
+
+  let snapshot
+  try {
+    snapshot = await ethers.provider.send('evm_snapshot', [])
+  } catch (err) {
+    throw Error('A dry run needs a local or forked network (evm_snapshot is not supported).')
+  }
+  try {
+    const report = {
+      assetsBefore: await cofiMoney.getTotalAssets(cofi),
+      bufferBefore: await newUnderlying.balanceOf(diamond),
+      supplyBefore: await cofiToken.totalSupply()
+    }
+
+    await setBalance(caller, ethers.parseEther('100'))
+    const signer = await ethers.getImpersonatedSigner(caller)
+    try {
+      const tx = await cofiMoney.connect(signer).migrate(cofi, newVault)
+      const receipt = await tx.wait()
+      report.ok = true
+      report.gasUsed = receipt.gasUsed
+      for (const log of receipt.logs.filter(l => l.address === diamond)) {
+        const parsed = cofiMoney.interface.parseLog(log)
+        if (parsed && parsed.name === 'VaultMigration') {
+          report.migrated = { assets: parsed.args.assets, newAssets: parsed.args.newAssets }
+        }
+        if (parsed && parsed.name === 'TotalSupplyUpdated' && parsed.args.cofi === cofi) {
+          report.rebase = { supply: parsed.args.assets, yield: parsed.args.yield, fee: parsed.args.fee }
+        }
+      }
+    } catch (err) {
+      report.ok = false
+      report.reason = decodeRevert(err, cofiMoney.interface)
+    }
+
+    if (report.ok) {
+      report.assetsAfter = await cofiMoney.getTotalAssets(cofi)
+    }
+    report.bufferAfter = await newUnderlying.balanceOf(diamond)
+    report.bufferConsumed = report.bufferBefore - report.bufferAfter
+    report.supplyAfter = await cofiToken.totalSupply()
+    return report
+  } finally {
+    await ethers.provider.send('evm_revert', [snapshot])
+  }
+}
+
+module.exports = {
+  checkMigration,
+  dryRunMigration
+}
@@ -0,0 +1,287 @@
+/* global ethers */
+
+const { registryPath, readRegistry, writeRegistry } = require('./registry.js')
+const { decodeRevert } = require('./revert.js')
+
+/*
+ * Onboarding of a vault (4626 wrapper) for a cofi token, covering the VaultManagerFacet.migrate
+ * dev notes:
+ *
+ *   decimals         - setDecimals for the underlying and the wrapper.
+ *   priceFeed        - setPriceFeed for the underlying.
+ *   swapRoute        - a route from the cofi token's current underlying, if the wrapper's differs,
+ *   swapProtocol       and the swap protocol for the pair.
+ *   buffer           - setBuffer for the underlying, and that buffer held at the diamond.
+ *   harvestable      - setHarvestable, according to whether the diamond can call 'harvest()'.
+ *   migration        - setMigrationEnabled from the current vault, or setVault for a new cofi token.
+ *   authorized       - the diamond may deposit into and redeem from the wrapper.
+ *   rewardReceiver   - the diamond receives reward shares, for wrappers that have a receiver.
+ *
+ * checkVault() reads the state of each step. Steps that are not done carry a 'fix',
+ * [contract, method, args] of the transaction that completes them, if the caller has the role
+ * and the required value is known. onboardVault() sends those and checks again.
+ */
+
+const SWAP_PROTOCOLS = ['NonExistent', 'SwapV2', 'SwapV3']
+const SWAP_V3 = 2n
+const MIGRATION_DISABLED = 'VaultManagerFacet: Migration from current vault to new vault disabled'
+
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address) view returns (uint256)',
+  'function transfer(address, uint256) returns (bool)'
+]
+
+/*
+ * Per wrapper contract:
+ *   harvestable  - 1 if the diamond should call 'harvest()' before rebasing. AaveV3Reinvest's
+ *                  'harvest(uint256[])' takes swap minimums, so is left to its manager.
+ *   authorize    - owner function authorizing the diamond.
+ *   unauthorized - revert reason of a deposit from an unauthorized account.
+ *   receiver     - getter/setter of the account receiving reward shares. YearnV2's
+ *                  'flushReceiver' is private, so is tracked through the registry steps instead.
+ */
+const WRAPPERS = {
+  YearnV2: {
+    harvestable: 1n,
+    authorize: 'setAuthorized',
+    unauthorized: 'YearnV2ERC4626Wrapper: Caller not authorized',
+    receiver: { set: 'setFlushReceiver' }
+  },
+  YearnV2StakingRewards: {
+    harvestable: 1n,
+    authorize: 'setAuthorized',
+    unauthorized: 'YearnV2ERC4626Wrapper: Caller not authorized',
+    receiver: { get: 'rewardShareReceiver', set: 'setRewardShareReceiver' }
+  },
+  CompoundV2Reinvest: {
+    harvestable: 1n,
+    authorize: 'setAuthorized',
+    unauthorized: 'NOT_AUTHORIZED'
+  },
+  AaveV3Reinvest: {
+    harvestable: 0n,
+    authorize: 'toggleAuthorized',
+    unauthorized: 'AaveV3ERC4626Reinvest: Only authorized'
+  }
+}
+
+// Simulates a zero deposit from 'account', which only the authorization check should reject.
+async function isAuthorized (wrapper, account, unauthorized) {
+  try {
+    await ethers.provider.call({
+      from: account,
+      to: await wrapper.getAddress(),
+      data: wrapper.interface.encodeFunctionData('deposit', [0, account])
+    })
+    return true
+  } catch (err) {
+    return decodeRevert(err, wrapper.interface) !== unauthorized
+  }
+}
+
+// Registry name of 'address', so that steps sent by the manifest runner are recognised.
+function registryName (address, file) {
+  const entry = Object.entries(readRegistry(file).contracts).find(([, e]) => e.address === address)
+  return entry ? entry[0] : address
+}
+
+/**
+ * Reads the onboarding state of 'vault' for 'cofi'.
+ * @param buffer    Buffer to set if none is, in underlying tokens (e.g. '10').
+ * @param priceFeed Price feed to set for the underlying if none is.
+ * @param poolFee   UniswapV3 pool fee of a direct route to set from the current underlying.
+ * @param caller    Account the fixes would be sent from (default: signer), e.g. a Safe.
+ * @returns [{ step, done, detail, fix?, key? }] where 'key' records the step in the registry.
+ */
+async function checkVault ({ cofiMoney, cofi, vault, type, signer, caller, buffer, priceFeed, poolFee, file = registryPath() }) {
+  const spec = WRAPPERS[type]
+  if (!spec) {
+    throw Error(`Unknown wrapper '${type}'. Must be one of: ${Object.keys(WRAPPERS).join(', ')}.`)
+  }
+  vault = ethers.getAddress(vault)
+  caller = caller || await signer.getAddress()
+  const diamond = await cofiMoney.getAddress()
+  const admin = await cofiMoney.getAdminStatus(caller) === 1n
+  const wrapper = await ethers.getContractAt(type, vault, signer)
+  const owner = await wrapper.owner()
+  cofiMoney = cofiMoney.connect(signer)
+
+  const underlying = new ethers.Contract(await wrapper.asset(), ERC20_ABI, signer)
+  const underlyingAddr = await underlying.getAddress()
+  const symbol = await underlying.symbol()
+  const decimals = await underlying.decimals()
+  const currentVault = await cofiMoney.getVault(cofi)
+  const currentUnderlying = currentVault === ethers.ZeroAddress ? undefined : await cofiMoney.getUnderlying(cofi)
+
+  const steps = []
+  // Diamond setters need Admin, wrapper setters the wrapper's owner.
+  const step = (name, done, detail, fix, role = 'admin') => {
+    const allowed = { admin, owner: owner === caller, caller: true }[role]
+    if (!done && fix && !allowed) {
+      detail += role === 'admin' ? ' (requires Admin)' : ` (requires wrapper owner ${owner})`
+    }
+    steps.push({ step: name, done, detail, ...(!done && fix && allowed && { fix }) })
+    return steps[steps.length - 1]
+  }
+
+  for (const token of [underlying, wrapper]) {
+    const expected = await token.decimals()
+    const actual = await cofiMoney.getDecimals(await token.getAddress())
+    step(
+      `decimals(${await token.symbol()})`,
+      actual === expected,
+      `${actual}, expected ${expected}`,
+      [cofiMoney, 'setDecimals', [await token.getAddress(), expected]]
+    )
+  }
+
+  const feed = await cofiMoney.getPriceFeed(underlyingAddr)
+  step(
+    'priceFeed',
+    feed !== ethers.ZeroAddress,
+    feed !== ethers.ZeroAddress ? `${symbol} ${feed}` : `not set for ${symbol}${priceFeed ? '' : ', pass --price-feed'}`,
+    priceFeed && [cofiMoney, 'setPriceFeed', [underlyingAddr, priceFeed]]
+  )
+
+  if (currentUnderlying && currentUnderlying !== underlyingAddr) {
+    const protocol = await cofiMoney.getSwapProtocol(currentUnderlying, underlyingAddr)
+    const route = await cofiMoney.getSwapRouteV3(currentUnderlying, underlyingAddr)
+    // A direct SwapV2 route has no mid token, so cannot be told apart from an unset one.
+    const routed = protocol !== 0n && protocol !== SWAP_V3 ? true : route !== '0x'
+    step(
+      'swapRoute',
+      routed,
+      routed ? (protocol === SWAP_V3 ? `SwapV3 ${route}` : 'SwapV2') : `not set from ${currentUnderlying}${poolFee ? '' : ', pass --pool-fee'}`,
+      poolFee && [cofiMoney, 'setV3Route', [currentUnderlying, poolFee, ethers.ZeroAddress, 0, underlyingAddr]]
+    )
+    step(
+      'swapProtocol',
+      protocol !== 0n,
+      SWAP_PROTOCOLS[Number(protocol)],
+      poolFee && [cofiMoney, 'setSwapProtocol', [currentUnderlying, underlyingAddr, SWAP_V3]]
+    )
+  }
+
+  // Only migrations need a buffer.
+  if (currentVault !== ethers.ZeroAddress && currentVault !== vault) {
+    const current = await cofiMoney.getBuffer(underlyingAddr)
+    const target = current > 0n ? current : (buffer ? ethers.parseUnits(buffer, decimals) : 0n)
+    step(
+      'buffer',
+      current > 0n,
+      current > 0n ? `${ethers.formatUnits(current, decimals)} ${symbol}` : `not set${buffer ? '' : ', pass --buffer'}`,
+      target > 0n && [cofiMoney, 'setBuffer', [underlyingAddr, target]]
+    )
+    const held = await underlying.balanceOf(diamond)
+    const available = await underlying.balanceOf(caller)
+    step(
+      'bufferHeld',
+      target > 0n && held >= target,
+      `${ethers.formatUnits(held, decimals)} ${symbol} at the diamond` +
+        (target > 0n ? `, ${ethers.formatUnits(target, decimals)} required` : '') +
+        (target > held && available < target - held ? `, caller holds ${ethers.formatUnits(available, decimals)}` : ''),
+      target > held && available >= target - held && [underlying, 'transfer', [diamond, target - held]],
+      'caller'
+    )
+  }
+
+  const harvestable = await cofiMoney.getHarvestable(vault)
+  step(
+    'harvestable',
+    harvestable === spec.harvestable,
+    `${harvestable}, expected ${spec.harvestable}`,
+    [cofiMoney, 'setHarvestable', [vault, spec.harvestable]]
+  )
+
+  if (currentVault === ethers.ZeroAddress) {
+    step('migration', false, 'no vault set for cofi token', [cofiMoney, 'setVault', [cofi, vault]])
+  } else if (currentVault === vault) {
+    step('migration', true, 'already the cofi token\'s vault')
+  } else {
+    let enabled
+    let detail
+    try {
+      await cofiMoney.connect(ethers.provider).migrate.staticCall(cofi, vault, { from: caller })
+      enabled = true
+    } catch (err) {
+      const reason = decodeRevert(err, cofiMoney.interface)
+      enabled = reason !== MIGRATION_DISABLED
+      detail = reason
+    }
+    // Migrating is limited to Upkeep and Admin, as is the check.
+    if (detail === 'VaultManagerFacet: Caller not Upkeep or Admin') {
+      step('migration', false, 'cannot check, caller is not Upkeep or Admin')
+    } else {
+      step(
+        'migration',
+        enabled,
+        enabled ? `enabled from ${currentVault}` : `not enabled from ${currentVault}`,
+        [cofiMoney, 'setMigrationEnabled', [currentVault, vault, 1]]
+      )
+    }
+  }
+
+  step(
+    'authorized',
+    await isAuthorized(wrapper, diamond, spec.unauthorized),
+    `diamond ${diamond}`,
+    [wrapper, spec.authorize, spec.authorize === 'setAuthorized' ? [diamond, 1] : [diamond]],
+    'owner'
+  )
+
+  if (spec.receiver) {
+    const key = `${registryName(vault, file)}.${spec.receiver.set}(${diamond})`
+    const receiver = spec.receiver.get ? await wrapper[spec.receiver.get]() : undefined
+    const done = spec.receiver.get ? receiver === diamond : readRegistry(file).steps[key] !== undefined
+    const s = step(
+      'rewardReceiver',
+      done,
+      spec.receiver.get ? `${receiver}` : (done ? `${spec.receiver.set} sent` : `${spec.receiver.set} not recorded`),
+      [wrapper, spec.receiver.set, [diamond]],
+      'owner'
+    )
+    if (!spec.receiver.get) s.key = key
+  }
+
+  return steps
+}
+
+function formatChecklist (steps) {
+  return steps.map(s => `  [${s.done ? 'x' : ' '}] ${s.step}: ${s.detail}`).join('\n')
+}
+
+/**
+ * Sends the fix of every step checkVault() finds missing, in order, then checks again.
+ * @returns { steps, sent: [{ step, tx }], done }
+ */
+async function onboardVault (args) {
+  const { file = registryPath(), log = console.log } = args
+  const sent = []
+  for (const step of await checkVault(args)) {
+    if (step.done || !step.fix) continue
+    const [contract, method, params] = step.fix
+    const tx = await contract[method](...params)
+    const receipt = await tx.wait()
+    if (!receipt.status) {
+      throw Error(`Transaction failed: ${tx.hash}`)
+    }
+    if (step.key) {
+      const registry = readRegistry(file)
+      registry.steps[step.key] = tx.hash
+      writeRegistry(registry, file)
+    }
+    log(`${step.step}: ${tx.hash}`)
+    sent.push({ step: step.step, tx: tx.hash })
+  }
+  const steps = await checkVault(args)
+  return { steps, sent, done: steps.every(s => s.done) }
+}
+
+module.exports = {
+  WRAPPERS,
+  checkVault,
+  onboardVault,
+  formatChecklist
+}
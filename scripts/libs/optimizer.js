@@ -0,0 +1,154 @@
+/* global ethers */
+
+const { decodeRevert } = require('./revert.js')
+const { checkMigration } = require('./migration.js')
+
+/*
+ * Runner for YieldOptimizer (contracts/YieldOptimizer.sol).
+ *
+ * Each round, for every cofi token, calls 'capture' and then 'evaluate' over the last 'entries'
+ * captures (so rounds should be evenly spaced). If the best vault is not the current one and its
+ * yield beats the current vault's by at least 'minImprovement' (1e18 = 100% per capture
+ * interval), a migration is proposed. With 'execute', it is sent through the optimizer's
+ * 'optimize' once checkMigration() passes for the optimizer, which must be Upkeep or Admin on the
+ * diamond. The current vault's yield is 0 if the optimizer does not track it.
+ */
+
+/**
+ * Decides whether to migrate 'cofi', after a capture.
+ * @returns { cofi, vault, target, yield, currentYield, propose, ready?, reason? }
+ *          Yields are fractions per capture interval (1e18 = 100%).
+ */
+async function checkOptimize ({ optimizer, cofiMoney, cofi, entries, strict = false, ema = false, minImprovement = 0n }) {
+  const result = { cofi, vault: await cofiMoney.getVault(cofi), propose: false }
+  try {
+    [result.target, result.yield] = await optimizer.evaluate(cofi, entries, strict ? 1 : 0, ema ? 1 : 0)
+  } catch (err) {
+    result.reason = decodeRevert(err, optimizer.interface)
+    return result
+  }
+  if (result.target === ethers.ZeroAddress) {
+    result.reason = 'No enabled vaults'
+    return result
+  }
+
+  result.currentYield = 0n
+  if ((await optimizer.getVaults(cofi)).includes(result.vault)) {
+    const [median, emaYield] = await optimizer.retrieve(result.vault, entries, 0)
+    result.currentYield = ema ? emaYield : median
+  }
+  if (result.target === result.vault) {
+    result.reason = 'Current vault is the best'
+    return result
+  }
+  if (result.yield - result.currentYield < minImprovement) {
+    result.reason = `Improvement below threshold (${ethers.formatEther(minImprovement * 100n)}%)`
+    return result
+  }
+
+  result.propose = true
+  const check = await checkMigration({ cofiMoney, cofi, newVault: result.target, caller: await optimizer.getAddress() })
+  result.ready = check.ready
+  if (!check.ready) {
+    result.reason = `Migration not ready: ${check.steps.filter(s => !s.done).map(s => s.step).join(', ')}`
+  }
+  return result
+}
+
+/**
+ * Runs optimizer rounds until 'rounds' have completed (forever if 0) or 'stop()' is called.
+ * @param optimizer      YieldOptimizer contract, connected to an authorized signer.
+ * @param cofiMoney      COFIMoney contract.
+ * @param cofi           Array of cofi token addresses.
+ * @param entries        Captures to evaluate over.
+ * @param strict         Skip evaluating until there are 'entries' captures, instead of using fewer.
+ * @param ema            Rank vaults by EMA instead of median yield.
+ * @param minImprovement Minimum yield improvement to propose a migration (1e18 = 100%).
+ * @param interval       Seconds between rounds.
+ * @param rounds         Number of rounds to run (0 to run until stopped).
+ * @param execute        Send 'optimize' for ready proposals instead of only logging them.
+ * @param log            Logging function (default console.log).
+ * @returns              { done, results, stop }, where 'done' resolves once the runner stops and
+ *                       'results' holds each round's 'checkOptimize()' results.
+ */
+function runOptimizer ({
+  optimizer,
+  cofiMoney,
+  cofi,
+  entries,
+  strict = false,
+  ema = false,
+  minImprovement = 0n,
+  interval = 3600,
+  rounds = 0,
+  execute = false,
+  log = console.log
+}) {
+  const state = { stopped: false, results: [] }
+  let timer
+  let wake
+
+  const percent = value => `${ethers.formatEther(value * 100n)}%`
+
+  async function round () {
+    const results = []
+    for (const address of cofi) {
+      let result
+      try {
+        await (await optimizer.capture(address)).wait()
+        result = await checkOptimize({ optimizer, cofiMoney, cofi: address, entries, strict, ema, minImprovement })
+      } catch (err) {
+        result = { cofi: address, propose: false, reason: `Check failed: ${decodeRevert(err, optimizer.interface)}` }
+      }
+      results.push(result)
+      if (!result.propose) {
+        log(`${address}: skip - ${result.reason}`)
+        continue
+      }
+      log(`${address}: propose ${result.vault} -> ${result.target} (${percent(result.currentYield)} -> ${percent(result.yield)})`)
+      if (!execute || !result.ready) {
+        if (result.reason) log(`${address}: ${result.reason}`)
+        continue
+      }
+      try {
+        const tx = await optimizer.optimize(address, entries, strict ? 1 : 0, ema ? 1 : 0)
+        await tx.wait()
+        result.tx = tx.hash
+        log(`${address}: optimize tx ${tx.hash}`)
+      } catch (err) {
+        result.error = decodeRevert(err, optimizer.interface)
+        log(`${address}: optimize failed - ${result.error}`)
+      }
+    }
+    state.results.push(results)
+  }
+
+  const done = (async () => {
+    for (let i = 0; !state.stopped && (rounds === 0 || i < rounds); i++) {
+      if (i > 0) {
+        await new Promise(resolve => {
+          wake = resolve
+          timer = setTimeout(resolve, interval * 1000)
+        })
+        if (state.stopped) break
+      }
+      await round()
+    }
+    return state
+  })()
+
+  return {
+    done,
+    results: state.results,
+    stop () {
+      state.stopped = true
+      clearTimeout(timer)
+      if (wake) wake()
+    }
+  }
+}
+
+module.exports = {
+  checkOptimize,
+  runOptimizer
+}
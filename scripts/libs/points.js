@@ -0,0 +1,209 @@
+/* global ethers network */
+
+const fs = require('fs')
+const path = require('path')
+
+/*
+ * Yield points capture for PointsManagerFacet.captureYieldPoints.
+ *
+ * Before 'setPointsRate' changes for a cofi token, every account that has earned yield must be
+ * passed to 'captureYieldPoints', otherwise the new rate applies to yield earned under the old
+ * one. This pipeline:
+ *   1. Rebuilds the token's holder set from its Transfer events (every recipient ever seen).
+ *   2. Finds holders whose capture is outstanding (see 'isCaptured()').
+ *   3. Captures them in batches, shrinking each batch until its gas estimate fits 'maxGas'.
+ *   4. Records each captured holder's 'getYieldEarned' and 'getYieldPoints' at the capture block.
+ *
+ * A holder is captured once 'getYieldEarned' still equals the yield recorded at capture (i.e. no
+ * rebase since) and 'getYieldPoints' still equals the points recorded, so pending points are
+ * zero. Progress is written to a state file after every batch, so an interrupted run resumes
+ * where it stopped. Rebasing should be paused while capturing; holders rebased in the meantime
+ * are picked up again on the next run.
+ *
+ * State file (default deployments/points/<network>.json), amounts as strings:
+ *
+ * {
+ *   "<cofi>": {
+ *     "fromBlock": <next block to scan for Transfers>,
+ *     "holders": ["0x..."],
+ *     "captured": { "0x...": { "yield", "points", "block" } }
+ *   }
+ * }
+ */
+
+const COFI_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'function getYieldEarned(address) view returns (uint256)'
+]
+
+function statePath (networkName = network.name) {
+  return path.join(__dirname, '..', '..', 'deployments', 'points', `${networkName}.json`)
+}
+
+function readState (file = statePath()) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+}
+
+function writeState (state, file = statePath()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n')
+}
+
+function cofiState (state, cofi) {
+  if (!state[cofi]) {
+    state[cofi] = { fromBlock: 0, holders: [], captured: {} }
+  }
+  return state[cofi]
+}
+
+/**
+ * Adds recipients of 'cofi' Transfer events since the last sync to the state's holders.
+ * @param startBlock    Block to scan from on the first sync (e.g. the token's deploy block).
+ * @param blockRange    Maximum blocks per log query, for RPCs that limit ranges.
+ * @returns             The holders added.
+ */
+async function syncHolders ({ cofi, state, startBlock = 0, toBlock, blockRange = 10000 }) {
+  const entry = cofiState(state, cofi)
+  const token = new ethers.Contract(cofi, COFI_ABI, ethers.provider)
+  if (toBlock === undefined) toBlock = await ethers.provider.getBlockNumber()
+
+  const known = new Set(entry.holders)
+  const added = []
+  for (let from = Math.max(entry.fromBlock, startBlock); from <= toBlock; from += blockRange) {
+    const to = Math.min(from + blockRange - 1, toBlock)
+    for (const event of await token.queryFilter(token.filters.Transfer(), from, to)) {
+      const holder = event.args.to
+      if (holder !== ethers.ZeroAddress && !known.has(holder)) {
+        known.add(holder)
+        added.push(holder)
+      }
+    }
+  }
+  entry.holders.push(...added)
+  entry.fromBlock = Math.max(entry.fromBlock, toBlock + 1)
+  return added
+}
+
+/**
+ * Checks each holder's capture against current 'getYieldEarned' and 'getYieldPoints'.
+ * @returns [{ account, yield, points, captured }], 'captured' being false where a capture is
+ *          outstanding. Holders that have earned no yield and were never captured need none.
+ */
+async function verifyCapture ({ cofiMoney, cofi, state, blockTag = 'latest' }) {
+  const entry = cofiState(state, cofi)
+  const token = new ethers.Contract(cofi, COFI_ABI, ethers.provider)
+
+  const status = []
+  for (const account of entry.holders) {
+    const yield_ = await token.getYieldEarned(account, { blockTag })
+    const points = await cofiMoney.getYieldPoints(account, [cofi], { blockTag })
+    const record = entry.captured[account]
+    status.push({
+      account,
+      yield: yield_,
+      points,
+      captured: record
+        ? BigInt(record.yield) === yield_ && BigInt(record.points) === points
+        : yield_ === 0n
+    })
+  }
+  return status
+}
+
+// Largest prefix of 'accounts' (up to 'batchSize') whose capture gas estimate fits 'maxGas'.
+async function fitBatch ({ cofiMoney, cofi, signer, accounts, maxGas, batchSize }) {
+  let size = Math.min(batchSize, accounts.length)
+  for (;;) {
+    const gas = await cofiMoney.connect(signer).captureYieldPoints.estimateGas(accounts.slice(0, size), cofi)
+    if (gas <= maxGas) return { batch: accounts.slice(0, size), gas }
+    if (size === 1) throw Error(`Capturing a single account needs ${gas} gas, above maxGas ${maxGas}`)
+    // Scale down by the overshoot, always shrinking by at least one.
+    size = Math.max(1, Math.min(size - 1, Number(BigInt(size) * BigInt(maxGas) / gas)))
+  }
+}
+
+/**
+ * Syncs holders, then captures yield points for every holder with an outstanding capture.
+ * @param cofiMoney     COFIMoney contract.
+ * @param cofi          Cofi token address.
+ * @param signer        Signer sending 'captureYieldPoints' transactions.
+ * @param state         State object (see 'readState()'), updated in place.
+ * @param save          Called with 'state' after every batch, e.g. to write the state file.
+ * @param maxGas        Gas limit per batch.
+ * @param batchSize     Maximum accounts per batch.
+ * @param maxBatches    Stops after this many batches (0 for no limit).
+ * @param startBlock    Passed to 'syncHolders()'.
+ * @param log           Logging function (default console.log).
+ * @returns             { holders, batches: [{ accounts, gas, tx }], remaining }, where
+ *                      'remaining' lists accounts still outstanding after verification.
+ */
+async function captureYieldPoints ({
+  cofiMoney,
+  cofi,
+  signer,
+  state,
+  save = () => {},
+  maxGas = 5000000n,
+  batchSize = 500,
+  maxBatches = 0,
+  startBlock = 0,
+  log = console.log
+}) {
+  const entry = cofiState(state, cofi)
+  const added = await syncHolders({ cofi, state, startBlock })
+  log(`${cofi}: ${entry.holders.length} holder(s), ${added.length} new`)
+  save(state)
+
+  let pending = (await verifyCapture({ cofiMoney, cofi, state }))
+    .filter(holder => !holder.captured)
+    .map(holder => holder.account)
+  log(`${cofi}: ${pending.length} holder(s) to capture`)
+
+  const batches = []
+  while (pending.length > 0 && (maxBatches === 0 || batches.length < maxBatches)) {
+    const { batch, gas } = await fitBatch({
+      cofiMoney,
+      cofi,
+      signer,
+      accounts: pending,
+      maxGas: BigInt(maxGas),
+      batchSize
+    })
+    const tx = await cofiMoney.connect(signer).captureYieldPoints(batch, cofi)
+    const receipt = await tx.wait()
+
+    // Read at the capture block, as the state may have moved on since.
+    for (const holder of await verifyCapture({
+      cofiMoney,
+      cofi,
+      state: { [cofi]: { holders: batch, captured: {} } },
+      blockTag: receipt.blockNumber
+    })) {
+      entry.captured[holder.account] = {
+        yield: holder.yield.toString(),
+        points: holder.points.toString(),
+        block: receipt.blockNumber
+      }
+    }
+    save(state)
+
+    batches.push({ accounts: batch, gas, tx: tx.hash })
+    log(`${cofi}: captured ${batch.length} holder(s) (${gas} gas estimated) in ${tx.hash}`)
+    pending = pending.slice(batch.length)
+  }
+
+  const remaining = (await verifyCapture({ cofiMoney, cofi, state }))
+    .filter(holder => !holder.captured)
+    .map(holder => holder.account)
+  log(`${cofi}: ${remaining.length === 0 ? 'capture complete' : `${remaining.length} holder(s) outstanding`}`)
+  return { holders: entry.holders, batches, remaining }
+}
+
+module.exports = {
+  statePath,
+  readState,
+  writeState,
+  syncHolders,
+  verifyCapture,
+  captureYieldPoints
+}
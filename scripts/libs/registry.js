@@ -0,0 +1,130 @@
+/* global ethers network */
+
+const fs = require('fs')
+const path = require('path')
+
+/*
+ * Per-network deployment registry, stored at deployments/<network>.json:
+ *
+ * {
+ *   "contracts": {
+ *     "coUSD": { "contract", "address", "txHash", "block", "args", "bytecodeHash" },
+ *     "COFIMoney": { "contract": "Diamond", "abi": "COFIMoney", ... }
+ *   },
+ *   "steps": { "<target>.<method>(<args>)": "<txHash>" }
+ * }
+ *
+ * Deploy scripts write entries with deployContract()/recordContract(), operational scripts read
+ * them by name with getAddress()/getContract(). 'steps' is used by the manifest runner to track
+ * post-deploy transactions. Every function takes an optional file, defaulting to the registry
+ * of the network hardhat is connected to; pass registryPath('<network>') to read another chain.
+ * Registries of live networks are committed, local ones (hardhat, localhost) are git-ignored.
+ */
+
+function registryPath (networkName = network.name) {
+  return path.join(__dirname, '..', '..', 'deployments', `${networkName}.json`)
+}
+
+function readRegistry (file = registryPath()) {
+  if (!fs.existsSync(file)) {
+    return { contracts: {}, steps: {} }
+  }
+  const registry = JSON.parse(fs.readFileSync(file, 'utf8'))
+  return { contracts: registry.contracts || {}, steps: registry.steps || {} }
+}
+
+function writeRegistry (registry, file = registryPath()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + '\n')
+}
+
+// Constructor args are stored as JSON, so bigints are written as strings.
+function serializeArgs (args) {
+  return JSON.parse(JSON.stringify(args, (_, v) => typeof v === 'bigint' ? v.toString() : v))
+}
+
+function getEntry (name, file = registryPath()) {
+  const entry = readRegistry(file).contracts[name]
+  if (!entry) {
+    throw Error(`'${name}' is not in ${path.relative(process.cwd(), file)}.`)
+  }
+  return entry
+}
+
+function getAddress (name, file) {
+  return getEntry(name, file).address
+}
+
+// Accepts either a registry name or a literal address.
+function resolveAddress (nameOrAddress, file) {
+  return ethers.isAddress(nameOrAddress) ? ethers.getAddress(nameOrAddress) : getAddress(nameOrAddress, file)
+}
+
+async function getContract (name, signer, file) {
+  const entry = getEntry(name, file)
+  return ethers.getContractAt(entry.abi || entry.contract, entry.address, signer)
+}
+
+// Records a contract deployed outside of deployContract(), e.g. by an earlier script.
+function recordContract ({ name, contract, abi, address, file = registryPath() }) {
+  const registry = readRegistry(file)
+  const entry = registry.contracts[name]
+  if (entry && entry.address === address && entry.contract === contract) {
+    return entry
+  }
+  registry.contracts[name] = { contract, ...(abi && { abi }), address }
+  writeRegistry(registry, file)
+  return registry.contracts[name]
+}
+
+/*
+ * Deploys 'contract' and records it under 'name'. 'abi' is the artifact getContract() should use
+ * if it differs from the deployed contract, as for the diamond.
+ * Skips the deployment if the registry already holds a live contract with the same bytecode
+ * hash and constructor args, returning { contract, address, deployed: false }.
+ */
+async function deployContract ({ name, contract, abi, args = [], signer, file = registryPath() }) {
+  const factory = await ethers.getContractFactory(contract, signer)
+  const bytecodeHash = ethers.keccak256(factory.bytecode)
+  const serialized = serializeArgs(args)
+
+  const registry = readRegistry(file)
+  const entry = registry.contracts[name]
+  if (
+    entry &&
+    entry.bytecodeHash === bytecodeHash &&
+    JSON.stringify(entry.args) === JSON.stringify(serialized) &&
+    await ethers.provider.getCode(entry.address) !== '0x'
+  ) {
+    console.log(`${name} unchanged: ${entry.address}`)
+    return { contract: factory.attach(entry.address), address: entry.address, deployed: false }
+  }
+
+  const instance = await factory.deploy(...args)
+  const receipt = await instance.deploymentTransaction().wait()
+  const address = await instance.getAddress()
+  registry.contracts[name] = {
+    contract,
+    ...(abi && { abi }),
+    address,
+    txHash: receipt.hash,
+    block: receipt.blockNumber,
+    args: serialized,
+    bytecodeHash
+  }
+  writeRegistry(registry, file)
+  console.log(`${name} deployed: ${address}`)
+  return { contract: instance, address, deployed: true }
+}
+
+module.exports = {
+  registryPath,
+  readRegistry,
+  writeRegistry,
+  serializeArgs,
+  getAddress,
+  resolveAddress,
+  getContract,
+  recordContract,
+  deployContract
+}
@@ -0,0 +1,47 @@
+const { Interface } = require('ethers')
+
+/*
+ * Revert reasons of failed calls, for scripts reporting why a transaction (or its simulation)
+ * would fail. sdk/preflight.js re-exports decodeRevert, so this module requires ethers itself
+ * instead of using the hardhat global.
+ */
+
+const ERROR_STRING = '0x08c379a0'
+const PANIC = '0x4e487b71'
+
+// Custom errors swap routers may bubble up through the diamond.
+const ROUTER_ERRORS = new Interface([
+  'error Expired()',
+  'error InsufficientOutputAmount()',
+  'error InvalidPath()'
+])
+
+/**
+ * Decodes the revert reason of a failed call: the Error(string) message, 'Panic(<code>)', the
+ * name of a known custom error, or the raw revert data.
+ * @param err     Error thrown by ethers.
+ * @param iface   Optional Interface to look up custom errors in.
+ */
+function decodeRevert (err, iface) {
+  const data = err.data || (err.info && err.info.error && err.info.error.data)
+  if (typeof data === 'string' && data.length >= 10) {
+    const selector = data.slice(0, 10)
+    if (selector === ERROR_STRING) {
+      return Interface.from(['error Error(string)']).decodeErrorResult('Error', data)[0]
+    }
+    if (selector === PANIC) {
+      return `Panic(${Interface.from(['error Panic(uint256)']).decodeErrorResult('Panic', data)[0]})`
+    }
+    for (const errors of [iface, ROUTER_ERRORS]) {
+      const parsed = errors && errors.parseError(data)
+      if (parsed) return parsed.name
+    }
+    return data
+  }
+  if (err.reason) return err.reason
+  return err.shortMessage || err.message
+}
+
+module.exports = {
+  decodeRevert
+}
@@ -0,0 +1,293 @@
+/* global ethers artifacts */
+
+const { readRegistry, registryPath } = require('./registry.js')
+const { readBaseline } = require('./storageLayout.js')
+
+/*
+ * Role and permission audit over every contract in a registry.
+ *
+ * Most role maps emit no events and are private, so holders are found by checking candidate
+ * accounts against storage. Slots come from the solc storageLayout output of each contract
+ * (storage/AppStorage.json for the diamond), so private maps, e.g. 'admin' on COFIRebasingToken
+ * or 'authorized' on YearnV2, read the same as public ones. Candidates are:
+ *   - every registry address and the given 'accounts',
+ *   - the holders of address roles (owner(), pendingOwner(), 'app', 'manager', AppStorage
+ *     'owner' and 'backupOwner'),
+ *   - both accounts of every ownership event since the contract's registry block, and the
+ *     account of every RoleUpdated event (the diamond, see LibRole),
+ *   - with 'scanTxs', the account passed to every role setter sent directly to an audited
+ *     contract. Calls made through a Safe or another contract are internal, so not seen.
+ *
+ * Flags:
+ *   eoa-owner        an owner role held by an account without code, rather than a multisig.
+ *   owner-not-admin  AppStorage 'owner' or 'backupOwner' without 'isAdmin'. setAdmin() in
+ *                    AccountManagerFacet keeps owners admin, but diamonds cut with an earlier
+ *                    facet, whose check never fired, may have revoked it.
+ *   stale            a role held by a contract neither in the registry nor in 'accounts' (e.g. a
+ *                    replaced diamond or optimizer), or by a previous owner of the contract.
+ *   unrestricted     'authorizedEnabled' is 0, so 'authorized' is not enforced.
+ */
+
+// State variables audited on every contract declaring them.
+const ROLE_MAPPINGS = ['admin', 'authorized', 'authorizedTransmitter']
+const ROLE_ADDRESSES = ['app', 'manager']
+
+// AppStorage variables audited on the diamond, reported as 's.<name>'.
+const APP_MAPPINGS = ['isAdmin', 'isWhitelister', 'isUpkeep']
+const APP_ADDRESSES = ['owner', 'backupOwner']
+
+const OWNER_ROLES = ['owner', 'pendingOwner', 's.owner', 's.backupOwner']
+
+// Functions whose first argument gains (or loses) a role, for 'scanTxs'.
+const ROLE_SETTERS = ['setAdmin', 'setAuthorized', 'setAuthorizedTransmitter', 'setUpkeep', 'setApp', 'transferOwnership']
+
+// Ownable/Ownable2Step, LibDiamond and Chainlink's ConfirmedOwner (the bridges), then LibRole.
+const HISTORY_EVENTS = [
+  'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+  'event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)',
+  'event OwnershipTransferRequested(address indexed from, address indexed to)',
+  'event RoleUpdated(uint8 indexed role, address indexed account, uint8 enabled)'
+]
+
+function mappingSlot (key, slot) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [key, slot]))
+}
+
+async function readStorage (address, slot, offset, bytes) {
+  const word = BigInt(await ethers.provider.getStorage(address, slot))
+  return (word >> BigInt(offset * 8)) & ((1n << BigInt(bytes * 8)) - 1n)
+}
+
+// { label: { slot, offset, type } } of the state variables of 'contract', from the solc storageLayout output.
+async function stateVariables (contract) {
+  const { sourceName, contractName } = await artifacts.readArtifact(contract)
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`)
+  const { storageLayout } = buildInfo.output.contracts[sourceName][contractName]
+  if (!storageLayout) {
+    throw Error('No storageLayout in the solc output. Recompile with outputSelection from hardhat.config.js.')
+  }
+  const variables = {}
+  for (const { label, slot, offset, type } of storageLayout.storage) {
+    variables[label] = { slot, offset, type: storageLayout.types[type].label }
+  }
+  return variables
+}
+
+/**
+ * Roles of a registry entry, as { mappings: [{ role, slot }], addresses: [{ role, slot, offset }],
+ * getters: [role], enabled? } where 'getters' are owner()/pendingOwner() and 'enabled' the slot
+ * of 'authorizedEnabled'.
+ */
+async function roleSpec (entry) {
+  const spec = { mappings: [], addresses: [], getters: [] }
+  const abi = new ethers.Interface((await artifacts.readArtifact(entry.abi || entry.contract)).abi)
+  for (const getter of ['owner', 'pendingOwner']) {
+    const fragment = abi.getFunction(getter)
+    if (fragment && fragment.inputs.length === 0) spec.getters.push(getter)
+  }
+
+  if (entry.abi === 'COFIMoney') {
+    for (const { path, slot, offset } of readBaseline()) {
+      if (APP_MAPPINGS.includes(path)) spec.mappings.push({ role: `s.${path}`, slot })
+      if (APP_ADDRESSES.includes(path)) spec.addresses.push({ role: `s.${path}`, slot, offset })
+    }
+    return spec
+  }
+
+  const variables = await stateVariables(entry.contract)
+  for (const [label, { slot, offset, type }] of Object.entries(variables)) {
+    if (ROLE_MAPPINGS.includes(label) && /^mapping\(address => (uint8|bool)\)$/.test(type)) {
+      spec.mappings.push({ role: label, slot })
+    } else if (ROLE_ADDRESSES.includes(label) && type === 'address') {
+      spec.addresses.push({ role: label, slot, offset })
+    } else if (label === 'authorizedEnabled') {
+      spec.enabled = variables[label]
+    }
+  }
+  return spec
+}
+
+// Accounts of the ownership and role events of 'address', as { accounts, previousOwners }.
+async function roleHistory (address, fromBlock, toBlock, blockRange) {
+  const iface = new ethers.Interface(HISTORY_EVENTS)
+  const topics = []
+  iface.forEachEvent(fragment => topics.push(fragment.topicHash))
+  const accounts = new Set()
+  const previousOwners = new Set()
+  for (let from = fromBlock; from <= toBlock; from += blockRange) {
+    const logs = await ethers.provider.getLogs({
+      address,
+      fromBlock: from,
+      toBlock: Math.min(from + blockRange - 1, toBlock),
+      topics: [topics]
+    })
+    for (const log of logs) {
+      const { name, args } = iface.parseLog(log)
+      if (name === 'RoleUpdated') {
+        accounts.add(args.account)
+        continue
+      }
+      accounts.add(args[0])
+      accounts.add(args[1])
+      if (name === 'OwnershipTransferred') previousOwners.add(args[0])
+    }
+  }
+  accounts.delete(ethers.ZeroAddress)
+  previousOwners.delete(ethers.ZeroAddress)
+  return { accounts, previousOwners }
+}
+
+// Accounts passed to ROLE_SETTERS in transactions sent to 'contracts' ({ address: Interface }).
+async function scanSetters (contracts, fromBlock, toBlock) {
+  const accounts = new Set()
+  for (let number = fromBlock; number <= toBlock; number++) {
+    const block = await ethers.provider.getBlock(number, true)
+    for (const tx of block.prefetchedTransactions) {
+      const iface = tx.to && contracts[tx.to]
+      const parsed = iface && iface.parseTransaction({ data: tx.data })
+      if (parsed && ROLE_SETTERS.includes(parsed.name) && parsed.fragment.inputs[0].type === 'address') {
+        accounts.add(parsed.args[0])
+      }
+    }
+  }
+  return accounts
+}
+
+/**
+ * @param file        Registry to audit (default: the network's).
+ * @param accounts    Extra candidate accounts, e.g. multisigs and keepers. Also never 'stale'.
+ * @param scanTxs     Also scan every block since the registry's first for role setter calls.
+ * @param blockRange  Maximum blocks per log query.
+ * @returns { contracts: [{ name, address, roles, unrestricted }],
+ *            holders: [{ account, name, eoa, roles: { contractName: [role] } }],
+ *            flags: [{ account, contract, role, flag, reason }] }
+ */
+async function auditRoles ({ file = registryPath(), accounts = [], scanTxs = false, blockRange = 10000 } = {}) {
+  const registry = readRegistry(file)
+  const names = {}
+  for (const [name, entry] of Object.entries(registry.contracts)) {
+    names[ethers.getAddress(entry.address)] = name
+  }
+  const known = new Set(accounts.map(a => ethers.getAddress(a)))
+  const toBlock = await ethers.provider.getBlockNumber()
+
+  const contracts = []
+  const candidates = new Set([...Object.keys(names), ...known])
+  for (const [name, entry] of Object.entries(registry.contracts)) {
+    // No artifact, e.g. a contract recorded from another repo.
+    if (!await artifacts.artifactExists(entry.abi || entry.contract)) continue
+    const spec = await roleSpec(entry)
+    if (spec.mappings.length + spec.addresses.length + spec.getters.length === 0) continue
+
+    const address = ethers.getAddress(entry.address)
+    const contract = { name, address, entry, spec, singles: {}, roles: [] }
+    contract.roles = [...spec.getters, ...spec.addresses.map(a => a.role), ...spec.mappings.map(m => m.role)]
+    for (const getter of spec.getters) {
+      const instance = new ethers.Contract(address, [`function ${getter}() view returns (address)`], ethers.provider)
+      contract.singles[getter] = await instance[getter]()
+    }
+    for (const { role, slot, offset } of spec.addresses) {
+      contract.singles[role] = ethers.getAddress(ethers.toBeHex(await readStorage(address, slot, offset, 20), 20))
+    }
+    if (spec.enabled) {
+      contract.unrestricted = await readStorage(address, spec.enabled.slot, spec.enabled.offset, 1) === 0n
+    }
+    const history = await roleHistory(address, entry.block || 0, toBlock, blockRange)
+    contract.previousOwners = history.previousOwners
+    for (const account of [...Object.values(contract.singles), ...history.accounts]) {
+      if (account !== ethers.ZeroAddress) candidates.add(account)
+    }
+    contracts.push(contract)
+  }
+
+  if (scanTxs) {
+    const interfaces = {}
+    for (const { address, entry } of contracts) {
+      interfaces[address] = new ethers.Interface((await artifacts.readArtifact(entry.abi || entry.contract)).abi)
+    }
+    const fromBlock = Math.min(...contracts.map(c => c.entry.block || 0))
+    for (const account of await scanSetters(interfaces, fromBlock, toBlock)) {
+      if (account !== ethers.ZeroAddress) candidates.add(account)
+    }
+  }
+
+  const holders = []
+  for (const account of candidates) {
+    const roles = {}
+    for (const { name, address, spec, singles } of contracts) {
+      const held = Object.keys(singles).filter(role => singles[role] === account)
+      for (const { role, slot } of spec.mappings) {
+        if (await readStorage(address, mappingSlot(account, slot), 0, 1) > 0n) held.push(role)
+      }
+      if (held.length > 0) roles[name] = held
+    }
+    if (Object.keys(roles).length > 0) {
+      const eoa = await ethers.provider.getCode(account) === '0x'
+      holders.push({ account, name: names[account], eoa, roles })
+    }
+  }
+
+  const flags = []
+  const flag = (holder, contract, role, kind, reason) =>
+    flags.push({ account: holder.account, contract, role, flag: kind, reason })
+  for (const holder of holders) {
+    for (const [name, roles] of Object.entries(holder.roles)) {
+      const { previousOwners, singles } = contracts.find(c => c.name === name)
+      for (const role of roles) {
+        if (holder.eoa && OWNER_ROLES.includes(role)) {
+          flag(holder, name, role, 'eoa-owner', 'owner role held by an EOA')
+        }
+        if (!holder.eoa && !holder.name && !known.has(holder.account)) {
+          flag(holder, name, role, 'stale', 'contract not in the registry')
+        } else if (previousOwners.has(holder.account) && singles.owner !== holder.account && role !== 'pendingOwner') {
+          flag(holder, name, role, 'stale', 'previous owner')
+        }
+      }
+      for (const role of ['s.owner', 's.backupOwner']) {
+        if (roles.includes(role) && !roles.includes('s.isAdmin')) {
+          flag(holder, name, role, 'owner-not-admin', 'not s.isAdmin')
+        }
+      }
+    }
+  }
+  for (const { name, unrestricted } of contracts) {
+    if (unrestricted) {
+      flags.push({ account: ethers.ZeroAddress, contract: name, role: 'authorized', flag: 'unrestricted', reason: 'authorizedEnabled is 0' })
+    }
+  }
+
+  return {
+    contracts: contracts.map(({ name, address, roles, unrestricted }) => ({ name, address, roles, unrestricted: !!unrestricted })),
+    holders,
+    flags
+  }
+}
+
+// Matrix of holders (rows) by contract (columns), followed by the flags.
+function formatAudit ({ contracts, holders, flags }) {
+  const label = account => {
+    const holder = holders.find(h => h.account === account)
+    const name = holder && holder.name ? ` (${holder.name})` : ''
+    return `${account}${name}${holder && holder.eoa ? ' EOA' : ''}`
+  }
+  const rows = [['account', ...contracts.map(c => c.name)]]
+  for (const holder of holders) {
+    rows.push([label(holder.account), ...contracts.map(c => (holder.roles[c.name] || []).join(','))])
+  }
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)))
+  const lines = rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd())
+
+  if (flags.length > 0) {
+    lines.push('', 'Flags')
+    for (const f of flags) {
+      const account = f.account === ethers.ZeroAddress ? '' : ` ${label(f.account)}`
+      lines.push(`  ! ${f.flag}${account} ${f.contract}.${f.role}: ${f.reason}`)
+    }
+  }
+  return lines.join('\n')
+}
+
+module.exports = {
+  auditRoles,
+  formatAudit
+}
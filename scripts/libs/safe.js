@@ -0,0 +1,190 @@
+/* global ethers artifacts */
+
+const fs = require('fs')
+const { readRegistry } = require('./registry.js')
+const { compiledFacets } = require('./diamondDiff.js')
+
+/*
+ * Safe Transaction Builder batches, for admin roles held by a multisig.
+ *
+ * Admin tasks run with '--export safe' collect their transactions with createBatch() and write
+ * them with writeBatch() instead of sending them. The file can be loaded in the Safe{Wallet}
+ * Transaction Builder app ("Load batch") and is checksummed the way the app does, so it is
+ * flagged if edited by hand.
+ *
+ * decodeBatch() works offline: calls to the diamond are matched to the facet declaring the
+ * selector through the compiled artifacts in contracts/diamond, calls to other contracts through
+ * the registry entry of their address, if any.
+ */
+
+const TX_BUILDER_VERSION = '1.16.1'
+
+function createBatch () {
+  const transactions = []
+  return {
+    transactions,
+    // Encodes 'method' on 'contract' instead of calling it.
+    async add (contract, method, args = []) {
+      transactions.push({
+        to: await contract.getAddress(),
+        value: '0',
+        data: contract.interface.encodeFunctionData(method, args),
+        contractMethod: null,
+        contractInputsValues: null
+      })
+    }
+  }
+}
+
+// Port of the Transaction Builder's 'serializeJSONObject': objects as '{["k1","k2"]v1,v2,}' with
+// sorted keys, arrays as '[v1,v2]' and undefined as null.
+function serialize (value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(serialize).join(',')}]`
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).sort()
+    return `{${JSON.stringify(keys)}${keys.map(key => `${serialize(value[key])},`).join('')}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+// Checksum over the batch without its name and checksum.
+function batchChecksum (batch) {
+  const meta = { ...batch.meta, name: null }
+  delete meta.checksum
+  return ethers.id(serialize({ ...batch, meta }))
+}
+
+/**
+ * @param transactions  From createBatch().
+ * @param safe          Address of the Safe that will execute the batch.
+ * @param chainId       Chain id the batch is for.
+ */
+function toBatchFile ({ transactions, safe, chainId, name = 'Transactions Batch', description = '' }) {
+  const batch = {
+    version: '1.0',
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safe,
+      createdFromOwnerAddress: ''
+    },
+    transactions
+  }
+  batch.meta.checksum = batchChecksum(batch)
+  return batch
+}
+
+async function writeBatch ({ file, transactions, safe, description }) {
+  const { chainId } = await ethers.provider.getNetwork()
+  const batch = toBatchFile({ transactions, safe, chainId, description })
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + '\n')
+  console.log(`${transactions.length} transaction(s) for Safe ${safe} written to ${file}`)
+  return batch
+}
+
+// { lowercase address: registry name }
+function registryNames (file) {
+  const names = {}
+  for (const [name, entry] of Object.entries(file ? readRegistry(file).contracts : {})) {
+    names[entry.address.toLowerCase()] = name
+  }
+  return names
+}
+
+// { selector: { facet, fragment } } for every facet under contracts/diamond.
+async function facetSelectors () {
+  const selectors = {}
+  for (const { facet, abi } of await compiledFacets()) {
+    new ethers.Interface(abi).forEachFunction(fragment => {
+      selectors[fragment.selector] = { facet, fragment }
+    })
+  }
+  return selectors
+}
+
+/**
+ * Decodes every transaction of 'batch'.
+ * @param registryFile  Registry to name addresses with, e.g. registryPath('optimisticEthereum').
+ * @returns [{ to, target, contract, method, args: [{ name, type, value }], value, data? }]
+ *          where 'data' is only set if the call could not be decoded.
+ */
+async function decodeBatch (batch, registryFile) {
+  const contracts = registryFile ? readRegistry(registryFile).contracts : {}
+  const names = registryNames(registryFile)
+  const selectors = await facetSelectors()
+
+  const decoded = []
+  for (const tx of batch.transactions) {
+    const name = names[tx.to.toLowerCase()]
+    const entry = name && contracts[name]
+    const selector = tx.data.slice(0, 10)
+    let contract
+    let fragment
+    // Registry entries for the diamond have 'abi' COFIMoney, so fall through to the facets.
+    if (entry && !entry.abi && await artifacts.artifactExists(entry.contract)) {
+      const iface = new ethers.Interface((await artifacts.readArtifact(entry.contract)).abi)
+      fragment = iface.getFunction(selector)
+      contract = entry.contract
+    }
+    if (!fragment && selectors[selector]) {
+      ({ facet: contract, fragment } = selectors[selector])
+    }
+
+    const result = { to: tx.to, target: name || tx.to, value: tx.value }
+    if (!fragment) {
+      decoded.push({ ...result, data: tx.data })
+      continue
+    }
+    const values = ethers.AbiCoder.defaultAbiCoder().decode(fragment.inputs, ethers.dataSlice(tx.data, 4))
+    decoded.push({
+      ...result,
+      contract,
+      method: fragment.name,
+      args: fragment.inputs.map((input, i) => ({ name: input.name, type: input.type, value: values[i] }))
+    })
+  }
+  return decoded
+}
+
+function formatValue (value, names) {
+  if (Array.isArray(value)) {
+    return `[${value.map(v => formatValue(v, names)).join(', ')}]`
+  }
+  if (typeof value === 'string' && ethers.isAddress(value) && names[value.toLowerCase()]) {
+    return `${value} (${names[value.toLowerCase()]})`
+  }
+  return value.toString()
+}
+
+// Pretty-prints decodeBatch() output, naming addresses found in the registry.
+function formatDecoded (decoded, registryFile) {
+  const names = registryNames(registryFile)
+  const lines = []
+  decoded.forEach((tx, i) => {
+    const target = tx.target === tx.to ? tx.to : `${tx.target} (${tx.to})`
+    const value = tx.value && tx.value !== '0' ? ` value ${tx.value}` : ''
+    if (!tx.method) {
+      lines.push(`${i + 1}. ${target}${value}: unknown call ${tx.data}`)
+      return
+    }
+    lines.push(`${i + 1}. ${target} ${tx.contract}.${tx.method}${value}`)
+    for (const arg of tx.args) {
+      lines.push(`     ${arg.name || '_'} (${arg.type}): ${formatValue(arg.value, names)}`)
+    }
+  })
+  return lines.join('\n')
+}
+
+module.exports = {
+  createBatch,
+  batchChecksum,
+  toBatchFile,
+  writeBatch,
+  decodeBatch,
+  formatDecoded
+}
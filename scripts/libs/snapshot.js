@@ -0,0 +1,195 @@
+/* global ethers */
+
+/*
+ * Builds a JSON snapshot of the COFIMoney diamond's AppStorage by calling every getter on
+ * SupplyManagerFacet, SwapManagerFacet, VaultManagerFacet, AccountManagerFacet and
+ * PointsManagerFacet for the given cofi tokens, underlyings and accounts.
+ *
+ * backupOwner and migrationEnabled have no getters, so are not included.
+ * Numbers are written as strings. Every getter is called at the same block. Getters that revert
+ * (e.g. getUnderlying for a cofi token without a vault) are recorded as null, any other error
+ * (e.g. from the RPC) is thrown so that a snapshot is never silently missing values.
+ */
+
+const SWAP_PROTOCOLS = ['NonExistent', 'SwapV2', 'SwapV3']
+
+function toJSON (value) {
+  if (typeof value === 'bigint') {
+    return value.toString()
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJSON)
+  }
+  return value
+}
+
+async function symbolOf (address, blockTag) {
+  const token = new ethers.Contract(address, ['function symbol() view returns (string)'], ethers.provider)
+  try {
+    return await token.symbol({ blockTag })
+  } catch (err) {
+    // E.g. a bytes32 symbol.
+    if (ethers.isError(err, 'CALL_EXCEPTION') || ethers.isError(err, 'BAD_DATA')) {
+      return address
+    }
+    throw err
+  }
+}
+
+async function tryCall (fn, args, blockTag) {
+  try {
+    return toJSON(await fn(...args, { blockTag }))
+  } catch (err) {
+    if (ethers.isError(err, 'CALL_EXCEPTION')) {
+      return null
+    }
+    throw err
+  }
+}
+
+/**
+ * @param cofiMoney     COFIMoney contract (diamond address with the combined facet ABI).
+ * @param cofi          { name: address } of cofi tokens.
+ * @param underlyings   { name: address } of underlying tokens. Underlyings of each cofi token
+ *                      are added automatically.
+ * @param accounts      { name: address } of accounts to report roles and rewards for. The owner
+ *                      and fee collector are added automatically.
+ * @param block         Block number to read at (default: latest).
+ */
+async function snapshot ({ cofiMoney, cofi = {}, underlyings = {}, accounts = {}, block }) {
+  const snap = {
+    diamond: await cofiMoney.getAddress(),
+    block: block === undefined ? await ethers.provider.getBlockNumber() : block,
+    global: {},
+    cofi: {},
+    underlyings: {},
+    swaps: {},
+    accounts: {}
+  }
+  const call = (fn, ...args) => tryCall(fn, args, snap.block)
+
+  snap.global = {
+    owner: await call(cofiMoney.owner),
+    feeCollector: await call(cofiMoney.getFeeCollector),
+    defaultSlippage: await call(cofiMoney.getDefaultSlippage),
+    defaultWait: await call(cofiMoney.getDefaultWait),
+    initReward: await call(cofiMoney.getInitReward),
+    referReward: await call(cofiMoney.getReferReward)
+  }
+
+  underlyings = { ...underlyings }
+  for (const [name, address] of Object.entries(cofi)) {
+    const vault = await call(cofiMoney.getVault, address)
+    const underlying = await call(cofiMoney.getUnderlying, address)
+    snap.cofi[name] = {
+      address,
+      decimals: await call(cofiMoney.getDecimals, address),
+      vault,
+      vaultDecimals: vault && await call(cofiMoney.getDecimals, vault),
+      harvestable: vault && await call(cofiMoney.getHarvestable, vault),
+      underlying,
+      minDeposit: await call(cofiMoney.getMinDeposit, address),
+      minWithdraw: await call(cofiMoney.getMinWithdraw, address),
+      mintFee: await call(cofiMoney.getMintFee, address),
+      mintEnabled: await call(cofiMoney.getMintEnabled, address),
+      redeemFee: await call(cofiMoney.getRedeemFee, address),
+      redeemEnabled: await call(cofiMoney.getRedeemEnabled, address),
+      serviceFee: await call(cofiMoney.getServiceFee, address),
+      supplyLimit: await call(cofiMoney.getSupplyLimit, address),
+      rateLimit: await call(cofiMoney.getRateLimit, address),
+      rebasePublic: await call(cofiMoney.getRebasePublic, address),
+      pointsRate: await call(cofiMoney.getPointsRate, address)
+    }
+    if (underlying && !Object.values(underlyings).includes(underlying)) {
+      underlyings[await symbolOf(underlying, snap.block)] = underlying
+    }
+  }
+
+  const addresses = Object.values(underlyings)
+  for (const [name, address] of Object.entries(underlyings)) {
+    const supportedSwaps = await call(cofiMoney.getSupportedSwaps, address) || []
+    snap.underlyings[name] = {
+      address,
+      decimals: await call(cofiMoney.getDecimals, address),
+      buffer: await call(cofiMoney.getBuffer, address),
+      priceFeed: await call(cofiMoney.getPriceFeed, address),
+      supportedSwaps
+    }
+
+    // Routes to every other known underlying, plus anything listed as a supported swap.
+    const pairs = [...new Set([...addresses, ...supportedSwaps])].filter(to => to !== address)
+    for (const to of pairs) {
+      const toName = Object.keys(underlyings).find(key => underlyings[key] === to) || to
+      const protocol = await call(cofiMoney.getSwapProtocol, address, to)
+      const routeV2 = await call(cofiMoney.getSwapRouteV2, address, to)
+      snap.swaps[`${name}/${toName}`] = {
+        protocol: protocol === null ? null : SWAP_PROTOCOLS[Number(protocol)],
+        routeV2: routeV2 && { mid: routeV2[0], stable: routeV2[1] },
+        routeV3: await call(cofiMoney.getSwapRouteV3, address, to),
+        slippage: await call(cofiMoney.getSlippage, address, to),
+        wait: await call(cofiMoney.getWait, address, to)
+      }
+    }
+  }
+
+  accounts = { owner: snap.global.owner, feeCollector: snap.global.feeCollector, ...accounts }
+  const cofiAddresses = Object.values(cofi)
+  for (const [name, address] of Object.entries(accounts)) {
+    if (!address) {
+      continue
+    }
+    const rewardStatus = await call(cofiMoney.getRewardStatus, address)
+    snap.accounts[name] = {
+      address,
+      whitelisted: await call(cofiMoney.getWhitelistStatus, address),
+      admin: await call(cofiMoney.getAdminStatus, address),
+      whitelister: await call(cofiMoney.getWhitelisterStatus, address),
+      upkeep: await call(cofiMoney.getUpkeepStatus, address),
+      rewardStatus: rewardStatus && {
+        initClaimed: rewardStatus[0],
+        referClaimed: rewardStatus[1],
+        referDisabled: rewardStatus[2]
+      },
+      externalPoints: await call(cofiMoney.getExternalPoints, address),
+      points: await call(cofiMoney.getPoints, address, cofiAddresses)
+    }
+  }
+
+  return snap
+}
+
+// Flattens nested objects to { 'cofi.coUSD.mintFee': '10', ... }.
+function flatten (value, prefix = '', out = {}) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, v] of Object.entries(value)) {
+      flatten(v, prefix ? `${prefix}.${key}` : key, out)
+    }
+  } else {
+    out[prefix] = value
+  }
+  return out
+}
+
+/**
+ * Returns [{ path, before, after }] for every value that differs between two snapshots,
+ * including values only present in one of them. The block number is ignored.
+ */
+function diffSnapshots (before, after) {
+  const a = flatten(before)
+  const b = flatten(after)
+  const changes = []
+  for (const path of [...new Set([...Object.keys(a), ...Object.keys(b)])]) {
+    if (path === 'block') {
+      continue
+    }
+    if (JSON.stringify(a[path]) !== JSON.stringify(b[path])) {
+      changes.push({ path, before: a[path], after: b[path] })
+    }
+  }
+  return changes
+}
+
+module.exports = {
+  snapshot,
+  diffSnapshots
+}
@@ -0,0 +1,187 @@
+/* global artifacts */
+
+const fs = require('fs')
+const path = require('path')
+
+/*
+ * AppStorage layout guard for facet upgrades.
+ *
+ * Every facet in contracts/diamond/facets inherits Modifiers, so shares 'AppStorage s' at slot 0
+ * (LibAppStorage.diamondStorage()). appStorageLayout() reads the layout from the solc
+ * storageLayout output (see outputSelection in hardhat.config.js) and flattens it into
+ * { path, slot, offset, type } entries, recursing into structs, mapping values ('[]') and array
+ * elements ('[i]'), e.g. 'rewardStatus[].referClaimed'. Slots of nested entries are relative to
+ * their mapping value or array element. The members of every enum in AppStorage follow as
+ * { path: 'enum <Name>', members } entries.
+ *
+ * compareLayouts() fails an entry of the baseline (storage/AppStorage.json) that was removed,
+ * moved or retyped. Entries appended after the last one of their struct are allowed, unless
+ * they grow a struct stored in an array, which would move every following element. Enum
+ * members may be appended, but not removed, renamed or reordered.
+ * Archived layouts (e.g. Arch_LibAppStorage.sol) are not compiled, so not compared.
+ */
+
+const BASELINE = path.join(__dirname, '..', '..', 'storage', 'AppStorage.json')
+const FACETS_PATH = 'contracts/diamond/facets/'
+
+function flatten (types, typeId, prefix, base, entries) {
+  const type = types[typeId]
+  if (type.members) {
+    for (const member of type.members) {
+      const entry = {
+        path: prefix ? `${prefix}.${member.label}` : member.label,
+        slot: (BigInt(base) + BigInt(member.slot)).toString(),
+        offset: member.offset,
+        type: types[member.type].label
+      }
+      entries.push(entry)
+      flatten(types, member.type, entry.path, entry.slot, entries)
+    }
+  } else if (type.value) {
+    flatten(types, type.value, `${prefix}[]`, '0', entries)
+  } else if (type.base) {
+    flatten(types, type.base, `${prefix}[i]`, '0', entries)
+  }
+  return entries
+}
+
+// { path: 'enum <Name>', members } of each enum in 'types', from the AST of 'buildInfo'.
+function enumEntries (types, buildInfo) {
+  const members = {}
+  const visit = node => {
+    if (Array.isArray(node)) return node.forEach(visit)
+    if (!node || typeof node !== 'object') return
+    if (node.nodeType === 'EnumDefinition') members[node.id] = node.members.map(m => m.name)
+    Object.values(node).forEach(visit)
+  }
+  Object.values(buildInfo.output.sources).forEach(source => visit(source.ast))
+
+  return Object.entries(types)
+    .filter(([typeId]) => typeId.startsWith('t_enum('))
+    .map(([typeId, type]) => ({ path: type.label, members: members[typeId.match(/(\d+)$/)[1]] }))
+    .sort((a, b) => a.path.localeCompare(b.path))
+}
+
+/**
+ * Flattened AppStorage layout, checking every facet declares only 'AppStorage s' at slot 0.
+ * @returns [{ path, slot, offset, type }]
+ */
+async function appStorageLayout () {
+  let layout
+  for (const fqn of await artifacts.getAllFullyQualifiedNames()) {
+    if (!fqn.startsWith(FACETS_PATH) || fqn.slice(FACETS_PATH.length).includes('/')) continue
+    const [source, name] = fqn.split(':')
+    const buildInfo = await artifacts.getBuildInfo(fqn)
+    const { storageLayout } = buildInfo.output.contracts[source][name]
+    if (!storageLayout) {
+      throw Error('No storageLayout in the solc output. Recompile with outputSelection from hardhat.config.js.')
+    }
+    const [s, ...rest] = storageLayout.storage
+    if (!s || s.label !== 's' || s.slot !== '0' || storageLayout.types[s.type].label !== 'struct AppStorage' || rest.length > 0) {
+      throw Error(`${name} must only declare 'AppStorage s' at slot 0 (inherit Modifiers).`)
+    }
+    const flat = [
+      ...flatten(storageLayout.types, s.type, '', '0', []),
+      ...enumEntries(storageLayout.types, buildInfo)
+    ]
+    if (layout && JSON.stringify(flat) !== JSON.stringify(layout)) {
+      throw Error(`${name} was compiled with a different AppStorage.`)
+    }
+    layout = flat
+  }
+  if (!layout) {
+    throw Error(`No facets compiled under ${FACETS_PATH}.`)
+  }
+  return layout
+}
+
+// Path of the struct (or mapping value/array element) an entry belongs to.
+function parentOf (entryPath) {
+  return entryPath.includes('.') ? entryPath.slice(0, entryPath.lastIndexOf('.')) : ''
+}
+
+// Whether the size of the struct at 'parent' is fixed, as it is (or is inlined in) an array element.
+function inArray (parent) {
+  if (parent.endsWith('[i]')) return true
+  if (parent === '' || parent.endsWith('[]')) return false
+  return inArray(parentOf(parent))
+}
+
+function compareEnums (baseline, current) {
+  const errors = []
+  const appended = []
+  for (const old of baseline) {
+    const entry = current.find(e => e.path === old.path)
+    // Reported with the entries using it.
+    if (!entry) continue
+    if (old.members.some((member, i) => entry.members[i] !== member)) {
+      errors.push(`${old.path} members changed from ${old.members.join(', ')} to ${entry.members.join(', ')}`)
+    } else {
+      appended.push(...entry.members.slice(old.members.length).map(member => `${old.path}.${member}`))
+    }
+  }
+  return { errors, appended }
+}
+
+/**
+ * @returns { errors: [string], appended: [path] } where 'appended' are new entries of structs
+ *          already in the baseline.
+ */
+function compareLayouts (baseline, current) {
+  const isEnum = entry => entry.members !== undefined
+  const enums = compareEnums(baseline.filter(isEnum), current.filter(isEnum))
+  const group = entries => {
+    const groups = {}
+    for (const entry of entries.filter(entry => !isEnum(entry))) {
+      (groups[parentOf(entry.path)] = groups[parentOf(entry.path)] || []).push(entry)
+    }
+    return groups
+  }
+  const before = group(baseline)
+  const after = group(current)
+
+  const errors = [...enums.errors]
+  const appended = [...enums.appended]
+  for (const [parent, entries] of Object.entries(before)) {
+    // Reported with the entry containing it.
+    if (!after[parent]) continue
+    entries.forEach((old, i) => {
+      const entry = after[parent][i]
+      const moved = after[parent].find(e => e.path === old.path)
+      if (!moved) {
+        errors.push(`${old.path} (${old.type}) removed`)
+      } else if (moved !== entry || moved.slot !== old.slot || moved.offset !== old.offset) {
+        errors.push(`${old.path} moved from slot ${old.slot} offset ${old.offset} to slot ${moved.slot} offset ${moved.offset}`)
+      } else if (entry.type !== old.type) {
+        errors.push(`${old.path} retyped from ${old.type} to ${entry.type}`)
+      }
+    })
+    const added = after[parent].slice(entries.length)
+    const last = entries[entries.length - 1]
+    // Packed into the last slot of the struct, or growing it.
+    const grown = inArray(parent) && added.find(e => BigInt(e.slot) > BigInt(last.slot))
+    if (grown) {
+      errors.push(`${grown.path} grows ${parent}, an array element, so moves the elements after it`)
+    }
+    appended.push(...added.map(e => e.path))
+  }
+  return { errors, appended }
+}
+
+// Undefined if there is no baseline yet.
+function readBaseline (file = BASELINE) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : undefined
+}
+
+function writeBaseline (layout, file = BASELINE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(layout, null, 2) + '\n')
+}
+
+module.exports = {
+  BASELINE,
+  appStorageLayout,
+  compareLayouts,
+  readBaseline,
+  writeBaseline
+}
@@ -0,0 +1,302 @@
+/* global ethers network */
+
+const fs = require('fs')
+const path = require('path')
+
+/*
+ * Whitelist tooling for the COFIMoney diamond.
+ *
+ * AccountManagerFacet emits 'RoleUpdated(role, account, enabled)' for every role change (see
+ * LibRole), so role holders can be rebuilt from events alone. syncRole() folds them into a state
+ * file, continuing from the last block synced. Accounts set before the events existed are only
+ * found through 'getRoleMembers' once enumerated with 'indexRoleMembers'.
+ *
+ * applyAllowlist() makes the whitelist match an allowlist file (e.g. a KYC provider's export):
+ * listed accounts are whitelisted and other whitelisted accounts, found from the events and the
+ * enumerated members, removed. Admins and Whitelisters are never removed. Changes are sent with
+ * 'setWhitelistBatch', each batch shrunk until its gas estimate fits 'maxGas', and every account
+ * changed is appended to the audit log once its batch is mined.
+ *
+ * State file (default deployments/whitelist/<network>.json):
+ *
+ * {
+ *   "<role>": {
+ *     "fromBlock": <next block to scan for RoleUpdated>,
+ *     "accounts": { "0x...": <enabled> }
+ *   }
+ * }
+ *
+ * Audit log (default deployments/whitelist/<network>.log), one JSON object per line, only ever
+ * appended to:
+ *
+ * { "time", "block", "tx", "by", "action": "add" | "remove", "account", "tags", "source" }
+ */
+
+// LibAppStorage 'Role'.
+const ROLE = {
+  Whitelisted: 0,
+  Whitelister: 1,
+  Admin: 2,
+  Upkeep: 3
+}
+
+function statePath (networkName = network.name) {
+  return path.join(__dirname, '..', '..', 'deployments', 'whitelist', `${networkName}.json`)
+}
+
+function readState (file = statePath()) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}
+}
+
+function writeState (state, file = statePath()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n')
+}
+
+function auditLogPath (networkName = network.name) {
+  return path.join(__dirname, '..', '..', 'deployments', 'whitelist', `${networkName}.log`)
+}
+
+function readAuditLog (file = auditLogPath()) {
+  if (!fs.existsSync(file)) return []
+  return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+}
+
+function appendAuditLog (entries, file = auditLogPath()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.appendFileSync(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''))
+}
+
+function roleState (state, role) {
+  const name = Object.keys(ROLE).find(key => ROLE[key] === role)
+  if (!state[name]) {
+    state[name] = { fromBlock: 0, accounts: {} }
+  }
+  return state[name]
+}
+
+/**
+ * Applies 'RoleUpdated' events for 'role' since the last sync to the state.
+ * @param startBlock    Block to scan from on the first sync (e.g. the diamond's deploy block).
+ * @param blockRange    Maximum blocks per log query, for RPCs that limit ranges.
+ * @returns             { accounts } of the role's current holders (enabled > 0).
+ */
+async function syncRole ({ cofiMoney, role = ROLE.Whitelisted, state, startBlock = 0, toBlock, blockRange = 10000 }) {
+  const entry = roleState(state, role)
+  if (toBlock === undefined) toBlock = await ethers.provider.getBlockNumber()
+
+  const filter = cofiMoney.filters.RoleUpdated(role)
+  for (let from = Math.max(entry.fromBlock, startBlock); from <= toBlock; from += blockRange) {
+    const to = Math.min(from + blockRange - 1, toBlock)
+    for (const event of await cofiMoney.queryFilter(filter, from, to)) {
+      entry.accounts[event.args.account] = Number(event.args.enabled)
+    }
+  }
+  entry.fromBlock = Math.max(entry.fromBlock, toBlock + 1)
+  return { accounts: Object.keys(entry.accounts).filter(account => entry.accounts[account] > 0) }
+}
+
+// Every enumerated member of 'role', read in pages of 'pageSize' at a single block.
+async function roleMembers ({ cofiMoney, role = ROLE.Whitelisted, pageSize = 500, blockTag }) {
+  if (blockTag === undefined) blockTag = await ethers.provider.getBlockNumber()
+  const count = await cofiMoney.getRoleMemberCount(role, { blockTag })
+  const members = []
+  for (let start = 0n; start < count; start += BigInt(pageSize)) {
+    members.push(...await cofiMoney.getRoleMembers(role, start, pageSize, { blockTag }))
+  }
+  return members
+}
+
+/**
+ * @param text  CSV of 'account' or 'account,enabled' rows, with an optional header, e.g.
+ *              'account,enabled\n0x...,1\n0x...,0'. 'enabled' defaults to 1.
+ * @returns     [{ account, enabled }], accounts checksummed, last row winning for duplicates.
+ */
+function parseAccounts (text) {
+  const entries = {}
+  const lines = text.trim().split(/\r?\n/).filter(line => line.trim())
+  if (lines.length > 0 && !ethers.isAddress(lines[0].split(',')[0].trim())) lines.shift()
+  for (const line of lines) {
+    const [account, enabled = '1'] = line.split(',').map(c => c.trim())
+    if (!ethers.isAddress(account) || !['0', '1'].includes(enabled)) {
+      throw Error(`Bad row: ${line}`)
+    }
+    entries[ethers.getAddress(account)] = Number(enabled)
+  }
+  return Object.entries(entries).map(([account, enabled]) => ({ account, enabled }))
+}
+
+/**
+ * @param text  JSON, as [{ address, tags }] or ['0x...'], or CSV with an 'address' (or 'account')
+ *              column and an optional 'tags' column, e.g. 'address,tags\n0x...,kyc;eu'. Without a
+ *              header, as for parseAccounts, rows are 'address[,tags]'. Tags are ';'-separated
+ *              strings or, in JSON, arrays.
+ * @returns     { account: [tags] }, accounts checksummed, tags of duplicates merged.
+ */
+function parseAllowlist (text) {
+  let rows
+  if (text.trim().startsWith('[')) {
+    rows = JSON.parse(text).map(row => typeof row === 'string' ? { address: row } : row)
+  } else {
+    const lines = text.trim().split(/\r?\n/).filter(line => line.trim())
+    let columns = ['address', 'tags']
+    if (lines.length > 0 && !ethers.isAddress(lines[0].split(',')[0].trim())) {
+      columns = lines.shift().split(',').map(c => c.trim())
+      if (!columns.includes('address') && !columns.includes('account')) {
+        throw Error("Missing 'address' column. Expected an 'address,tags' header.")
+      }
+    }
+    rows = lines.map(line => Object.fromEntries(line.split(',').map((cell, i) => [columns[i], cell.trim()])))
+  }
+
+  const allowlist = {}
+  for (const row of rows) {
+    const address = row.address || row.account
+    if (!ethers.isAddress(address)) {
+      throw Error(`Bad row: ${JSON.stringify(row)}`)
+    }
+    const account = ethers.getAddress(address)
+    const tags = (typeof row.tags === 'string' ? row.tags.split(';') : row.tags || [])
+      .map(tag => tag.trim())
+      .filter(tag => tag)
+    allowlist[account] = [...new Set([...(allowlist[account] || []), ...tags])]
+  }
+  return allowlist
+}
+
+// Entries whose whitelist status differs from 'enabled'.
+async function pendingEntries ({ cofiMoney, entries }) {
+  const pending = []
+  for (const entry of entries) {
+    if (Number(await cofiMoney.getWhitelistStatus(entry.account)) !== entry.enabled) {
+      pending.push(entry)
+    }
+  }
+  return pending
+}
+
+// Splits 'entries' into 'setWhitelistBatch' params of up to 'batchSize' accounts.
+function toBatches (entries, batchSize) {
+  const batches = []
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize)
+    batches.push([batch.map(e => e.account), batch.map(e => e.enabled)])
+  }
+  return batches
+}
+
+/**
+ * Changes needed for the whitelist to match 'allowlist'.
+ * @param current   Accounts that may be whitelisted, e.g. synced and enumerated members.
+ * @param addOnly   Only whitelist, never remove.
+ * @returns         { add, remove, kept }, 'kept' being Admins and Whitelisters not listed.
+ */
+async function diffAllowlist ({ cofiMoney, allowlist, current = [], addOnly = false }) {
+  const diff = { add: [], remove: [], kept: [] }
+  for (const account of Object.keys(allowlist)) {
+    if (Number(await cofiMoney.getWhitelistStatus(account)) === 0) diff.add.push(account)
+  }
+  if (addOnly) return diff
+  for (const account of new Set(current)) {
+    if (allowlist[account] || Number(await cofiMoney.getWhitelistStatus(account)) === 0) continue
+    if (await cofiMoney.getAdminStatus(account) > 0n || await cofiMoney.getWhitelisterStatus(account) > 0n) {
+      diff.kept.push(account)
+    } else {
+      diff.remove.push(account)
+    }
+  }
+  return diff
+}
+
+// Largest prefix of 'entries' (up to 'batchSize') whose setWhitelistBatch gas estimate fits 'maxGas'.
+async function fitBatch ({ cofiMoney, signer, entries, maxGas, batchSize }) {
+  let size = Math.min(batchSize, entries.length)
+  for (;;) {
+    const [params] = toBatches(entries.slice(0, size), size)
+    const gas = await cofiMoney.connect(signer).setWhitelistBatch.estimateGas(...params)
+    if (gas <= maxGas) return { batch: entries.slice(0, size), gas }
+    if (size === 1) throw Error(`Whitelisting a single account needs ${gas} gas, above maxGas ${maxGas}`)
+    // Scale down by the overshoot, always shrinking by at least one.
+    size = Math.max(1, Math.min(size - 1, Number(BigInt(size) * BigInt(maxGas) / gas)))
+  }
+}
+
+/**
+ * Makes the whitelist match 'allowlist', see 'diffAllowlist()'.
+ * @param signer    Whitelister (or Admin) sending 'setWhitelistBatch'.
+ * @param allowlist { account: [tags] }, see 'parseAllowlist()'.
+ * @param source    Recorded in the audit log, e.g. the allowlist file.
+ * @param dryRun    Only plan the batches, estimating their gas.
+ * @param logFile   Audit log to append to.
+ * @param log       Logging function (default console.log).
+ * @returns         { add, remove, kept, batches: [{ accounts, enabled, gas, tx? }] }
+ */
+async function applyAllowlist ({
+  cofiMoney,
+  signer,
+  allowlist,
+  current = [],
+  addOnly = false,
+  maxGas = 5000000n,
+  batchSize = 500,
+  dryRun = false,
+  source,
+  logFile = auditLogPath(),
+  log = console.log
+}) {
+  const diff = await diffAllowlist({ cofiMoney, allowlist, current, addOnly })
+  log(`${diff.add.length} to add, ${diff.remove.length} to remove, ${diff.kept.length} kept (Admin or Whitelister)`)
+
+  let pending = [
+    ...diff.add.map(account => ({ account, enabled: 1 })),
+    ...diff.remove.map(account => ({ account, enabled: 0 }))
+  ]
+  const batches = []
+  while (pending.length > 0) {
+    const { batch, gas } = await fitBatch({ cofiMoney, signer, entries: pending, maxGas: BigInt(maxGas), batchSize })
+    const [accounts, enabled] = toBatches(batch, batch.length)[0]
+    pending = pending.slice(batch.length)
+    if (dryRun) {
+      batches.push({ accounts, enabled, gas })
+      log(`Would send setWhitelistBatch for ${batch.length} account(s) (${gas} gas estimated)`)
+      // Batches change different accounts, so each is estimated against the current state.
+      continue
+    }
+
+    const tx = await cofiMoney.connect(signer).setWhitelistBatch(accounts, enabled)
+    const receipt = await tx.wait()
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber)
+    const by = await signer.getAddress()
+    appendAuditLog(batch.map(({ account, enabled }) => ({
+      time: new Date(timestamp * 1000).toISOString(),
+      block: receipt.blockNumber,
+      tx: tx.hash,
+      by,
+      action: enabled ? 'add' : 'remove',
+      account,
+      tags: allowlist[account] || [],
+      source
+    })), logFile)
+    batches.push({ accounts, enabled, gas, tx: tx.hash })
+    log(`setWhitelistBatch for ${batch.length} account(s) (${gas} gas estimated) tx: ${tx.hash}`)
+  }
+  return { ...diff, batches }
+}
+
+module.exports = {
+  ROLE,
+  statePath,
+  readState,
+  writeState,
+  auditLogPath,
+  readAuditLog,
+  appendAuditLog,
+  syncRole,
+  roleMembers,
+  parseAccounts,
+  parseAllowlist,
+  pendingEntries,
+  toBatches,
+  diffAllowlist,
+  applyAllowlist
+}
@@ -0,0 +1,154 @@
+/* Optimism */
+
+const wBTC_Addr = '0x68f180fcCe6836688e9084f035309E29Bf0A2095'
+const OP_Addr = "0x4200000000000000000000000000000000000042"
+const soWBTC_Addr = '0x33865E09A572d4F1CC4d75Afc9ABcc5D3d4d867D'
+const YVOP_Addr = "0x7D2382b1f8Af621229d33464340541Db362B4907"
+const YVDAI_Addr = "0x65343F414FFD6c97b0f6add33d16F6845Ac22BAc"
+const YVETH_Addr = "0x5B977577Eb8a480f63e11FC615D6753adB8652Ae"
+const StakingRewards_YVDAI_Addr = "0xf8126EF025651E1B313a6893Fcf4034F4F4bD2aA"
+const StakingRewards_YVETH_Addr = "0xE35Fec3895Dcecc7d2a91e8ae4fF3c0d43ebfFE0"
+
+/* Yearn Swap Params */
+
+const getRewardMin = "1000000000000000000" // 1 OP
+const amountInMin = "1000000000000000000" // 1 OP
+const slippage = "1500" // 15%
+const wait = "12" // 12 seconds
+const poolFee = "3000" // 0.3%
+
+// Remove an 'address' to have the runner deploy a fresh instance instead.
+module.exports = {
+    roles: {
+        whitelister:    '0x18c584492AC73182A7Bc0f89d38393f9b97d5258',
+        backupOwner:    '0x79b68a8C62AA0FEdA39d08E4c6755928aFF576C5',
+        feeCollector:   '0x0231c56e6Ee4257E1F79625c8bCEc746964801Aa'
+    },
+    tokens: {
+        coUSD: {
+            contract: 'COFIRebasingToken',
+            args: ['COFI Dollar', 'coUSD'],
+            address: '0x8924ad39beEB4f8B778A1CcA6CB7CE89788eA895'
+        },
+        coETH: {
+            contract: 'COFIRebasingToken',
+            args: ['COFI Ethereum', 'coETH'],
+            address: '0xd371a070E505e3d553B8382A7874D177A1EE23A3'
+        },
+        coBTC: {
+            contract: 'COFIRebasingToken',
+            args: ['COFI Bitcoin', 'coBTC'],
+            address: '0x0395F6F10C8594Cef335E4DfB898bE37F766cBf2'
+        },
+        coOP: {
+            contract: 'COFIRebasingToken',
+            args: ['COFI Optimism', 'coOP'],
+            address: '0xa12a6f1e941919Fc4F880173017152497b251B57'
+        }
+    },
+    vaults: {
+        wyvDAI: {
+            contract: 'YearnV2StakingRewards',
+            args: [
+                YVDAI_Addr,
+                YVOP_Addr,
+                StakingRewards_YVDAI_Addr,
+                "0x8dBa75e83DA73cc766A7e5a0ee71F656BAb470d6", // DAI price feed
+                getRewardMin,
+                amountInMin,
+                slippage,
+                wait,
+                poolFee,
+                "1"
+            ],
+            address: '0x167d58094cA42c12aF081d509C1fa2480ae59196'
+        },
+        wyvETH: {
+            contract: 'YearnV2StakingRewards',
+            args: [
+                YVETH_Addr,
+                YVOP_Addr,
+                StakingRewards_YVETH_Addr,
+                "0x13e3Ee699D1909E989722E753853AE30b17e08c5", // ETH price feed
+                getRewardMin,
+                amountInMin,
+                slippage,
+                wait,
+                poolFee,
+                "1"
+            ],
+            address: '0x0b840B4A75b83077F9FC66F64c33739c647D352c'
+        },
+        wsoBTC: {
+            contract: 'CompoundV2Reinvest',
+            args: [
+                wBTC_Addr,
+                OP_Addr,
+                soWBTC_Addr,
+                "0xd702dd976fb76fffc2d3963d037dfdae5b04e593", // BTC price feed
+                amountInMin,
+                slippage,
+                wait
+            ],
+            address: '0x6Fd0CCe7fcA444b8FC420E165ED281C513976747'
+        },
+        // No price feed for OP wrapper as rewards are already OP.
+        wyvOP: {
+            contract: 'YearnV2',
+            args: [YVOP_Addr],
+            address: '0xD8D50DE6222f35c7B212ff174847529E41B8A5Fb'
+        }
+    },
+    diamond: {
+        name: 'COFIMoney',
+        facets: [
+            'DiamondLoupeFacet',
+            'OwnershipFacet',
+            'AccountManagerFacet',
+            'PointsManagerFacet',
+            'SupplyFacet',
+            'SupplyManagerFacet',
+            'SwapManagerFacet',
+            'VaultManagerFacet'
+        ],
+        init: {
+            contract: 'InitDiamond',
+            args: {
+                coUSD:  '$coUSD',
+                coETH:  '$coETH',
+                coBTC:  '$coBTC',
+                coOP:   '$coOP',
+                vUSD:   '$wyvDAI',
+                vETH:   '$wyvETH',
+                vBTC:   '$wsoBTC',
+                vOP:    '$wyvOP',
+                roles: [
+                    '$whitelister',
+                    '$backupOwner',
+                    '$feeCollector'
+                ]
+            }
+        }
+    },
+    contracts: {
+        COFIPoint: {
+            contract: 'PointToken',
+            args: ['COFI Point', 'COFI', '$COFIMoney', ['$coUSD', '$coETH', '$coBTC', '$coOP']]
+        }
+    },
+    wiring: [
+        // Set Diamond address in COFIRebasingToken contracts.
+        { target: 'coUSD', method: 'setApp', args: ['$COFIMoney'] },
+        { target: 'coETH', method: 'setApp', args: ['$COFIMoney'] },
+        { target: 'coBTC', method: 'setApp', args: ['$COFIMoney'] },
+        { target: 'coOP', method: 'setApp', args: ['$COFIMoney'] },
+        // Wrapper set up.
+        { target: 'wyvETH', method: 'setAuthorized', args: ['$COFIMoney', '1'] },
+        { target: 'wyvETH', method: 'setRewardShareReceiver', args: ['$COFIMoney'] },
+        { target: 'wyvDAI', method: 'setAuthorized', args: ['$COFIMoney', '1'] },
+        { target: 'wyvDAI', method: 'setRewardShareReceiver', args: ['$COFIMoney'] },
+        { target: 'wsoBTC', method: 'setAuthorized', args: ['$COFIMoney', '1'] },
+        { target: 'wyvOP', method: 'setAuthorized', args: ['$COFIMoney', '1'] },
+        { target: 'wyvOP', method: 'setFlushReceiver', args: ['$COFIMoney'] }
+    ]
+}
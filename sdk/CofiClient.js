@@ -0,0 +1,347 @@
+const { Contract, ZeroAddress, formatUnits, parseUnits } = require('ethers')
+const { COFI_MONEY_ABI, COFI_TOKEN_ABI, ERC20_ABI } = require('./abi.js')
+const { preflightEnterCofi, preflightExitCofi } = require('./preflight.js')
+
+/*
+ * Client for the COFIMoney diamond. Transactions are sent from, and deposits taken from, the
+ * signer the client is constructed with; a provider is enough for read-only use.
+ *
+ * Amounts may be given as bigints in base units or as decimal strings in whole tokens (e.g.
+ * '100.5'), which are converted with the decimals set on the diamond ('getDecimals'). Native
+ * Ether is denoted by address(0) or 'ETH'.
+ */
+
+const ETH = 'ETH'
+const WETH_Addr = '0x4200000000000000000000000000000000000006'
+const REBASE_STATES = ['NotSet', 'OptOut', 'OptIn']
+
+/**
+ * @typedef {bigint | string} Amount
+ *          Base units as a bigint, or whole tokens as a decimal string.
+ */
+
+/**
+ * @typedef {object} CofiClientOptions
+ * @property {string} diamond   COFIMoney diamond address.
+ * @property {import('ethers').ContractRunner} runner
+ *                              Signer for transactions, or provider for read-only use.
+ * @property {string} [weth]    Wrapped Ether, used to price native Ether (default: Optimism wETH).
+ * @property {boolean} [approveMax]
+ *                              Approve max uint256 rather than the exact amount (default false).
+ */
+
+class CofiClient {
+  /**
+   * @param {CofiClientOptions} options
+   */
+  constructor ({ diamond, runner, weth = WETH_Addr, approveMax = false }) {
+    this.diamond = diamond
+    this.runner = runner
+    this.weth = weth
+    this.approveMax = approveMax
+    this.cofiMoney = new Contract(diamond, COFI_MONEY_ABI, runner)
+    this._decimals = {}
+  }
+
+  /**
+   * Returns a client for the same diamond sending transactions from 'signer'.
+   * @param {import('ethers').Signer} signer
+   * @returns {CofiClient}
+   */
+  connect (signer) {
+    return new CofiClient({ diamond: this.diamond, runner: signer, weth: this.weth, approveMax: this.approveMax })
+  }
+
+  /**
+   * @returns {Promise<string>} The signer's address.
+   */
+  async getAddress () {
+    if (!this.runner || typeof this.runner.getAddress !== 'function') {
+      throw Error('CofiClient: A signer is required for transactions')
+    }
+    return await this.runner.getAddress()
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            Decimals
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Decimals of 'token' as set on the diamond, falling back to the token's own 'decimals()' if
+   * unset. Native Ether has 18.
+   * @param {string} token
+   * @returns {Promise<number>}
+   */
+  async getDecimals (token) {
+    if (_isETH(token)) return 18
+    if (this._decimals[token] === undefined) {
+      let decimals = Number(await this.cofiMoney.getDecimals(token))
+      if (decimals === 0) {
+        decimals = Number(await new Contract(token, ERC20_ABI, this.runner).decimals())
+      }
+      this._decimals[token] = decimals
+    }
+    return this._decimals[token]
+  }
+
+  /**
+   * @param {Amount} amount
+   * @param {string} token
+   * @returns {Promise<bigint>} 'amount' in base units of 'token'.
+   */
+  async parseAmount (amount, token) {
+    return typeof amount === 'bigint' ? amount : parseUnits(String(amount), await this.getDecimals(token))
+  }
+
+  /**
+   * @param {bigint} amount  Base units of 'token'.
+   * @param {string} token
+   * @returns {Promise<string>} 'amount' in whole tokens.
+   */
+  async formatAmount (amount, token) {
+    return formatUnits(amount, await this.getDecimals(token))
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                        Accounts & Approvals
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * @param {string} [account]   Defaults to the signer.
+   * @returns {Promise<boolean>}
+   */
+  async isWhitelisted (account) {
+    return await this.cofiMoney.getWhitelistStatus(account || await this.getAddress()) === 1n
+  }
+
+  /**
+   * Approves the diamond to spend 'amount' of the signer's 'token' if the current allowance is
+   * lower, waiting for the approval to be mined.
+   * @param {string} token
+   * @param {bigint} amount
+   * @returns {Promise<import('ethers').ContractTransactionReceipt | null>}
+   *          The approval receipt, or null if none was needed.
+   */
+  async ensureAllowance (token, amount) {
+    if (_isETH(token)) return null
+    const erc20 = new Contract(token, ERC20_ABI, this.runner)
+    if (await erc20.allowance(await this.getAddress(), this.diamond) >= amount) return null
+    const tx = await erc20.approve(this.diamond, this.approveMax ? 2n ** 256n - 1n : amount)
+    return await tx.wait()
+  }
+
+  async _precheck () {
+    const account = await this.getAddress()
+    if (!await this.isWhitelisted(account)) {
+      throw Error(`CofiClient: ${account} is not whitelisted`)
+    }
+    return account
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                        Deposit & Withdraw
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Mints 'cofi' from 'token' (swapped to the underlying if needed) or native Ether.
+   * @param {object} params
+   * @param {Amount} params.amount
+   * @param {string} params.token         Token to deposit, or 'ETH'/address(0).
+   * @param {string} params.cofi
+   * @param {string} [params.recipient]   Defaults to the signer.
+   * @param {string} [params.referral]    Defaults to none.
+   * @returns {Promise<import('ethers').ContractTransactionResponse>}
+   */
+  async enterCofi ({ amount, token, cofi, recipient, referral = ZeroAddress }) {
+    const account = await this._precheck()
+    const tokensIn = await this.parseAmount(amount, token)
+    if (_isETH(token)) {
+      return await this.cofiMoney.enterCofi(0, ZeroAddress, cofi, account, recipient || account, referral, { value: tokensIn })
+    }
+    await this.ensureAllowance(token, tokensIn)
+    return await this.cofiMoney.enterCofi(tokensIn, token, cofi, account, recipient || account, referral)
+  }
+
+  /**
+   * Redeems 'cofi' for 'token' (swapped from the underlying if needed) or native Ether.
+   * @param {object} params
+   * @param {Amount} params.amount        Amount of 'cofi' to redeem.
+   * @param {string} params.cofi
+   * @param {string} params.token         Token to receive, or 'ETH'/address(0).
+   * @param {string} [params.recipient]   Defaults to the signer.
+   * @returns {Promise<import('ethers').ContractTransactionResponse>}
+   */
+  async exitCofi ({ amount, cofi, token, recipient }) {
+    const account = await this._precheck()
+    const cofiIn = await this.parseAmount(amount, cofi)
+    await this.ensureAllowance(cofi, cofiIn)
+    return await this.cofiMoney.exitCofi(cofiIn, _toAddress(token), cofi, account, recipient || account)
+  }
+
+  /**
+   * Mints 'cofi' directly from its underlying (e.g. USDC for coUSD), without swapping.
+   * @param {object} params
+   * @param {Amount} params.amount        Amount of the underlying to deposit.
+   * @param {string} params.cofi
+   * @param {string} [params.recipient]   Defaults to the signer.
+   * @param {string} [params.referral]    Defaults to none.
+   * @returns {Promise<import('ethers').ContractTransactionResponse>}
+   */
+  async underlyingToCofi ({ amount, cofi, recipient, referral = ZeroAddress }) {
+    const account = await this._precheck()
+    const underlying = await this.cofiMoney.getUnderlying(cofi)
+    const underlyingIn = await this.parseAmount(amount, underlying)
+    await this.ensureAllowance(underlying, underlyingIn)
+    return await this.cofiMoney.underlyingToCofi(underlyingIn, cofi, account, recipient || account, referral)
+  }
+
+  /**
+   * Redeems 'cofi' directly for its underlying, without swapping.
+   * @param {object} params
+   * @param {Amount} params.amount        Amount of 'cofi' to redeem.
+   * @param {string} params.cofi
+   * @param {string} [params.recipient]   Defaults to the signer.
+   * @returns {Promise<import('ethers').ContractTransactionResponse>}
+   */
+  async cofiToUnderlying ({ amount, cofi, recipient }) {
+    const account = await this._precheck()
+    const cofiIn = await this.parseAmount(amount, cofi)
+    await this.ensureAllowance(cofi, cofiIn)
+    return await this.cofiMoney.cofiToUnderlying(cofiIn, cofi, account, recipient || account)
+  }
+
+  /**
+   * Estimated 'cofi' minted for 'amount' of 'token', after the mint fee.
+   * @param {object} params
+   * @param {Amount} params.amount
+   * @param {string} params.token     Token deposited, or 'ETH'/address(0).
+   * @param {string} params.cofi
+   * @returns {Promise<bigint>}
+   */
+  async getEstimatedCofiOut ({ amount, token, cofi }) {
+    const tokensIn = await this.parseAmount(amount, token)
+    return await this.cofiMoney.getEstimatedCofiOut(tokensIn, this._priced(token), cofi)
+  }
+
+  /**
+   * Estimated 'token' received for 'amount' of 'cofi', after the redeem fee.
+   * @param {object} params
+   * @param {Amount} params.amount
+   * @param {string} params.cofi
+   * @param {string} params.token     Token received, or 'ETH'/address(0).
+   * @returns {Promise<bigint>}
+   */
+  async getEstimatedTokensOut ({ amount, cofi, token }) {
+    const cofiIn = await this.parseAmount(amount, cofi)
+    return await this.cofiMoney.getEstimatedTokensOut(cofiIn, cofi, this._priced(token))
+  }
+
+  /**
+   * Simulates 'enterCofi()' without sending it and, if it would revert, explains why.
+   * @param {object} params   As for 'enterCofi()', plus an optional 'from' to simulate for.
+   * @returns {Promise<import('./preflight.js').Preflight>}
+   */
+  async preflightEnterCofi (params) {
+    return await preflightEnterCofi(this, params)
+  }
+
+  /**
+   * Simulates 'exitCofi()' without sending it and, if it would revert, explains why.
+   * @param {object} params   As for 'exitCofi()', plus an optional 'from' to simulate for.
+   * @returns {Promise<import('./preflight.js').Preflight>}
+   */
+  async preflightExitCofi (params) {
+    return await preflightExitCofi(this, params)
+  }
+
+  // The diamond prices native Ether as wETH.
+  _priced (token) {
+    return _isETH(token) ? this.weth : token
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            Rebasing
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * Opts the signer into rebases (i.e. yield) for 'cofi'.
+   * @param {string} cofi
+   * @returns {Promise<import('ethers').ContractTransactionResponse>}
+   */
+  async rebaseOptIn (cofi) {
+    return await new Contract(cofi, COFI_TOKEN_ABI, this.runner).rebaseOptIn()
+  }
+
+  /**
+   * Opts the signer out of rebases for 'cofi'.
+   * @param {string} cofi
+   * @returns {Promise<import('ethers').ContractTransactionResponse>}
+   */
+  async rebaseOptOut (cofi) {
+    return await new Contract(cofi, COFI_TOKEN_ABI, this.runner).rebaseOptOut()
+  }
+
+  /**
+   * @param {string} cofi
+   * @param {string} [account]   Defaults to the signer.
+   * @returns {Promise<'NotSet' | 'OptOut' | 'OptIn'>}
+   */
+  async getRebaseState (cofi, account) {
+    const token = new Contract(cofi, COFI_TOKEN_ABI, this.runner)
+    return REBASE_STATES[Number(await token.rebaseState(account || await this.getAddress()))]
+  }
+
+  /*//////////////////////////////////////////////////////////////
+                            Balances & Points
+  //////////////////////////////////////////////////////////////*/
+
+  /**
+   * @param {string} token
+   * @param {string} [account]   Defaults to the signer.
+   * @returns {Promise<bigint>}
+   */
+  async balanceOf (token, account) {
+    account = account || await this.getAddress()
+    if (_isETH(token)) return await this.runner.provider.getBalance(account)
+    return await new Contract(token, ERC20_ABI, this.runner).balanceOf(account)
+  }
+
+  /**
+   * @param {string} cofi
+   * @param {string} [account]   Defaults to the signer.
+   * @returns {Promise<bigint>} Yield earned on 'cofi' to date.
+   */
+  async getYieldEarned (cofi, account) {
+    return await new Contract(cofi, COFI_TOKEN_ABI, this.runner).getYieldEarned(account || await this.getAddress())
+  }
+
+  /**
+   * @param {string[]} cofi      Cofi tokens to include yield points for.
+   * @param {string} [account]   Defaults to the signer.
+   * @returns {Promise<{ total: bigint, yield: bigint, external: bigint }>}
+   *          Yield points across 'cofi', external points and their total.
+   */
+  async getPoints (cofi, account) {
+    account = account || await this.getAddress()
+    // Summed per token, as 'getYieldPoints' over several tokens carries yield across them.
+    let yieldPoints = 0n
+    for (const token of cofi) {
+      yieldPoints += await this.cofiMoney.getYieldPoints(account, [token])
+    }
+    const external = await this.cofiMoney.getExternalPoints(account)
+    return { total: yieldPoints + external, yield: yieldPoints, external }
+  }
+}
+
+function _isETH (token) {
+  return token === ETH || token === ZeroAddress
+}
+
+function _toAddress (token) {
+  return _isETH(token) ? ZeroAddress : token
+}
+
+module.exports = {
+  ETH,
+  CofiClient
+}
@@ -0,0 +1,72 @@
+/*
+ * The subset of the COFIMoney diamond and cofi token ABIs used by CofiClient, as human-readable
+ * fragments so the SDK does not depend on the build artifacts.
+ */
+
+const COFI_MONEY_ABI = [
+  // SupplyFacet
+  'function enterCofi(uint256 tokensIn, address token, address cofi, address depositFrom, address recipient, address referral) payable returns (uint256 mintAfterFee, uint256 underlyingOut)',
+  'function exitCofi(uint256 cofiIn, address token, address cofi, address depositFrom, address recipient) returns (uint256 burnAfterFee, uint256 tokensOut)',
+  'function underlyingToCofi(uint256 underlyingIn, address cofi, address depositFrom, address recipient, address referral) returns (uint256 mintAfterFee)',
+  'function cofiToUnderlying(uint256 cofiIn, address cofi, address depositFrom, address recipient) returns (uint256 burnAfterFee)',
+  'function getEstimatedCofiOut(uint256 tokensIn, address token, address cofi) view returns (uint256)',
+  'function getEstimatedTokensOut(uint256 cofiIn, address cofi, address token) view returns (uint256)',
+  // SupplyManagerFacet
+  'function getDecimals(address asset) view returns (uint8)',
+  'function getUnderlying(address cofi) view returns (address)',
+  'function getMinDeposit(address cofi) view returns (uint256)',
+  'function getMintFee(address cofi) view returns (uint256)',
+  'function getRedeemFee(address cofi) view returns (uint256)',
+  'function getMinWithdraw(address cofi) view returns (uint256)',
+  'function getMintEnabled(address cofi) view returns (uint8)',
+  'function getRedeemEnabled(address cofi) view returns (uint8)',
+  'function getSupplyLimit(address cofi) view returns (uint256)',
+  // SwapManagerFacet
+  'function getSupportedSwaps(address token) view returns (address[])',
+  'function getConversion(uint256 amount, uint256 fee, address from, address to) view returns (uint256)',
+  'function getSwapProtocol(address tokenA, address tokenB) view returns (uint8)',
+  'function getSlippage(address tokenA, address tokenB) view returns (uint256)',
+  'function getDefaultSlippage() view returns (uint256)',
+  'function getWait(address tokenA, address tokenB) view returns (uint256)',
+  'function getDefaultWait() view returns (uint256)',
+  'function getPriceFeed(address token) view returns (address)',
+  // VaultManagerFacet
+  'function getVault(address cofi) view returns (address)',
+  'function getTotalAssets(address cofi) view returns (uint256)',
+  'function getRateLimit(address cofi) view returns (uint256)',
+  'function getRebasePublic(address cofi) view returns (uint8)',
+  // AccountManagerFacet
+  'function getWhitelistStatus(address account) view returns (uint8)',
+  // PointsManagerFacet
+  'function getPoints(address account, address[] cofi) view returns (uint256)',
+  'function getYieldPoints(address account, address[] cofi) view returns (uint256)',
+  'function getExternalPoints(address account) view returns (uint256)',
+  'function getPointsRate(address cofi) view returns (uint256)'
+]
+
+const COFI_TOKEN_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function rebaseOptIn()',
+  'function rebaseOptOut()',
+  'function rebaseState(address account) view returns (uint8)',
+  'function getYieldEarned(address account) view returns (uint256)',
+  'function totalSupply() view returns (uint256)'
+]
+
+const ERC20_ABI = COFI_TOKEN_ABI.slice(0, 5)
+
+const ERC4626_ABI = [
+  'function previewDeposit(uint256 assets) view returns (uint256)',
+  'function previewRedeem(uint256 shares) view returns (uint256)'
+]
+
+module.exports = {
+  COFI_MONEY_ABI,
+  COFI_TOKEN_ABI,
+  ERC20_ABI,
+  ERC4626_ABI
+}
@@ -0,0 +1,13 @@
+const { ETH, CofiClient } = require('./CofiClient.js')
+const { COFI_MONEY_ABI, COFI_TOKEN_ABI, ERC20_ABI, ERC4626_ABI } = require('./abi.js')
+const { decodeRevert } = require('./preflight.js')
+
+module.exports = {
+  ETH,
+  CofiClient,
+  decodeRevert,
+  COFI_MONEY_ABI,
+  COFI_TOKEN_ABI,
+  ERC20_ABI,
+  ERC4626_ABI
+}
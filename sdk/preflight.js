@@ -0,0 +1,331 @@
+const { Contract, ZeroAddress } = require('ethers')
+const { COFI_TOKEN_ABI, ERC20_ABI, ERC4626_ABI } = require('./abi.js')
+const { decodeRevert } = require('../scripts/libs/revert.js')
+
+/*
+ * Pre-flight checks for 'enterCofi' and 'exitCofi'. The call is simulated with eth_call from
+ * the depositing account and, if it reverts, the revert reason is decoded and mapped to the
+ * AppStorage parameter (or token state) responsible, together with its current value and the
+ * value that would let the call through.
+ *
+ * Passing values for 'defaultSlippage', 'supplyLimit' and 'rateLimit' are computed from vault
+ * previews and, for swaps, the Chainlink conversion, so are estimates for the state at the time
+ * of the check. Deadline reverts give no indication of how late the swap was, so the passing
+ * 'wait' (or 'defaultWait') suggested is a minute longer than the current one.
+ */
+
+const SWAP_PROTOCOLS = ['NonExistent', 'SwapV2', 'SwapV3']
+
+/**
+ * @typedef {object} Preflight
+ * @property {boolean} ok
+ * @property {bigint[]} [result]    Return values of the simulated call, if it succeeded.
+ * @property {string} [reason]      Decoded revert reason.
+ * @property {string | null} [param]
+ *                                  AppStorage parameter (or 'allowance'/'balance') responsible.
+ * @property {*} [current]          Its current value.
+ * @property {*} [passing]          A value that would pass.
+ * @property {string} [message]     Explanation of the failure.
+ */
+
+// 'percentMul' with half-up rounding, as in PercentageMath.
+function percentMul (value, percentage) {
+  return (value * percentage + 5000n) / 10000n
+}
+
+// Smallest bps value strictly above 'numerator / denominator' in bps.
+function bpsAbove (numerator, denominator) {
+  return numerator * 10000n / denominator + 1n
+}
+
+function scale (value, to, from) {
+  if (to > from) return value * 10n ** BigInt(to - from)
+  if (to < from) return value / 10n ** BigInt(from - to)
+  return value
+}
+
+/*//////////////////////////////////////////////////////////////
+                            Estimates
+//////////////////////////////////////////////////////////////*/
+
+// Underlying deposited into (enter) or withdrawn from (exit) the vault, in underlying decimals.
+async function underlyingAmount (ctx) {
+  const { client, cofiMoney, op, amount, token, cofi, underlying } = ctx
+  if (op === 'exitCofi') {
+    const burnAfterFee = amount - percentMul(amount, await cofiMoney.getRedeemFee(cofi))
+    return scale(burnAfterFee, await client.getDecimals(underlying), await client.getDecimals(cofi))
+  }
+  const from = token === ZeroAddress ? client.weth : token
+  return from === underlying ? amount : await cofiMoney.getConversion(amount, 0, from, underlying)
+}
+
+// Assets the vault would credit for 'underlyingIn', as used by the slippage checks.
+async function vaultAssets (ctx, underlyingIn) {
+  const vault = new Contract(await ctx.cofiMoney.getVault(ctx.cofi), ERC4626_ABI, ctx.client.runner)
+  return await vault.previewRedeem(await vault.previewDeposit(underlyingIn))
+}
+
+// The swap leg of the call, if any, as [from, to].
+function swapPair ({ client, op, token, underlying }) {
+  const other = token === ZeroAddress ? client.weth : token
+  if (other === underlying) return null
+  return op === 'enterCofi' ? [other, underlying] : [underlying, other]
+}
+
+/*//////////////////////////////////////////////////////////////
+                            Diagnoses
+//////////////////////////////////////////////////////////////*/
+
+const DIAGNOSES = [
+  {
+    match: /^Caller not whitelisted$/,
+    param: 'isWhitelisted',
+    diagnose: async ({ cofiMoney, account }) => ({
+      current: await cofiMoney.getWhitelistStatus(account),
+      passing: 1n,
+      message: `${account} is not whitelisted`
+    })
+  },
+  {
+    match: /^Mint not enabled for cofi token$/,
+    param: 'mintEnabled',
+    diagnose: async ({ cofiMoney, cofi }) => ({
+      current: await cofiMoney.getMintEnabled(cofi),
+      passing: 1n,
+      message: 'Minting is disabled for the cofi token'
+    })
+  },
+  {
+    match: /^Redeem not enabled for cofi token$/,
+    param: 'redeemEnabled',
+    diagnose: async ({ cofiMoney, cofi }) => ({
+      current: await cofiMoney.getRedeemEnabled(cofi),
+      passing: 1n,
+      message: 'Redeeming is disabled for the cofi token'
+    })
+  },
+  {
+    match: /Insufficient deposit amount for cofi token$/,
+    param: 'minDeposit',
+    diagnose: async (ctx) => {
+      const underlyingIn = await underlyingAmount(ctx)
+      const minDeposit = await ctx.cofiMoney.getMinDeposit(ctx.cofi)
+      return {
+        current: minDeposit,
+        passing: underlyingIn > 0n ? underlyingIn - 1n : 0n,
+        message: `Deposit of ${underlyingIn} underlying must exceed minDeposit ${minDeposit}`
+      }
+    }
+  },
+  {
+    match: /^Insufficient withdraw amount for cofi token$/,
+    param: 'minWithdraw',
+    diagnose: async ({ cofiMoney, cofi, amount }) => {
+      const minWithdraw = await cofiMoney.getMinWithdraw(cofi)
+      return {
+        current: minWithdraw,
+        passing: amount > 0n ? amount - 1n : 0n,
+        message: `Withdrawal of ${amount} must exceed minWithdraw ${minWithdraw}`
+      }
+    }
+  },
+  {
+    match: /^SupplyFacet: Slippage exceeded$/,
+    param: 'defaultSlippage',
+    diagnose: async (ctx) => {
+      const expected = await underlyingAmount(ctx)
+      const assets = await vaultAssets(ctx, expected)
+      return {
+        current: await ctx.cofiMoney.getDefaultSlippage(),
+        passing: assets >= expected ? 1n : bpsAbove(expected - assets, expected),
+        message: `Vault returns ${assets} of ${expected} underlying`
+      }
+    }
+  },
+  {
+    match: /^SupplyFacet: Assets value exceeds upper limit check$/,
+    param: 'supplyLimit',
+    diagnose: async (ctx) => {
+      const expected = await underlyingAmount(ctx)
+      const assets = await vaultAssets(ctx, expected)
+      return {
+        current: await ctx.cofiMoney.getSupplyLimit(ctx.cofi),
+        passing: assets <= expected ? 1n : bpsAbove(assets - expected, expected),
+        message: `Vault returns ${assets} of ${expected} underlying`
+      }
+    }
+  },
+  {
+    match: /^LibToken: Supply update exceeds rate limit$/,
+    param: 'rateLimit',
+    diagnose: async ({ client, cofiMoney, cofi, underlying }) => {
+      const supply = await new Contract(cofi, COFI_TOKEN_ABI, client.runner).totalSupply()
+      const assets = scale(
+        await cofiMoney.getTotalAssets(cofi),
+        await client.getDecimals(cofi),
+        await client.getDecimals(underlying)
+      )
+      return {
+        current: await cofiMoney.getRateLimit(cofi),
+        passing: bpsAbove(assets - supply, supply),
+        message: `Rebase (rebasePublic is set) would raise supply from ${supply} to ${assets}`
+      }
+    }
+  },
+  {
+    match: /^LibSwap: Swap protocol not set$/,
+    param: 'swapProtocol',
+    diagnose: async (ctx) => {
+      const [from, to] = swapPair(ctx)
+      return {
+        current: SWAP_PROTOCOLS[Number(await ctx.cofiMoney.getSwapProtocol(from, to))],
+        passing: 'SwapV2 or SwapV3',
+        message: `No swap route from ${from} to ${to}`
+      }
+    }
+  },
+  {
+    match: /^LibSwap: (Stale price|Round not complete|Chainlink answer reporting 0)$/,
+    param: 'priceFeed',
+    diagnose: async (ctx) => {
+      const feeds = {}
+      for (const token of swapPair(ctx) || []) {
+        feeds[token] = await ctx.cofiMoney.getPriceFeed(token)
+      }
+      return {
+        current: feeds,
+        passing: 'A feed with a complete, non-zero latest round',
+        message: 'A Chainlink price feed for the swap is not reporting'
+      }
+    }
+  },
+  {
+    match: /^(Too little received|InsufficientOutputAmount)$/,
+    param: 'slippage',
+    diagnose: async (ctx) => {
+      const [from, to] = swapPair(ctx)
+      const slippage = await ctx.cofiMoney.getSlippage(from, to)
+      return {
+        current: slippage === 0n ? await ctx.cofiMoney.getDefaultSlippage() : slippage,
+        passing: 'A higher slippage for the pair (or defaultSlippage if unset)',
+        message: `Swap from ${from} to ${to} returned less than the Chainlink-derived minimum`
+      }
+    }
+  },
+  {
+    match: /^(Transaction too old|Expired)$/,
+    param: 'wait',
+    diagnose: async (ctx) => {
+      const [from, to] = swapPair(ctx)
+      const wait = await ctx.cofiMoney.getWait(from, to)
+      // A wait of 0 for the pair falls back to defaultWait.
+      const current = wait === 0n ? await ctx.cofiMoney.getDefaultWait() : wait
+      return {
+        param: wait === 0n ? 'defaultWait' : 'wait',
+        current,
+        passing: current + 60n,
+        message: `Swap from ${from} to ${to} was not executed within ${current} seconds`
+      }
+    }
+  },
+  {
+    match: /insufficient allowance/,
+    param: 'allowance',
+    diagnose: async ({ client, diamond, account, spent, spentAmount }) => ({
+      current: await new Contract(spent, ERC20_ABI, client.runner).allowance(account, diamond),
+      passing: spentAmount,
+      message: `${account} has not approved the diamond for ${spentAmount} of ${spent}`
+    })
+  },
+  {
+    match: /(exceeds balance|insufficient balance)/,
+    param: 'balance',
+    diagnose: async ({ client, account, spent, spentAmount }) => ({
+      current: await new Contract(spent, ERC20_ABI, client.runner).balanceOf(account),
+      passing: spentAmount,
+      message: `${account} holds less than ${spentAmount} of ${spent}`
+    })
+  }
+]
+
+/*//////////////////////////////////////////////////////////////
+                            Preflight
+//////////////////////////////////////////////////////////////*/
+
+async function preflight (ctx, call) {
+  try {
+    return { ok: true, result: Array.from(await call()) }
+  } catch (err) {
+    const reason = decodeRevert(err, ctx.cofiMoney.interface)
+    const diagnosis = DIAGNOSES.find(d => d.match.test(reason))
+    if (!diagnosis) return { ok: false, reason, param: null, message: 'Unrecognised revert' }
+    return { ok: false, reason, param: diagnosis.param, ...await diagnosis.diagnose(ctx) }
+  }
+}
+
+async function context (client, op, { amount, token, cofi, from }) {
+  const account = from || await client.getAddress()
+  // A signer only calls from its own address, so simulate for others through its provider.
+  const runner = from && client.runner.provider ? client.runner.provider : client.runner
+  const tokenAddress = token === 'ETH' ? ZeroAddress : token
+  const parsed = await client.parseAmount(amount, op === 'exitCofi' ? cofi : tokenAddress)
+  return {
+    client,
+    cofiMoney: client.cofiMoney,
+    diamond: client.diamond,
+    caller: client.cofiMoney.connect(runner),
+    op,
+    account,
+    amount: parsed,
+    token: tokenAddress,
+    cofi,
+    underlying: await client.cofiMoney.getUnderlying(cofi),
+    // ERC20 pulled from the account by the call.
+    spent: op === 'exitCofi' ? cofi : tokenAddress,
+    spentAmount: parsed
+  }
+}
+
+/**
+ * Simulates 'enterCofi' for the client's signer (or 'from').
+ * @param {import('./CofiClient.js').CofiClient} client
+ * @param {object} params   As for 'CofiClient.enterCofi', plus an optional 'from'.
+ * @returns {Promise<Preflight>}
+ */
+async function preflightEnterCofi (client, { amount, token, cofi, recipient, referral = ZeroAddress, from }) {
+  const ctx = await context(client, 'enterCofi', { amount, token, cofi, from })
+  const isETH = ctx.token === ZeroAddress
+  return await preflight(ctx, () => ctx.caller.enterCofi.staticCall(
+    isETH ? 0 : ctx.amount,
+    ctx.token,
+    cofi,
+    ctx.account,
+    recipient || ctx.account,
+    referral,
+    { from: ctx.account, value: isETH ? ctx.amount : 0 }
+  ))
+}
+
+/**
+ * Simulates 'exitCofi' for the client's signer (or 'from').
+ * @param {import('./CofiClient.js').CofiClient} client
+ * @param {object} params   As for 'CofiClient.exitCofi', plus an optional 'from'.
+ * @returns {Promise<Preflight>}
+ */
+async function preflightExitCofi (client, { amount, cofi, token, recipient, from }) {
+  const ctx = await context(client, 'exitCofi', { amount, token, cofi, from })
+  return await preflight(ctx, () => ctx.caller.exitCofi.staticCall(
+    ctx.amount,
+    ctx.token,
+    cofi,
+    ctx.account,
+    recipient || ctx.account,
+    { from: ctx.account }
+  ))
+}
+
+module.exports = {
+  decodeRevert,
+  preflightEnterCofi,
+  preflightExitCofi
+}
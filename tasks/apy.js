@@ -0,0 +1,39 @@
+const fs = require('fs')
+const { task } = require('hardhat/config')
+const { resolveAddress } = require('../scripts/libs/registry.js')
+const { apy } = require('../scripts/libs/apy.js')
+const { registryParams, registryFile, parseList, registryCofi } = require('./utils.js')
+
+/*
+ * Writes realized APYs of cofi tokens as JSON (see scripts/libs/apy.js), e.g.
+ *
+ *   npx hardhat cofi:apy --out apy.json --network optimisticEthereum
+ *   npx hardhat cofi:apy --source blocks --windows 1,7,30,90 --network optimisticEthereum
+ */
+
+registryParams(task('cofi:apy', 'Calculates realized APYs from rebasingCreditsPerTokenHighres'))
+  .addOptionalParam('cofi', 'Comma-separated cofi token names or addresses (default: every COFIRebasingToken in the registry)')
+  .addOptionalParam('windows', 'Comma-separated window lengths in days', '1,7,30')
+  .addOptionalParam('source', "'events' (TotalSupplyUpdated) or 'blocks' (calls at historical blocks, needs an archive node)", 'events')
+  .addOptionalParam('fromBlock', "First block to read events from with 'events'", '0')
+  .addOptionalParam('out', 'File to write to (prints to stdout if omitted)')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const result = await apy({
+      cofiMoney: await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry)),
+      cofi: args.cofi ? parseList(args.cofi, registry) : registryCofi(registry),
+      windows: args.windows.split(',').map(Number),
+      source: args.source,
+      fromBlock: Number(args.fromBlock)
+    })
+
+    const json = JSON.stringify(result, null, 2) + '\n'
+    if (args.out) {
+      fs.writeFileSync(args.out, json)
+      console.log(`APYs at block ${result.block} written to ${args.out}`)
+    } else {
+      process.stdout.write(json)
+    }
+    return result
+  })
@@ -0,0 +1,119 @@
+const { task } = require('hardhat/config')
+const { resolveAddress } = require('../scripts/libs/registry.js')
+const { prepareUpgradeWithNewFacets } = require('../scripts/libs/index.js')
+const { diffDiamond, formatDiff } = require('../scripts/libs/diamondDiff.js')
+const { appStorageLayout, compareLayouts, readBaseline, writeBaseline } = require('../scripts/libs/storageLayout.js')
+const { writeBatch } = require('../scripts/libs/safe.js')
+const { confirm, registryParams, registryFile, exportParams, exportBatch } = require('./utils.js')
+
+/*
+ * Diamond upgrades, e.g. redeploying two facets and removing a selector:
+ *
+ *   npx hardhat cofi:diamond:upgrade --facets SupplyManagerFacet,SwapManagerFacet \
+ *     --remove 0x12345678 --network optimisticEthereum
+ *
+ * The facets are deployed by the first signer, and every selector they declare is added or
+ * replaced (see upgradeWithNewFacets in scripts/libs/index.js). The diamondCut itself is sent by
+ * the first signer once confirmed or, with '--export safe --safe <address>', written to a Safe
+ * Transaction Builder batch for the diamond owner.
+ */
+
+registryParams(exportParams(task('cofi:diamond:upgrade', 'Deploys facets and cuts them into the diamond')))
+  .addParam('facets', 'Comma separated facet contract names')
+  .addOptionalParam('remove', 'Comma separated selectors to remove')
+  .addOptionalParam('init', 'Contract to delegatecall init() on')
+  .addOptionalParam('initArgs', 'init() args as a JSON array', '[]')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('yes', 'Send without asking for confirmation')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const batch = exportBatch(args)
+    const diamondAddress = resolveAddress(args.diamond, registry)
+    const split = list => (list || '').split(',').map(i => i.trim()).filter(i => i)
+
+    const { diamondCut, initFacetAddress, functionCall } = await prepareUpgradeWithNewFacets({
+      diamondAddress,
+      facetNames: split(args.facets),
+      selectorsToRemove: split(args.remove),
+      initFacetName: args.init,
+      initArgs: JSON.parse(args.initArgs)
+    })
+    const diamondCutFacet = await hre.ethers.getContractAt('DiamondCutFacet', diamondAddress)
+    const params = [diamondCut, initFacetAddress, functionCall]
+
+    if (batch) {
+      await batch.add(diamondCutFacet, 'diamondCut', params)
+      await writeBatch({ ...batch, description: `Upgrade ${args.facets}` })
+      return { diamondCut, sent: false, exported: batch.file }
+    }
+    if (!args.yes && !await confirm(`Send diamondCut for ${args.facets}?`)) {
+      console.log('Aborted')
+      return { diamondCut, sent: false }
+    }
+    const tx = await diamondCutFacet.diamondCut(...params)
+    await tx.wait()
+    console.log(`diamondCut tx: ${tx.hash}`)
+    return { diamondCut, sent: true }
+  })
+
+/*
+ * Report of what a cut would change (see scripts/libs/diamondDiff.js), e.g.
+ *
+ *   npx hardhat cofi:diamond:diff --facets SupplyManagerFacet --network optimisticEthereum
+ *
+ * Compares the compiled facets (so compile first) with the live selectors, and fails on selector
+ * collisions.
+ */
+
+registryParams(task('cofi:diamond:diff', 'Reports added, replaced, removed and colliding selectors against the live diamond'))
+  .addOptionalParam('facets', 'Comma separated facet contract names to report on (default: all)')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const only = args.facets && args.facets.split(',').map(i => i.trim()).filter(i => i)
+    const diff = await diffDiamond({ diamond: resolveAddress(args.diamond, registry), only })
+    console.log(formatDiff(diff))
+    if (diff.collisions.length > 0) {
+      throw Error(`${diff.collisions.length} selector collision(s):\n${diff.collisions.map(c => `  ${c.selector} ${c.signatures.join(', ')}`).join('\n')}`)
+    }
+    return diff
+  })
+
+/*
+ * AppStorage layout guard (see scripts/libs/storageLayout.js), run by test/storageLayout.js:
+ *
+ *   npx hardhat compile && npx hardhat cofi:storage:check
+ *
+ * Fails if a field of the baseline in storage/AppStorage.json was removed, moved or retyped, or
+ * an enum member removed or reordered.
+ * After appending fields, --update writes the new layout as the baseline.
+ */
+
+task('cofi:storage:check', 'Checks the compiled AppStorage layout against the baseline')
+  .addFlag('update', 'Write the compiled layout as the new baseline if compatible')
+  .setAction(async (args) => {
+    const layout = await appStorageLayout()
+    const baseline = readBaseline()
+    if (!baseline) {
+      if (!args.update) {
+        throw Error('No AppStorage baseline, run with --update to write it.')
+      }
+      writeBaseline(layout)
+      console.log('Baseline written')
+      return { errors: [], appended: [] }
+    }
+    const { errors, appended } = compareLayouts(baseline, layout)
+    for (const path of appended) {
+      console.log(`  + ${path}`)
+    }
+    if (errors.length > 0) {
+      throw Error(`AppStorage layout incompatible with the baseline:\n${errors.map(e => `  ${e}`).join('\n')}`)
+    }
+    if (args.update) {
+      writeBaseline(layout)
+      console.log('Baseline updated')
+    } else if (appended.length > 0) {
+      console.log('Compatible, run with --update to add the appended fields to the baseline')
+    }
+    return { errors, appended }
+  })
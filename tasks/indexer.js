@@ -0,0 +1,61 @@
+const path = require('path')
+const { task } = require('hardhat/config')
+const { resolveAddress } = require('../scripts/libs/registry.js')
+const { openDatabase, indexEvents } = require('../scripts/libs/indexer.js')
+const { registryParams, registryFile } = require('./utils.js')
+
+/*
+ * Indexes COFIMoney events into SQLite (see scripts/libs/indexer.js), e.g.
+ *
+ *   npx hardhat cofi:index --from-block 107000000 --network optimisticEthereum
+ *   npx hardhat cofi:index --follow --network localhost
+ *
+ * Without --from-block, continues from the last block in the database. With both --follow and
+ * --to-block, stops following once --to-block is indexed.
+ */
+
+registryParams(task('cofi:index', 'Indexes COFIMoney events into a SQLite database'))
+  .addOptionalParam('db', 'Database file (default: deployments/index/<network>.sqlite)')
+  .addOptionalParam('fromBlock', 'Block to backfill from')
+  .addOptionalParam('toBlock', 'Last block to index (default: latest)')
+  .addOptionalParam('blockRange', 'Maximum blocks per log query', '10000')
+  .addOptionalParam('interval', 'Seconds between polls with --follow', '15')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('follow', 'Keep indexing new blocks until interrupted')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const cofiMoney = await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry))
+    const file = args.db || path.join(__dirname, '..', 'deployments', 'index', `${hre.network.name}.sqlite`)
+    const { db, save } = await openDatabase({ abi: cofiMoney.interface.fragments, file })
+
+    let stopped = false
+    process.once('SIGINT', () => { stopped = true })
+
+    let fromBlock = args.fromBlock === undefined ? undefined : Number(args.fromBlock)
+    const toBlock = args.toBlock === undefined ? undefined : Number(args.toBlock)
+    const following = result => args.follow && !stopped && (toBlock === undefined || result.toBlock < toBlock)
+    const results = []
+    let result
+    do {
+      result = await indexEvents({
+        db,
+        cofiMoney,
+        fromBlock,
+        // Blocks not mined yet are left to the next poll.
+        toBlock: toBlock === undefined ? undefined : Math.min(toBlock, await hre.ethers.provider.getBlockNumber()),
+        blockRange: Number(args.blockRange)
+      })
+      save()
+      results.push(result)
+      const counts = Object.entries(result.counts).map(([name, n]) => `${name}: ${n}`)
+      console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}${counts.length ? ` (${counts.join(', ')})` : ''}`)
+      fromBlock = undefined
+
+      if (following(result)) {
+        await new Promise(resolve => setTimeout(resolve, Number(args.interval) * 1000))
+      }
+    } while (following(result))
+
+    db.close()
+    return results
+  })
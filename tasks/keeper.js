@@ -0,0 +1,42 @@
+const { task } = require('hardhat/config')
+const { resolveAddress } = require('../scripts/libs/registry.js')
+const { runKeeper } = require('../scripts/libs/keeper.js')
+const { registryParams, registryFile, parseList, registryCofi } = require('./utils.js')
+
+/*
+ * Rebase keeper (see scripts/libs/keeper.js), e.g.
+ *
+ *   npx hardhat cofi:keeper:rebase --min-yield 10 --interval 3600 --network optimisticEthereum
+ *
+ * Runs until interrupted unless --rounds is given. Use --dry-run to simulate rebases without
+ * sending them, e.g. against a local node: 'npx hardhat cofi:keeper:rebase --dry-run --network localhost'.
+ * The first signer must be Upkeep or Admin unless rebasePublic is set for the token.
+ */
+
+registryParams(task('cofi:keeper:rebase', 'Rebases cofi tokens when vault yield clears a threshold'))
+  .addOptionalParam('cofi', 'Comma-separated cofi token names or addresses (default: every COFIRebasingToken in the registry)')
+  .addOptionalParam('minYield', 'Minimum yield to rebase, in cofi tokens', '0')
+  .addOptionalParam('minYieldToGas', 'Minimum ratio of yield value to gas cost', '1')
+  .addOptionalParam('interval', 'Seconds between rounds', '60')
+  .addOptionalParam('rounds', 'Rounds to run (0 runs until interrupted)', '0')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('dryRun', 'Simulate rebases with a static call instead of sending them')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const cofi = args.cofi ? parseList(args.cofi, registry) : registryCofi(registry)
+    const [signer] = await hre.ethers.getSigners()
+
+    console.log(`Keeper ${await signer.getAddress()}${args.dryRun ? ' (dry run)' : ''} for ${Object.keys(cofi).join(', ')}`)
+    const keeper = runKeeper({
+      cofiMoney: await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry)),
+      cofi: Object.values(cofi),
+      signer,
+      minYield: hre.ethers.parseEther(args.minYield),
+      minYieldToGas: Number(args.minYieldToGas),
+      interval: Number(args.interval),
+      rounds: Number(args.rounds),
+      dryRun: args.dryRun
+    })
+    process.once('SIGINT', keeper.stop)
+    return await keeper.done
+  })
@@ -0,0 +1,100 @@
+const { task } = require('hardhat/config')
+const fs = require('fs')
+const { resolveAddress } = require('../scripts/libs/registry.js')
+const { runOptimizer } = require('../scripts/libs/optimizer.js')
+const { parseSeries, hold, optimizer, backtest } = require('../scripts/libs/backtest.js')
+const { registryParams, registryFile, parseList, registryCofi } = require('./utils.js')
+
+/*
+ * YieldOptimizer runner (see scripts/libs/optimizer.js), e.g.
+ *
+ *   npx hardhat cofi:optimizer:run --cofi coUSD --entries 7 --interval 86400 --network optimisticEthereum
+ *
+ * Captures vault yields every --interval and logs proposed migrations. With --execute, ready
+ * proposals are sent through YieldOptimizer.optimize. The first signer must be authorized on the
+ * optimizer, and the optimizer Upkeep or Admin on the diamond to migrate.
+ */
+
+registryParams(task('cofi:optimizer:run', 'Captures vault yields and proposes or executes migrations to the best vault'))
+  .addOptionalParam('cofi', 'Comma-separated cofi token names or addresses (default: every COFIRebasingToken in the registry)')
+  .addOptionalParam('optimizer', 'YieldOptimizer name or address', 'YieldOptimizer')
+  .addOptionalParam('entries', 'Captures to evaluate over', '7')
+  .addOptionalParam('minImprovement', 'Minimum yield improvement per interval to propose a migration, in percent', '0')
+  .addOptionalParam('interval', 'Seconds between captures', '86400')
+  .addOptionalParam('rounds', 'Rounds to run (0 runs until interrupted)', '0')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('strict', 'Only evaluate once there are --entries captures')
+  .addFlag('ema', 'Rank vaults by EMA instead of median yield')
+  .addFlag('execute', 'Send optimize for ready proposals')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const cofi = args.cofi ? parseList(args.cofi, registry) : registryCofi(registry)
+    const [signer] = await hre.ethers.getSigners()
+
+    console.log(`Optimizer ${await signer.getAddress()}${args.execute ? '' : ' (proposing only)'} for ${Object.keys(cofi).join(', ')}`)
+    const runner = runOptimizer({
+      optimizer: await hre.ethers.getContractAt('YieldOptimizer', resolveAddress(args.optimizer, registry), signer),
+      cofiMoney: await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry)),
+      cofi: Object.values(cofi),
+      entries: Number(args.entries),
+      strict: args.strict,
+      ema: args.ema,
+      // Percent to 1e18 = 100%.
+      minImprovement: hre.ethers.parseEther(args.minImprovement) / 100n,
+      interval: Number(args.interval),
+      rounds: Number(args.rounds),
+      execute: args.execute
+    })
+    process.once('SIGINT', runner.stop)
+    return await runner.done
+  })
+
+/*
+ * Offline backtest of vault strategies (see scripts/libs/backtest.js), e.g.
+ *
+ *   npx hardhat cofi:optimizer:backtest --file captures.csv --vault wyvDAI \
+ *     --strategies hold:wyvDAI,hold:wsoUSDC,median:7,ema:7 --service-fee 1000 --slippage 5
+ *
+ * Strategies are 'hold:<vault>', 'median:<entries>' or 'ema:<entries>'. Fees, rate limit, slippage
+ * and buffer are in basis points.
+ */
+
+task('cofi:optimizer:backtest', 'Replays vault strategies over recorded share prices and reports holder APY')
+  .addParam('file', 'CSV (timestamp,vault,assets) or JSON series')
+  .addParam('vault', 'Vault the cofi token starts in')
+  .addOptionalParam('strategies', 'Comma-separated strategies', 'median:7,ema:7')
+  .addOptionalParam('serviceFee', 'Service fee in bps', '0')
+  .addOptionalParam('rateLimit', 'Rate limit in bps', '10000')
+  .addOptionalParam('slippage', 'Migration slippage in bps', '0')
+  .addOptionalParam('buffer', 'Migration buffer, in bps of the assets migrated', '0')
+  .addOptionalParam('rebaseInterval', 'Minimum seconds between rebases', '0')
+  .setAction(async (args) => {
+    const series = parseSeries(fs.readFileSync(args.file, 'utf8'))
+    const strategies = args.strategies.split(',').map(s => s.trim()).filter(s => s).map(s => {
+      const [type, arg] = s.split(':')
+      if (type === 'hold') return hold(arg)
+      if (type === 'median' || type === 'ema') return optimizer({ entries: Number(arg || 7), useEma: type === 'ema' })
+      throw Error(`Unknown strategy '${s}'. Must be hold:<vault>, median:<entries> or ema:<entries>.`)
+    })
+
+    const pct = value => value === null ? '-' : `${(value * 100).toFixed(2)}%`
+    const results = []
+    for (const strategy of strategies) {
+      const result = backtest({
+        series,
+        strategy,
+        vault: args.vault,
+        serviceFee: Number(args.serviceFee),
+        rateLimit: Number(args.rateLimit),
+        slippage: Number(args.slippage),
+        buffer: Number(args.buffer),
+        rebaseInterval: Number(args.rebaseInterval)
+      })
+      results.push(result)
+      console.log(`${result.strategy}: APY ${pct(result.apy)} (gross ${pct(result.grossApy)}), ` +
+        `${result.migrations.length} migration(s), ${result.failedMigrations} failed, ` +
+        `${result.skippedRebases} rebase(s) skipped, costs ${pct(result.slippageCost)} slippage ` +
+        `${pct(result.bufferCost)} buffer`)
+    }
+    return results
+  })
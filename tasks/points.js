@@ -0,0 +1,70 @@
+const { task } = require('hardhat/config')
+const { readRegistry, resolveAddress } = require('../scripts/libs/registry.js')
+const {
+  statePath,
+  readState,
+  writeState,
+  syncHolders,
+  verifyCapture,
+  captureYieldPoints
+} = require('../scripts/libs/points.js')
+const { registryParams, registryFile, parseList, registryCofi } = require('./utils.js')
+
+/*
+ * Captures yield points for every holder of each cofi token (see scripts/libs/points.js), to
+ * be run after the last rebase under the current 'pointsRate' and before 'setPointsRate':
+ *
+ *   npx hardhat cofi:points:capture --cofi coUSD --network optimisticEthereum
+ *   npx hardhat cofi:points:capture --cofi coUSD --verify --network optimisticEthereum
+ *
+ * Progress is kept in the state file, so re-running resumes an interrupted capture.
+ */
+
+// Scanning starts at the token's deploy block when it is in the registry.
+function deployBlock (name, file) {
+  const entry = readRegistry(file).contracts[name]
+  return (entry && entry.block) || 0
+}
+
+registryParams(task('cofi:points:capture', 'Captures yield points for all cofi token holders'))
+  .addOptionalParam('cofi', 'Comma-separated cofi token names or addresses (default: every COFIRebasingToken in the registry)')
+  .addOptionalParam('state', 'State file (default: deployments/points/<network>.json)')
+  .addOptionalParam('maxGas', 'Gas limit per batch', '5000000')
+  .addOptionalParam('batchSize', 'Maximum accounts per batch', '500')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('verify', 'Only sync holders and report outstanding captures')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const cofi = args.cofi ? parseList(args.cofi, registry) : registryCofi(registry)
+    const file = args.state || statePath()
+    const state = readState(file)
+    const cofiMoney = await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry))
+    const [signer] = await hre.ethers.getSigners()
+
+    const results = {}
+    for (const [name, address] of Object.entries(cofi)) {
+      if (args.verify) {
+        await syncHolders({ cofi: address, state, startBlock: deployBlock(name, registry) })
+        writeState(state, file)
+        const remaining = (await verifyCapture({ cofiMoney, cofi: address, state }))
+          .filter(holder => !holder.captured)
+          .map(holder => holder.account)
+        console.log(`${name}: ${state[address].holders.length} holder(s), ${remaining.length} outstanding`)
+        for (const account of remaining) console.log(`  ${account}`)
+        results[name] = { holders: state[address].holders, batches: [], remaining }
+        continue
+      }
+      results[name] = await captureYieldPoints({
+        cofiMoney,
+        cofi: address,
+        signer,
+        state,
+        save: state => writeState(state, file),
+        maxGas: BigInt(args.maxGas),
+        batchSize: Number(args.batchSize),
+        startBlock: deployBlock(name, registry),
+        log: line => console.log(line.replace(address, name))
+      })
+    }
+    return results
+  })
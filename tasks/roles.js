@@ -0,0 +1,39 @@
+const fs = require('fs')
+const { task } = require('hardhat/config')
+const { auditRoles, formatAudit } = require('../scripts/libs/roles.js')
+const { registryParams, registryFile, parseList } = require('./utils.js')
+
+/*
+ * Role holders of every contract in the registry (see scripts/libs/roles.js), e.g.
+ *
+ *   npx hardhat cofi:roles:audit --accounts 0x...,0x... --network optimisticEthereum
+ *   npx hardhat cofi:roles:audit --scan-txs --strict --network localhost
+ *
+ * Pass multisigs, keepers and other accounts expected to hold roles with --accounts, as role maps
+ * can only be checked for known accounts. --strict fails if anything is flagged.
+ */
+
+registryParams(task('cofi:roles:audit', 'Prints the role holders of every registry contract and flags risky ones'))
+  .addOptionalParam('accounts', 'Comma-separated extra account names or addresses', '')
+  .addOptionalParam('blockRange', 'Maximum blocks per log query', '10000')
+  .addOptionalParam('out', 'Also write the audit as JSON to this file')
+  .addFlag('scanTxs', 'Scan every block since deployment for role setter calls (slow on live networks)')
+  .addFlag('strict', 'Fail if anything is flagged')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const audit = await auditRoles({
+      file: registry,
+      accounts: Object.values(parseList(args.accounts, registry)),
+      scanTxs: args.scanTxs,
+      blockRange: Number(args.blockRange)
+    })
+    console.log(formatAudit(audit))
+    if (args.out) {
+      fs.writeFileSync(args.out, JSON.stringify(audit, null, 2) + '\n')
+      console.log(`Audit written to ${args.out}`)
+    }
+    if (args.strict && audit.flags.length > 0) {
+      throw Error(`${audit.flags.length} role flag(s)`)
+    }
+    return audit
+  })
@@ -0,0 +1,31 @@
+const { task } = require('hardhat/config')
+const fs = require('fs')
+const { batchChecksum, decodeBatch, formatDecoded } = require('../scripts/libs/safe.js')
+const { registryParams, registryFile } = require('./utils.js')
+
+/*
+ * Offline review of a Safe Transaction Builder batch, e.g. one written with '--export safe':
+ *
+ *   npx hardhat cofi:safe:decode safe-batch.json --registry optimisticEthereum
+ *
+ * Prints each transaction as a facet (or registry contract) call with its named args. Fails if
+ * the batch checksum does not match, i.e. it was edited after being written.
+ */
+
+registryParams(task('cofi:safe:decode', 'Decodes a Safe Transaction Builder batch into contract calls'))
+  .addPositionalParam('file', 'Batch JSON file')
+  .setAction(async (args) => {
+    const batch = JSON.parse(fs.readFileSync(args.file))
+    const registry = registryFile(args)
+    const file = fs.existsSync(registry) ? registry : undefined
+
+    const decoded = await decodeBatch(batch, file)
+    console.log(`${batch.meta.name}: ${batch.meta.description || ''}`)
+    console.log(`Safe ${batch.meta.createdFromSafeAddress} on chain ${batch.chainId}`)
+    console.log(formatDecoded(decoded, file))
+
+    if (batch.meta.checksum !== batchChecksum(batch)) {
+      throw Error(`Checksum mismatch for ${args.file}: the batch was modified after it was created.`)
+    }
+    return decoded
+  })
@@ -0,0 +1,57 @@
+const fs = require('fs')
+const { task } = require('hardhat/config')
+const { resolveAddress } = require('../scripts/libs/registry.js')
+const { snapshot, diffSnapshots } = require('../scripts/libs/snapshot.js')
+const { registryParams, registryFile, parseList, registryCofi } = require('./utils.js')
+
+/*
+ * Dumps the COFIMoney diamond's AppStorage to JSON and diffs two dumps, e.g. before and after
+ * an upgrade:
+ *
+ *   npx hardhat cofi:snapshot --out before.json --accounts whitelister,0x... --network optimisticEthereum
+ *   npx hardhat cofi:snapshot:diff before.json after.json
+ */
+
+registryParams(task('cofi:snapshot', 'Writes a JSON snapshot of the COFIMoney diamond state'))
+  .addOptionalParam('out', 'File to write to (prints to stdout if omitted)')
+  .addOptionalParam('cofi', 'Comma-separated cofi token names or addresses (default: every COFIRebasingToken in the registry)')
+  .addOptionalParam('underlyings', 'Comma-separated underlying names or addresses', '')
+  .addOptionalParam('accounts', 'Comma-separated account names or addresses', '')
+  .addOptionalParam('block', 'Block number to read at (default: latest)')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const cofi = args.cofi ? parseList(args.cofi, registry) : registryCofi(registry)
+
+    const snap = await snapshot({
+      cofiMoney: await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry)),
+      cofi,
+      underlyings: parseList(args.underlyings, registry),
+      accounts: parseList(args.accounts, registry),
+      block: args.block === undefined ? undefined : Number(args.block)
+    })
+
+    const json = JSON.stringify(snap, null, 2) + '\n'
+    if (args.out) {
+      fs.writeFileSync(args.out, json)
+      console.log(`Snapshot at block ${snap.block} written to ${args.out}`)
+    } else {
+      process.stdout.write(json)
+    }
+    return snap
+  })
+
+task('cofi:snapshot:diff', 'Lists the differences between two cofi:snapshot files')
+  .addPositionalParam('before', 'Earlier snapshot file')
+  .addPositionalParam('after', 'Later snapshot file')
+  .setAction(async (args) => {
+    const changes = diffSnapshots(
+      JSON.parse(fs.readFileSync(args.before, 'utf8')),
+      JSON.parse(fs.readFileSync(args.after, 'utf8'))
+    )
+    for (const { path, before, after } of changes) {
+      console.log(`${path}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`)
+    }
+    console.log(`${changes.length} change(s)`)
+    return changes
+  })
@@ -0,0 +1,115 @@
+const { task } = require('hardhat/config')
+const { resolveAddress } = require('../scripts/libs/registry.js')
+const { writeBatch } = require('../scripts/libs/safe.js')
+const { confirm, registryParams, registryFile, exportParams, exportBatch } = require('./utils.js')
+
+/*
+ * Admin tasks for SupplyManagerFacet params, e.g.
+ *
+ *   npx hardhat cofi:supply:set --cofi coUSD --param mintFee --value 10 --network optimisticEthereum
+ *   npx hardhat cofi:supply:set --cofi coUSD --param minDeposit --value 1.5 --network optimisticEthereum
+ *
+ * Token and diamond names are resolved through deployments/<network>.json (addresses also work).
+ * The current value is read via the matching getter and the change must be confirmed before
+ * it is sent, unless --yes is passed. With '--export safe --safe <address>' the transaction is
+ * written to a Safe Transaction Builder batch instead.
+ */
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)'
+]
+
+// minDeposit and minWithdraw are underlying amounts, given in units of the underlying
+// (e.g. '1.5' USDC). Fees and supplyLimit are in basis points (1e4 = 100%), supplyLimit
+// bounding the cofi minted or redeemed above the underlying's value. Enabled flags are 0 or 1.
+const PARAMS = [
+  'decimals',
+  'minDeposit',
+  'minWithdraw',
+  'mintFee',
+  'mintEnabled',
+  'redeemFee',
+  'redeemEnabled',
+  'serviceFee',
+  'supplyLimit'
+]
+const AMOUNTS = ['minDeposit', 'minWithdraw']
+const FEES = ['mintFee', 'redeemFee', 'serviceFee']
+const FLAGS = ['mintEnabled', 'redeemEnabled']
+
+// The decimals of the underlying of 'cofi', which its amount params are in.
+async function underlyingDecimals (hre, cofiMoney, cofi) {
+  const underlying = await hre.ethers.getContractAt(ERC20_ABI, await cofiMoney.getUnderlying(cofi))
+  return underlying.decimals()
+}
+
+// Parses 'value' of 'param' into the integer the setter takes.
+function parseValue (hre, param, value, decimals) {
+  if (AMOUNTS.includes(param)) {
+    return hre.ethers.parseUnits(value, decimals)
+  }
+  if (!/^\d+$/.test(value)) {
+    throw Error(`Invalid ${param} '${value}'. Must be a whole number.`)
+  }
+  const parsed = BigInt(value)
+  if (FLAGS.includes(param) && parsed > 1n) {
+    throw Error(`Invalid ${param} '${value}'. Must be 0 or 1.`)
+  }
+  if (FEES.includes(param) && parsed > 10000n) {
+    throw Error(`Invalid ${param} '${value}'. Must be at most 10000 (100%).`)
+  }
+  if (param === 'decimals' && parsed > 255n) {
+    throw Error(`Invalid decimals '${value}'. Must be at most 255.`)
+  }
+  return parsed
+}
+
+// 'value' of 'param' for display, e.g. '1.5 (1500000)' for amounts.
+function formatValue (hre, param, value, decimals) {
+  return AMOUNTS.includes(param) ? `${hre.ethers.formatUnits(value, decimals)} (${value})` : `${value}`
+}
+
+registryParams(exportParams(task('cofi:supply:set', 'Sets a SupplyManagerFacet param for a cofi token')))
+  .addParam('cofi', 'Cofi token (or, for decimals, any asset) name or address')
+  .addParam('param', `One of: ${PARAMS.join(', ')}`)
+  .addParam('value', 'New value')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('yes', 'Send without asking for confirmation')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    if (!PARAMS.includes(args.param)) {
+      throw Error(`Unknown param '${args.param}'. Must be one of: ${PARAMS.join(', ')}.`)
+    }
+    const name = args.param[0].toUpperCase() + args.param.slice(1)
+    const setter = `set${name}`
+    const getter = `get${name}`
+    const batch = exportBatch(args)
+
+    const [signer] = await hre.ethers.getSigners()
+    const cofiMoney = await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry), signer)
+    const cofi = resolveAddress(args.cofi, registry)
+
+    const decimals = AMOUNTS.includes(args.param) ? await underlyingDecimals(hre, cofiMoney, cofi) : undefined
+    const before = await cofiMoney[getter](cofi)
+    const after = parseValue(hre, args.param, args.value, decimals)
+    console.log(`${args.cofi} (${cofi})`)
+    console.log(`  ${args.param}: ${formatValue(hre, args.param, before, decimals)} -> ${formatValue(hre, args.param, after, decimals)}`)
+    if (before === after) {
+      console.log('No change required')
+      return { before, after, sent: false }
+    }
+
+    if (batch) {
+      await batch.add(cofiMoney, setter, [cofi, after])
+      await writeBatch({ ...batch, description: `${setter}(${args.cofi}, ${after})` })
+      return { before, after, sent: false, exported: batch.file }
+    }
+    if (!args.yes && !await confirm(`Send ${setter}(${cofi}, ${after})?`)) {
+      console.log('Aborted')
+      return { before, after, sent: false }
+    }
+    const tx = await cofiMoney[setter](cofi, after)
+    await tx.wait()
+    console.log(`${setter} tx: ${tx.hash}`)
+    return { before, after: await cofiMoney[getter](cofi), sent: true }
+  })
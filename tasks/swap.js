@@ -0,0 +1,77 @@
+const { task } = require('hardhat/config')
+const { resolveAddress } = require('../scripts/libs/registry.js')
+const { writeBatch } = require('../scripts/libs/safe.js')
+const { confirm, registryParams, registryFile, exportParams, exportBatch } = require('./utils.js')
+
+/*
+ * Admin task for SwapManagerFacet routes, e.g. USDC => wETH => DAI on UniswapV3:
+ *
+ *   npx hardhat cofi:swap:route --from USDC --to DAI --protocol SwapV3 --pool-fee 500 \
+ *     --mid WETH --pool-fee2 500 --network optimisticEthereum
+ *
+ * Sets the route (both directions) and then the swap protocol, if it differs. For SwapV2 pass
+ * --stable for each hop, e.g. 'false,true'. With '--export safe --safe <address>' the
+ * transactions are written to a Safe Transaction Builder batch instead.
+ */
+
+const PROTOCOLS = ['NonExistent', 'SwapV2', 'SwapV3']
+
+registryParams(exportParams(task('cofi:swap:route', 'Sets the swap route and protocol between two tokens')))
+  .addParam('from', 'Token name or address')
+  .addParam('to', 'Token name or address')
+  .addParam('protocol', `One of: ${PROTOCOLS.join(', ')}`)
+  .addOptionalParam('mid', 'Intermediate token name or address, if any')
+  .addOptionalParam('poolFee', 'SwapV3 pool fee of the first hop', '500')
+  .addOptionalParam('poolFee2', 'SwapV3 pool fee of the second hop, with --mid', '0')
+  .addOptionalParam('stable', 'SwapV2 stable flag of each hop', 'false,false')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('yes', 'Send without asking for confirmation')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const protocol = PROTOCOLS.indexOf(args.protocol)
+    if (protocol === -1) {
+      throw Error(`Unknown protocol '${args.protocol}'. Must be one of: ${PROTOCOLS.join(', ')}.`)
+    }
+    const batch = exportBatch(args)
+    const [signer] = await hre.ethers.getSigners()
+    const cofiMoney = await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry), signer)
+    const from = resolveAddress(args.from, registry)
+    const to = resolveAddress(args.to, registry)
+    const mid = args.mid ? resolveAddress(args.mid, registry) : hre.ethers.ZeroAddress
+
+    const calls = []
+    if (args.protocol === 'SwapV3') {
+      calls.push(['setV3Route', [from, Number(args.poolFee), mid, Number(args.poolFee2), to]])
+    } else if (args.protocol === 'SwapV2') {
+      calls.push(['setV2Route', [from, mid, to, args.stable.split(',').map(s => s.trim() === 'true')]])
+    }
+    const before = await cofiMoney.getSwapProtocol(from, to)
+    console.log(`${args.from} => ${args.to}`)
+    console.log(`  protocol: ${PROTOCOLS[Number(before)]} -> ${args.protocol}`)
+    if (before !== BigInt(protocol)) {
+      calls.push(['setSwapProtocol', [from, to, protocol]])
+    }
+    if (calls.length === 0) {
+      console.log('No change required')
+      return { calls, sent: false }
+    }
+    const description = calls.map(([method]) => method).join(', ')
+
+    if (batch) {
+      for (const [method, params] of calls) {
+        await batch.add(cofiMoney, method, params)
+      }
+      await writeBatch({ ...batch, description: `${description} for ${args.from} => ${args.to}` })
+      return { calls, sent: false, exported: batch.file }
+    }
+    if (!args.yes && !await confirm(`Send ${description}?`)) {
+      console.log('Aborted')
+      return { calls, sent: false }
+    }
+    for (const [method, params] of calls) {
+      const tx = await cofiMoney[method](...params)
+      await tx.wait()
+      console.log(`${method} tx: ${tx.hash}`)
+    }
+    return { calls, sent: true }
+  })
@@ -0,0 +1,77 @@
+const readline = require('readline')
+const { registryPath, readRegistry, resolveAddress } = require('../scripts/libs/registry.js')
+const { createBatch } = require('../scripts/libs/safe.js')
+
+// Asks a yes/no question on the terminal, resolving true only for 'y' or 'yes'.
+async function confirm (question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout })
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve))
+  rl.close()
+  return ['y', 'yes'].includes(answer.trim().toLowerCase())
+}
+
+// Adds '--registry' to a task resolving names, e.g. to read another chain's registry or a copy.
+function registryParams (definition) {
+  return definition
+    .addOptionalParam('registry', 'Network name or registry file to resolve names in (default: --network)')
+}
+
+// The registry file for '--registry' (see registryParams).
+function registryFile (args) {
+  if (args.registry && args.registry.endsWith('.json')) {
+    return args.registry
+  }
+  return registryPath(args.registry)
+}
+
+// Parses 'coUSD,0x...' into { coUSD: '0x...', '0x...': '0x...' }.
+function parseList (list, file) {
+  const out = {}
+  for (const item of list.split(',').map(i => i.trim()).filter(i => i)) {
+    out[item] = resolveAddress(item, file)
+  }
+  return out
+}
+
+// Every COFIRebasingToken in the registry, as { name: address }.
+function registryCofi (file) {
+  const cofi = {}
+  for (const [name, entry] of Object.entries(readRegistry(file).contracts)) {
+    if (entry.contract === 'COFIRebasingToken') {
+      cofi[name] = entry.address
+    }
+  }
+  return cofi
+}
+
+// Adds the params of '--export safe' (see scripts/libs/safe.js) to an admin task.
+function exportParams (definition) {
+  return definition
+    .addOptionalParam('export', "'safe' to write a Safe Transaction Builder batch instead of sending")
+    .addOptionalParam('safe', 'Safe (name or address) executing the batch, for --export safe')
+    .addOptionalParam('out', 'Batch file for --export safe', 'safe-batch.json')
+}
+
+// A batch to collect transactions in if the task is exporting, otherwise undefined.
+function exportBatch (args) {
+  if (args.export === undefined) {
+    return undefined
+  }
+  if (args.export !== 'safe') {
+    throw Error(`Unknown export format '${args.export}'. Must be 'safe'.`)
+  }
+  if (!args.safe) {
+    throw Error('--export safe requires --safe.')
+  }
+  return { ...createBatch(), safe: resolveAddress(args.safe, registryFile(args)), file: args.out }
+}
+
+module.exports = {
+  confirm,
+  registryParams,
+  registryFile,
+  parseList,
+  registryCofi,
+  exportParams,
+  exportBatch
+}
@@ -0,0 +1,152 @@
+const { task } = require('hardhat/config')
+const { resolveAddress, deployContract } = require('../scripts/libs/registry.js')
+const { WRAPPERS, checkVault, onboardVault, formatChecklist } = require('../scripts/libs/onboard.js')
+const { checkMigration, dryRunMigration } = require('../scripts/libs/migration.js')
+const { writeBatch } = require('../scripts/libs/safe.js')
+const { confirm, registryParams, registryFile, exportParams, exportBatch } = require('./utils.js')
+
+/*
+ * Vault onboarding (see scripts/libs/onboard.js), e.g. for a wrapper with a new underlying:
+ *
+ *   npx hardhat cofi:vault:onboard --type YearnV2StakingRewards --cofi coUSD --vault wyvUSDT \
+ *     --args '["0xFaee...", ...]' --buffer 10 --price-feed 0xecef... --pool-fee 500 --network optimisticEthereum
+ *
+ * The wrapper is deployed under --vault with --args, unless the registry already holds it. Every
+ * step that is missing and can be completed by the first signer is sent once confirmed. Use
+ * --check to only verify, e.g. against a fork before the migration. Fails with the checklist of
+ * anything still missing. With '--export safe --safe <address>' the missing steps are written to a
+ * Safe Transaction Builder batch instead, checking roles against the Safe. YearnV2's
+ * setFlushReceiver is then not recorded in the registry, so keeps being reported.
+ */
+
+registryParams(exportParams(task('cofi:vault:onboard', 'Sets up a vault for a cofi token and checks every step is in place')))
+  .addParam('type', `Wrapper contract, one of: ${Object.keys(WRAPPERS).join(', ')}`)
+  .addParam('cofi', 'Cofi token name or address')
+  .addParam('vault', 'Wrapper name or address')
+  .addOptionalParam('args', 'Wrapper constructor args as a JSON array, to deploy it under --vault')
+  .addOptionalParam('buffer', 'Migration buffer, in underlying tokens, if none is set')
+  .addOptionalParam('priceFeed', 'Chainlink price feed for the underlying, if none is set')
+  .addOptionalParam('poolFee', 'UniswapV3 pool fee for a direct route from the current underlying, if none is set')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('check', 'Only check, without deploying or sending anything')
+  .addFlag('yes', 'Send without asking for confirmation')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    if (!WRAPPERS[args.type]) {
+      throw Error(`Unknown wrapper '${args.type}'. Must be one of: ${Object.keys(WRAPPERS).join(', ')}.`)
+    }
+    const batch = exportBatch(args)
+    const [signer] = await hre.ethers.getSigners()
+    if (args.args && !args.check && !hre.ethers.isAddress(args.vault)) {
+      await deployContract({ name: args.vault, contract: args.type, args: JSON.parse(args.args), signer, file: registry })
+    }
+
+    const params = {
+      cofiMoney: await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry)),
+      cofi: resolveAddress(args.cofi, registry),
+      vault: resolveAddress(args.vault, registry),
+      type: args.type,
+      signer,
+      caller: batch && batch.safe,
+      buffer: args.buffer,
+      priceFeed: args.priceFeed && hre.ethers.getAddress(args.priceFeed),
+      poolFee: args.poolFee && Number(args.poolFee),
+      file: registry
+    }
+
+    let steps = await checkVault(params)
+    let sent = []
+    console.log(`${args.vault} (${args.type}) for ${args.cofi}`)
+    console.log(formatChecklist(steps))
+
+    const fixes = steps.filter(s => !s.done && s.fix)
+    if (batch && !args.check) {
+      for (const { fix: [contract, method, fixArgs] } of fixes) {
+        await batch.add(contract, method, fixArgs)
+      }
+      if (fixes.length > 0) {
+        await writeBatch({ ...batch, description: `Onboard ${args.vault} for ${args.cofi}` })
+      }
+      const unfixed = steps.filter(s => !s.done && !s.fix)
+      if (unfixed.length > 0) {
+        throw Error(`Vault onboarding incomplete:\n${formatChecklist(unfixed)}`)
+      }
+      return { steps, sent: [], done: false, exported: batch.file }
+    }
+    if (!args.check && fixes.length > 0) {
+      if (!args.yes && !await confirm(`Send ${fixes.map(s => s.step).join(', ')}?`)) {
+        console.log('Aborted')
+        return { steps, sent: [], done: false }
+      }
+      const result = await onboardVault(params)
+      steps = result.steps
+      sent = result.sent
+      console.log(formatChecklist(steps))
+    }
+
+    const missing = steps.filter(s => !s.done)
+    if (missing.length > 0) {
+      throw Error(`Vault onboarding incomplete:\n${formatChecklist(missing)}`)
+    }
+    console.log('Vault onboarded')
+    return { steps, sent, done: true }
+  })
+
+/*
+ * Migration readiness (see scripts/libs/migration.js), e.g.
+ *
+ *   npx hardhat cofi:vault:migrate-check --cofi coUSD --vault wyvUSDT --dry-run --network hardhat
+ *
+ * Checks every precondition of VaultManagerFacet.migrate and fails with the checklist if one is
+ * missing. --dry-run also runs the migration on a snapshot, so needs a local or forked network.
+ */
+
+registryParams(task('cofi:vault:migrate-check', 'Checks that a cofi token can be migrated to a vault, optionally dry running it'))
+  .addParam('cofi', 'Cofi token name or address')
+  .addParam('vault', 'New vault name or address')
+  .addOptionalParam('caller', 'Upkeep or Admin account to simulate migrate from (default: diamond owner)')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('dryRun', 'Run the migration on a snapshot and report its effect')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const { ethers } = hre
+    const params = {
+      cofiMoney: await ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry)),
+      cofi: resolveAddress(args.cofi, registry),
+      newVault: resolveAddress(args.vault, registry),
+      caller: args.caller
+    }
+
+    const check = await checkMigration(params)
+    console.log(`${args.cofi}: ${check.vault} -> ${check.newVault}`)
+    console.log(formatChecklist(check.steps))
+    if (check.reason) {
+      console.log(`  migrate reverts: ${check.reason}`)
+    }
+
+    let dryRun
+    if (args.dryRun) {
+      dryRun = await dryRunMigration(params)
+      const erc20 = ['function decimals() view returns (uint8)', 'function symbol() view returns (string)']
+      const fmt = async (amount, token) => {
+        const contract = new ethers.Contract(token, erc20, ethers.provider)
+        return `${ethers.formatUnits(amount, await contract.decimals())} ${await contract.symbol()}`
+      }
+      if (dryRun.ok) {
+        console.log('Dry run:')
+        console.log(`  assets:  ${await fmt(dryRun.assetsBefore, check.underlying)} -> ${await fmt(dryRun.assetsAfter, check.newUnderlying)}`)
+        console.log(`  buffer:  ${await fmt(dryRun.bufferConsumed, check.newUnderlying)} consumed`)
+        console.log(`  supply:  ${await fmt(dryRun.supplyBefore, check.cofi)} -> ${await fmt(dryRun.supplyAfter, check.cofi)}`)
+        console.log(`  rebase:  ${dryRun.rebase ? `yield ${await fmt(dryRun.rebase.yield, check.cofi)}, fee ${await fmt(dryRun.rebase.fee, check.cofi)}` : 'none'}`)
+        console.log(`  gas:     ${dryRun.gasUsed}`)
+      } else {
+        console.log(`Dry run reverted: ${dryRun.reason}`)
+      }
+    }
+
+    const missing = check.steps.filter(s => !s.done)
+    if (missing.length > 0 || (dryRun && !dryRun.ok)) {
+      throw Error(`Migration not ready:\n${formatChecklist(missing)}${dryRun && !dryRun.ok ? `\n  dry run: ${dryRun.reason}` : ''}`)
+    }
+    return { ...check, dryRun }
+  })
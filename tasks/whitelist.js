@@ -0,0 +1,167 @@
+const fs = require('fs')
+const { task } = require('hardhat/config')
+const { readRegistry, resolveAddress } = require('../scripts/libs/registry.js')
+const { writeBatch } = require('../scripts/libs/safe.js')
+const {
+  ROLE,
+  statePath,
+  readState,
+  writeState,
+  syncRole,
+  roleMembers,
+  parseAccounts,
+  parseAllowlist,
+  pendingEntries,
+  toBatches,
+  applyAllowlist,
+  auditLogPath
+} = require('../scripts/libs/whitelist.js')
+const { confirm, registryParams, registryFile, exportParams, exportBatch } = require('./utils.js')
+
+/*
+ * Whitelist tasks (see scripts/libs/whitelist.js), e.g.
+ *
+ *   npx hardhat cofi:whitelist:sync --network optimisticEthereum
+ *   npx hardhat cofi:whitelist:bulk --file changes.csv --network optimisticEthereum
+ *   npx hardhat cofi:whitelist:apply --file kyc.csv --dry-run --network optimisticEthereum
+ *
+ * 'sync' rebuilds a role's holders from RoleUpdated events and compares them with the diamond's
+ * enumerated members. 'bulk' sends 'setWhitelistBatch' for the accounts of a CSV whose status
+ * differs, from the first signer (a Whitelister or Admin) or, with '--export safe --safe
+ * <address>', as a Safe Transaction Builder batch. 'apply' makes the whitelist match an allowlist
+ * (CSV or JSON, with optional tags), whitelisting listed accounts and removing the others, and
+ * appends every change to the audit log (default: deployments/whitelist/<network>.log).
+ */
+
+// Scanning starts at the diamond's deploy block when it is in the registry.
+function deployBlock (name, file) {
+  const entry = readRegistry(file).contracts[name]
+  return (entry && entry.block) || 0
+}
+
+registryParams(task('cofi:whitelist:sync', 'Rebuilds the holders of a diamond role from its events'))
+  .addOptionalParam('role', `One of: ${Object.keys(ROLE).join(', ')}`, 'Whitelisted')
+  .addOptionalParam('state', 'State file (default: deployments/whitelist/<network>.json)')
+  .addOptionalParam('blockRange', 'Maximum blocks per log query', '10000')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    if (ROLE[args.role] === undefined) {
+      throw Error(`Unknown role '${args.role}'. Must be one of: ${Object.keys(ROLE).join(', ')}.`)
+    }
+    const cofiMoney = await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry))
+    const file = args.state || statePath()
+    const state = readState(file)
+
+    const { accounts } = await syncRole({
+      cofiMoney,
+      role: ROLE[args.role],
+      state,
+      startBlock: deployBlock(args.diamond, registry),
+      blockRange: Number(args.blockRange)
+    })
+    writeState(state, file)
+    const members = await roleMembers({ cofiMoney, role: ROLE[args.role] })
+
+    // Members set before RoleUpdated existed, or events missed by the sync.
+    const unsynced = members.filter(account => !accounts.includes(account))
+    // Holders not enumerated yet, see 'indexRoleMembers'.
+    const unindexed = accounts.filter(account => !members.includes(account))
+    console.log(`${args.role}: ${accounts.length} from events, ${members.length} enumerated`)
+    for (const account of unsynced) console.log(`  enumerated only: ${account}`)
+    for (const account of unindexed) console.log(`  events only: ${account}`)
+    return { accounts, members, unsynced, unindexed }
+  })
+
+registryParams(exportParams(task('cofi:whitelist:bulk', 'Sets the whitelist status of the accounts of a CSV file')))
+  .addParam('file', "CSV of 'account' or 'account,enabled' rows")
+  .addOptionalParam('batchSize', 'Maximum accounts per setWhitelistBatch', '200')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('yes', 'Send without asking for confirmation')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const batch = exportBatch(args)
+    const [signer] = await hre.ethers.getSigners()
+    const cofiMoney = await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry), signer)
+
+    const entries = parseAccounts(fs.readFileSync(args.file, 'utf8'))
+    const pending = await pendingEntries({ cofiMoney, entries })
+    const added = pending.filter(e => e.enabled > 0).length
+    console.log(`${entries.length} account(s), ${added} to whitelist, ${pending.length - added} to remove`)
+    if (pending.length === 0) {
+      console.log('No change required')
+      return { pending, sent: [] }
+    }
+    const batches = toBatches(pending, Number(args.batchSize))
+
+    if (batch) {
+      for (const params of batches) {
+        await batch.add(cofiMoney, 'setWhitelistBatch', params)
+      }
+      await writeBatch({ ...batch, description: `setWhitelistBatch for ${pending.length} account(s)` })
+      return { pending, sent: [], exported: batch.file }
+    }
+    if (!args.yes && !await confirm(`Send ${batches.length} setWhitelistBatch transaction(s)?`)) {
+      console.log('Aborted')
+      return { pending, sent: [] }
+    }
+    const sent = []
+    for (const params of batches) {
+      const tx = await cofiMoney.setWhitelistBatch(...params)
+      await tx.wait()
+      sent.push(tx.hash)
+      console.log(`setWhitelistBatch (${params[0].length} account(s)) tx: ${tx.hash}`)
+    }
+    return { pending, sent }
+  })
+
+registryParams(task('cofi:whitelist:apply', 'Makes the whitelist match an allowlist file'))
+  .addParam('file', "Allowlist, CSV of 'address[,tags]' rows (header optional) or JSON [{ address, tags }]")
+  .addOptionalParam('state', 'State file (default: deployments/whitelist/<network>.json)')
+  .addOptionalParam('log', 'Audit log (default: deployments/whitelist/<network>.log)')
+  .addOptionalParam('maxGas', 'Gas limit per batch', '5000000')
+  .addOptionalParam('batchSize', 'Maximum accounts per batch', '500')
+  .addOptionalParam('diamond', 'Diamond name or address', 'COFIMoney')
+  .addFlag('addOnly', 'Only whitelist, never remove')
+  .addFlag('dryRun', 'Only print the batches that would be sent')
+  .addFlag('yes', 'Send without asking for confirmation')
+  .setAction(async (args, hre) => {
+    const registry = registryFile(args)
+    const [signer] = await hre.ethers.getSigners()
+    const cofiMoney = await hre.ethers.getContractAt('COFIMoney', resolveAddress(args.diamond, registry), signer)
+    const allowlist = parseAllowlist(fs.readFileSync(args.file, 'utf8'))
+
+    // Whitelisted accounts not listed are found from events and enumerated members.
+    const file = args.state || statePath()
+    const state = readState(file)
+    const { accounts } = await syncRole({ cofiMoney, state, startBlock: deployBlock(args.diamond, registry) })
+    writeState(state, file)
+    const current = [...accounts, ...await roleMembers({ cofiMoney })]
+
+    const params = {
+      cofiMoney,
+      signer,
+      allowlist,
+      current,
+      addOnly: args.addOnly,
+      maxGas: BigInt(args.maxGas),
+      batchSize: Number(args.batchSize),
+      source: args.file,
+      logFile: args.log || auditLogPath()
+    }
+    const plan = await applyAllowlist({ ...params, dryRun: true, log: () => {} })
+    console.log(`${Object.keys(allowlist).length} listed, ${plan.add.length} to add, ${plan.remove.length} to remove`)
+    for (const account of plan.add) console.log(`  + ${account} ${allowlist[account].join(';')}`.trimEnd())
+    for (const account of plan.remove) console.log(`  - ${account}`)
+    for (const account of plan.kept) console.log(`  = ${account} (Admin or Whitelister, kept)`)
+    console.log(`${plan.batches.length} setWhitelistBatch transaction(s), ${plan.batches.map(b => b.gas).join(', ') || 0} gas estimated`)
+
+    if (args.dryRun || plan.batches.length === 0) {
+      return { ...plan, sent: false }
+    }
+    if (!args.yes && !await confirm(`Send ${plan.batches.length} setWhitelistBatch transaction(s)?`)) {
+      console.log('Aborted')
+      return { ...plan, sent: false }
+    }
+    return { ...await applyAllowlist(params), sent: true }
+  })
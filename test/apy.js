@@ -0,0 +1,104 @@
+/* global ethers */
+
+const { deployCofiWithDeposit } = require("./fixtures/deployCofi.js")
+const { apy, tokenAPY } = require("../scripts/libs/apy.js")
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+const DAY = 86400
+
+describe("Test APY calculator", function() {
+
+    // 0.1% gross yield a day for 30 days, rebased daily. 10% service fee.
+    async function deployWithRebases() {
+
+        const fixture = await deployCofiWithDeposit()
+        const { cofiMoney, tokens, vaults, cofi } = fixture
+        const coUSD = await cofi.coUSD.getAddress()
+        const vUSDC = await vaults.vUSDC.getAddress()
+
+        for (let day = 0; day <= 30; day++) {
+            if (day > 0) await time.increase(DAY - 2)
+            await tokens.USDC.mint(vUSDC, await vaults.vUSDC.totalAssets() / 1000n)
+            await cofiMoney.rebase(coUSD)
+        }
+        return fixture
+    }
+
+    const NET = 1.0009 ** 365 - 1
+    const GROSS = 1.001 ** 365 - 1
+
+    it("Should calculate APY with and without the service fee from events", async function() {
+
+        const { cofiMoney, cofi } = await loadFixture(deployWithRebases)
+        const coUSD = await cofi.coUSD.getAddress()
+
+        const result = await tokenAPY({ cofiMoney, cofi: coUSD, windows: [1, 7, 30, 90] })
+        expect(result).to.include({ address: coUSD, symbol: 'coUSD', serviceFee: 1000 })
+        expect(result.rCPT).to.equal((await cofi.coUSD.rebasingCreditsPerTokenHighres()).toString())
+
+        for (const [window, days] of [['1d', 1], ['7d', 7], ['30d', 30]]) {
+            const { apy, apyGross, partial } = result.windows[window]
+            expect(apy).to.be.closeTo(NET, 0.001)
+            expect(apyGross).to.be.closeTo(GROSS, 0.001)
+            expect(partial).to.equal(false)
+            expect(result.windows[window].days).to.be.closeTo(days, 0.01)
+        }
+        // 1d looks back to the last rebase but one.
+        const events = await cofiMoney.queryFilter(cofiMoney.filters.TotalSupplyUpdated(coUSD))
+        expect(result.windows['1d'].from.block).to.equal(events[events.length - 2].blockNumber)
+        expect(result.windows['1d'].to.block).to.equal(events[events.length - 1].blockNumber)
+
+        // Only 30 days of rebases to go on.
+        expect(result.windows['90d'].partial).to.equal(true)
+        expect(result.windows['90d'].from.block).to.equal(events[0].blockNumber)
+        expect(result.windows['90d'].apy).to.be.closeTo(NET, 0.001)
+
+        // No rebases, no APY.
+        const coETH = await tokenAPY({ cofiMoney, cofi: await cofi.coETH.getAddress() })
+        expect(coETH.windows).to.deep.equal({ '1d': null, '7d': null, '30d': null })
+    })
+
+    it("Should calculate APY from historical blocks", async function() {
+
+        const { cofiMoney, cofi } = await loadFixture(deployWithRebases)
+        const coUSD = await cofi.coUSD.getAddress()
+
+        const result = await tokenAPY({ cofiMoney, cofi: coUSD, windows: [7, 30], source: 'blocks' })
+        const latest = await ethers.provider.getBlock('latest')
+        for (const window of ['7d', '30d']) {
+            const { from, to, apy, apyGross, partial } = result.windows[window]
+            expect(to).to.deep.equal({ block: latest.number, timestamp: latest.timestamp })
+            expect(partial).to.equal(false)
+            expect(apy).to.be.closeTo(NET, 0.01)
+            expect(apyGross).to.be.closeTo(GROSS, 0.01)
+            expect(apyGross).to.be.greaterThan(apy)
+            expect((await ethers.provider.getBlock(from.block + 1)).timestamp)
+                .to.be.greaterThan(latest.timestamp - Number(window.slice(0, -1)) * DAY)
+        }
+
+        await expect(apy({ cofiMoney, cofi: { coUSD }, source: 'logs' }))
+            .to.be.rejectedWith("Unknown source 'logs', expected 'events' or 'blocks'.")
+    })
+
+    it("Should output JSON via task", async function() {
+
+        const { cofiMoney, cofi } = await loadFixture(deployWithRebases)
+        const coUSD = await cofi.coUSD.getAddress()
+
+        const written = []
+        const write = process.stdout.write
+        process.stdout.write = (chunk) => written.push(chunk)
+        let result
+        try {
+            result = await hre.run('cofi:apy', { cofi: coUSD, diamond: await cofiMoney.getAddress() })
+        } finally {
+            process.stdout.write = write
+        }
+        expect(JSON.parse(written.join(''))).to.deep.equal(result)
+        expect(result.source).to.equal('events')
+        expect(Object.keys(result.tokens[coUSD].windows)).to.deep.equal(['1d', '7d', '30d'])
+    })
+})
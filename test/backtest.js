@@ -0,0 +1,117 @@
+const { parseSeries, hold, optimizer, backtest } = require("../scripts/libs/backtest.js")
+const { expect } = require("chai")
+
+const DAY = 86400
+const START = 1700000000
+
+describe("Test vault strategy backtester", function() {
+
+    // Daily samples for 'days' days, growing by 'rates[vault](day)' a day.
+    function series(days, rates) {
+        const out = {}
+        for (const [vault, rate] of Object.entries(rates)) {
+            let assets = 1e6
+            out[vault] = []
+            for (let day = 0; day <= days; day++) {
+                if (day > 0) assets *= 1 + rate(day)
+                out[vault].push({ timestamp: START + day * DAY, assets })
+            }
+        }
+        return out
+    }
+
+    it("Should parse CSV and JSON series alike", function() {
+
+        const csv = "timestamp,vault,assets\n1700086400,wyvDAI,1000100\n1700000000,wyvDAI,1000000\n1700000000,wsoUSDC,2000000\n"
+        const json = JSON.stringify([
+            { timestamp: 1700000000, vault: "wyvDAI", assets: "1000000" },
+            { timestamp: 1700086400, vault: "wyvDAI", assets: "1000100" },
+            { timestamp: 1700000000, vault: "wsoUSDC", assets: "2000000" }
+        ])
+
+        expect(parseSeries(csv)).to.deep.equal(parseSeries(json))
+        expect(parseSeries(csv).wyvDAI).to.deep.equal([
+            { timestamp: 1700000000, assets: 1000000 },
+            { timestamp: 1700086400, assets: 1000100 }
+        ])
+        expect(() => parseSeries("time,vault,assets\n1,a,1")).to.throw("Missing 'timestamp' column")
+        expect(() => parseSeries("timestamp,vault,assets\n1,a,0")).to.throw("Bad row")
+    })
+
+    it("Should net the service fee from holder APY", function() {
+
+        const data = series(365, { wyvDAI: () => 0.0001 })
+
+        const result = backtest({ series: data, strategy: hold("wyvDAI"), vault: "wyvDAI", serviceFee: 1000 })
+
+        expect(result.grossApy).to.be.closeTo(1.0001 ** 365 - 1, 1e-9)
+        // 10% of each rebase's yield is minted to the fee collector.
+        expect(result.apy).to.be.closeTo(1.00009 ** 365 - 1, 1e-4)
+        expect(result.fees).to.be.closeTo((1.0001 ** 365 - 1) * 0.1, 1e-4)
+        expect(result).to.include({ skippedRebases: 0, failedMigrations: 0, deficit: 0 })
+        expect(result.vaultTime).to.deep.equal({ wyvDAI: 1 })
+    })
+
+    it("Should skip rebases beyond the rate limit", function() {
+
+        // A 2% jump on day 10 against a 1% rate limit.
+        const data = series(20, { wyvDAI: day => day === 10 ? 0.02 : 0 })
+
+        const result = backtest({ series: data, strategy: hold("wyvDAI"), vault: "wyvDAI", rateLimit: 100 })
+
+        expect(result.skippedRebases).to.equal(11)
+        expect(result.deficit).to.equal(0)
+        expect(result.apy).to.equal(0)
+    })
+
+    it("Should charge migration slippage and buffer", function() {
+
+        const data = series(60, { wyvDAI: () => 0.0001, wsoUSDC: () => 0.0003 })
+
+        const stay = backtest({ series: data, strategy: hold("wyvDAI"), vault: "wyvDAI" })
+        const move = backtest({ series: data, strategy: hold("wsoUSDC"), vault: "wyvDAI", slippage: 5, buffer: 2 })
+
+        expect(move.migrations).to.deep.equal([{ timestamp: START, from: "wyvDAI", to: "wsoUSDC" }])
+        expect(move.slippageCost).to.be.closeTo(0.0005, 1e-12)
+        expect(move.bufferCost).to.be.closeTo(0.0002, 1e-12)
+        expect(move.apy).to.be.greaterThan(stay.apy)
+        // The slippage not covered by the buffer is made up by yield before holders earn again.
+        const free = backtest({ series: data, strategy: hold("wsoUSDC"), vault: "wyvDAI" })
+        expect(move.apy).to.be.lessThan(free.apy)
+
+        // Slippage by pair, e.g. only when the underlying differs.
+        const pair = backtest({ series: data, strategy: hold("wsoUSDC"), vault: "wyvDAI", slippage: (from, to) => from === to ? 0 : 5 })
+        expect(pair.slippageCost).to.be.closeTo(0.0005, 1e-12)
+    })
+
+    it("Should fail migrations whose rebase exceeds the rate limit", function() {
+
+        const data = series(10, { wyvDAI: () => 0, wsoUSDC: () => 0 })
+
+        const result = backtest({ series: data, strategy: hold("wsoUSDC"), vault: "wyvDAI", buffer: 200, rateLimit: 100 })
+
+        expect(result.migrations).to.be.empty
+        expect(result.failedMigrations).to.equal(11)
+        expect(result.vaultTime).to.deep.equal({ wyvDAI: 1 })
+    })
+
+    it("Should switch to the better vault like YieldOptimizer", function() {
+
+        // wsoUSDC overtakes wyvDAI after day 30.
+        const data = series(90, {
+            wyvDAI: () => 0.0002,
+            wsoUSDC: day => day > 30 ? 0.0004 : 0.0001
+        })
+
+        const median = backtest({ series: data, strategy: optimizer({ entries: 7 }), vault: "wyvDAI" })
+        // The median flips once most of the last 7 days favour wsoUSDC.
+        expect(median.migrations).to.deep.equal([{ timestamp: START + 34 * DAY, from: "wyvDAI", to: "wsoUSDC" }])
+        expect(median.apy).to.be.greaterThan(backtest({ series: data, strategy: hold("wyvDAI"), vault: "wyvDAI" }).apy)
+
+        const ema = backtest({ series: data, strategy: optimizer({ entries: 7, useEma: true }), vault: "wyvDAI" })
+        expect(ema.migrations[0].timestamp).to.be.lessThan(median.migrations[0].timestamp)
+
+        const picky = backtest({ series: data, strategy: optimizer({ entries: 7, minImprovement: 0.001 }), vault: "wyvDAI" })
+        expect(picky.migrations).to.be.empty
+    })
+})
@@ -0,0 +1,188 @@
+/* global ethers */
+
+const { deployBridge, relay, pendingMessages, CCIP_FEE, FUJI_CHAIN_SELECTOR, MUMBAI_CHAIN_SELECTOR } = require("./fixtures/ccip.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test COFI bridge over local CCIP routers", function() {
+
+    it("Should mint destination shares on enter", async function() {
+
+        const { user, routers, srcRouter, coUSD, wcoUSD, destShare, bridgeEntry, bridgeExit } = await loadFixture(deployBridge)
+        const amount = ethers.parseEther('100')
+
+        expect(await bridgeEntry.getFeeETH(await coUSD.getAddress(), FUJI_CHAIN_SELECTOR, amount, user.address))
+            .to.equal(CCIP_FEE)
+        await expect(bridgeEntry.connect(user).enter(
+            await coUSD.getAddress(),
+            FUJI_CHAIN_SELECTOR,
+            amount,
+            user.address,
+            { value: CCIP_FEE }
+        )).to.changeEtherBalance(srcRouter, CCIP_FEE)
+        expect(await wcoUSD.balanceOf(await bridgeEntry.getAddress())).to.equal(amount)
+
+        // Nothing minted until the message is delivered.
+        expect(await destShare.balanceOf(user.address)).to.equal(0)
+        const [message] = await pendingMessages(routers)
+        expect(message).to.include({
+            sourceChainSelector: MUMBAI_CHAIN_SELECTOR,
+            destChainSelector: FUJI_CHAIN_SELECTOR,
+            sender: await bridgeEntry.getAddress(),
+            receiver: await bridgeExit.getAddress()
+        })
+
+        expect(await relay(routers)).to.have.lengthOf(1)
+        expect(await destShare.balanceOf(user.address)).to.equal(amount)
+        // Already delivered.
+        expect(await relay(routers)).to.be.empty
+    })
+
+    it("Should burn destination shares and redeem on source on exit", async function() {
+
+        const { user, routers, destRouter, coUSD, destShare, bridgeEntry, bridgeExit } = await loadFixture(deployBridge)
+
+        await bridgeEntry.connect(user).enter(
+            await coUSD.getAddress(),
+            FUJI_CHAIN_SELECTOR,
+            ethers.parseEther('100'),
+            user.address,
+            { value: CCIP_FEE }
+        )
+        await relay(routers)
+
+        await expect(bridgeExit.connect(user).exit(
+            await destShare.getAddress(),
+            ethers.parseEther('40'),
+            user.address,
+            { value: CCIP_FEE }
+        )).to.changeEtherBalance(destRouter, CCIP_FEE)
+        expect(await destShare.balanceOf(user.address)).to.equal(ethers.parseEther('60'))
+
+        const [message] = await pendingMessages(routers)
+        expect(message).to.include({
+            sourceChainSelector: FUJI_CHAIN_SELECTOR,
+            destChainSelector: MUMBAI_CHAIN_SELECTOR,
+            sender: await bridgeExit.getAddress(),
+            receiver: await bridgeEntry.getAddress()
+        })
+
+        const balance = await coUSD.balanceOf(user.address)
+        await relay(routers)
+        expect(await coUSD.balanceOf(user.address) - balance).to.equal(ethers.parseEther('40'))
+    })
+
+    it("Should only accept messages from authorized transmitters", async function() {
+
+        const { owner, user, routers, srcRouter, coUSD, destShare, bridgeEntry, bridgeExit } = await loadFixture(deployBridge)
+
+        // Sent directly through the router rather than via COFIBridgeEntry.
+        await srcRouter.connect(user).ccipSend(FUJI_CHAIN_SELECTOR, {
+            receiver: ethers.AbiCoder.defaultAbiCoder().encode(['address'], [await bridgeExit.getAddress()]),
+            data: bridgeExit.interface.encodeFunctionData('mint', [
+                await destShare.getAddress(),
+                user.address,
+                ethers.parseEther('1000000')
+            ]),
+            tokenAmounts: [],
+            feeToken: ethers.ZeroAddress,
+            extraArgs: '0x'
+        }, { value: CCIP_FEE })
+        await expect(relay(routers)).to.be.revertedWithCustomError(bridgeExit, 'NotAuthorizedTrasnmitter')
+
+        // Entry revoked as transmitter on destination.
+        await bridgeExit.connect(owner).setAuthorizedTransmitter(await bridgeEntry.getAddress(), false)
+        await bridgeEntry.connect(user).enter(
+            await coUSD.getAddress(),
+            FUJI_CHAIN_SELECTOR,
+            ethers.parseEther('100'),
+            user.address,
+            { value: CCIP_FEE }
+        )
+        const [, message] = await pendingMessages(routers)
+        await expect(routers[FUJI_CHAIN_SELECTOR].routeMessage(
+            message.messageId,
+            message.sourceChainSelector,
+            message.sender,
+            message.receiver,
+            message.data
+        )).to.be.revertedWithCustomError(bridgeExit, 'NotAuthorizedTrasnmitter')
+
+        // Exit revoked as transmitter on source.
+        await bridgeEntry.connect(owner).setAuthorizedTransmitter(await bridgeExit.getAddress(), false)
+        await expect(routers[MUMBAI_CHAIN_SELECTOR].routeMessage(
+            ethers.ZeroHash,
+            FUJI_CHAIN_SELECTOR,
+            await bridgeExit.getAddress(),
+            await bridgeEntry.getAddress(),
+            bridgeEntry.interface.encodeFunctionData('redeem', [
+                await coUSD.getAddress(),
+                ethers.parseEther('100'),
+                user.address
+            ])
+        )).to.be.revertedWithCustomError(bridgeEntry, 'NotAuthorizedTransmitter')
+
+        // Only the router may call 'ccipReceive()'.
+        await expect(bridgeExit.connect(user).ccipReceive({
+            messageId: ethers.ZeroHash,
+            sourceChainSelector: MUMBAI_CHAIN_SELECTOR,
+            sender: ethers.AbiCoder.defaultAbiCoder().encode(['address'], [await bridgeEntry.getAddress()]),
+            data: '0x',
+            destTokenAmounts: []
+        })).to.be.revertedWithCustomError(bridgeExit, 'InvalidRouter')
+    })
+
+    it("Should require the CCIP fee if mandated", async function() {
+
+        const { user, routers, srcRouter, coUSD, destShare, bridgeEntry, bridgeExit } = await loadFixture(deployBridge)
+        const coUSDAddr = await coUSD.getAddress()
+        const entryAddr = await bridgeEntry.getAddress()
+
+        await expect(bridgeEntry.connect(user).enter(
+            coUSDAddr,
+            FUJI_CHAIN_SELECTOR,
+            ethers.parseEther('100'),
+            user.address,
+            { value: CCIP_FEE - 1n }
+        )).to.be.revertedWithCustomError(bridgeEntry, 'InsufficientFee')
+        await expect(bridgeExit.connect(user).exit(
+            await destShare.getAddress(),
+            ethers.parseEther('100'),
+            user.address,
+            { value: 0 }
+        )).to.be.revertedWithCustomError(bridgeExit, 'InsufficientFee')
+
+        // Without the mandate, the fee is paid from the bridge's own balance.
+        await bridgeEntry.setMandateFee(false)
+        // Unfunded, so 'ccipSend{value: fee}' fails.
+        await expect(bridgeEntry.connect(user).enter(
+            coUSDAddr,
+            FUJI_CHAIN_SELECTOR,
+            ethers.parseEther('100'),
+            user.address
+        )).to.be.revertedWithoutReason()
+
+        await user.sendTransaction({ to: entryAddr, value: CCIP_FEE })
+        await expect(bridgeEntry.connect(user).enter(
+            coUSDAddr,
+            FUJI_CHAIN_SELECTOR,
+            ethers.parseEther('100'),
+            user.address
+        )).to.changeEtherBalances([bridgeEntry, srcRouter], [-CCIP_FEE, CCIP_FEE])
+        await relay(routers)
+        expect(await destShare.balanceOf(user.address)).to.equal(ethers.parseEther('100'))
+
+        // Fee follows the router.
+        await srcRouter.setFee(CCIP_FEE * 2n)
+        await bridgeEntry.setMandateFee(true)
+        await expect(bridgeEntry.connect(user).enter(
+            coUSDAddr,
+            FUJI_CHAIN_SELECTOR,
+            ethers.parseEther('100'),
+            user.address,
+            { value: CCIP_FEE }
+        )).to.be.revertedWithCustomError(bridgeEntry, 'InsufficientFee')
+    })
+})
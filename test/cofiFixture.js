@@ -0,0 +1,168 @@
+/* global ethers */
+
+const { deployCofi } = require("./fixtures/deployCofi.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test offline COFI fixture", function() {
+
+    it("Should enter and exit with the underlying token", async function() {
+
+        const { user, cofiMoney, tokens, cofi } = await loadFixture(deployCofi)
+        const userAddr = await user.getAddress()
+
+        await cofiMoney.connect(user).enterCofi(
+            ethers.parseUnits('1000', 6),
+            await tokens.USDC.getAddress(),
+            await cofi.coUSD.getAddress(),
+            userAddr,
+            userAddr,
+            ethers.ZeroAddress
+        )
+        // 0.1% mint fee.
+        const balance = await cofi.coUSD.balanceOf(userAddr)
+        expect(balance).to.be.closeTo(ethers.parseEther('999'), ethers.parseEther('0.01'))
+
+        const usdcBefore = await tokens.USDC.balanceOf(userAddr)
+        await cofiMoney.connect(user).exitCofi(
+            balance,
+            await tokens.USDC.getAddress(),
+            await cofi.coUSD.getAddress(),
+            userAddr,
+            userAddr
+        )
+        expect(await cofi.coUSD.balanceOf(userAddr)).to.equal(0)
+        expect(await tokens.USDC.balanceOf(userAddr) - usdcBefore)
+            .to.be.closeTo(ethers.parseUnits('998', 6), ethers.parseUnits('0.01', 6))
+    })
+
+    it("Should enter and exit via swaps with another token", async function() {
+
+        const { user, cofiMoney, tokens, cofi } = await loadFixture(deployCofi)
+        const userAddr = await user.getAddress()
+
+        await cofiMoney.connect(user).enterCofi(
+            ethers.parseEther('1000'),
+            await tokens.DAI.getAddress(),
+            await cofi.coUSD.getAddress(),
+            userAddr,
+            userAddr,
+            ethers.ZeroAddress
+        )
+        // 0.05% pool fee and 0.1% mint fee.
+        const balance = await cofi.coUSD.balanceOf(userAddr)
+        expect(balance).to.be.closeTo(ethers.parseEther('998.5'), ethers.parseEther('0.01'))
+
+        const daiBefore = await tokens.DAI.balanceOf(userAddr)
+        await cofiMoney.connect(user).exitCofi(
+            balance,
+            await tokens.DAI.getAddress(),
+            await cofi.coUSD.getAddress(),
+            userAddr,
+            userAddr
+        )
+        expect(await tokens.DAI.balanceOf(userAddr) - daiBefore)
+            .to.be.closeTo(ethers.parseEther('997'), ethers.parseEther('0.01'))
+    })
+
+    it("Should enter and exit with Ether", async function() {
+
+        const { user, cofiMoney, cofi } = await loadFixture(deployCofi)
+        const userAddr = await user.getAddress()
+
+        // Swapped to USDC through the router.
+        await cofiMoney.connect(user).enterCofi(
+            0,
+            ethers.ZeroAddress,
+            await cofi.coUSD.getAddress(),
+            userAddr,
+            userAddr,
+            ethers.ZeroAddress,
+            { value: ethers.parseEther('1') }
+        )
+        expect(await cofi.coUSD.balanceOf(userAddr))
+            .to.be.closeTo(ethers.parseEther('1997'), ethers.parseEther('0.01'))
+
+        // Wrapped directly.
+        await cofiMoney.connect(user).enterCofi(
+            0,
+            ethers.ZeroAddress,
+            await cofi.coETH.getAddress(),
+            userAddr,
+            userAddr,
+            ethers.ZeroAddress,
+            { value: ethers.parseEther('1') }
+        )
+        const balance = await cofi.coETH.balanceOf(userAddr)
+        expect(balance).to.equal(ethers.parseEther('0.999'))
+
+        await expect(cofiMoney.connect(user).exitCofi(
+            balance,
+            ethers.ZeroAddress,
+            await cofi.coETH.getAddress(),
+            userAddr,
+            userAddr
+        )).to.changeEtherBalance(user, ethers.parseEther('0.998001'), { includeFee: false })
+
+        await expect(cofiMoney.connect(user).exitCofi(
+            ethers.parseEther('1000'),
+            ethers.ZeroAddress,
+            await cofi.coUSD.getAddress(),
+            userAddr,
+            userAddr
+        )).to.changeEtherBalance(user, ethers.parseEther('0.49925025'), { includeFee: false })
+    })
+
+    it("Should rebase from vault yield", async function() {
+
+        const { owner, user, cofiMoney, tokens, vaults, cofi } = await loadFixture(deployCofi)
+        const userAddr = await user.getAddress()
+
+        await cofiMoney.connect(user).enterCofi(
+            ethers.parseUnits('1000', 6),
+            await tokens.USDC.getAddress(),
+            await cofi.coUSD.getAddress(),
+            userAddr,
+            userAddr,
+            ethers.ZeroAddress
+        )
+        const before = await cofi.coUSD.balanceOf(userAddr)
+
+        await tokens.USDC.mint(await vaults.vUSDC.getAddress(), ethers.parseUnits('10', 6))
+        await cofiMoney.connect(owner).rebase(await cofi.coUSD.getAddress())
+
+        // 10% service fee on yield.
+        expect(await cofi.coUSD.balanceOf(userAddr) - before)
+            .to.be.closeTo(ethers.parseEther('9'), ethers.parseEther('0.01'))
+    })
+
+    it("Should migrate to a vault with the same or another underlying", async function() {
+
+        const { owner, user, cofiMoney, tokens, vaults, cofi } = await loadFixture(deployCofi)
+        const userAddr = await user.getAddress()
+        const diamondAddr = await cofiMoney.getAddress()
+        const coUSDAddr = await cofi.coUSD.getAddress()
+
+        await cofiMoney.connect(user).enterCofi(
+            ethers.parseUnits('1000', 6),
+            await tokens.USDC.getAddress(),
+            coUSDAddr,
+            userAddr,
+            userAddr,
+            ethers.ZeroAddress
+        )
+
+        const snapshotId = await hre.network.provider.send('evm_snapshot')
+        await cofiMoney.connect(owner).migrate(coUSDAddr, await vaults.vUSDC2.getAddress())
+        expect(await cofiMoney.getVault(coUSDAddr)).to.equal(await vaults.vUSDC2.getAddress())
+        expect(await vaults.vUSDC2.maxWithdraw(diamondAddr)).to.equal(ethers.parseUnits('1000', 6))
+        await hre.network.provider.send('evm_revert', [snapshotId])
+
+        await cofiMoney.connect(owner).migrate(coUSDAddr, await vaults.vDAI.getAddress())
+        expect(await cofiMoney.getVault(coUSDAddr)).to.equal(await vaults.vDAI.getAddress())
+        expect(await vaults.vDAI.maxWithdraw(diamondAddr)).to.equal(ethers.parseEther('999.5'))
+        expect(await vaults.vUSDC.balanceOf(diamondAddr)).to.equal(0)
+    })
+})
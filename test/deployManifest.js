@@ -0,0 +1,226 @@
+/* global ethers */
+
+const { runManifest, stepKey } = require("../scripts/libs/manifest.js")
+const { getSelectors } = require("../scripts/libs/index.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Test deployment manifest runner", function() {
+
+    async function deployManifest() {
+
+        const accounts = await ethers.getSigners()
+        const owner = accounts[0]
+        const whitelister = accounts[1]
+        const backupOwner = accounts[2]
+        const feeCollector = accounts[3]
+
+        const manifest = {
+            roles: {
+                whitelister:    await whitelister.getAddress(),
+                backupOwner:    await backupOwner.getAddress(),
+                feeCollector:   await feeCollector.getAddress()
+            },
+            tokens: {
+                coUSD: { contract: 'COFIRebasingToken', args: ['COFI Dollar', 'coUSD'] }
+            },
+            vaults: {
+                USDC: { contract: 'ERC20Token', args: ['USD Coin', 'USDC', '6'] },
+                vUSDC: { contract: 'Vault', args: ['Vault USDC', 'vUSDC', '$USDC'] }
+            },
+            diamond: {
+                name: 'COFIMoney',
+                facets: ['DiamondLoupeFacet', 'OwnershipFacet', 'SupplyManagerFacet', 'VaultManagerFacet'],
+                init: {
+                    contract: 'InitDiamond',
+                    args: {
+                        coUSD:  '$coUSD',
+                        coETH:  ethers.ZeroAddress,
+                        coBTC:  ethers.ZeroAddress,
+                        coOP:   ethers.ZeroAddress,
+                        vUSD:   '$vUSDC',
+                        vETH:   ethers.ZeroAddress,
+                        vBTC:   ethers.ZeroAddress,
+                        vOP:    ethers.ZeroAddress,
+                        roles:  ['$whitelister', '$backupOwner', '$feeCollector']
+                    }
+                }
+            },
+            wiring: [
+                { target: 'coUSD', method: 'setApp', args: ['$COFIMoney'] },
+                { target: 'COFIMoney', method: 'setHarvestable', args: ['$vUSDC', '0'] }
+            ]
+        }
+
+        return { owner, manifest }
+    }
+
+    // Each test records progress in its own file, as chain state is reverted between tests.
+    function stateFile() {
+        return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cofi-')), 'hardhat.json')
+    }
+
+    it("Should deploy and wire every item in the manifest", async function() {
+
+        const { owner, manifest } = await loadFixture(deployManifest)
+        const file = stateFile()
+
+        const deployed = await runManifest({ manifest, signer: owner, file })
+
+        const cofiMoney = await ethers.getContractAt('COFIMoney', deployed.COFIMoney)
+        expect(await cofiMoney.owner()).to.equal(await owner.getAddress())
+        expect(await cofiMoney.getVault(deployed.coUSD)).to.equal(deployed.vUSDC)
+        expect(await cofiMoney.getHarvestable(deployed.vUSDC)).to.equal(0)
+        expect(await (await ethers.getContractAt('Vault', deployed.vUSDC)).asset()).to.equal(deployed.USDC)
+
+        const state = JSON.parse(fs.readFileSync(file, 'utf8'))
+        expect(state.contracts.COFIMoney.address).to.equal(deployed.COFIMoney)
+        expect(state.contracts.COFIMoney.abi).to.equal('COFIMoney')
+        expect(state.steps).to.have.property('COFIMoney.diamondCut')
+        expect(state.steps).to.have.property(`coUSD.setApp(${deployed.COFIMoney})`)
+    })
+
+    it("Should resume a partial run without redeploying", async function() {
+
+        const { owner, manifest } = await loadFixture(deployManifest)
+        const file = stateFile()
+
+        // Fail on the final wiring step.
+        const broken = { ...manifest, wiring: [...manifest.wiring, { target: 'COFIMoney', method: 'setBuffer', args: ['$DAI', '1'] }] }
+        await expect(runManifest({ manifest: broken, signer: owner, file }))
+            .to.be.rejectedWith("Manifest reference '$DAI' has not been deployed.")
+        const partial = JSON.parse(fs.readFileSync(file, 'utf8'))
+
+        const nonce = await ethers.provider.getTransactionCount(await owner.getAddress())
+        const fixed = { ...manifest, wiring: [...manifest.wiring, { target: 'COFIMoney', method: 'setBuffer', args: ['$USDC', '1'] }] }
+        const deployed = await runManifest({ manifest: fixed, signer: owner, file })
+
+        // Only the previously failed step is sent.
+        expect(await ethers.provider.getTransactionCount(await owner.getAddress())).to.equal(nonce + 1)
+        for (const [name, entry] of Object.entries(partial.contracts)) {
+            expect(deployed[name]).to.equal(entry.address)
+        }
+        const cofiMoney = await ethers.getContractAt('COFIMoney', deployed.COFIMoney)
+        expect(await cofiMoney.getBuffer(deployed.USDC)).to.equal(1)
+    })
+
+    it("Should cut a redeployed facet into the diamond", async function() {
+
+        const { owner, manifest } = await loadFixture(deployManifest)
+        const file = stateFile()
+
+        const first = await runManifest({ manifest, signer: owner, file })
+        // As if the facet's bytecode had changed since.
+        const state = JSON.parse(fs.readFileSync(file, 'utf8'))
+        state.contracts.VaultManagerFacet.bytecodeHash = ethers.ZeroHash
+        fs.writeFileSync(file, JSON.stringify(state))
+
+        const deployed = await runManifest({ manifest, signer: owner, file })
+        expect(deployed.VaultManagerFacet).to.not.equal(first.VaultManagerFacet)
+        expect(deployed.SupplyManagerFacet).to.equal(first.SupplyManagerFacet)
+
+        const loupe = await ethers.getContractAt('DiamondLoupeFacet', deployed.COFIMoney)
+        const facet = await ethers.getContractAt('VaultManagerFacet', deployed.VaultManagerFacet)
+        for (const selector of getSelectors(facet)) {
+            expect(await loupe.facetAddress(selector)).to.equal(deployed.VaultManagerFacet)
+        }
+        expect(await loupe.facetAddresses()).to.not.include(first.VaultManagerFacet)
+        const cofiMoney = await ethers.getContractAt('COFIMoney', deployed.COFIMoney)
+        expect(await cofiMoney.getVault(deployed.coUSD)).to.equal(deployed.vUSDC)
+
+        // Nothing left to cut.
+        const nonce = await ethers.provider.getTransactionCount(await owner.getAddress())
+        await runManifest({ manifest, signer: owner, file })
+        expect(await ethers.provider.getTransactionCount(await owner.getAddress())).to.equal(nonce)
+    })
+
+    it("Should reuse contracts given an address", async function() {
+
+        const { owner, manifest } = await loadFixture(deployManifest)
+        const file = stateFile()
+
+        const COFIToken = await ethers.getContractFactory('COFIRebasingToken')
+        const coUSD = await COFIToken.deploy('COFI Dollar', 'coUSD')
+        await coUSD.waitForDeployment()
+        const existing = {
+            ...manifest,
+            tokens: { coUSD: { ...manifest.tokens.coUSD, address: await coUSD.getAddress() } }
+        }
+
+        const deployed = await runManifest({ manifest: existing, signer: owner, file })
+
+        expect(deployed.coUSD).to.equal(await coUSD.getAddress())
+        // Recorded so operational scripts can look it up by name.
+        const state = JSON.parse(fs.readFileSync(file, 'utf8'))
+        expect(state.contracts.coUSD).to.deep.equal({
+            contract: 'COFIRebasingToken',
+            address: await coUSD.getAddress()
+        })
+    })
+
+    it("Should adopt a live diamond given an address", async function() {
+
+        const { owner, manifest } = await loadFixture(deployManifest)
+        const first = await runManifest({ manifest, signer: owner, file: stateFile() })
+
+        // A registry without the deployment, e.g. of a diamond deployed before manifests.
+        const file = stateFile()
+        const adopted = {
+            diamond: { name: 'COFIMoney', address: first.COFIMoney, facets: ['VaultManagerFacet'] },
+            wiring: [{ target: 'COFIMoney', method: 'setHarvestable', args: [first.vUSDC, '1'] }]
+        }
+        const deployed = await runManifest({ manifest: adopted, signer: owner, file })
+
+        expect(deployed.COFIMoney).to.equal(first.COFIMoney)
+        const state = JSON.parse(fs.readFileSync(file, 'utf8'))
+        expect(Object.keys(state.contracts)).to.deep.equal(['COFIMoney', 'VaultManagerFacet'])
+        expect(state.contracts.COFIMoney).to.deep.equal({ contract: 'Diamond', abi: 'COFIMoney', address: first.COFIMoney })
+
+        const loupe = await ethers.getContractAt('DiamondLoupeFacet', first.COFIMoney)
+        const facet = await ethers.getContractAt('VaultManagerFacet', deployed.VaultManagerFacet)
+        for (const selector of getSelectors(facet)) {
+            expect(await loupe.facetAddress(selector)).to.equal(deployed.VaultManagerFacet)
+        }
+        // Not initialized again.
+        const cofiMoney = await ethers.getContractAt('COFIMoney', first.COFIMoney)
+        expect(await cofiMoney.getVault(first.coUSD)).to.equal(first.vUSDC)
+        expect(await cofiMoney.getHarvestable(first.vUSDC)).to.equal(1)
+
+        const nonce = await ethers.provider.getTransactionCount(await owner.getAddress())
+        await runManifest({ manifest: adopted, signer: owner, file })
+        expect(await ethers.provider.getTransactionCount(await owner.getAddress())).to.equal(nonce)
+    })
+
+    it("Should key wiring steps by every arg", async function() {
+
+        const args = { coUSD: '0x01', vUSD: '0x02' }
+        expect(stepKey('Init', 'init', [args])).to.equal('Init.init({"coUSD":"0x01","vUSD":"0x02"})')
+        expect(stepKey('Init', 'init', [args])).to.not.equal(stepKey('Init', 'init', [{ ...args, vUSD: '0x03' }]))
+        expect(stepKey('COFIMoney', 'setWhitelistBatch', [['0x01', '0x02'], [1n, 0n]]))
+            .to.equal('COFIMoney.setWhitelistBatch(["0x01","0x02"],["1","0"])')
+        // Scalar args are keyed as in earlier registries.
+        expect(stepKey('COFIMoney', 'setBuffer', ['0x01', 10n])).to.equal('COFIMoney.setBuffer(0x01,10)')
+    })
+
+    it("Should reject duplicate names and unknown wiring targets", async function() {
+
+        const { owner, manifest } = await loadFixture(deployManifest)
+        const file = stateFile()
+
+        await expect(runManifest({
+            manifest: { ...manifest, contracts: { coUSD: manifest.tokens.coUSD } },
+            signer: owner,
+            file
+        })).to.be.rejectedWith("Manifest name 'coUSD' is used more than once.")
+
+        await expect(runManifest({
+            manifest: { ...manifest, wiring: [{ target: 'coETH', method: 'setApp', args: ['$COFIMoney'] }] },
+            signer: owner,
+            file
+        })).to.be.rejectedWith("Wiring target 'coETH' is not in the manifest.")
+    })
+})
@@ -0,0 +1,83 @@
+/* global ethers */
+
+const { deployCofi } = require("./fixtures/deployCofi.js")
+const { diffDiamond } = require("../scripts/libs/diamondDiff.js")
+const { FacetCutAction } = require("../scripts/libs/index.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test diamond upgrade diff", function() {
+
+    const GET_MINT_FEE = ethers.id('getMintFee(address)').slice(0, 10)
+
+    async function deployWithCut() {
+
+        const fixture = await deployCofi()
+        const diamond = await fixture.cofiMoney.getAddress()
+        const diamondCut = await ethers.getContractAt('DiamondCutFacet', diamond)
+        const loupe = await ethers.getContractAt('DiamondLoupeFacet', diamond)
+        return { ...fixture, diamond, diamondCut, loupe }
+    }
+
+    it("Should report nothing to change for the deployed facets", async function() {
+
+        const { diamond } = await loadFixture(deployWithCut)
+
+        const diff = await diffDiamond({ diamond })
+        for (const facet of diff.facets) {
+            expect(facet.unchanged, facet.facet).to.equal(true)
+            expect(facet.added.concat(facet.replaced, facet.removed), facet.facet).to.be.empty
+        }
+        expect(diff.orphaned).to.be.empty
+        expect(diff.collisions).to.be.empty
+        expect(diff.abiLost).to.be.empty
+    })
+
+    it("Should report added and orphaned selectors", async function() {
+
+        const { diamond, diamondCut, tokens } = await loadFixture(deployWithCut)
+        const mint = ethers.id('mint(address,uint256)').slice(0, 10)
+
+        await diamondCut.diamondCut([
+            [ethers.ZeroAddress, FacetCutAction.Remove, [GET_MINT_FEE]],
+            [await tokens.USDC.getAddress(), FacetCutAction.Add, [mint]]
+        ], ethers.ZeroAddress, '0x')
+
+        const diff = await diffDiamond({ diamond, only: ['SupplyManagerFacet'] })
+        expect(diff.facets).to.have.length(1)
+        expect(diff.facets[0].added).to.deep.equal([{ selector: GET_MINT_FEE, signature: 'getMintFee(address)' }])
+        expect(diff.orphaned.map(s => s.signature)).to.deep.equal(['mint(address,uint256)'])
+        expect(diff.abiLost.map(s => s.selector)).to.deep.equal([mint])
+        expect(diff.collisions).to.be.empty
+    })
+
+    it("Should report a selector live at another facet as replaced", async function() {
+
+        const { diamond, diamondCut, loupe } = await loadFixture(deployWithCut)
+        const accountManager = await loupe.facetAddress(ethers.id('getAdminStatus(address)').slice(0, 10))
+
+        await diamondCut.diamondCut([
+            [accountManager, FacetCutAction.Replace, [GET_MINT_FEE]]
+        ], ethers.ZeroAddress, '0x')
+
+        const diff = await hre.run('cofi:diamond:diff', { diamond, facets: 'SupplyManagerFacet,AccountManagerFacet' })
+        const report = name => diff.facets.find(f => f.facet === name)
+        const supplyManager = report('SupplyManagerFacet')
+        expect(supplyManager.unchanged).to.equal(true)
+        expect(supplyManager.replaced).to.deep.equal([
+            { selector: GET_MINT_FEE, signature: 'getMintFee(address)', address: accountManager }
+        ])
+        expect(report('AccountManagerFacet').removed).to.be.empty
+        expect(diff.collisions).to.be.empty
+    })
+
+    it("Should reject unknown facet names", async function() {
+
+        const { diamond } = await loadFixture(deployWithCut)
+
+        await expect(hre.run('cofi:diamond:diff', { diamond, facets: 'SupplyManagerFacet,SuplyManagerFacet' }))
+            .to.be.rejectedWith('Unknown facet(s): SuplyManagerFacet.')
+    })
+})
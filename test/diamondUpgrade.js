@@ -0,0 +1,241 @@
+/* global ethers */
+
+const { deploy, upgrade, upgradeWithNewFacets, getSelectors, FacetCutAction } = require("../scripts/libs/index.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+
+const NULL_Addr = "0x0000000000000000000000000000000000000000"
+
+describe("Test diamond deploy and upgrade helpers", function() {
+
+    async function deployDiamond() {
+
+        const accounts = await ethers.getSigners()
+        const owner = accounts[0]
+        const whitelister = accounts[1]
+        const backupOwner = accounts[2]
+        const feeCollector = accounts[3]
+
+        // Tokens and vaults are not required for testing cuts.
+        const initArgs = [{
+            coUSD:  NULL_Addr,
+            coETH:  NULL_Addr,
+            coBTC:  NULL_Addr,
+            coOP:   NULL_Addr,
+            vUSD:   NULL_Addr,
+            vETH:   NULL_Addr,
+            vBTC:   NULL_Addr,
+            vOP:    NULL_Addr,
+            roles: [
+                await whitelister.getAddress(),
+                await backupOwner.getAddress(),
+                await feeCollector.getAddress()
+            ]
+        }]
+
+        const diamond = await deploy({
+            diamondName: 'COFIMoney',
+            initDiamond: 'InitDiamond',
+            facets: [
+                'DiamondLoupeFacet',
+                'OwnershipFacet',
+                'SupplyManagerFacet'
+            ],
+            owner: await owner.getAddress(),
+            args: initArgs
+        })
+        const diamondAddr = await diamond.getAddress()
+        const diamondLoupe = await ethers.getContractAt('DiamondLoupeFacet', diamondAddr)
+
+        return { owner, backupOwner, diamondAddr, diamondLoupe }
+    }
+
+    it("Should deploy the diamond with all selectors of each facet", async function() {
+
+        const { owner, diamondAddr, diamondLoupe } = await loadFixture(deployDiamond)
+
+        // DiamondCutFacet + 3 facets.
+        const facets = await diamondLoupe.facets()
+        expect(facets.length).to.equal(4)
+
+        const supplyManager = await ethers.getContractAt('SupplyManagerFacet', diamondAddr)
+        const expected = getSelectors(supplyManager)
+        const facetAddr = await diamondLoupe.facetAddress(expected[0])
+        expect((await diamondLoupe.facetFunctionSelectors(facetAddr)).toArray()).to.have.members(expected)
+
+        const ownership = await ethers.getContractAt('OwnershipFacet', diamondAddr)
+        expect(await ownership.owner()).to.equal(await owner.getAddress())
+        // Init args applied.
+        expect(await supplyManager.getDecimals("0x7F5c764cBc14f9669B88837ca1490cCa17c31607")).to.equal(6)
+    })
+
+    it("Should add functions from a new facet", async function() {
+
+        const { backupOwner, diamondAddr, diamondLoupe } = await loadFixture(deployDiamond)
+
+        await upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [
+                ['AccountManagerFacet', FacetCutAction.Add, ['getAdminStatus(address)', 'setUpkeep(address,uint8)']]
+            ]
+        })
+
+        const accountManager = await ethers.getContractAt('AccountManagerFacet', diamondAddr)
+        expect(await accountManager.getAdminStatus(await backupOwner.getAddress())).to.equal(1)
+        expect(await diamondLoupe.facetAddress(ethers.id('setUpkeep(address,uint8)').slice(0, 10)))
+            .to.not.equal(NULL_Addr)
+        // Not part of the cut.
+        expect(await diamondLoupe.facetAddress(ethers.id('getUpkeepStatus(address)').slice(0, 10)))
+            .to.equal(NULL_Addr)
+    })
+
+    it("Should reject adding functions that exist or are not in the facet", async function() {
+
+        const { diamondAddr } = await loadFixture(deployDiamond)
+
+        await expect(upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [['SupplyManagerFacet', FacetCutAction.Add, ['getMintFee(address)']]]
+        })).to.be.rejectedWith("Can't add 'getMintFee(address)'. It already exists in deployed diamond.")
+
+        await expect(upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [['SupplyManagerFacet', FacetCutAction.Add, ['getAdminStatus(address)']]]
+        })).to.be.rejectedWith("Can't add getAdminStatus(address). It doesn't exist in SupplyManagerFacet source code.")
+    })
+
+    it("Should replace functions with a newly deployed facet", async function() {
+
+        const { diamondAddr, diamondLoupe } = await loadFixture(deployDiamond)
+
+        const selector = ethers.id('getMintFee(address)').slice(0, 10)
+        const before = await diamondLoupe.facetAddress(selector)
+
+        await upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [['SupplyManagerFacet', FacetCutAction.Replace, ['getMintFee(address)']]]
+        })
+
+        const after = await diamondLoupe.facetAddress(selector)
+        expect(after).to.not.equal(before)
+        expect(after).to.not.equal(NULL_Addr)
+        // Other selectors remain with the original facet.
+        expect(await diamondLoupe.facetAddress(ethers.id('getRedeemFee(address)').slice(0, 10)))
+            .to.equal(before)
+    })
+
+    it("Should replace functions with an already deployed facet", async function() {
+
+        const { diamondAddr, diamondLoupe } = await loadFixture(deployDiamond)
+
+        const SupplyManagerFacet = await ethers.getContractFactory('SupplyManagerFacet')
+        const supplyManagerFacet = await SupplyManagerFacet.deploy()
+        await supplyManagerFacet.waitForDeployment()
+
+        await upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [
+                [['SupplyManagerFacet', supplyManagerFacet], FacetCutAction.Replace, ['getMintFee(address)']]
+            ]
+        })
+
+        expect(await diamondLoupe.facetAddress(ethers.id('getMintFee(address)').slice(0, 10)))
+            .to.equal(await supplyManagerFacet.getAddress())
+    })
+
+    it("Should reject replacing functions that do not exist in the diamond", async function() {
+
+        const { diamondAddr } = await loadFixture(deployDiamond)
+
+        await expect(upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [['AccountManagerFacet', FacetCutAction.Replace, ['getAdminStatus(address)']]]
+        })).to.be.rejectedWith("Can't replace 'getAdminStatus(address)'. It doesn't exist in deployed diamond.")
+    })
+
+    it("Should remove functions", async function() {
+
+        const { diamondAddr, diamondLoupe } = await loadFixture(deployDiamond)
+
+        await upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [[false, FacetCutAction.Remove, ['getMintFee(address)', 'setMintFee(address,uint256)']]]
+        })
+
+        expect(await diamondLoupe.facetAddress(ethers.id('getMintFee(address)').slice(0, 10)))
+            .to.equal(NULL_Addr)
+        const supplyManager = await ethers.getContractAt('SupplyManagerFacet', diamondAddr)
+        await expect(supplyManager.getMintFee(NULL_Addr)).to.be.revertedWith('Diamond: Function does not exist')
+    })
+
+    it("Should reject invalid removals", async function() {
+
+        const { diamondAddr } = await loadFixture(deployDiamond)
+
+        await expect(upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [['SupplyManagerFacet', FacetCutAction.Remove, ['getMintFee(address)']]]
+        })).to.be.rejectedWith("Can't remove functions because facet name must have a false value not SupplyManagerFacet.")
+
+        await expect(upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [[false, FacetCutAction.Remove, ['getAdminStatus(address)']]]
+        })).to.be.rejectedWith("Can't remove 'getAdminStatus(address)'. It doesn't exist in deployed diamond.")
+    })
+
+    it("Should reject unknown cut actions", async function() {
+
+        const { diamondAddr } = await loadFixture(deployDiamond)
+
+        await expect(upgrade({
+            diamondAddress: diamondAddr,
+            diamondCut: [['SupplyManagerFacet', 3, ['getMintFee(address)']]]
+        })).to.be.rejectedWith('Incorrect FacetCutAction value. Must be 0, 1 or 2. Value used: 3')
+    })
+
+    it("Should add and replace selectors when upgrading with new facets", async function() {
+
+        const { backupOwner, diamondAddr, diamondLoupe } = await loadFixture(deployDiamond)
+
+        const removed = ethers.id('setDecimals(address,uint8)').slice(0, 10)
+        const before = await diamondLoupe.facetAddress(ethers.id('getMintFee(address)').slice(0, 10))
+
+        await upgradeWithNewFacets({
+            diamondAddress: diamondAddr,
+            facetNames: ['AccountManagerFacet'],
+            selectorsToRemove: [removed]
+        })
+
+        const accountManager = await ethers.getContractAt('AccountManagerFacet', diamondAddr)
+        expect(await accountManager.getAdminStatus(await backupOwner.getAddress())).to.equal(1)
+        expect(await diamondLoupe.facetAddress(removed)).to.equal(NULL_Addr)
+        expect(await diamondLoupe.facetAddress(ethers.id('getMintFee(address)').slice(0, 10)))
+            .to.equal(before)
+
+        // Upgrading again replaces every AccountManagerFacet selector.
+        const accountManagerBefore = await diamondLoupe.facetAddress(
+            ethers.id('getAdminStatus(address)').slice(0, 10)
+        )
+        await upgradeWithNewFacets({
+            diamondAddress: diamondAddr,
+            facetNames: ['AccountManagerFacet']
+        })
+        const accountManagerAfter = await diamondLoupe.facetAddress(
+            ethers.id('getAdminStatus(address)').slice(0, 10)
+        )
+        expect(accountManagerAfter).to.not.equal(accountManagerBefore)
+        expect(await diamondLoupe.facetFunctionSelectors(accountManagerBefore)).to.be.empty
+    })
+
+    it("Should reject removing selectors that are already gone", async function() {
+
+        const { diamondAddr } = await loadFixture(deployDiamond)
+
+        await expect(upgradeWithNewFacets({
+            diamondAddress: diamondAddr,
+            facetNames: [],
+            selectorsToRemove: [ethers.id('getAdminStatus(address)').slice(0, 10)]
+        })).to.be.rejectedWith('Function selector to remove is already gone.')
+    })
+})
@@ -0,0 +1,158 @@
+/* global ethers */
+
+const { deployCofiWithDeposit } = require("./fixtures/deployCofi.js")
+const { openDatabase, indexEvents, getLastBlock, query } = require("../scripts/libs/indexer.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test event indexer", function() {
+
+    async function deployWithActivity() {
+
+        const fixture = await deployCofiWithDeposit()
+        const { owner, user, cofiMoney, tokens, vaults, cofi } = fixture
+        const coUSD = await cofi.coUSD.getAddress()
+        // The block of the deposit.
+        const startBlock = await ethers.provider.getBlockNumber()
+
+        // Swaps DAI for USDC.
+        await cofiMoney.connect(user).enterCofi(
+            ethers.parseEther('100'),
+            await tokens.DAI.getAddress(),
+            coUSD,
+            user.address,
+            user.address,
+            ethers.ZeroAddress
+        )
+        await tokens.USDC.mint(await vaults.vUSDC.getAddress(), ethers.parseUnits('10', 6))
+        await cofiMoney.rebase(coUSD)
+        await cofiMoney.connect(user).exitCofi(
+            ethers.parseEther('100'),
+            await tokens.USDC.getAddress(),
+            coUSD,
+            user.address,
+            user.address
+        )
+        await cofiMoney.connect(owner).migrate(coUSD, await vaults.vUSDC2.getAddress())
+        await cofiMoney.connect(owner).reward([user.address], 100)
+
+        return { ...fixture, startBlock }
+    }
+
+    it("Should index diamond events with block and timestamp", async function() {
+
+        const { user, cofiMoney, tokens, vaults, cofi, startBlock } = await loadFixture(deployWithActivity)
+        const coUSD = await cofi.coUSD.getAddress()
+        const { db } = await openDatabase({ abi: cofiMoney.interface.fragments })
+
+        const result = await indexEvents({ db, cofiMoney, fromBlock: startBlock })
+        // Mints include fees to the fee collector, and 'migrate()' rebases and wraps.
+        // Rewards include the sign-up reward on first deposit.
+        expect(result.counts).to.deep.equal({
+            Deposit: 2,
+            Mint: 6,
+            Wrap: 3,
+            Swap: 1,
+            TotalSupplyUpdated: 2,
+            Burn: 1,
+            Unwrap: 1,
+            Withdraw: 1,
+            VaultMigration: 1,
+            RewardDistributed: 2
+        })
+        expect(getLastBlock(db)).to.equal(await ethers.provider.getBlockNumber())
+
+        const [deposit] = query(db, 'SELECT * FROM deposit ORDER BY block_number LIMIT 1')
+        const block = await ethers.provider.getBlock(deposit.block_number)
+        expect(deposit).to.include({
+            block_number: startBlock,
+            timestamp: block.timestamp,
+            asset: await tokens.USDC.getAddress(),
+            amount: ethers.parseUnits('1000', 6).toString(),
+            deposit_from: user.address
+        })
+
+        const [rebase] = query(db, 'SELECT * FROM total_supply_updated WHERE cofi = ?', [coUSD])
+        const event = (await cofiMoney.queryFilter(cofiMoney.filters.TotalSupplyUpdated()))[0]
+        expect(rebase).to.include({
+            tx_hash: event.transactionHash,
+            log_index: event.index,
+            assets: event.args.assets.toString(),
+            yield: event.args.yield.toString(),
+            r_cpt: event.args.rCPT.toString()
+        })
+
+        const [migration] = query(db, 'SELECT * FROM vault_migration')
+        expect(migration).to.include({
+            cofi: coUSD,
+            vault: await vaults.vUSDC.getAddress(),
+            new_vault: await vaults.vUSDC2.getAddress()
+        })
+        const [swap] = query(db, 'SELECT "from", "to" FROM swap')
+        expect(swap).to.deep.equal({ from: await tokens.DAI.getAddress(), to: await tokens.USDC.getAddress() })
+    })
+
+    it("Should backfill and resume from the last indexed block", async function() {
+
+        const { owner, user, cofiMoney, tokens, cofi, startBlock } = await loadFixture(deployWithActivity)
+        const file = path.join(os.tmpdir(), `cofi-index-${process.pid}.sqlite`)
+        const abi = cofiMoney.interface.fragments
+
+        try {
+            let { db, save } = await openDatabase({ abi, file })
+            // Small ranges, as for RPCs limiting log queries.
+            await indexEvents({ db, cofiMoney, fromBlock: startBlock, toBlock: startBlock + 2, blockRange: 2 })
+            save()
+            db.close()
+            expect(fs.existsSync(file)).to.equal(true)
+
+            await cofiMoney.connect(owner).reward([user.address], 100)
+            ;({ db, save } = await openDatabase({ abi, file }))
+            expect(getLastBlock(db)).to.equal(startBlock + 2)
+            const result = await indexEvents({ db, cofiMoney })
+            expect(result.fromBlock).to.equal(startBlock + 3)
+            expect(result.counts.RewardDistributed).to.equal(2)
+
+            // Re-indexing does not duplicate rows.
+            await indexEvents({ db, cofiMoney, fromBlock: startBlock })
+            expect(query(db, 'SELECT COUNT(*) AS n FROM deposit')[0].n).to.equal(2)
+            expect(query(db, 'SELECT COUNT(*) AS n FROM reward_distributed')[0].n).to.equal(3)
+            save()
+            db.close()
+
+            await cofiMoney.connect(user).enterCofi(
+                ethers.parseUnits('10', 6),
+                await tokens.USDC.getAddress(),
+                await cofi.coUSD.getAddress(),
+                user.address,
+                user.address,
+                ethers.ZeroAddress
+            )
+            const [taskResult] = await hre.run('cofi:index', { db: file, diamond: await cofiMoney.getAddress() })
+            expect(taskResult.counts).to.deep.equal({ Deposit: 1, Mint: 2, Wrap: 1 })
+
+            // Follows until --to-block, polling while it is ahead of the chain.
+            const toBlock = await ethers.provider.getBlockNumber() + 1
+            const following = hre.run('cofi:index', {
+                db: file,
+                diamond: await cofiMoney.getAddress(),
+                follow: true,
+                toBlock: String(toBlock),
+                interval: '0.1'
+            })
+            await new Promise(resolve => setTimeout(resolve, 500))
+            await cofiMoney.connect(owner).reward([user.address], 100)
+            const followed = await following
+            expect(followed.length).to.be.greaterThan(1)
+            expect(followed[followed.length - 1].toBlock).to.equal(toBlock)
+            expect(followed[followed.length - 1].counts).to.deep.equal({ RewardDistributed: 1 })
+        } finally {
+            fs.rmSync(file, { force: true })
+        }
+    })
+})
@@ -0,0 +1,145 @@
+/* global ethers */
+
+const { ethers } = require("hardhat")
+
+/*
+ * Local CCIP simulation. Each simulated chain gets its own MockCCIPRouter, all deployed to the
+ * same hardhat network and told apart by chain selector. 'relay()' plays the role of the DON,
+ * delivering every message sent on one router to the router of its destination chain.
+ */
+
+const MUMBAI_CHAIN_SELECTOR = 12532609583862916517n
+const FUJI_CHAIN_SELECTOR = 14767482510784806043n
+const CCIP_FEE = ethers.parseEther('0.01')
+
+/// Deploys a router for each chain selector, each supporting all the others.
+async function deployRouters(chainSelectors, fee = CCIP_FEE) {
+
+    const Router = await ethers.getContractFactory('MockCCIPRouter')
+    const routers = {}
+    for (const chainSelector of chainSelectors) {
+        routers[chainSelector] = await Router.deploy(chainSelector, fee)
+    }
+    for (const chainSelector of chainSelectors) {
+        for (const other of chainSelectors) {
+            if (other !== chainSelector) await routers[chainSelector].setChainSupported(other, true)
+        }
+    }
+    return routers
+}
+
+/// Messages sent on 'routers' that have not yet been executed on their destination router.
+async function pendingMessages(routers) {
+
+    const pending = []
+    for (const router of Object.values(routers)) {
+        const sourceChainSelector = await router.chainSelector()
+        const events = await router.queryFilter(router.filters.CCIPSendRequested())
+        for (const event of events) {
+            const destRouter = routers[event.args.destChainSelector]
+            if (destRouter === undefined || await destRouter.executed(event.args.messageId)) continue
+            pending.push({
+                messageId: event.args.messageId,
+                sourceChainSelector: sourceChainSelector,
+                destChainSelector: event.args.destChainSelector,
+                sender: event.args.sender,
+                receiver: event.args.receiver,
+                data: event.args.data,
+                fee: event.args.fee
+            })
+        }
+    }
+    return pending
+}
+
+/// Executes 'message' on its destination router. Reverts in the receiver are bubbled up.
+async function deliver(routers, message) {
+    const tx = await routers[message.destChainSelector].routeMessage(
+        message.messageId,
+        message.sourceChainSelector,
+        message.sender,
+        message.receiver,
+        message.data
+    )
+    await tx.wait()
+    return tx
+}
+
+/// Delivers all pending messages in the order they were sent. Returns the messages delivered.
+async function relay(routers) {
+    const messages = await pendingMessages(routers)
+    for (const message of messages) {
+        await deliver(routers, message)
+    }
+    return messages
+}
+
+/**
+ * COFIBridgeEntry on Mumbai wrapping coUSD into wcoUSD, and COFIBridgeExit on Fuji minting
+ * avaxcoUSD shares, wired to each other as in 'scripts/ccip/'.
+ */
+async function deployBridge() {
+
+    const accounts = await ethers.getSigners()
+    const owner = accounts[0]
+    const user = accounts[1]
+
+    const routers = await deployRouters([MUMBAI_CHAIN_SELECTOR, FUJI_CHAIN_SELECTOR])
+    const srcRouter = routers[MUMBAI_CHAIN_SELECTOR]
+    const destRouter = routers[FUJI_CHAIN_SELECTOR]
+
+    const ERC20 = await ethers.getContractFactory('ERC20Token')
+    const link = await ERC20.deploy('ChainLink Token', 'LINK', 18)
+    const coUSD = await ERC20.deploy('COFI Dollar (Polygon)', 'coUSDmat', 18)
+    const destShare = await ERC20.deploy('Avalanche Wrapped COFI Dollar (Polygon)', 'avaxcoUSDmat', 18)
+    const Vault = await ethers.getContractFactory('Vault')
+    const wcoUSD = await Vault.deploy('Wrapped COFI Dollar (Polygon)', 'wcoUSDmat', await coUSD.getAddress())
+
+    const BridgeExit = await ethers.getContractFactory('COFIBridgeExit')
+    const bridgeExit = await BridgeExit.deploy(
+        await destRouter.getAddress(),
+        await link.getAddress(),
+        await destShare.getAddress(),
+        await coUSD.getAddress(),
+        MUMBAI_CHAIN_SELECTOR
+    )
+    const BridgeEntry = await ethers.getContractFactory('COFIBridgeEntry')
+    const bridgeEntry = await BridgeEntry.deploy(
+        await srcRouter.getAddress(),
+        await link.getAddress(),
+        await coUSD.getAddress(),
+        await wcoUSD.getAddress(),
+        FUJI_CHAIN_SELECTOR,
+        await destShare.getAddress(),
+        await bridgeExit.getAddress()
+    )
+    await bridgeExit.setReceiver(MUMBAI_CHAIN_SELECTOR, await bridgeEntry.getAddress(), true)
+
+    await coUSD.mint(await user.getAddress(), ethers.parseEther('1000'))
+    await coUSD.connect(user).approve(await bridgeEntry.getAddress(), ethers.MaxUint256)
+
+    return {
+        owner,
+        user,
+        routers,
+        srcRouter,
+        destRouter,
+        link,
+        coUSD,
+        wcoUSD,
+        destShare,
+        bridgeEntry,
+        bridgeExit
+    }
+}
+
+module.exports = {
+    MUMBAI_CHAIN_SELECTOR,
+    FUJI_CHAIN_SELECTOR,
+    CCIP_FEE,
+    deployRouters,
+    pendingMessages,
+    deliver,
+    relay,
+    deployBridge
+}
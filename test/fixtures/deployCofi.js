@@ -0,0 +1,223 @@
+/* global ethers */
+
+const { deploy } = require("../../scripts/libs/index.js")
+const { setCode, setBalance } = require("@nomicfoundation/hardhat-network-helpers")
+const hre = require("hardhat")
+const { ethers } = hre
+
+/*
+ * Offline fixture for the full COFI stack, for use with 'loadFixture(deployCofi)'.
+ *
+ * Deploys the diamond with every facet, the four cofi tokens, mock ERC20 underlyings, mock
+ * ERC4626 vaults and mock Chainlink price feeds. MockWETH, MockUniswapV3Router and
+ * MockVelodromeV2Router are installed at the addresses hardcoded in LibSwap/LibUniswapV3/
+ * LibVelodromeV2, and every pair of underlyings is routed through UniswapV3, so
+ * enterCofi/exitCofi/rebase/migrate run on a plain hardhat network. Use
+ * 'setSwapProtocol(tokenA, tokenB, 1)' with 'setV2Route()' to route a pair through Velodrome.
+ *
+ * Yield can be simulated by minting underlying directly to a vault, e.g.
+ * 'await tokens.USDC.mint(await vaults.vUSDC.getAddress(), amount)'.
+ *
+ * 'loadFixture(deployCofiWithDeposit)' starts from the same stack with 'user' holding the coUSD
+ * of a 1000 USDC deposit.
+ */
+
+const WETH_Addr = "0x4200000000000000000000000000000000000006"
+const UNISWAP_V3_ROUTER_Addr = "0xE592427A0AEce92De3Edee1F18E0157C05861564"
+const VELODROME_V2_ROUTER_Addr = "0xa062aE8A9c5e11aaA026fc2670B0D65cCc8B2858"
+
+// Chainlink USD prices (8 decimals).
+const PRICES = {
+    USDC:   100000000n,
+    DAI:    100000000n,
+    WETH:   200000000000n,
+    WBTC:   3000000000000n,
+    OP:     150000000n
+}
+const POOL_FEE = 500 // 0.05%
+
+async function deployCofi() {
+
+    const accounts = await ethers.getSigners()
+    const owner = accounts[0]
+    const whitelister = accounts[1]
+    const backupOwner = accounts[2]
+    const feeCollector = accounts[3]
+    const user = accounts[4]
+
+    /* WETH and swap routers at their hardcoded addresses */
+
+    await setCode(WETH_Addr, (await hre.artifacts.readArtifact('MockWETH')).deployedBytecode)
+    await setCode(UNISWAP_V3_ROUTER_Addr, (await hre.artifacts.readArtifact('MockUniswapV3Router')).deployedBytecode)
+    await setCode(VELODROME_V2_ROUTER_Addr, (await hre.artifacts.readArtifact('MockVelodromeV2Router')).deployedBytecode)
+    // Ether backing for wETH/ETH paid out by the routers.
+    await setBalance(UNISWAP_V3_ROUTER_Addr, ethers.parseEther('1000000'))
+    await setBalance(VELODROME_V2_ROUTER_Addr, ethers.parseEther('1000000'))
+    const uniswapRouter = await ethers.getContractAt('MockUniswapV3Router', UNISWAP_V3_ROUTER_Addr)
+    const velodromeRouter = await ethers.getContractAt('MockVelodromeV2Router', VELODROME_V2_ROUTER_Addr)
+    // 'setCode' keeps the storage left at these addresses by earlier fixtures in the same run.
+    for (const router of [uniswapRouter, velodromeRouter]) {
+        await router.setSlippage(0)
+        await router.setDelay(0)
+    }
+
+    /* Underlyings, price feeds and vaults */
+
+    const ERC20 = await ethers.getContractFactory('ERC20Token')
+    const tokens = {
+        USDC:   await ERC20.deploy('USD Coin', 'USDC', 6),
+        DAI:    await ERC20.deploy('Dai Stablecoin', 'DAI', 18),
+        WBTC:   await ERC20.deploy('Wrapped BTC', 'WBTC', 8),
+        OP:     await ERC20.deploy('Optimism', 'OP', 18),
+        WETH:   await ethers.getContractAt('MockWETH', WETH_Addr)
+    }
+
+    const Aggregator = await ethers.getContractFactory('MockAggregator')
+    const feeds = {}
+    for (const symbol of Object.keys(tokens)) {
+        feeds[symbol] = await Aggregator.deploy(8, PRICES[symbol])
+    }
+
+    const Vault = await ethers.getContractFactory('Vault')
+    const vaults = {
+        vUSDC:  await Vault.deploy('Vault USDC', 'vUSDC', await tokens.USDC.getAddress()),
+        // Migration targets for coUSD.
+        vUSDC2: await Vault.deploy('Vault USDC 2', 'vUSDC2', await tokens.USDC.getAddress()),
+        vDAI:   await Vault.deploy('Vault DAI', 'vDAI', await tokens.DAI.getAddress()),
+        vETH:   await Vault.deploy('Vault WETH', 'vETH', WETH_Addr),
+        vBTC:   await Vault.deploy('Vault WBTC', 'vBTC', await tokens.WBTC.getAddress()),
+        vOP:    await Vault.deploy('Vault OP', 'vOP', await tokens.OP.getAddress())
+    }
+
+    /* Cofi tokens and diamond */
+
+    const COFIToken = await ethers.getContractFactory('COFIRebasingToken')
+    const cofi = {
+        coUSD:  await COFIToken.deploy('COFI Dollar', 'coUSD'),
+        coETH:  await COFIToken.deploy('COFI Ethereum', 'coETH'),
+        coBTC:  await COFIToken.deploy('COFI Bitcoin', 'coBTC'),
+        coOP:   await COFIToken.deploy('COFI Optimism', 'coOP')
+    }
+
+    const initArgs = [{
+        coUSD:  await cofi.coUSD.getAddress(),
+        coETH:  await cofi.coETH.getAddress(),
+        coBTC:  await cofi.coBTC.getAddress(),
+        coOP:   await cofi.coOP.getAddress(),
+        vUSD:   await vaults.vUSDC.getAddress(),
+        vETH:   await vaults.vETH.getAddress(),
+        vBTC:   await vaults.vBTC.getAddress(),
+        vOP:    await vaults.vOP.getAddress(),
+        roles: [
+            await whitelister.getAddress(),
+            await backupOwner.getAddress(),
+            await feeCollector.getAddress()
+        ]
+    }]
+    const diamond = await deploy({
+        diamondName: 'COFIMoney',
+        initDiamond: 'InitDiamond',
+        facets: [
+            'DiamondLoupeFacet',
+            'OwnershipFacet',
+            'AccountManagerFacet',
+            'PointsManagerFacet',
+            'SupplyFacet',
+            'SupplyManagerFacet',
+            'SwapManagerFacet',
+            'VaultManagerFacet'
+        ],
+        owner: await owner.getAddress(),
+        args: initArgs
+    })
+    const diamondAddr = await diamond.getAddress()
+    const cofiMoney = await ethers.getContractAt('COFIMoney', diamondAddr)
+
+    for (const token of Object.values(cofi)) {
+        await token.setApp(diamondAddr)
+        await cofiMoney.setDecimals(await token.getAddress(), 18)
+    }
+
+    /* Diamond params for the mock assets (InitDiamond only configures Optimism addresses) */
+
+    for (const [symbol, token] of Object.entries(tokens)) {
+        const tokenAddr = await token.getAddress()
+        const feedAddr = await feeds[symbol].getAddress()
+        await cofiMoney.setDecimals(tokenAddr, await token.decimals())
+        await cofiMoney.setPriceFeed(tokenAddr, feedAddr)
+        await uniswapRouter.setPriceFeed(tokenAddr, feedAddr)
+        await velodromeRouter.setPriceFeed(tokenAddr, feedAddr)
+    }
+    for (const vault of Object.values(vaults)) {
+        const vaultAddr = await vault.getAddress()
+        await cofiMoney.setDecimals(vaultAddr, await vault.decimals())
+        // Mock vaults have no harvest().
+        await cofiMoney.setHarvestable(vaultAddr, 0)
+    }
+
+    // Direct UniswapV3 route between every pair of underlyings.
+    const symbols = Object.keys(tokens)
+    for (let i = 0; i < symbols.length; i++) {
+        for (let j = i + 1; j < symbols.length; j++) {
+            const tokenA = await tokens[symbols[i]].getAddress()
+            const tokenB = await tokens[symbols[j]].getAddress()
+            await cofiMoney.setV3Route(tokenA, POOL_FEE, ethers.ZeroAddress, 0, tokenB)
+            await cofiMoney.setSwapProtocol(tokenA, tokenB, 2)
+        }
+    }
+
+    await cofiMoney.setMigrationEnabled(await vaults.vUSDC.getAddress(), await vaults.vUSDC2.getAddress(), 1)
+    await cofiMoney.setMigrationEnabled(await vaults.vUSDC.getAddress(), await vaults.vDAI.getAddress(), 1)
+
+    /* Whitelisted and funded user */
+
+    await cofiMoney.connect(whitelister).setWhitelist(await user.getAddress(), 1)
+    await tokens.USDC.mint(await user.getAddress(), 1000000n * 10n**6n)
+    await tokens.DAI.mint(await user.getAddress(), 1000000n * 10n**18n)
+    await tokens.WBTC.mint(await user.getAddress(), 100n * 10n**8n)
+    await tokens.OP.mint(await user.getAddress(), 1000000n * 10n**18n)
+    await tokens.WETH.connect(user).deposit({ value: ethers.parseEther('100') })
+    for (const token of [...Object.values(tokens), ...Object.values(cofi)]) {
+        await token.connect(user).approve(diamondAddr, ethers.MaxUint256)
+    }
+
+    return {
+        owner,
+        whitelister,
+        backupOwner,
+        feeCollector,
+        user,
+        cofiMoney,
+        uniswapRouter,
+        velodromeRouter,
+        tokens,
+        feeds,
+        vaults,
+        cofi
+    }
+}
+
+async function deployCofiWithDeposit() {
+
+    const fixture = await deployCofi()
+    const { user, cofiMoney, tokens, cofi } = fixture
+
+    await cofiMoney.connect(user).enterCofi(
+        ethers.parseUnits('1000', 6),
+        await tokens.USDC.getAddress(),
+        await cofi.coUSD.getAddress(),
+        user.address,
+        user.address,
+        ethers.ZeroAddress
+    )
+    return fixture
+}
+
+module.exports = {
+    deployCofi,
+    deployCofiWithDeposit,
+    PRICES,
+    WETH_Addr,
+    UNISWAP_V3_ROUTER_Addr,
+    VELODROME_V2_ROUTER_Addr
+}
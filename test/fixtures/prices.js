@@ -0,0 +1,89 @@
+/* global ethers */
+
+const { time } = require("@nomicfoundation/hardhat-network-helpers")
+const { ethers } = require("hardhat")
+
+/*
+ * Helpers for scripting MockAggregator price feeds.
+ *
+ * Prices are given in USD (e.g., 1.0001 or '2000') and scaled by the feed's decimals, so the
+ * same path can be played against feeds of any precision.
+ */
+
+/// Converts a USD price to a feed answer with 'decimals' decimals, rounding half-up.
+function toAnswer(price, decimals = 8) {
+    decimals = Number(decimals)
+    if (decimals >= 18) return ethers.parseUnits(String(price), decimals)
+    const value = ethers.parseUnits(String(price), 18)
+    const unit = 10n**BigInt(18 - decimals)
+    const rounded = ((value < 0n ? -value : value) + unit / 2n) / unit
+    return value < 0n ? -rounded : rounded
+}
+
+/// Starts a new round on 'feed' at 'price'.
+async function setPrice(feed, price) {
+    const answer = toAnswer(price, await feed.decimals())
+    await feed.setAnswer(answer)
+    return answer
+}
+
+/**
+ * Plays 'path' against 'feed', one round per step.
+ * @param path      Array of { price, wait } steps, where 'wait' is the seconds to advance
+ *                  beforehand (default 0). 'price' may also be a raw bigint answer.
+ * @param onStep    Optional async callback (step, index, answer) run after each round.
+ * @returns         The answers set.
+ */
+async function playPricePath(feed, path, onStep) {
+    const answers = []
+    for (let i = 0; i < path.length; i++) {
+        const step = path[i]
+        if (step.wait) await time.increase(step.wait)
+        let answer
+        if (typeof step.price === 'bigint') {
+            answer = step.price
+            await feed.setAnswer(answer)
+        } else {
+            answer = await setPrice(feed, step.price)
+        }
+        answers.push(answer)
+        if (onStep) await onStep(step, i, answer)
+    }
+    return answers
+}
+
+/**
+ * Builds a path of 'steps' rounds, 'interval' seconds apart, moving linearly from 'from' to 'to'.
+ * Prices are rounded to 8 decimal places, then to the feed's decimals when played.
+ */
+function linearPath(from, to, steps, interval = 3600) {
+    const path = []
+    for (let i = 1; i <= steps; i++) {
+        path.push({
+            price: (from + (to - from) * i / steps).toFixed(8),
+            wait: interval
+        })
+    }
+    return path
+}
+
+/// Makes the latest round stale (answeredInRound < roundId), keeping its answer.
+async function makeStale(feed) {
+    const [roundId, answer, startedAt, updatedAt] = await feed.latestRoundData()
+    await feed.setRoundData(roundId + 1n, answer, startedAt, updatedAt, roundId)
+}
+
+/// Starts a round that has not been updated yet (updatedAt = 0).
+async function makeIncomplete(feed) {
+    const [roundId, answer] = await feed.latestRoundData()
+    await feed.setRoundData(roundId + 1n, answer, await time.latest(), 0, roundId + 1n)
+}
+
+module.exports = {
+    toAnswer,
+    setPrice,
+    playPricePath,
+    linearPath,
+    makeStale,
+    makeIncomplete
+}
@@ -0,0 +1,104 @@
+/* global ethers */
+
+const { deployCofiWithDeposit, WETH_Addr } = require("./fixtures/deployCofi.js")
+const { checkMigration, dryRunMigration } = require("../scripts/libs/migration.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test migration readiness checks", function() {
+
+    async function setBuffer({ cofiMoney, tokens }, held) {
+        const DAI = await tokens.DAI.getAddress()
+        await cofiMoney.setBuffer(DAI, ethers.parseEther('10'))
+        await tokens.DAI.mint(await cofiMoney.getAddress(), ethers.parseEther(held))
+    }
+
+    it("Should report each missing precondition", async function() {
+
+        const { cofiMoney, cofi, vaults } = await loadFixture(deployCofiWithDeposit)
+        const coUSD = await cofi.coUSD.getAddress()
+
+        let check = await checkMigration({ cofiMoney, cofi: coUSD, newVault: await vaults.vDAI.getAddress() })
+        expect(check.ready).to.equal(false)
+        expect(check.steps.filter(s => !s.done).map(s => s.step)).to.deep.equal(['buffer'])
+
+        // Not enabled from vUSDC, and no buffer for wETH.
+        check = await checkMigration({ cofiMoney, cofi: coUSD, newVault: await vaults.vETH.getAddress() })
+        expect(check.steps.filter(s => !s.done).map(s => s.step)).to.deep.equal(['migrationEnabled', 'buffer'])
+
+        await cofiMoney.setHarvestable(await vaults.vDAI.getAddress(), 1)
+        check = await checkMigration({ cofiMoney, cofi: coUSD, newVault: await vaults.vDAI.getAddress() })
+        expect(check.steps.find(s => s.step === 'harvestable'))
+            .to.include({ done: false, detail: "1, 'harvest()' reverts for the diamond" })
+    })
+
+    it("Should check the route of the swap protocol in use", async function() {
+
+        const { cofiMoney, cofi, tokens, vaults } = await loadFixture(deployCofiWithDeposit)
+        const coUSD = await cofi.coUSD.getAddress()
+        const USDC = await tokens.USDC.getAddress()
+        const DAI = await tokens.DAI.getAddress()
+        const swapRoute = async () => (await checkMigration({ cofiMoney, cofi: coUSD, newVault: await vaults.vDAI.getAddress() }))
+            .steps.find(s => s.step === 'swapRoute')
+
+        expect(await swapRoute()).to.include({ done: true })
+        expect((await swapRoute()).detail).to.match(/^SwapV3 0x/)
+
+        await cofiMoney.setV2Route(USDC, ethers.ZeroAddress, DAI, [true, false])
+        await cofiMoney.setSwapProtocol(USDC, DAI, 1)
+        expect(await swapRoute()).to.include({ done: true, detail: 'SwapV2 direct, stable true' })
+
+        await cofiMoney.setV2Route(USDC, WETH_Addr, DAI, [false, true])
+        expect(await swapRoute()).to.include({ done: true, detail: `SwapV2 via ${WETH_Addr}, stable false,true` })
+
+        await cofiMoney.setSwapProtocol(USDC, DAI, 0)
+        expect(await swapRoute()).to.include({ done: false, detail: `no swap protocol from ${USDC}` })
+    })
+
+    it("Should dry run a migration and revert it", async function() {
+
+        const fixture = await loadFixture(deployCofiWithDeposit)
+        const { cofiMoney, cofi, vaults } = fixture
+        const coUSD = await cofi.coUSD.getAddress()
+        const vDAI = await vaults.vDAI.getAddress()
+        await setBuffer(fixture, '10')
+
+        const check = await checkMigration({ cofiMoney, cofi: coUSD, newVault: vDAI })
+        expect(check.ready).to.equal(true)
+
+        const report = await dryRunMigration({ cofiMoney, cofi: coUSD, newVault: vDAI })
+        expect(report.ok).to.equal(true)
+        expect(report.assetsBefore).to.equal(ethers.parseUnits('1000', 6))
+        // 0.05% pool fee on the USDC => DAI swap, plus the buffer.
+        expect(report.assetsAfter).to.equal(ethers.parseEther('1009.5'))
+        expect(report.migrated.assets).to.equal(ethers.parseEther('999.5'))
+        expect(report.bufferConsumed).to.equal(ethers.parseEther('10'))
+        expect(report.rebase.yield).to.be.closeTo(ethers.parseEther('9.5'), ethers.parseUnits('1', 'szabo'))
+        // The service fee is minted to the fee collector on top of the holders' share.
+        expect(report.supplyAfter - report.supplyBefore).to.be.closeTo(report.rebase.yield, ethers.parseUnits('1', 'szabo'))
+
+        expect(await cofiMoney.getVault(coUSD)).to.equal(await vaults.vUSDC.getAddress())
+        expect(await cofi.coUSD.totalSupply()).to.equal(report.supplyBefore)
+    })
+
+    it("Should fail the task when the dry run reverts", async function() {
+
+        const fixture = await loadFixture(deployCofiWithDeposit)
+        const { cofiMoney, cofi, vaults } = fixture
+        // Buffer set but not held at the diamond.
+        await setBuffer(fixture, '0')
+
+        const err = await hre.run('cofi:vault:migrate-check', {
+            cofi: await cofi.coUSD.getAddress(),
+            vault: await vaults.vDAI.getAddress(),
+            diamond: await cofiMoney.getAddress(),
+            dryRun: true
+        }).catch(e => e)
+
+        expect(err.message).to.include('Migration not ready')
+        expect(err.message).to.include('[ ] buffer: 10.0 DAI set, 0.0 held at the diamond')
+        expect(err.message).to.include('dry run: ERC20: transfer amount exceeds balance')
+    })
+})
@@ -0,0 +1,178 @@
+/* global ethers */
+
+const { deployCofi, WETH_Addr } = require("./fixtures/deployCofi.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+const VELODROME_V2_FACTORY_Addr = "0xF1046053aa5682b4F9a81b5481394DA16BE5FF5a"
+
+describe("Test LibSwap against mock swap routers", function() {
+
+    // Applied per test rather than as its own fixture, as reverting to the 'deployCofi'
+    // snapshot discards any snapshot taken after it.
+    async function useVelodrome({ cofiMoney, tokens }) {
+
+        // DAI (=> wETH) => USDC and ETH => USDC through Velodrome.
+        await cofiMoney.setV2Route(
+            await tokens.DAI.getAddress(),
+            WETH_Addr,
+            await tokens.USDC.getAddress(),
+            [false, true]
+        )
+        await cofiMoney.setSwapProtocol(await tokens.DAI.getAddress(), await tokens.USDC.getAddress(), 1)
+        await cofiMoney.setV2Route(WETH_Addr, ethers.ZeroAddress, await tokens.USDC.getAddress(), [false, false])
+        await cofiMoney.setSwapProtocol(WETH_Addr, await tokens.USDC.getAddress(), 1)
+    }
+
+    function enter(cofiMoney, user, amount, token, cofi, value = 0) {
+        return cofiMoney.connect(user).enterCofi(
+            amount,
+            token,
+            cofi,
+            user.address,
+            user.address,
+            ethers.ZeroAddress,
+            { value: value }
+        )
+    }
+
+    it("Should swap along multi-hop UniswapV3 paths", async function() {
+
+        const { user, cofiMoney, uniswapRouter, tokens, cofi } = await loadFixture(deployCofi)
+        const OP = await tokens.OP.getAddress()
+        const USDC = await tokens.USDC.getAddress()
+
+        await cofiMoney.setV3Route(OP, 3000, WETH_Addr, 500, USDC)
+        const path = await cofiMoney.getSwapRouteV3(OP, USDC)
+        const [hops, fees] = await uniswapRouter.decodePath(path)
+        expect(hops.toArray()).to.deep.equal([OP, WETH_Addr, USDC])
+        expect(fees.toArray()).to.deep.equal([3000n, 500n])
+
+        const amountIn = ethers.parseEther('1000')
+        // $1,500 less 0.3% and 0.05% pool fees.
+        const amountOut = await uniswapRouter.getAmountOut(amountIn, path)
+        expect(amountOut).to.equal(1494752250n)
+
+        await expect(enter(cofiMoney, user, amountIn, OP, await cofi.coUSD.getAddress()))
+            .to.emit(cofiMoney, 'Swap')
+            .withArgs(OP, USDC, amountIn, amountOut, await cofiMoney.getAddress())
+    })
+
+    it("Should swap along Velodrome routes", async function() {
+
+        const { user, cofiMoney, velodromeRouter, tokens, cofi } = await loadFixture(deployCofi)
+        await useVelodrome({ cofiMoney, tokens })
+        const DAI = await tokens.DAI.getAddress()
+        const USDC = await tokens.USDC.getAddress()
+
+        const routes = [
+            { from: DAI, to: WETH_Addr, stable: false, factory: VELODROME_V2_FACTORY_Addr },
+            { from: WETH_Addr, to: USDC, stable: true, factory: VELODROME_V2_FACTORY_Addr }
+        ]
+        const amountIn = ethers.parseEther('1000')
+        const amounts = await velodromeRouter.getAmountsOut(amountIn, routes)
+        // 0.3% volatile and 0.05% stable pool fees.
+        expect(amounts[2]).to.equal(996501500n)
+
+        await expect(enter(cofiMoney, user, amountIn, DAI, await cofi.coUSD.getAddress()))
+            .to.emit(cofiMoney, 'Swap')
+            .withArgs(DAI, USDC, amountIn, amounts[2], await cofiMoney.getAddress())
+
+        await expect(cofiMoney.connect(user).exitCofi(
+            ethers.parseEther('500'),
+            DAI,
+            await cofi.coUSD.getAddress(),
+            user.address,
+            user.address
+        )).to.changeTokenBalance(tokens.DAI, user, 497752499250000000000n)
+    })
+
+    it("Should swap Ether along Velodrome routes", async function() {
+
+        const { user, cofiMoney, tokens, cofi } = await loadFixture(deployCofi)
+        await useVelodrome({ cofiMoney, tokens })
+        const coUSD = await cofi.coUSD.getAddress()
+
+        await expect(enter(cofiMoney, user, 0, ethers.ZeroAddress, coUSD, ethers.parseEther('1')))
+            .to.emit(cofiMoney, 'Swap')
+            .withArgs(WETH_Addr, await tokens.USDC.getAddress(), ethers.parseEther('1'), 1994000000n, await cofiMoney.getAddress())
+
+        await expect(cofiMoney.connect(user).exitCofi(
+            ethers.parseEther('1000'),
+            ethers.ZeroAddress,
+            coUSD,
+            user.address,
+            user.address
+        )).to.changeEtherBalance(user, ethers.parseEther('0.4980015'), { includeFee: false })
+    })
+
+    it("Should revert when UniswapV3 output falls below amountOutMin", async function() {
+
+        const { user, cofiMoney, uniswapRouter, tokens, cofi } = await loadFixture(deployCofi)
+        const DAI = await tokens.DAI.getAddress()
+        const USDC = await tokens.USDC.getAddress()
+        const amountIn = ethers.parseEther('1000')
+
+        // 2% default slippage.
+        expect(await cofiMoney.getAmountOutMin(amountIn, DAI, USDC)).to.equal(980000000n)
+
+        // 0.05% pool fee + 1.9% slippage.
+        await uniswapRouter.setSlippage(190)
+        await enter(cofiMoney, user, amountIn, DAI, await cofi.coUSD.getAddress())
+
+        // 0.05% pool fee + 2% slippage.
+        await uniswapRouter.setSlippage(200)
+        await expect(enter(cofiMoney, user, amountIn, DAI, await cofi.coUSD.getAddress()))
+            .to.be.revertedWith('Too little received')
+
+        // Custom slippage for pair.
+        await cofiMoney.setSlippage(300, DAI, USDC)
+        expect(await cofiMoney.getAmountOutMin(amountIn, DAI, USDC)).to.equal(970000000n)
+        await enter(cofiMoney, user, amountIn, DAI, await cofi.coUSD.getAddress())
+    })
+
+    it("Should revert when Velodrome output falls below amountOutMin", async function() {
+
+        const { user, cofiMoney, velodromeRouter, tokens, cofi } = await loadFixture(deployCofi)
+        await useVelodrome({ cofiMoney, tokens })
+        const DAI = await tokens.DAI.getAddress()
+
+        // 0.35% pool fees + 1.6% slippage.
+        await velodromeRouter.setSlippage(160)
+        await enter(cofiMoney, user, ethers.parseEther('1000'), DAI, await cofi.coUSD.getAddress())
+
+        // 0.35% pool fees + 1.7% slippage.
+        await velodromeRouter.setSlippage(170)
+        await expect(enter(cofiMoney, user, ethers.parseEther('1000'), DAI, await cofi.coUSD.getAddress()))
+            .to.be.revertedWithCustomError(velodromeRouter, 'InsufficientOutputAmount')
+    })
+
+    it("Should revert when the swap deadline has passed", async function() {
+
+        const { user, cofiMoney, uniswapRouter, velodromeRouter, tokens, cofi } = await loadFixture(deployCofi)
+        await useVelodrome({ cofiMoney, tokens })
+        const DAI = await tokens.DAI.getAddress()
+        const OP = await tokens.OP.getAddress()
+        const USDC = await tokens.USDC.getAddress()
+        const coUSD = await cofi.coUSD.getAddress()
+
+        // 12 second default wait.
+        await uniswapRouter.setDelay(12)
+        await velodromeRouter.setDelay(12)
+        await enter(cofiMoney, user, ethers.parseEther('100'), OP, coUSD)
+        await enter(cofiMoney, user, ethers.parseEther('100'), DAI, coUSD)
+
+        await uniswapRouter.setDelay(13)
+        await velodromeRouter.setDelay(13)
+        await expect(enter(cofiMoney, user, ethers.parseEther('100'), OP, coUSD))
+            .to.be.revertedWith('Transaction too old')
+        await expect(enter(cofiMoney, user, ethers.parseEther('100'), DAI, coUSD))
+            .to.be.revertedWithCustomError(velodromeRouter, 'Expired')
+
+        // Custom wait for pair.
+        await cofiMoney.setWait(60, OP, USDC)
+        await enter(cofiMoney, user, ethers.parseEther('100'), OP, coUSD)
+    })
+})
@@ -0,0 +1,169 @@
+/* global ethers */
+
+const { deployCofi } = require("./fixtures/deployCofi.js")
+const { makeStale } = require("./fixtures/prices.js")
+const { CofiClient } = require("../sdk")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+
+describe("Test SDK pre-flight checks", function() {
+
+    async function deployWithDeposit() {
+
+        const fixture = await deployCofi()
+        const { user, cofiMoney, tokens, cofi } = fixture
+        const client = new CofiClient({ diamond: await cofiMoney.getAddress(), runner: user })
+        await (await client.enterCofi({
+            amount: '1000',
+            token: await tokens.USDC.getAddress(),
+            cofi: await cofi.coUSD.getAddress()
+        })).wait()
+        return { ...fixture, client }
+    }
+
+    it("Should simulate without sending", async function() {
+
+        const { client, tokens, cofi } = await loadFixture(deployWithDeposit)
+        const coUSD = await cofi.coUSD.getAddress()
+        const balance = await client.balanceOf(coUSD)
+
+        const enter = await client.preflightEnterCofi({ amount: '100', token: await tokens.DAI.getAddress(), cofi: coUSD })
+        expect(enter.ok).to.equal(true)
+        const [mintAfterFee, underlyingOut] = enter.result
+        expect(underlyingOut).to.be.closeTo(ethers.parseUnits('99.95', 6), 1000n)
+        expect(mintAfterFee).to.be.closeTo(ethers.parseEther('99.85'), ethers.parseEther('0.01'))
+
+        const exit = await client.preflightExitCofi({ amount: '100', cofi: coUSD, token: 'ETH' })
+        expect(exit.ok).to.equal(true)
+        expect(await client.balanceOf(coUSD)).to.equal(balance)
+    })
+
+    it("Should map account and cofi token switches", async function() {
+
+        const { owner, cofiMoney, tokens, cofi, client } = await loadFixture(deployWithDeposit)
+        const coUSD = await cofi.coUSD.getAddress()
+        const USDC = await tokens.USDC.getAddress()
+        const [stranger] = (await ethers.getSigners()).slice(6)
+
+        expect(await client.preflightEnterCofi({ amount: '100', token: USDC, cofi: coUSD, from: stranger.address }))
+            .to.deep.equal({
+                ok: false,
+                reason: 'Caller not whitelisted',
+                param: 'isWhitelisted',
+                current: 0n,
+                passing: 1n,
+                message: `${stranger.address} is not whitelisted`
+            })
+
+        await cofiMoney.connect(owner).setMintEnabled(coUSD, 0)
+        expect(await client.preflightEnterCofi({ amount: '100', token: USDC, cofi: coUSD }))
+            .to.include({ reason: 'Mint not enabled for cofi token', param: 'mintEnabled', current: 0n, passing: 1n })
+
+        await cofiMoney.connect(owner).setRedeemEnabled(coUSD, 0)
+        expect(await client.preflightExitCofi({ amount: '100', cofi: coUSD, token: USDC }))
+            .to.include({ reason: 'Redeem not enabled for cofi token', param: 'redeemEnabled', current: 0n, passing: 1n })
+
+        // Not a diamond param, but the most common failure.
+        await tokens.USDC.connect(client.runner).approve(await cofiMoney.getAddress(), 0)
+        await cofiMoney.connect(owner).setMintEnabled(coUSD, 1)
+        expect(await client.preflightEnterCofi({ amount: '100', token: USDC, cofi: coUSD }))
+            .to.include({ reason: 'ERC20: insufficient allowance', param: 'allowance', current: 0n, passing: 100000000n })
+    })
+
+    it("Should report limits that would pass", async function() {
+
+        const { owner, cofiMoney, tokens, cofi, client } = await loadFixture(deployWithDeposit)
+        const coUSD = await cofi.coUSD.getAddress()
+        const USDC = await tokens.USDC.getAddress()
+        const enter = { amount: '100', token: USDC, cofi: coUSD }
+        const exit = { amount: '100', cofi: coUSD, token: USDC }
+
+        await cofiMoney.connect(owner).setMinDeposit(coUSD, ethers.parseUnits('500', 6))
+        let check = await client.preflightEnterCofi(enter)
+        expect(check).to.include({
+            reason: 'SupplyFacet: Insufficient deposit amount for cofi token',
+            param: 'minDeposit',
+            current: ethers.parseUnits('500', 6),
+            passing: ethers.parseUnits('100', 6) - 1n
+        })
+        await cofiMoney.connect(owner).setMinDeposit(coUSD, check.passing)
+        expect((await client.preflightEnterCofi(enter)).ok).to.equal(true)
+
+        await cofiMoney.connect(owner).setMinWithdraw(coUSD, ethers.parseEther('500'))
+        check = await client.preflightExitCofi(exit)
+        expect(check).to.include({ param: 'minWithdraw', passing: ethers.parseEther('100') - 1n })
+        await cofiMoney.connect(owner).setMinWithdraw(coUSD, check.passing)
+        expect((await client.preflightExitCofi(exit)).ok).to.equal(true)
+
+        // The mock vaults return exactly what is deposited, so no slippage is tolerated.
+        await cofiMoney.connect(owner).setDefaultSlippage(0)
+        check = await client.preflightExitCofi(exit)
+        expect(check).to.include({
+            reason: 'SupplyFacet: Slippage exceeded',
+            param: 'defaultSlippage',
+            current: 0n,
+            passing: 1n
+        })
+        await cofiMoney.connect(owner).setDefaultSlippage(check.passing)
+        expect((await client.preflightExitCofi(exit)).ok).to.equal(true)
+
+        await cofiMoney.connect(owner).setSupplyLimit(coUSD, 0)
+        check = await client.preflightEnterCofi(enter)
+        expect(check).to.include({
+            reason: 'SupplyFacet: Assets value exceeds upper limit check',
+            param: 'supplyLimit',
+            current: 0n,
+            passing: 1n
+        })
+        await cofiMoney.connect(owner).setSupplyLimit(coUSD, check.passing)
+        expect((await client.preflightEnterCofi(enter)).ok).to.equal(true)
+    })
+
+    it("Should map swap failures", async function() {
+
+        const { owner, cofiMoney, uniswapRouter, velodromeRouter, tokens, feeds, cofi, client } = await loadFixture(deployWithDeposit)
+        const coUSD = await cofi.coUSD.getAddress()
+        const DAI = await tokens.DAI.getAddress()
+        const USDC = await tokens.USDC.getAddress()
+
+        // 3% worse than the oracle, 2% default slippage.
+        await uniswapRouter.setSlippage(300)
+        expect(await client.preflightEnterCofi({ amount: '100', token: DAI, cofi: coUSD }))
+            .to.include({ reason: 'Too little received', param: 'slippage', current: 200n })
+        await uniswapRouter.setSlippage(0)
+
+        // Executed 13 seconds after the 12 second default wait, then 80 seconds after.
+        await uniswapRouter.setDelay(13)
+        expect(await client.preflightEnterCofi({ amount: '100', token: DAI, cofi: coUSD }))
+            .to.include({ reason: 'Transaction too old', param: 'defaultWait', current: 12n, passing: 72n })
+        await cofiMoney.connect(owner).setWait(20, DAI, USDC)
+        await uniswapRouter.setDelay(80)
+        const late = await client.preflightEnterCofi({ amount: '100', token: DAI, cofi: coUSD })
+        expect(late).to.include({ reason: 'Transaction too old', param: 'wait', current: 20n, passing: 80n })
+        await cofiMoney.connect(owner).setWait(late.passing, DAI, USDC)
+        expect((await client.preflightEnterCofi({ amount: '100', token: DAI, cofi: coUSD })).ok).to.equal(true)
+        await uniswapRouter.setDelay(0)
+
+        // Through Velodrome.
+        await cofiMoney.connect(owner).setV2Route(DAI, ethers.ZeroAddress, USDC, [true, false])
+        await cofiMoney.connect(owner).setSwapProtocol(DAI, USDC, 1)
+        await velodromeRouter.setDelay(81)
+        expect(await client.preflightEnterCofi({ amount: '100', token: DAI, cofi: coUSD }))
+            .to.include({ reason: 'Expired', param: 'wait', current: 80n, passing: 140n })
+        await velodromeRouter.setDelay(0)
+        await cofiMoney.connect(owner).setSwapProtocol(DAI, USDC, 2)
+
+        await makeStale(feeds.DAI)
+        const check = await client.preflightExitCofi({ amount: '100', cofi: coUSD, token: DAI })
+        expect(check).to.include({ reason: 'LibSwap: Stale price', param: 'priceFeed' })
+        expect(check.current).to.deep.equal({
+            [USDC]: await feeds.USDC.getAddress(),
+            [DAI]: await feeds.DAI.getAddress()
+        })
+
+        await cofiMoney.connect(owner).setSwapProtocol(USDC, DAI, 0)
+        expect(await client.preflightExitCofi({ amount: '100', cofi: coUSD, token: DAI }))
+            .to.include({ reason: 'LibSwap: Swap protocol not set', param: 'swapProtocol', current: 'NonExistent' })
+    })
+})
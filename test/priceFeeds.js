@@ -0,0 +1,149 @@
+/* global ethers */
+
+const { deployCofi } = require("./fixtures/deployCofi.js")
+const { toAnswer, setPrice, playPricePath, linearPath, makeStale, makeIncomplete } = require("./fixtures/prices.js")
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test price feed driven estimates", function() {
+
+    // Mirrors 'LibSwap._getConversion()'.
+    function conversion(amount, fee, fromPrice, toPrice, fromDecimals, toDecimals) {
+        const fromTo = fromPrice * 10n**18n / toPrice / 10n**10n
+        let out = (amount * fromTo + 10n**8n - 1n) / 10n**8n
+        out = toDecimals >= fromDecimals ?
+            out * 10n**(toDecimals - fromDecimals) :
+            out / 10n**(fromDecimals - toDecimals)
+        return (out * (10000n - fee) + 5000n) / 10000n
+    }
+
+    it("Should estimate cofi and tokens out from feed prices", async function() {
+
+        const { cofiMoney, tokens, cofi } = await loadFixture(deployCofi)
+        const coUSD = await cofi.coUSD.getAddress()
+
+        // 0.1% mint and redeem fees.
+        expect(await cofiMoney.getEstimatedCofiOut(ethers.parseEther('1000'), await tokens.DAI.getAddress(), coUSD))
+            .to.equal(ethers.parseEther('999'))
+        expect(await cofiMoney.getEstimatedCofiOut(ethers.parseEther('1'), await tokens.WETH.getAddress(), coUSD))
+            .to.equal(ethers.parseEther('1998'))
+        expect(await cofiMoney.getEstimatedTokensOut(ethers.parseEther('1000'), coUSD, await tokens.USDC.getAddress()))
+            .to.equal(ethers.parseUnits('999', 6))
+        expect(await cofiMoney.getEstimatedTokensOut(ethers.parseEther('1000'), coUSD, await tokens.WBTC.getAddress()))
+            .to.equal(conversion(ethers.parseEther('1000'), 10n, toAnswer(1), toAnswer(30000), 18n, 8n))
+    })
+
+    it("Should follow a scripted price path", async function() {
+
+        const { cofiMoney, feeds, tokens, cofi } = await loadFixture(deployCofi)
+        const WETH = await tokens.WETH.getAddress()
+        const coUSD = await cofi.coUSD.getAddress()
+
+        const path = [...linearPath(2000, 2500, 5), { price: '1234.5678', wait: 60 }]
+        const estimates = []
+        const answers = await playPricePath(feeds.WETH, path, async function(step, i, answer) {
+            const [, latest, , updatedAt] = await feeds.WETH.latestRoundData()
+            expect(latest).to.equal(answer)
+            expect(updatedAt).to.equal(await time.latest())
+            estimates.push(await cofiMoney.getEstimatedCofiOut(ethers.parseEther('1'), WETH, coUSD))
+        })
+
+        expect(answers).to.deep.equal([
+            210000000000n, 220000000000n, 230000000000n, 240000000000n, 250000000000n, 123456780000n
+        ])
+        expect(estimates).to.deep.equal(answers.map(answer =>
+            conversion(ethers.parseEther('1'), 10n, answer, toAnswer(1), 18n, 18n)
+        ))
+        expect(await feeds.WETH.latestRound()).to.equal(7)
+        // Earlier rounds remain queryable.
+        expect((await feeds.WETH.getRoundData(2))[1]).to.equal(210000000000n)
+    })
+
+    it("Should round prices to the feed's decimals", async function() {
+
+        const { feeds } = await loadFixture(deployCofi)
+        await feeds.USDC.setDecimals(6)
+
+        const answers = await playPricePath(feeds.USDC, linearPath(1, 1.0000015, 3))
+        expect(answers).to.deep.equal([1000001n, 1000001n, 1000002n])
+        expect(await setPrice(feeds.USDC, '0.99999949')).to.equal(999999n)
+        expect(toAnswer(-1.2345678, 6)).to.equal(-1234568n)
+        expect(toAnswer('1.5', 0)).to.equal(2n)
+    })
+
+    it("Should revert on stale or incomplete rounds", async function() {
+
+        const { user, cofiMoney, feeds, tokens, cofi } = await loadFixture(deployCofi)
+        const DAI = await tokens.DAI.getAddress()
+        const coUSD = await cofi.coUSD.getAddress()
+
+        // coUSD is priced from its underlying (USDC).
+        await makeStale(feeds.USDC)
+        await expect(cofiMoney.getEstimatedCofiOut(ethers.parseEther('1'), DAI, coUSD))
+            .to.be.revertedWith('LibSwap: Stale price')
+        await expect(cofiMoney.connect(user).enterCofi(
+            ethers.parseEther('1000'),
+            DAI,
+            coUSD,
+            user.address,
+            user.address,
+            ethers.ZeroAddress
+        )).to.be.revertedWith('LibSwap: Stale price')
+
+        // Recovers on the next round.
+        await setPrice(feeds.USDC, 1)
+        await makeIncomplete(feeds.DAI)
+        await expect(cofiMoney.getEstimatedTokensOut(ethers.parseEther('1'), coUSD, DAI))
+            .to.be.revertedWith('LibSwap: Round not complete')
+
+        await setPrice(feeds.DAI, 1)
+        expect(await cofiMoney.getEstimatedCofiOut(ethers.parseEther('1'), DAI, coUSD))
+            .to.equal(ethers.parseEther('0.999'))
+    })
+
+    it("Should revert on zero or negative answers", async function() {
+
+        const { cofiMoney, feeds, tokens, cofi } = await loadFixture(deployCofi)
+        const OP = await tokens.OP.getAddress()
+        const coOP = await cofi.coOP.getAddress()
+        const coUSD = await cofi.coUSD.getAddress()
+
+        await setPrice(feeds.OP, 0)
+        await expect(cofiMoney.getEstimatedCofiOut(ethers.parseEther('1'), OP, coUSD))
+            .to.be.revertedWith('LibSwap: Chainlink answer reporting 0')
+        await expect(cofiMoney.getEstimatedTokensOut(ethers.parseEther('1'), coOP, OP))
+            .to.be.revertedWith('LibSwap: Chainlink answer reporting 0')
+
+        await feeds.OP.setAnswer(-150000000n)
+        await expect(cofiMoney.getEstimatedCofiOut(ethers.parseEther('1'), OP, coUSD))
+            .to.be.revertedWith('LibSwap: Chainlink answer reporting 0')
+    })
+
+    it("Should price correctly only when feed decimals match", async function() {
+
+        const { cofiMoney, feeds, tokens, cofi } = await loadFixture(deployCofi)
+        const DAI = await tokens.DAI.getAddress()
+        const WBTC = await tokens.WBTC.getAddress()
+        const coUSD = await cofi.coUSD.getAddress()
+
+        // Token decimals are scaled (8 => 18).
+        expect(await cofiMoney.getEstimatedCofiOut(ethers.parseUnits('1', 8), WBTC, coUSD))
+            .to.equal(ethers.parseEther('29970'))
+
+        // Answers are only compared with each other, so feeds sharing decimals price correctly.
+        for (const feed of [feeds.DAI, feeds.USDC]) {
+            await feed.setDecimals(18)
+            await setPrice(feed, 1)
+        }
+        expect(await cofiMoney.getEstimatedCofiOut(ethers.parseEther('1000'), DAI, coUSD))
+            .to.equal(ethers.parseEther('999'))
+
+        // LibSwap assumes 8 decimal answers, so a mismatch skews the estimate by the difference.
+        await feeds.USDC.setDecimals(8)
+        await setPrice(feeds.USDC, 1)
+        expect(await cofiMoney.getEstimatedCofiOut(ethers.parseEther('1000'), DAI, coUSD))
+            .to.equal(ethers.parseEther('999') * 10n**10n)
+    })
+})
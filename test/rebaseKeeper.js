@@ -0,0 +1,181 @@
+/* global ethers */
+
+const { deployCofiWithDeposit } = require("./fixtures/deployCofi.js")
+const { checkRebase, runKeeper } = require("../scripts/libs/keeper.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test rebase keeper", function() {
+
+    async function addYield({ tokens, vaults }, amount) {
+        await tokens.USDC.mint(await vaults.vUSDC.getAddress(), ethers.parseUnits(amount, 6))
+    }
+
+    async function runOnce(args) {
+        const lines = []
+        const { done } = runKeeper({ rounds: 1, log: line => lines.push(line), ...args })
+        const state = await done
+        return { results: state.results[0], events: state.events, lines }
+    }
+
+    it("Should rebase only when yield clears the threshold", async function() {
+
+        const fixture = await loadFixture(deployCofiWithDeposit)
+        const { owner, user, cofiMoney, cofi } = fixture
+        const coUSD = await cofi.coUSD.getAddress()
+        const args = { cofiMoney, cofi: [coUSD], signer: owner, minYield: ethers.parseEther('1') }
+
+        await addYield(fixture, '0.5')
+        let { results, events } = await runOnce(args)
+        expect(results[0]).to.include({ rebase: false, reason: 'Yield below threshold (1.0)' })
+        expect(events).to.be.empty
+
+        await addYield(fixture, '10')
+        const before = await cofi.coUSD.balanceOf(user.address)
+        ;({ results, events } = await runOnce(args))
+        expect(results[0]).to.include({ symbol: 'coUSD', rebase: true })
+        // Supply is off the deposit by rebasing credits rounding.
+        expect(results[0].yield).to.be.closeTo(ethers.parseEther('10.5'), ethers.parseUnits('1', 'szabo'))
+        expect(results[0].tx).to.be.a('string')
+        // 10% service fee.
+        expect(await cofi.coUSD.balanceOf(user.address) - before)
+            .to.be.closeTo(ethers.parseEther('9.45'), ethers.parseEther('0.01'))
+
+        expect(events).to.have.lengthOf(1)
+        expect(events[0].args.cofi).to.equal(coUSD)
+        expect(events[0].args.yield).to.equal(results[0].yield)
+    })
+
+    it("Should skip rebases exceeding the rate limit or not worth the gas", async function() {
+
+        const fixture = await loadFixture(deployCofiWithDeposit)
+        const { owner, cofiMoney, cofi } = fixture
+        const coUSD = await cofi.coUSD.getAddress()
+
+        await addYield(fixture, '20')
+        await cofiMoney.setRateLimit(coUSD, 100) // 1%
+        let result = await checkRebase({ cofiMoney, cofi: coUSD, signer: owner })
+        expect(result).to.include({ rebase: false, reason: 'Supply update exceeds rate limit' })
+        expect(result.maxSupply).to.equal(ethers.parseEther('1010'))
+        await expect(cofiMoney.rebase(coUSD)).to.be.revertedWith('LibToken: Supply update exceeds rate limit')
+
+        await cofiMoney.setRateLimit(coUSD, 20000)
+        // $20 of yield is ~0.01 ETH.
+        result = await checkRebase({ cofiMoney, cofi: coUSD, signer: owner, minYieldToGas: 1e9 })
+        expect(result).to.include({ rebase: false, reason: 'Yield worth less than 1000000000x gas' })
+        expect(result.yieldValue).to.be.closeTo(ethers.parseEther('0.01'), ethers.parseUnits('1', 'gwei'))
+        expect(result.gasCost).to.be.greaterThan(0)
+
+        result = await checkRebase({ cofiMoney, cofi: coUSD, signer: owner })
+        expect(result.rebase).to.equal(true)
+    })
+
+    it("Should round the rate limit as the contract does", async function() {
+
+        const { owner, user, cofiMoney, tokens, vaults, cofi } = await loadFixture(deployCofiWithDeposit)
+        const coETH = await cofi.coETH.getAddress()
+        await cofiMoney.connect(user).enterCofi(0, ethers.ZeroAddress, coETH, user.address, user.address, ethers.ZeroAddress, {
+            value: ethers.parseEther('100') + 7777n
+        })
+
+        // A rate limit for which half-up rounding of 'percentMul' rounds the max supply up.
+        const supply = await cofi.coETH.totalSupply()
+        let rateLimit = 1n
+        while (rateLimit < 100n && supply * rateLimit % 10000n < 5000n) rateLimit++
+        await cofiMoney.setRateLimit(coETH, rateLimit)
+        const maxSupply = (supply * (10000n + rateLimit) + 5000n) / 10000n
+
+        // Assets one below the max supply, which rebase accepts.
+        let assets = await cofiMoney.getTotalAssets(coETH)
+        for (let i = 0; i < 5 && assets < maxSupply - 1n; i++) {
+            await tokens.WETH.connect(user).deposit({ value: maxSupply - 1n - assets })
+            await tokens.WETH.connect(user).transfer(await vaults.vETH.getAddress(), maxSupply - 1n - assets)
+            assets = await cofiMoney.getTotalAssets(coETH)
+        }
+        expect(assets).to.equal(maxSupply - 1n)
+
+        const result = await checkRebase({ cofiMoney, cofi: coETH, signer: owner, minYieldToGas: 0 })
+        expect(result.maxSupply).to.equal(maxSupply)
+        expect(result.rebase).to.equal(true)
+        await expect(cofiMoney.rebase(coETH)).to.not.be.reverted
+    })
+
+    it("Should only rebase as Upkeep or Admin unless public", async function() {
+
+        const fixture = await loadFixture(deployCofiWithDeposit)
+        const { owner, user, cofiMoney, cofi } = fixture
+        const coUSD = await cofi.coUSD.getAddress()
+        await addYield(fixture, '10')
+
+        let { results } = await runOnce({ cofiMoney, cofi: [coUSD], signer: user })
+        expect(results[0]).to.include({ rebase: false, reason: `${user.address} is not Upkeep or Admin` })
+
+        await cofiMoney.connect(owner).setUpkeep(user.address, 1)
+        ;({ results } = await runOnce({ cofiMoney, cofi: [coUSD], signer: user }))
+        expect(results[0].rebase).to.equal(true)
+    })
+
+    it("Should simulate rebases in dry run", async function() {
+
+        const fixture = await loadFixture(deployCofiWithDeposit)
+        const { owner, cofiMoney, cofi } = fixture
+        const coUSD = await cofi.coUSD.getAddress()
+        await addYield(fixture, '10')
+
+        const supply = await cofi.coUSD.totalSupply()
+        const { results, lines } = await runOnce({
+            cofiMoney,
+            cofi: [coUSD, await cofi.coETH.getAddress()],
+            signer: owner,
+            dryRun: true
+        })
+        expect(await cofi.coUSD.totalSupply()).to.equal(supply)
+        expect(results[0].tx).to.be.undefined
+        expect(results[0].simulated.yield).to.equal(results[0].yield)
+        expect(results[0].simulated.shareYield).to.equal(results[0].yield * 9n / 10n)
+        expect(results[1]).to.include({ symbol: 'coETH', rebase: false, reason: 'No supply' })
+        expect(lines).to.deep.equal([
+            `coUSD: yield ${ethers.formatEther(results[0].yield)} on supply ${ethers.formatEther(supply)}`,
+            `coUSD: dry run - rebase would distribute ${ethers.formatEther(results[0].simulated.shareYield)}`,
+            'coETH: skip - No supply'
+        ])
+    })
+
+    it("Should run via task and log rebases by others", async function() {
+
+        const fixture = await loadFixture(deployCofiWithDeposit)
+        const { owner, cofiMoney, cofi } = fixture
+        const coUSD = await cofi.coUSD.getAddress()
+        await addYield(fixture, '10')
+
+        const lines = []
+        const keeper = runKeeper({
+            cofiMoney,
+            cofi: [coUSD],
+            signer: owner,
+            dryRun: true,
+            interval: 1,
+            rounds: 2,
+            log: line => lines.push(line)
+        })
+        // Rebased by someone else between rounds.
+        while (keeper.results.length === 0) await new Promise(resolve => setTimeout(resolve, 10))
+        await cofiMoney.rebase(coUSD)
+        const state = await keeper.done
+        expect(state.events).to.have.lengthOf(1)
+        expect(lines.filter(line => line.includes('TotalSupplyUpdated'))).to.have.lengthOf(1)
+        expect(state.results[1][0]).to.include({ rebase: false })
+
+        await addYield(fixture, '5')
+        const taskState = await hre.run('cofi:keeper:rebase', {
+            cofi: coUSD,
+            diamond: await cofiMoney.getAddress(),
+            rounds: '1',
+            minYield: '1'
+        })
+        expect(taskState.results[0][0].rebase).to.equal(true)
+        expect(taskState.events).to.have.lengthOf(1)
+    })
+})
@@ -0,0 +1,133 @@
+/* global ethers */
+
+const { deployContract, recordContract, getAddress, getContract, readRegistry, writeRegistry, registryPath } = require("../scripts/libs/registry.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Test deployment registry", function() {
+
+    async function deploy() {
+
+        const accounts = await ethers.getSigners()
+        const owner = accounts[0]
+
+        return { owner }
+    }
+
+    // Each test uses its own registry, as chain state is reverted between tests.
+    function registryFile() {
+        return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cofi-')), 'hardhat.json')
+    }
+
+    it("Should record tx hash, block, args and bytecode hash", async function() {
+
+        const { owner } = await loadFixture(deploy)
+        const file = registryFile()
+
+        const { contract, address, deployed } = await deployContract({
+            name: 'USDC',
+            contract: 'ERC20Token',
+            args: ['USD Coin', 'USDC', 6n],
+            signer: owner,
+            file
+        })
+
+        expect(deployed).to.equal(true)
+        expect(await contract.decimals()).to.equal(6)
+        const entry = readRegistry(file).contracts.USDC
+        const factory = await ethers.getContractFactory('ERC20Token')
+        const receipt = await ethers.provider.getTransactionReceipt(entry.txHash)
+        expect(entry.address).to.equal(address)
+        expect(entry.contract).to.equal('ERC20Token')
+        expect(entry.block).to.equal(receipt.blockNumber)
+        expect(receipt.contractAddress).to.equal(address)
+        expect(entry.args).to.deep.equal(['USD Coin', 'USDC', '6'])
+        expect(entry.bytecodeHash).to.equal(ethers.keccak256(factory.bytecode))
+    })
+
+    it("Should skip redeploying unchanged contracts", async function() {
+
+        const { owner } = await loadFixture(deploy)
+        const file = registryFile()
+
+        const first = await deployContract({ name: 'USDC', contract: 'ERC20Token', args: ['USD Coin', 'USDC', 6], signer: owner, file })
+        const nonce = await ethers.provider.getTransactionCount(await owner.getAddress())
+        const second = await deployContract({ name: 'USDC', contract: 'ERC20Token', args: ['USD Coin', 'USDC', 6], signer: owner, file })
+
+        expect(second.deployed).to.equal(false)
+        expect(second.address).to.equal(first.address)
+        expect(await ethers.provider.getTransactionCount(await owner.getAddress())).to.equal(nonce)
+    })
+
+    it("Should redeploy when bytecode or args change", async function() {
+
+        const { owner } = await loadFixture(deploy)
+        const file = registryFile()
+
+        const first = await deployContract({ name: 'USDC', contract: 'ERC20Token', args: ['USD Coin', 'USDC', 6], signer: owner, file })
+        const changedArgs = await deployContract({ name: 'USDC', contract: 'ERC20Token', args: ['USD Coin', 'USDC', 18], signer: owner, file })
+        expect(changedArgs.deployed).to.equal(true)
+        expect(changedArgs.address).to.not.equal(first.address)
+
+        // Simulate the contract source having changed since the last deployment.
+        const registry = readRegistry(file)
+        registry.contracts.USDC.bytecodeHash = ethers.ZeroHash
+        writeRegistry(registry, file)
+        const changedCode = await deployContract({ name: 'USDC', contract: 'ERC20Token', args: ['USD Coin', 'USDC', 18], signer: owner, file })
+        expect(changedCode.deployed).to.equal(true)
+        expect(getAddress('USDC', file)).to.equal(changedCode.address)
+    })
+
+    it("Should look up contracts by name", async function() {
+
+        const { owner } = await loadFixture(deploy)
+        const file = registryFile()
+
+        const { address } = await deployContract({ name: 'USDC', contract: 'ERC20Token', args: ['USD Coin', 'USDC', 6], signer: owner, file })
+        recordContract({ name: 'coUSD', contract: 'COFIRebasingToken', abi: 'ERC20Token', address, file })
+
+        expect(getAddress('coUSD', file)).to.equal(address)
+        const usdc = await getContract('USDC', owner, file)
+        expect(await usdc.symbol()).to.equal('USDC')
+        // Uses the recorded abi rather than the contract name.
+        const coUSD = await getContract('coUSD', owner, file)
+        expect(await coUSD.decimals()).to.equal(6)
+        expect(() => getAddress('coETH', file)).to.throw(`'coETH' is not in`)
+    })
+
+    // The network each operational script is run against.
+    const SCRIPTS = {
+        'app/deposit.js':               'optimisticEthereum',
+        'ccip/1_srcDeployAssets.js':    'mumbai',
+        'ccip/2_destDeploy.js':         'fuji',
+        'ccip/3_srcDeployBridge.js':    'mumbai',
+        'ccip/4_destSetReceiver.js':    'fuji',
+        'ccip/destExit.js':             'fuji',
+        'ccip/srcEnter.js':             'mumbai',
+        'ccip/srcSetVault.js':          'mumbai'
+    }
+
+    it("Should hold every name the operational scripts read", async function() {
+
+        const checked = []
+        for (const [script, networkName] of Object.entries(SCRIPTS)) {
+            const source = fs.readFileSync(path.join(__dirname, '..', 'scripts', script), 'utf8')
+            // E.g. getContract('COFIMoney', signer) or getAddress('coUSDmat', registryPath(SRC_NETWORK)).
+            for (const [, name, constant] of source.matchAll(/get(?:Address|Contract)\('(\w+)'(?:, [^)]*registryPath\((\w+)\))?/g)) {
+                const other = constant && source.match(new RegExp(`const ${constant} = "(\\w+)"`))[1]
+                const file = registryPath(other || networkName)
+                const entry = readRegistry(file).contracts[name]
+                expect(entry, `${name} (${script})`).to.not.equal(undefined)
+                expect(entry.address).to.equal(ethers.getAddress(entry.address))
+                expect(await hre.artifacts.artifactExists(entry.abi || entry.contract)).to.equal(true)
+                checked.push(name)
+            }
+        }
+        expect(checked).to.include.members(['COFIMoneyApp', 'coUSDApp', 'coUSDmat', 'avaxcoUSDmat', 'COFIBridgeEntry', 'COFIBridgeExit'])
+    })
+})
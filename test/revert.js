@@ -0,0 +1,52 @@
+/* global ethers */
+
+const { decodeRevert } = require("../scripts/libs/revert.js")
+const sdk = require("../sdk")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test revert decoding", function() {
+
+    const iface = new ethers.Interface([
+        'error Error(string)',
+        'error Panic(uint256)',
+        'error Expired()',
+        'error NotAuthorized(address)'
+    ])
+
+    it("Should decode the reason of a reverted call", async function() {
+
+        const [, user] = await ethers.getSigners()
+        const token = await (await ethers.getContractFactory('ERC20Token')).deploy('USD Coin', 'USDC', 6)
+
+        const err = await token.transfer.staticCall(user.address, 1).catch(e => e)
+        expect(decodeRevert(err)).to.equal('ERC20: transfer amount exceeds balance')
+    })
+
+    it("Should decode error strings, panics and custom errors", async function() {
+
+        const data = (name, args = []) => iface.encodeErrorResult(name, args)
+
+        expect(decodeRevert({ data: data('Error', ['Slippage exceeded']) })).to.equal('Slippage exceeded')
+        expect(decodeRevert({ info: { error: { data: data('Error', ['Nested']) } } })).to.equal('Nested')
+        expect(decodeRevert({ data: data('Panic', [0x11]) })).to.equal('Panic(17)')
+        // Router errors are known without an interface.
+        expect(decodeRevert({ data: data('Expired') })).to.equal('Expired')
+        const custom = data('NotAuthorized', [ethers.ZeroAddress])
+        expect(decodeRevert({ data: custom })).to.equal(custom)
+        expect(decodeRevert({ data: custom }, iface)).to.equal('NotAuthorized')
+    })
+
+    it("Should fall back to the error message without revert data", async function() {
+
+        expect(decodeRevert({ data: '0x', reason: 'reverted' })).to.equal('reverted')
+        expect(decodeRevert({ shortMessage: 'short', message: 'long' })).to.equal('short')
+        expect(decodeRevert(Error('failed'))).to.equal('failed')
+    })
+
+    it("Should be the decoder the SDK exports", async function() {
+
+        expect(sdk.decodeRevert).to.equal(decodeRevert)
+    })
+})
@@ -0,0 +1,122 @@
+/* global ethers */
+
+const { deployCofi } = require("./fixtures/deployCofi.js")
+const { auditRoles } = require("../scripts/libs/roles.js")
+const { recordContract } = require("../scripts/libs/registry.js")
+const { readBaseline } = require("../scripts/libs/storageLayout.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Test role audit", function() {
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cofi-')), 'hardhat.json')
+
+    async function deployWithRegistry() {
+
+        const fixture = await deployCofi()
+        const { cofiMoney, cofi, tokens } = fixture
+
+        const yvUSDC = await (await ethers.getContractFactory('MockYearnVault'))
+            .deploy('USDC yVault', 'yvUSDC', await tokens.USDC.getAddress())
+        const wyvUSDC = await (await ethers.getContractFactory('YearnV2')).deploy(await yvUSDC.getAddress())
+
+        recordContract({ name: 'COFIMoney', contract: 'Diamond', abi: 'COFIMoney', address: await cofiMoney.getAddress(), file })
+        recordContract({ name: 'coUSD', contract: 'COFIRebasingToken', address: await cofi.coUSD.getAddress(), file })
+        recordContract({ name: 'wyvUSDC', contract: 'YearnV2', address: await wyvUSDC.getAddress(), file })
+
+        return { ...fixture, wyvUSDC }
+    }
+
+    const flagsOf = (audit, account) => audit.flags
+        .filter(f => f.account === account)
+        .map(f => `${f.flag} ${f.contract}.${f.role}`)
+
+    it("Should report the role holders of every registry contract", async function() {
+
+        const { owner, whitelister, backupOwner, cofiMoney } = await loadFixture(deployWithRegistry)
+
+        const audit = await auditRoles({ file, accounts: [whitelister.address] })
+        expect(audit.contracts.map(c => c.name)).to.deep.equal(['COFIMoney', 'coUSD', 'wyvUSDC'])
+        const holder = account => audit.holders.find(h => h.account === account)
+
+        expect(holder(owner.address).eoa).to.equal(true)
+        expect(holder(owner.address).roles).to.deep.equal({
+            COFIMoney: ['owner', 's.owner', 's.isAdmin'],
+            coUSD: ['owner', 'admin'],
+            wyvUSDC: ['owner']
+        })
+        expect(holder(backupOwner.address).roles.COFIMoney).to.deep.equal(['s.backupOwner', 's.isWhitelister', 's.isAdmin'])
+        expect(holder(whitelister.address).roles).to.deep.equal({ COFIMoney: ['s.isWhitelister'] })
+        expect(holder(await cofiMoney.getAddress()).roles).to.deep.equal({ coUSD: ['app'] })
+
+        expect(flagsOf(audit, owner.address)).to.deep.equal([
+            'eoa-owner COFIMoney.owner',
+            'eoa-owner COFIMoney.s.owner',
+            'eoa-owner coUSD.owner',
+            'eoa-owner wyvUSDC.owner'
+        ])
+        // Authorization is off by default for YearnV2.
+        expect(flagsOf(audit, ethers.ZeroAddress)).to.deep.equal(['unrestricted wyvUSDC.authorized'])
+    })
+
+    it("Should flag owners without admin, stale contracts and previous owners", async function() {
+
+        const { owner, backupOwner, feeCollector, cofiMoney, cofi } = await loadFixture(deployWithRegistry)
+        const keeper = (await ethers.getSigners())[5]
+
+        // setAdmin() keeps owners Admin, so clear isAdmin as an older facet allowed.
+        const isAdmin = readBaseline().find(variable => variable.path === 'isAdmin')
+        const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [backupOwner.address, isAdmin.slot]))
+        await ethers.provider.send('hardhat_setStorageAt', [await cofiMoney.getAddress(), slot, ethers.ZeroHash])
+        // E.g. a replaced optimizer, not in the registry.
+        const retired = await (await ethers.getContractFactory('ERC20Token')).deploy('Retired', 'OLD', 18)
+        await cofi.coUSD.setAdmin(await retired.getAddress(), 1)
+        await cofi.coUSD.setAdmin(keeper.address, 1)
+        // The deployer stays admin of the token.
+        await cofi.coUSD.transferOwnership(feeCollector.address)
+        await cofi.coUSD.connect(feeCollector).acceptOwnership()
+
+        const audit = await auditRoles({ file })
+        expect(flagsOf(audit, backupOwner.address)).to.include('owner-not-admin COFIMoney.s.backupOwner')
+        expect(flagsOf(audit, owner.address)).to.include('stale coUSD.admin')
+        expect(flagsOf(audit, feeCollector.address)).to.include('eoa-owner coUSD.owner')
+        // Only known from their setAdmin() calls.
+        const accounts = audit.holders.map(h => h.account)
+        expect(accounts).to.not.include(keeper.address)
+        expect(accounts).to.not.include(await retired.getAddress())
+
+        const scanned = await auditRoles({ file, scanTxs: true })
+        expect(scanned.holders.find(h => h.account === keeper.address).roles).to.deep.equal({ coUSD: ['admin'] })
+        expect(flagsOf(scanned, await retired.getAddress())).to.deep.equal(['stale coUSD.admin'])
+    })
+
+    it("Should not revoke Admin from the owners", async function() {
+
+        const { owner, backupOwner, cofiMoney } = await loadFixture(deployWithRegistry)
+        const account = (await ethers.getSigners())[5].address
+
+        for (const ownerAccount of [owner.address, backupOwner.address]) {
+            await expect(cofiMoney.setAdmin(ownerAccount, 0))
+                .to.be.revertedWith('AccessFacet: Owners must retain admin status')
+            expect(await cofiMoney.getAdminStatus(ownerAccount)).to.equal(1)
+        }
+        await cofiMoney.setAdmin(backupOwner.address, 1)
+        await cofiMoney.setAdmin(account, 1)
+        await cofiMoney.setAdmin(account, 0)
+        expect(await cofiMoney.getAdminStatus(account)).to.equal(0)
+    })
+
+    it("Should fail the task with --strict if anything is flagged", async function() {
+
+        await loadFixture(deployWithRegistry)
+
+        const err = await hre.run('cofi:roles:audit', { strict: true, registry: file }).catch(e => e)
+        expect(err).to.be.an('error')
+        expect(err.message).to.match(/role flag\(s\)/)
+    })
+})
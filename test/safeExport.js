@@ -0,0 +1,171 @@
+/* global ethers */
+
+const { deployCofi } = require("./fixtures/deployCofi.js")
+const { recordContract } = require("../scripts/libs/registry.js")
+const { batchChecksum } = require("../scripts/libs/safe.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Test --export safe", function() {
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cofi-'))
+    const registry = path.join(dir, 'hardhat.json')
+    const out = path.join(dir, 'safe-batch.json')
+
+    async function deployWithRegistry() {
+
+        const fixture = await deployCofi()
+        const { cofiMoney, cofi, tokens, feeCollector } = fixture
+
+        recordContract({ name: 'COFIMoney', contract: 'Diamond', abi: 'COFIMoney', address: await cofiMoney.getAddress(), file: registry })
+        recordContract({ name: 'coUSD', contract: 'COFIRebasingToken', address: await cofi.coUSD.getAddress(), file: registry })
+        recordContract({ name: 'USDC', contract: 'ERC20Token', address: await tokens.USDC.getAddress(), file: registry })
+        recordContract({ name: 'DAI', contract: 'ERC20Token', address: await tokens.DAI.getAddress(), file: registry })
+        recordContract({ name: 'WETH', contract: 'MockWETH', address: await tokens.WETH.getAddress(), file: registry })
+        recordContract({ name: 'Safe', contract: 'GnosisSafe', address: feeCollector.address, file: registry })
+
+        return fixture
+    }
+
+    // Executes the batch from 'signer', as the Safe would.
+    async function execute(batch, signer) {
+        for (const tx of batch.transactions) {
+            await (await signer.sendTransaction({ to: tx.to, data: tx.data, value: tx.value })).wait()
+        }
+    }
+
+    it("Should export a fee change instead of sending it", async function() {
+
+        const { owner, cofiMoney, cofi, feeCollector } = await loadFixture(deployWithRegistry)
+        const coUSD = await cofi.coUSD.getAddress()
+        const before = await cofiMoney.getMintFee(coUSD)
+        const nonce = await ethers.provider.getTransactionCount(owner.address)
+
+        const result = await hre.run('cofi:supply:set', {
+            cofi: 'coUSD', param: 'mintFee', value: '25', export: 'safe', safe: 'Safe', out, registry
+        })
+
+        expect(result).to.include({ sent: false, exported: out })
+        expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce)
+        expect(await cofiMoney.getMintFee(coUSD)).to.equal(before)
+
+        const batch = JSON.parse(fs.readFileSync(out))
+        expect(batch).to.include({ version: '1.0', chainId: '31337' })
+        expect(batch.meta.createdFromSafeAddress).to.equal(feeCollector.address)
+        expect(batch.meta.checksum).to.equal(batchChecksum(batch))
+        expect(batch.transactions).to.deep.equal([{
+            to: await cofiMoney.getAddress(),
+            value: '0',
+            data: cofiMoney.interface.encodeFunctionData('setMintFee', [coUSD, 25]),
+            contractMethod: null,
+            contractInputsValues: null
+        }])
+
+        await execute(batch, owner)
+        expect(await cofiMoney.getMintFee(coUSD)).to.equal(25)
+    })
+
+    it("Should decode a batch into facet calls", async function() {
+
+        const { owner, cofiMoney, tokens } = await loadFixture(deployWithRegistry)
+        const USDC = await tokens.USDC.getAddress()
+        const DAI = await tokens.DAI.getAddress()
+
+        await hre.run('cofi:swap:route', {
+            from: 'USDC', to: 'DAI', protocol: 'SwapV2', mid: 'WETH', stable: 'false,true', export: 'safe', safe: 'Safe', out, registry
+        })
+        const decoded = await hre.run('cofi:safe:decode', { file: out, registry })
+
+        expect(decoded.map(tx => `${tx.target} ${tx.contract}.${tx.method}`)).to.deep.equal([
+            'COFIMoney SwapManagerFacet.setV2Route',
+            'COFIMoney SwapManagerFacet.setSwapProtocol'
+        ])
+        expect(decoded[0].args.map(a => a.name)).to.deep.equal(['_tokenA', '_tokenMid', '_tokenB', '_stable'])
+        expect(decoded[1].args[2].value).to.equal(1n)
+
+        await execute(JSON.parse(fs.readFileSync(out)), owner)
+        expect(await cofiMoney.getSwapProtocol(USDC, DAI)).to.equal(1)
+        expect((await cofiMoney.getSwapRouteV2(USDC, DAI)).stable).to.deep.equal([false, true])
+    })
+
+    it("Should export a diamond cut for the owner", async function() {
+
+        const { owner, cofiMoney } = await loadFixture(deployWithRegistry)
+        const loupe = await ethers.getContractAt('DiamondLoupeFacet', await cofiMoney.getAddress())
+        const selector = ethers.id('getMintFee(address)').slice(0, 10)
+        const before = await loupe.facetAddress(selector)
+
+        const result = await hre.run('cofi:diamond:upgrade', {
+            facets: 'SupplyManagerFacet', export: 'safe', safe: owner.address, out, registry
+        })
+        expect(result.sent).to.equal(false)
+        expect(await loupe.facetAddress(selector)).to.equal(before)
+
+        const decoded = await hre.run('cofi:safe:decode', { file: out, registry })
+        expect(decoded[0]).to.include({ contract: 'DiamondCutFacet', method: 'diamondCut' })
+
+        await execute(JSON.parse(fs.readFileSync(out)), owner)
+        expect(await loupe.facetAddress(selector)).to.equal(result.diamondCut[0][0])
+    })
+
+    it("Should checksum batches the way the Transaction Builder does", async function() {
+
+        const batch = {
+            version: '1.0',
+            chainId: '10',
+            createdAt: 1700000000000,
+            meta: {
+                name: 'Transactions Batch',
+                description: '',
+                txBuilderVersion: '1.16.1',
+                createdFromSafeAddress: '0x5afe',
+                createdFromOwnerAddress: '',
+                checksum: '0x'
+            },
+            transactions: [{
+                to: '0xd1a',
+                value: '0',
+                data: null,
+                contractMethod: { inputs: [{ internalType: 'uint256', name: 'fee', type: 'uint256' }], name: 'setFee', payable: false },
+                contractInputsValues: { fee: '25' }
+            }]
+        }
+        // serializeJSONObject() of the batch without its checksum and with a null name.
+        const serialized = '{["chainId","createdAt","meta","transactions","version"]"10",1700000000000,' +
+            '{["createdFromOwnerAddress","createdFromSafeAddress","description","name","txBuilderVersion"]"","0x5afe","",null,"1.16.1",},' +
+            '[{["contractInputsValues","contractMethod","data","to","value"]{["fee"]"25",},' +
+            '{["inputs","name","payable"][{["internalType","name","type"]"uint256","fee","uint256",}],"setFee",false,},null,"0xd1a","0",}],' +
+            '"1.0",}'
+
+        expect(batchChecksum(batch)).to.equal(ethers.id(serialized))
+    })
+
+    it("Should reject a modified batch", async function() {
+
+        await loadFixture(deployWithRegistry)
+
+        await hre.run('cofi:supply:set', {
+            cofi: 'coUSD', param: 'mintFee', value: '25', export: 'safe', safe: 'Safe', out, registry
+        })
+        const batch = JSON.parse(fs.readFileSync(out))
+        batch.transactions[0].data = batch.transactions[0].data.replace(/19$/, '20')
+        fs.writeFileSync(out, JSON.stringify(batch))
+
+        await expect(hre.run('cofi:safe:decode', { file: out, registry })).to.be.rejectedWith('Checksum mismatch')
+    })
+
+    it("Should require a Safe to export for", async function() {
+
+        await loadFixture(deployWithRegistry)
+
+        await expect(hre.run('cofi:supply:set', { cofi: 'coUSD', param: 'mintFee', value: '25', export: 'safe', registry }))
+            .to.be.rejectedWith('--export safe requires --safe.')
+        await expect(hre.run('cofi:supply:set', { cofi: 'coUSD', param: 'mintFee', value: '25', export: 'csv', safe: 'Safe', registry }))
+            .to.be.rejectedWith("Unknown export format 'csv'")
+    })
+})
@@ -0,0 +1,131 @@
+/* global ethers */
+
+const { deployCofi } = require("./fixtures/deployCofi.js")
+const { CofiClient, ETH } = require("../sdk")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const { ethers } = require("hardhat")
+
+describe("Test SDK CofiClient", function() {
+
+    // A client for a whitelisted account with no approvals given yet.
+    async function newClient({ whitelister, cofiMoney, tokens }) {
+
+        const [account] = (await ethers.getSigners()).slice(5)
+        await cofiMoney.connect(whitelister).setWhitelist(account.address, 1)
+        await tokens.USDC.mint(account.address, ethers.parseUnits('10000', 6))
+        await tokens.DAI.mint(account.address, ethers.parseEther('10000'))
+        const client = new CofiClient({ diamond: await cofiMoney.getAddress(), runner: account })
+        return { account, client }
+    }
+
+    it("Should enter and exit with approvals and decimal conversion", async function() {
+
+        const fixture = await loadFixture(deployCofi)
+        const { cofiMoney, tokens, cofi } = fixture
+        const { account, client } = await newClient(fixture)
+        const USDC = await tokens.USDC.getAddress()
+        const DAI = await tokens.DAI.getAddress()
+        const coUSD = await cofi.coUSD.getAddress()
+
+        expect(await client.getDecimals(USDC)).to.equal(6)
+        expect(await client.getDecimals(ETH)).to.equal(18)
+        expect(await client.parseAmount('1000.5', USDC)).to.equal(1000500000n)
+        expect(await client.formatAmount(1000500000n, USDC)).to.equal('1000.5')
+
+        const estimate = await client.getEstimatedCofiOut({ amount: '1000', token: USDC, cofi: coUSD })
+        expect(estimate).to.equal(ethers.parseEther('999'))
+        await (await client.enterCofi({ amount: '1000', token: USDC, cofi: coUSD })).wait()
+        expect(await client.balanceOf(coUSD)).to.equal(estimate)
+        expect(await tokens.USDC.allowance(account.address, await cofiMoney.getAddress())).to.equal(0)
+
+        // Swapped to DAI.
+        const daiOut = await client.getEstimatedTokensOut({ amount: '500', cofi: coUSD, token: DAI })
+        const daiBefore = await client.balanceOf(DAI)
+        await (await client.exitCofi({ amount: '500', cofi: coUSD, token: DAI })).wait()
+        expect(await client.balanceOf(DAI) - daiBefore).to.be.closeTo(daiOut, ethers.parseEther('1'))
+        expect(await client.balanceOf(coUSD)).to.equal(ethers.parseEther('499'))
+
+        // Direct, given as base units.
+        await (await client.underlyingToCofi({ amount: 100000000n, cofi: coUSD })).wait()
+        expect(await client.balanceOf(coUSD)).to.equal(ethers.parseEther('598.9'))
+        const usdcBefore = await client.balanceOf(USDC)
+        await (await client.cofiToUnderlying({ amount: '98.9', cofi: coUSD })).wait()
+        // 0.1% redeem fee.
+        expect(await client.balanceOf(USDC) - usdcBefore).to.equal(ethers.parseUnits('98.8011', 6))
+    })
+
+    it("Should enter and exit with Ether", async function() {
+
+        const fixture = await loadFixture(deployCofi)
+        const { cofi } = fixture
+        const { client } = await newClient(fixture)
+        const coETH = await cofi.coETH.getAddress()
+
+        const estimate = await client.getEstimatedCofiOut({ amount: '1', token: ETH, cofi: coETH })
+        expect(estimate).to.equal(ethers.parseEther('0.999'))
+        await expect(client.enterCofi({ amount: '1', token: ETH, cofi: coETH }))
+            .to.changeEtherBalance(client.runner, -ethers.parseEther('1'))
+        expect(await client.balanceOf(coETH)).to.be.closeTo(estimate, ethers.parseEther('0.001'))
+
+        const balance = await client.balanceOf(ETH)
+        const tx = await client.exitCofi({ amount: '0.5', cofi: coETH, token: ETH })
+        const receipt = await tx.wait()
+        // Excluding gas for the approval sent beforehand.
+        expect(await client.balanceOf(ETH) - balance + receipt.fee)
+            .to.be.closeTo(ethers.parseEther('0.499'), ethers.parseEther('0.001'))
+    })
+
+    it("Should check the whitelist before sending", async function() {
+
+        const { cofiMoney, tokens, cofi } = await loadFixture(deployCofi)
+        const [stranger] = (await ethers.getSigners()).slice(6)
+        const client = new CofiClient({ diamond: await cofiMoney.getAddress(), runner: stranger })
+
+        expect(await client.isWhitelisted()).to.equal(false)
+        await expect(client.enterCofi({
+            amount: '1',
+            token: await tokens.USDC.getAddress(),
+            cofi: await cofi.coUSD.getAddress()
+        })).to.be.rejectedWith(`CofiClient: ${stranger.address} is not whitelisted`)
+        // Nothing approved.
+        expect(await tokens.USDC.allowance(stranger.address, await cofiMoney.getAddress())).to.equal(0)
+
+        const readOnly = new CofiClient({ diamond: await cofiMoney.getAddress(), runner: ethers.provider })
+        expect(await readOnly.isWhitelisted(stranger.address)).to.equal(false)
+        await expect(readOnly.exitCofi({ amount: 1n, cofi: await cofi.coUSD.getAddress(), token: ETH }))
+            .to.be.rejectedWith('CofiClient: A signer is required for transactions')
+    })
+
+    it("Should opt out of rebases and query points", async function() {
+
+        const fixture = await loadFixture(deployCofi)
+        const { owner, user, cofiMoney, tokens, vaults, cofi } = fixture
+        const { account, client } = await newClient(fixture)
+        const USDC = await tokens.USDC.getAddress()
+        const coUSD = await cofi.coUSD.getAddress()
+
+        await (await client.enterCofi({ amount: '1000', token: USDC, cofi: coUSD })).wait()
+        const userClient = client.connect(user)
+        await (await userClient.enterCofi({ amount: '1000', token: USDC, cofi: coUSD })).wait()
+
+        expect(await client.getRebaseState(coUSD)).to.equal('NotSet')
+        await (await client.rebaseOptOut(coUSD)).wait()
+        expect(await client.getRebaseState(coUSD)).to.equal('OptOut')
+
+        await tokens.USDC.mint(await vaults.vUSDC.getAddress(), ethers.parseUnits('10', 6))
+        await cofiMoney.connect(owner).rebase(coUSD)
+        expect(await client.getYieldEarned(coUSD)).to.equal(0)
+        expect(await client.balanceOf(coUSD)).to.equal(ethers.parseEther('999'))
+        expect(await userClient.getYieldEarned(coUSD)).to.be.greaterThan(0)
+
+        const points = await userClient.getPoints([coUSD, await cofi.coETH.getAddress()])
+        expect(points.yield).to.equal(await cofiMoney.getYieldPoints(user.address, [coUSD]))
+        expect(points.external).to.equal(await cofiMoney.getExternalPoints(user.address))
+        expect(points.total).to.equal(points.yield + points.external)
+        expect((await client.getPoints([coUSD], account.address)).yield).to.equal(0)
+
+        await (await client.rebaseOptIn(coUSD)).wait()
+        expect(await client.getRebaseState(coUSD)).to.equal('OptIn')
+    })
+})
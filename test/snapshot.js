@@ -0,0 +1,160 @@
+/* global ethers */
+
+const { deploy } = require("../scripts/libs/index.js")
+const { snapshot, diffSnapshots } = require("../scripts/libs/snapshot.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+const NULL_Addr = "0x0000000000000000000000000000000000000000"
+
+describe("Test AppStorage snapshots", function() {
+
+    async function deployDiamond() {
+
+        const accounts = await ethers.getSigners()
+        const owner = accounts[0]
+        const whitelister = accounts[1]
+        const backupOwner = accounts[2]
+        const feeCollector = accounts[3]
+
+        const ERC20 = await ethers.getContractFactory('ERC20Token')
+        const usdc = await ERC20.deploy('USD Coin', 'USDC', '6')
+        await usdc.waitForDeployment()
+        const Vault = await ethers.getContractFactory('Vault')
+        const vUSDC = await Vault.deploy('Vault USDC', 'vUSDC', await usdc.getAddress())
+        await vUSDC.waitForDeployment()
+        const COFIToken = await ethers.getContractFactory('COFIRebasingToken')
+        const coUSD = await COFIToken.deploy('COFI Dollar', 'coUSD')
+        await coUSD.waitForDeployment()
+
+        const initArgs = [{
+            coUSD:  await coUSD.getAddress(),
+            coETH:  NULL_Addr,
+            coBTC:  NULL_Addr,
+            coOP:   NULL_Addr,
+            vUSD:   await vUSDC.getAddress(),
+            vETH:   NULL_Addr,
+            vBTC:   NULL_Addr,
+            vOP:    NULL_Addr,
+            roles: [
+                await whitelister.getAddress(),
+                await backupOwner.getAddress(),
+                await feeCollector.getAddress()
+            ]
+        }]
+        const diamond = await deploy({
+            diamondName: 'COFIMoney',
+            initDiamond: 'InitDiamond',
+            facets: [
+                'OwnershipFacet',
+                'AccountManagerFacet',
+                'PointsManagerFacet',
+                'SupplyManagerFacet',
+                'SwapManagerFacet',
+                'VaultManagerFacet'
+            ],
+            owner: await owner.getAddress(),
+            args: initArgs
+        })
+        const cofiMoney = await ethers.getContractAt('COFIMoney', await diamond.getAddress())
+
+        return { owner, backupOwner, cofiMoney, coUSD, usdc, vUSDC }
+    }
+
+    it("Should capture params for cofi tokens, underlyings and accounts", async function() {
+
+        const { owner, backupOwner, cofiMoney, coUSD, usdc, vUSDC } = await loadFixture(deployDiamond)
+
+        const snap = await snapshot({
+            cofiMoney,
+            cofi: { coUSD: await coUSD.getAddress() },
+            accounts: { backupOwner: await backupOwner.getAddress() }
+        })
+
+        expect(snap.global.owner).to.equal(await owner.getAddress())
+        expect(snap.global.defaultSlippage).to.equal('200')
+        expect(snap.cofi.coUSD).to.include({
+            vault: await vUSDC.getAddress(),
+            underlying: await usdc.getAddress(),
+            mintFee: '10',
+            serviceFee: '1000',
+            rateLimit: '20000',
+            pointsRate: '1000000',
+            harvestable: '1'
+        })
+        // Underlying discovered through the vault.
+        expect(snap.underlyings.USDC.address).to.equal(await usdc.getAddress())
+        expect(snap.accounts.backupOwner.admin).to.equal('1')
+        expect(snap.accounts.owner.admin).to.equal('1')
+        // Survives a JSON round trip unchanged.
+        expect(JSON.parse(JSON.stringify(snap))).to.deep.equal(snap)
+    })
+
+    it("Should diff two snapshots", async function() {
+
+        const { backupOwner, cofiMoney, coUSD, usdc } = await loadFixture(deployDiamond)
+        const args = {
+            cofiMoney,
+            cofi: { coUSD: await coUSD.getAddress() },
+            accounts: { backupOwner: await backupOwner.getAddress() }
+        }
+
+        const before = await snapshot(args)
+        await cofiMoney.setMintFee(await coUSD.getAddress(), '20')
+        await cofiMoney.setBuffer(await usdc.getAddress(), '5')
+        await cofiMoney.setUpkeep(await backupOwner.getAddress(), '1')
+        const after = await snapshot(args)
+
+        expect(diffSnapshots(before, after)).to.deep.equal([
+            { path: 'cofi.coUSD.mintFee', before: '10', after: '20' },
+            { path: 'underlyings.USDC.buffer', before: '0', after: '5' },
+            { path: 'accounts.backupOwner.upkeep', before: '0', after: '1' }
+        ])
+        expect(diffSnapshots(before, before)).to.be.empty
+    })
+
+    it("Should read every getter at one block and throw on RPC errors", async function() {
+
+        const { cofiMoney, coUSD } = await loadFixture(deployDiamond)
+        const args = { cofiMoney, cofi: { coUSD: await coUSD.getAddress() } }
+        const block = await ethers.provider.getBlockNumber()
+
+        await cofiMoney.setMintFee(await coUSD.getAddress(), '20')
+        const at = await snapshot({ ...args, block })
+        expect(at.block).to.equal(block)
+        expect(at.cofi.coUSD.mintFee).to.equal('10')
+        expect((await snapshot(args)).cofi.coUSD.mintFee).to.equal('20')
+
+        // E.g. a rate limited RPC, as opposed to a getter that reverts.
+        const flaky = new Proxy(cofiMoney, {
+            get: (target, key) => key === 'getMintFee' ?
+                async () => { throw Error('429 Too Many Requests') } :
+                typeof target[key] === 'function' ? target[key].bind(target) : target[key]
+        })
+        await expect(snapshot({ ...args, cofiMoney: flaky })).to.be.rejectedWith('429 Too Many Requests')
+    })
+
+    it("Should write and diff snapshot files via tasks", async function() {
+
+        const { cofiMoney, coUSD } = await loadFixture(deployDiamond)
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cofi-'))
+        const taskArgs = { cofi: await coUSD.getAddress(), diamond: await cofiMoney.getAddress() }
+
+        await hre.run('cofi:snapshot', { ...taskArgs, out: path.join(dir, 'before.json') })
+        await cofiMoney.setRedeemEnabled(await coUSD.getAddress(), '0')
+        await hre.run('cofi:snapshot', { ...taskArgs, out: path.join(dir, 'after.json') })
+
+        const changes = await hre.run('cofi:snapshot:diff', {
+            before: path.join(dir, 'before.json'),
+            after: path.join(dir, 'after.json')
+        })
+        expect(changes).to.deep.equal([
+            { path: `cofi.${await coUSD.getAddress()}.redeemEnabled`, before: '1', after: '0' }
+        ])
+    })
+})
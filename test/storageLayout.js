@@ -0,0 +1,97 @@
+const { appStorageLayout, compareLayouts, readBaseline } = require("../scripts/libs/storageLayout.js")
+const { expect } = require("chai")
+const hre = require("hardhat")
+
+describe("Test AppStorage layout", function() {
+
+    let layout
+
+    before(async function() {
+        layout = await appStorageLayout()
+    })
+
+    // Shifts every root entry from 'index' on by 'slots' (enum entries have no slot).
+    function shift(entries, index, slots) {
+        return entries.map((e, i) => i >= index && !e.path.includes('.') && !e.members
+            ? { ...e, slot: (BigInt(e.slot) + BigInt(slots)).toString() }
+            : e)
+    }
+
+    it("Should match the baseline", async function() {
+
+        const { errors } = await hre.run('cofi:storage:check')
+        expect(errors).to.be.empty
+        expect(layout).to.deep.equal(readBaseline())
+    })
+
+    it("Should allow appended fields", async function() {
+
+        const index = layout.findIndex(e => e.path === 'rewardStatus[].referDisabled') + 1
+        const current = [
+            ...layout.slice(0, index),
+            { path: 'rewardStatus[].claimedAt', slot: '1', offset: 0, type: 'uint256' },
+            ...layout.slice(index),
+            { path: 'newField', slot: '100', offset: 0, type: 'uint256' }
+        ]
+
+        expect(compareLayouts(layout, current)).to.deep.equal({ errors: [], appended: ['newField', 'rewardStatus[].claimedAt'] })
+    })
+
+    it("Should fail removed, moved and retyped fields", async function() {
+
+        const index = layout.findIndex(e => e.path === 'feeCollector')
+
+        let current = shift(layout.filter(e => e.path !== 'minWithdraw'), 1, -1)
+        expect(compareLayouts(layout, current).errors[0]).to.equal('minWithdraw (mapping(address => uint256)) removed')
+
+        // owner declared before feeCollector.
+        const [feeCollector, owner] = layout.slice(index, index + 2)
+        current = [...layout]
+        current[index] = { ...owner, slot: feeCollector.slot }
+        current[index + 1] = { ...feeCollector, slot: owner.slot }
+        expect(compareLayouts(layout, current).errors).to.deep.equal([
+            `feeCollector moved from slot ${feeCollector.slot} offset 0 to slot ${owner.slot} offset 0`,
+            `owner moved from slot ${owner.slot} offset 0 to slot ${feeCollector.slot} offset 0`
+        ])
+
+        current = layout.map(e => e.path === 'owner' ? { ...e, type: 'uint160' } : e)
+        expect(compareLayouts(layout, current).errors).to.deep.equal(['owner retyped from address to uint160'])
+
+        current = layout.map(e => e.path === 'swapInfo[][].wait' ? { ...e, slot: '2' } : e)
+        expect(compareLayouts(layout, current).errors).to.deep.equal(['swapInfo[][].wait moved from slot 1 offset 0 to slot 2 offset 0'])
+    })
+    it("Should fail array element structs that grow", async function() {
+
+        // E.g. 'Item[] items' appended to AppStorage.
+        const baseline = [
+            ...layout,
+            { path: 'items', slot: '100', offset: 0, type: 'struct Item[]' },
+            { path: 'items[i].amount', slot: '0', offset: 0, type: 'uint128' }
+        ]
+
+        let current = [...baseline, { path: 'items[i].flag', slot: '0', offset: 16, type: 'uint8' }]
+        expect(compareLayouts(baseline, current)).to.deep.equal({ errors: [], appended: ['items[i].flag'] })
+
+        current = [...baseline, { path: 'items[i].owner', slot: '1', offset: 0, type: 'address' }]
+        expect(compareLayouts(baseline, current).errors)
+            .to.deep.equal(['items[i].owner grows items[i], an array element, so moves the elements after it'])
+
+        // Mapping values may grow.
+        current = [...baseline, { path: 'rewardStatus[].claimedAt', slot: '1', offset: 0, type: 'uint256' }]
+        expect(compareLayouts(baseline, current).errors).to.be.empty
+    })
+
+    it("Should compare enum members", async function() {
+
+        const members = layout.find(e => e.path === 'enum Role').members
+        expect(members).to.deep.equal(['Whitelisted', 'Whitelister', 'Admin', 'Upkeep'])
+
+        let current = layout.map(e => e.path === 'enum Role' ? { ...e, members: [...members, 'Keeper'] } : e)
+        expect(compareLayouts(layout, current)).to.deep.equal({ errors: [], appended: ['enum Role.Keeper'] })
+
+        current = layout.map(e => e.path === 'enum Role' ? { ...e, members: ['Whitelisted', 'Admin', 'Whitelister', 'Upkeep'] } : e)
+        expect(compareLayouts(layout, current).errors).to.deep.equal([
+            'enum Role members changed from Whitelisted, Whitelister, Admin, Upkeep to Whitelisted, Admin, Whitelister, Upkeep'
+        ])
+    })
+})
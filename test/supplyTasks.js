@@ -0,0 +1,130 @@
+/* global ethers */
+
+const { deploy } = require("../scripts/libs/index.js")
+const { recordContract } = require("../scripts/libs/registry.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+const NULL_Addr = "0x0000000000000000000000000000000000000000"
+
+describe("Test cofi:supply:set task", function() {
+
+    const registry = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cofi-')), 'hardhat.json')
+
+    async function deployDiamond() {
+
+        const accounts = await ethers.getSigners()
+        const owner = accounts[0]
+
+        const COFIToken = await ethers.getContractFactory('COFIRebasingToken')
+        const coUSD = await COFIToken.deploy('COFI Dollar', 'coUSD')
+        await coUSD.waitForDeployment()
+        const USDC = await (await ethers.getContractFactory('ERC20Token')).deploy('USD Coin', 'USDC', 6)
+        const vUSDC = await (await ethers.getContractFactory('Vault')).deploy('Vault USDC', 'vUSDC', await USDC.getAddress())
+
+        const initArgs = [{
+            coUSD:  await coUSD.getAddress(),
+            coETH:  NULL_Addr,
+            coBTC:  NULL_Addr,
+            coOP:   NULL_Addr,
+            vUSD:   await vUSDC.getAddress(),
+            vETH:   NULL_Addr,
+            vBTC:   NULL_Addr,
+            vOP:    NULL_Addr,
+            roles: [
+                await accounts[1].getAddress(),
+                await accounts[2].getAddress(),
+                await accounts[3].getAddress()
+            ]
+        }]
+        const diamond = await deploy({
+            diamondName: 'COFIMoney',
+            initDiamond: 'InitDiamond',
+            facets: ['SupplyManagerFacet'],
+            owner: await owner.getAddress(),
+            args: initArgs
+        })
+        const cofiMoney = await ethers.getContractAt('COFIMoney', await diamond.getAddress())
+
+        recordContract({ name: 'COFIMoney', contract: 'Diamond', abi: 'COFIMoney', address: await diamond.getAddress(), file: registry })
+        recordContract({ name: 'coUSD', contract: 'COFIRebasingToken', address: await coUSD.getAddress(), file: registry })
+
+        return { cofiMoney, coUSD }
+    }
+
+    it("Should set a param by registry name", async function() {
+
+        const { cofiMoney, coUSD } = await loadFixture(deployDiamond)
+
+        const result = await hre.run('cofi:supply:set', { cofi: 'coUSD', param: 'mintFee', value: '20', yes: true, registry })
+
+        expect(result).to.deep.equal({ before: 10n, after: 20n, sent: true })
+        expect(await cofiMoney.getMintFee(await coUSD.getAddress())).to.equal(20)
+    })
+
+    it("Should set every supported param", async function() {
+
+        const { cofiMoney, coUSD } = await loadFixture(deployDiamond)
+        const cofi = await coUSD.getAddress()
+
+        // Amounts are in units of the underlying (USDC, 6 decimals).
+        for (const [param, value, raw] of [
+            ['minDeposit', '5', 5000000n],
+            ['minWithdraw', '0.5', 500000n],
+            ['mintEnabled', '0'],
+            ['redeemFee', '7'],
+            ['redeemEnabled', '0'],
+            ['serviceFee', '8'],
+            ['supplyLimit', '9'],
+            ['decimals', '18']
+        ]) {
+            await hre.run('cofi:supply:set', { cofi, param, value, yes: true, registry })
+            const getter = `get${param[0].toUpperCase()}${param.slice(1)}`
+            expect(await cofiMoney[getter](cofi)).to.equal(raw ?? BigInt(value))
+        }
+    })
+
+    it("Should not send a transaction if the value is unchanged", async function() {
+
+        await loadFixture(deployDiamond)
+        const [owner] = await ethers.getSigners()
+        const nonce = await ethers.provider.getTransactionCount(await owner.getAddress())
+
+        const result = await hre.run('cofi:supply:set', { cofi: 'coUSD', param: 'mintFee', value: '10', yes: true, registry })
+
+        expect(result.sent).to.equal(false)
+        expect(await ethers.provider.getTransactionCount(await owner.getAddress())).to.equal(nonce)
+    })
+
+    it("Should reject unknown params and names", async function() {
+
+        await loadFixture(deployDiamond)
+
+        await expect(hre.run('cofi:supply:set', { cofi: 'coUSD', param: 'fee', value: '1', yes: true, registry }))
+            .to.be.rejectedWith("Unknown param 'fee'")
+        await expect(hre.run('cofi:supply:set', { cofi: 'coETH', param: 'mintFee', value: '1', yes: true, registry }))
+            .to.be.rejectedWith("'coETH' is not in")
+    })
+
+    it("Should reject out of range values", async function() {
+
+        await loadFixture(deployDiamond)
+
+        for (const [param, value, message] of [
+            ['mintEnabled', '2', 'Must be 0 or 1'],
+            ['mintFee', '10001', 'Must be at most 10000'],
+            ['serviceFee', '1.5', 'Must be a whole number'],
+            ['decimals', '256', 'Must be at most 255']
+        ]) {
+            await expect(hre.run('cofi:supply:set', { cofi: 'coUSD', param, value, yes: true, registry }))
+                .to.be.rejectedWith(message)
+        }
+        await expect(hre.run('cofi:supply:set', { cofi: 'coUSD', param: 'minDeposit', value: '0.0000001', yes: true, registry }))
+            .to.be.rejected
+    })
+})
@@ -0,0 +1,133 @@
+/* global ethers */
+
+const { deployCofiWithDeposit } = require("./fixtures/deployCofi.js")
+const { checkVault } = require("../scripts/libs/onboard.js")
+const { recordContract } = require("../scripts/libs/registry.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Test cofi:vault:onboard task", function() {
+
+    const registry = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'cofi-')), 'hardhat.json')
+
+    // YearnV2 wrapper with a new underlying (USDT) for coUSD.
+    async function deployWithWrapper() {
+
+        const fixture = await deployCofiWithDeposit()
+        const { owner, cofiMoney, cofi } = fixture
+
+        const ERC20 = await ethers.getContractFactory('ERC20Token')
+        const USDT = await ERC20.deploy('Tether USD', 'USDT', 6)
+        const yvUSDT = await (await ethers.getContractFactory('MockYearnVault'))
+            .deploy('USDT yVault', 'yvUSDT', await USDT.getAddress())
+        const wyvUSDT = await (await ethers.getContractFactory('YearnV2')).deploy(await yvUSDT.getAddress())
+        // Authorization is off by default for YearnV2.
+        await wyvUSDT.setAuthorizedEnabled(1)
+        const feed = await (await ethers.getContractFactory('MockAggregator')).deploy(8, 100000000n)
+        await fixture.uniswapRouter.setPriceFeed(await USDT.getAddress(), await feed.getAddress())
+        await USDT.mint(owner.address, ethers.parseUnits('10', 6))
+
+        recordContract({ name: 'COFIMoney', contract: 'Diamond', abi: 'COFIMoney', address: await cofiMoney.getAddress(), file: registry })
+        recordContract({ name: 'coUSD', contract: 'COFIRebasingToken', address: await cofi.coUSD.getAddress(), file: registry })
+        recordContract({ name: 'wyvUSDT', contract: 'YearnV2', address: await wyvUSDT.getAddress(), file: registry })
+
+        return { ...fixture, USDT, yvUSDT, wyvUSDT, feed }
+    }
+
+    it("Should fail with a checklist of missing steps", async function() {
+
+        await loadFixture(deployWithWrapper)
+
+        const err = await hre.run('cofi:vault:onboard', {
+            type: 'YearnV2',
+            cofi: 'coUSD',
+            vault: 'wyvUSDT',
+            registry,
+            check: true
+        }).catch(e => e)
+
+        expect(err.message).to.include('Vault onboarding incomplete')
+        for (const step of [
+            'decimals(USDT)',
+            'decimals(cwyvUSDT)',
+            'priceFeed: not set for USDT, pass --price-feed',
+            'swapRoute',
+            'swapProtocol: NonExistent',
+            'buffer: not set, pass --buffer',
+            'bufferHeld',
+            'harvestable: 0, expected 1',
+            'migration: not enabled',
+            'authorized',
+            'rewardReceiver: setFlushReceiver not recorded'
+        ]) {
+            expect(err.message).to.include(`[ ] ${step}`)
+        }
+    })
+
+    it("Should complete every step and allow the migration", async function() {
+
+        const { owner, cofiMoney, cofi, USDT, wyvUSDT, feed } = await loadFixture(deployWithWrapper)
+        const coUSD = await cofi.coUSD.getAddress()
+        const diamond = await cofiMoney.getAddress()
+
+        const result = await hre.run('cofi:vault:onboard', {
+            type: 'YearnV2',
+            cofi: 'coUSD',
+            vault: 'wyvUSDT',
+            registry,
+            buffer: '10',
+            priceFeed: await feed.getAddress(),
+            poolFee: '500',
+            yes: true
+        })
+
+        expect(result.done).to.equal(true)
+        expect(result.sent.map(s => s.step)).to.include.members(['decimals(USDT)', 'bufferHeld', 'authorized'])
+        expect(await cofiMoney.getBuffer(await USDT.getAddress())).to.equal(ethers.parseUnits('10', 6))
+        expect(await USDT.balanceOf(diamond)).to.equal(ethers.parseUnits('10', 6))
+        expect(JSON.parse(fs.readFileSync(registry)).steps)
+            .to.have.property(`wyvUSDT.setFlushReceiver(${diamond})`)
+
+        // Checking again passes without sending anything.
+        const nonce = await ethers.provider.getTransactionCount(owner.address)
+        await hre.run('cofi:vault:onboard', { type: 'YearnV2', cofi: 'coUSD', vault: 'wyvUSDT', registry, check: true })
+        expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonce)
+
+        const supply = await cofi.coUSD.totalSupply()
+        await cofiMoney.migrate(coUSD, await wyvUSDT.getAddress())
+        expect(await cofiMoney.getVault(coUSD)).to.equal(await wyvUSDT.getAddress())
+        expect(await cofi.coUSD.totalSupply()).to.be.gte(supply)
+    })
+
+    it("Should not offer fixes without the roles", async function() {
+
+        const { user, cofiMoney, cofi, wyvUSDT } = await loadFixture(deployWithWrapper)
+
+        const steps = await checkVault({
+            cofiMoney,
+            cofi: await cofi.coUSD.getAddress(),
+            vault: await wyvUSDT.getAddress(),
+            type: 'YearnV2',
+            signer: user
+        })
+
+        const byName = Object.fromEntries(steps.map(s => [s.step, s]))
+        expect(byName.harvestable.detail).to.include('(requires Admin)')
+        expect(byName.authorized.detail).to.include('(requires wrapper owner')
+        expect(byName.migration.detail).to.equal('cannot check, caller is not Upkeep or Admin')
+        expect(steps.filter(s => s.fix)).to.be.empty
+    })
+
+    it("Should reject unknown wrapper types", async function() {
+
+        await loadFixture(deployWithWrapper)
+
+        await expect(hre.run('cofi:vault:onboard', { type: 'Vault', cofi: 'coUSD', vault: 'wyvUSDT', registry, check: true }))
+            .to.be.rejectedWith("Unknown wrapper 'Vault'")
+    })
+})
@@ -0,0 +1,231 @@
+/* global ethers */
+
+const { deployCofi } = require("./fixtures/deployCofi.js")
+const { ROLE, syncRole, roleMembers, parseAccounts, parseAllowlist, applyAllowlist, readAuditLog } = require("../scripts/libs/whitelist.js")
+const { recordContract } = require("../scripts/libs/registry.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+describe("Test role events and whitelist tooling", function() {
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cofi-'))
+    const registry = path.join(dir, 'hardhat.json')
+    const csv = path.join(dir, 'whitelist.csv')
+    const state = path.join(dir, 'whitelist.json')
+    const log = path.join(dir, 'whitelist.log')
+
+    async function deployWithRegistry() {
+
+        const fixture = await deployCofi()
+        recordContract({ name: 'COFIMoney', contract: 'Diamond', abi: 'COFIMoney', address: await fixture.cofiMoney.getAddress(), file: registry })
+        const accounts = (await ethers.getSigners()).slice(5, 10).map(signer => signer.address)
+        return { ...fixture, accounts }
+    }
+
+    it("Should emit RoleUpdated and enumerate role members", async function() {
+
+        const { owner, backupOwner, feeCollector, whitelister, user, cofiMoney, accounts } = await loadFixture(deployWithRegistry)
+        const [a, b, c] = accounts
+
+        // Set by InitDiamond and the fixture.
+        expect(await cofiMoney.getRoleMembers(ROLE.Admin, 0, 10))
+            .to.deep.equal([owner.address, backupOwner.address, feeCollector.address])
+        expect(await cofiMoney.getRoleMembers(ROLE.Whitelister, 0, 10))
+            .to.deep.equal([whitelister.address, backupOwner.address, feeCollector.address])
+
+        await expect(cofiMoney.connect(whitelister).setWhitelist(a, 1))
+            .to.emit(cofiMoney, 'RoleUpdated').withArgs(ROLE.Whitelisted, a, 1)
+        await cofiMoney.connect(whitelister).setWhitelist(b, 1)
+        await cofiMoney.connect(whitelister).setWhitelist(c, 1)
+        // Setting again does not duplicate.
+        await cofiMoney.connect(whitelister).setWhitelist(b, 1)
+        await expect(cofiMoney.connect(whitelister).setWhitelist(a, 0))
+            .to.emit(cofiMoney, 'RoleUpdated').withArgs(ROLE.Whitelisted, a, 0)
+
+        // The last member (c) takes the place of the one removed (a).
+        expect(await roleMembers({ cofiMoney, role: ROLE.Whitelisted, pageSize: 2 }))
+            .to.deep.equal([owner.address, backupOwner.address, feeCollector.address, user.address, c, b])
+        expect(await cofiMoney.getRoleMemberCount(ROLE.Whitelisted)).to.equal(6)
+        expect(await cofiMoney.getRoleMember(ROLE.Whitelisted, 4)).to.equal(c)
+        expect(await cofiMoney.getRoleMembers(ROLE.Whitelisted, 5, 10)).to.deep.equal([b])
+        expect(await cofiMoney.getRoleMembers(ROLE.Whitelisted, 10, 10)).to.deep.equal([])
+
+        await expect(cofiMoney.setUpkeep(a, 1))
+            .to.emit(cofiMoney, 'RoleUpdated').withArgs(ROLE.Upkeep, a, 1)
+        await expect(cofiMoney.setAdmin(a, 1))
+            .to.emit(cofiMoney, 'RoleUpdated').withArgs(ROLE.Admin, a, 1)
+        await expect(cofiMoney.setFeeCollector(b))
+            .to.emit(cofiMoney, 'FeeCollectorUpdated').withArgs(b)
+        expect(await cofiMoney.getRoleMembers(ROLE.Upkeep, 0, 10)).to.deep.equal([a])
+    })
+
+    it("Should enumerate accounts set before members were tracked", async function() {
+
+        const { cofiMoney, accounts } = await loadFixture(deployWithRegistry)
+        const [a, b] = accounts
+
+        // As if whitelisted before the upgrade: isWhitelisted (slot 20) set, without a member.
+        const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [a, 20]))
+        await ethers.provider.send('hardhat_setStorageAt', [await cofiMoney.getAddress(), slot, ethers.toBeHex(1, 32)])
+        expect(await cofiMoney.getWhitelistStatus(a)).to.equal(1)
+        const count = await cofiMoney.getRoleMemberCount(ROLE.Whitelisted)
+
+        await cofiMoney.indexRoleMembers(ROLE.Whitelisted, [a, b])
+        expect(await cofiMoney.getRoleMemberCount(ROLE.Whitelisted)).to.equal(count + 1n)
+        expect(await cofiMoney.getRoleMember(ROLE.Whitelisted, count)).to.equal(a)
+
+        await expect(cofiMoney.connect((await ethers.getSigners())[4]).indexRoleMembers(ROLE.Whitelisted, [a]))
+            .to.be.revertedWith('Caller not Admin')
+    })
+
+    it("Should sync the whitelist from events", async function() {
+
+        const { whitelister, cofiMoney, accounts } = await loadFixture(deployWithRegistry)
+        const [a, b] = accounts
+
+        const state = {}
+        const first = await syncRole({ cofiMoney, state })
+        expect(first.accounts).to.have.members(await roleMembers({ cofiMoney }))
+
+        await cofiMoney.connect(whitelister).setWhitelist(a, 1)
+        await cofiMoney.connect(whitelister).setWhitelist(b, 1)
+        await cofiMoney.connect(whitelister).setWhitelist(a, 0)
+        const fromBlock = state.Whitelisted.fromBlock
+        const second = await syncRole({ cofiMoney, state })
+        expect(state.Whitelisted.fromBlock).to.be.greaterThan(fromBlock)
+        expect(state.Whitelisted.accounts[a]).to.equal(0)
+        expect(second.accounts).to.have.members([...first.accounts, b])
+        expect(second.accounts).to.have.members(await roleMembers({ cofiMoney }))
+    })
+
+    it("Should bulk whitelist the accounts of a CSV in batches", async function() {
+
+        const { user, cofiMoney, accounts } = await loadFixture(deployWithRegistry)
+        const [a, b, c] = accounts
+
+        fs.writeFileSync(csv, [
+            'account,enabled',
+            `${a},1`,
+            `${b.toLowerCase()}`,
+            `${c},1`,
+            `${user.address},0`,
+            // Already whitelisted.
+            `${(await ethers.getSigners())[2].address},1`
+        ].join('\n'))
+        expect(parseAccounts(fs.readFileSync(csv, 'utf8'))[1]).to.deep.equal({ account: b, enabled: 1 })
+
+        const result = await hre.run('cofi:whitelist:bulk', { file: csv, registry, batchSize: '3', yes: true })
+        expect(result.pending).to.have.length(4)
+        expect(result.sent).to.have.length(2)
+        for (const account of [a, b, c]) {
+            expect(await cofiMoney.getWhitelistStatus(account)).to.equal(1)
+        }
+        expect(await cofiMoney.getWhitelistStatus(user.address)).to.equal(0)
+
+        const again = await hre.run('cofi:whitelist:bulk', { file: csv, registry, yes: true })
+        expect(again.pending).to.be.empty
+
+        const sync = await hre.run('cofi:whitelist:sync', { state, registry })
+        expect(sync.unsynced).to.be.empty
+        expect(sync.unindexed).to.be.empty
+        expect(sync.accounts).to.include.members([a, b, c])
+        expect(JSON.parse(fs.readFileSync(state)).Whitelisted.accounts[user.address]).to.equal(0)
+    })
+
+    it("Should reject malformed CSV rows", async function() {
+
+        expect(() => parseAccounts('account,enabled\n0x1234,1')).to.throw('Bad row: 0x1234,1')
+        expect(() => parseAccounts(`${ethers.ZeroAddress},2`)).to.throw(/Bad row/)
+        // A first row that is not an address is the header.
+        expect(parseAccounts(`account\n${ethers.ZeroAddress}`)).to.have.length(1)
+    })
+
+    it("Should parse allowlists from CSV and JSON", async function() {
+
+        const [a, b] = (await ethers.getSigners()).slice(5, 7).map(signer => signer.address)
+
+        expect(parseAllowlist(`address,tags\n${a},kyc;eu\n${b}\n${a.toLowerCase()},us`))
+            .to.deep.equal({ [a]: ['kyc', 'eu', 'us'], [b]: [] })
+        expect(parseAllowlist(JSON.stringify([{ address: a, tags: ['kyc'] }, b])))
+            .to.deep.equal({ [a]: ['kyc'], [b]: [] })
+        // Headerless, e.g. a plain list of addresses.
+        expect(parseAllowlist(`${a}\n${b.toLowerCase()},kyc`)).to.deep.equal({ [a]: [], [b]: ['kyc'] })
+        expect(parseAllowlist(JSON.stringify([{ address: a, tags: 'kyc; eu' }, { account: b, tags: [] }])))
+            .to.deep.equal({ [a]: ['kyc', 'eu'], [b]: [] })
+        expect(() => parseAllowlist(`wallet,tags\n${a}`)).to.throw("Missing 'address' column")
+        expect(() => parseAllowlist('["0x1234"]')).to.throw(/Bad row/)
+    })
+
+    it("Should apply an allowlist in gas-fitted batches with an audit log", async function() {
+
+        const { owner, backupOwner, feeCollector, user, cofiMoney, accounts } = await loadFixture(deployWithRegistry)
+        const [a, b, c] = accounts
+        fs.writeFileSync(csv, ['address,tags', `${a},kyc`, `${b},kyc;eu`, `${c}`].join('\n'))
+        fs.rmSync(log, { force: true })
+        const maxGas = 200000
+
+        const plan = await hre.run('cofi:whitelist:apply', { file: csv, registry, state, log, maxGas: String(maxGas), dryRun: true })
+        expect(plan.add).to.deep.equal([a, b, c])
+        expect(plan.remove).to.deep.equal([user.address])
+        // Admins, whitelisted by InitDiamond.
+        expect(plan.kept).to.have.members([owner.address, backupOwner.address, feeCollector.address])
+        expect(plan.sent).to.equal(false)
+        expect(await cofiMoney.getWhitelistStatus(a)).to.equal(0)
+        expect(fs.existsSync(log)).to.equal(false)
+
+        const result = await hre.run('cofi:whitelist:apply', { file: csv, registry, state, log, maxGas: String(maxGas), yes: true })
+        expect(result.batches.length).to.be.greaterThan(1)
+        for (const batch of result.batches) {
+            expect(batch.gas).to.be.at.most(BigInt(maxGas))
+        }
+        expect(result.batches.flatMap(batch => batch.accounts)).to.deep.equal([a, b, c, user.address])
+        for (const account of [a, b, c]) {
+            expect(await cofiMoney.getWhitelistStatus(account)).to.equal(1)
+        }
+        expect(await cofiMoney.getWhitelistStatus(user.address)).to.equal(0)
+        expect(await cofiMoney.getWhitelistStatus(owner.address)).to.equal(1)
+
+        const entries = readAuditLog(log)
+        expect(entries.map(e => [e.action, e.account])).to.deep.equal([
+            ['add', a], ['add', b], ['add', c], ['remove', user.address]
+        ])
+        expect(entries[1]).to.include({ by: owner.address, source: csv, tx: result.batches[0].tx })
+        expect(entries[1].tags).to.deep.equal(['kyc', 'eu'])
+        expect(new Date(entries[0].time).getTime()).to.be.greaterThan(0)
+
+        // Nothing left to change, and the log is only appended to.
+        const again = await hre.run('cofi:whitelist:apply', { file: csv, registry, state, log, yes: true })
+        expect(again.batches).to.be.empty
+        fs.writeFileSync(csv, ['address', a, b].join('\n'))
+        await hre.run('cofi:whitelist:apply', { file: csv, registry, state, log, yes: true })
+        expect(readAuditLog(log).map(e => [e.action, e.account])).to.deep.equal([
+            ['add', a], ['add', b], ['add', c], ['remove', user.address], ['remove', c]
+        ])
+    })
+
+    it("Should only add with --add-only", async function() {
+
+        const { user, cofiMoney, accounts } = await loadFixture(deployWithRegistry)
+        fs.writeFileSync(csv, JSON.stringify([accounts[0]]))
+
+        const result = await hre.run('cofi:whitelist:apply', { file: csv, registry, state, log, addOnly: true, yes: true })
+        expect(result.add).to.deep.equal([accounts[0]])
+        expect(result.remove).to.be.empty
+        expect(await cofiMoney.getWhitelistStatus(user.address)).to.equal(1)
+    })
+    it("Should log the sender of signers without an address field", async function() {
+
+        const { owner, cofiMoney, accounts } = await loadFixture(deployWithRegistry)
+        fs.rmSync(log, { force: true })
+        // E.g. a NonceManager or a Ledger signer.
+        const signer = new ethers.NonceManager(owner)
+
+        await applyAllowlist({ cofiMoney, signer, allowlist: { [accounts[0]]: [] }, addOnly: true, logFile: log, log: () => {} })
+        expect(readAuditLog(log)[0]).to.include({ by: owner.address, account: accounts[0] })
+    })
+})
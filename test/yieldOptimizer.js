@@ -0,0 +1,131 @@
+/* global ethers */
+
+const { deployCofiWithDeposit } = require("./fixtures/deployCofi.js")
+const { runOptimizer } = require("../scripts/libs/optimizer.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test YieldOptimizer", function() {
+
+    const ENTRIES = 3
+
+    // coUSD in vUSDC, both vUSDC and vUSDC2 holding 1000 USDC and tracked by the optimizer.
+    async function deployOptimizer() {
+
+        const fixture = await deployCofiWithDeposit()
+        const { user, cofiMoney, tokens, cofi, vaults } = fixture
+
+        await tokens.USDC.connect(user).approve(await vaults.vUSDC2.getAddress(), ethers.MaxUint256)
+        await vaults.vUSDC2.connect(user).deposit(ethers.parseUnits('1000', 6), user.address)
+
+        const optimizer = await (await ethers.getContractFactory('YieldOptimizer')).deploy(await cofiMoney.getAddress())
+        const coUSD = await cofi.coUSD.getAddress()
+        await optimizer.addVault(coUSD, await vaults.vUSDC.getAddress())
+        await optimizer.addVault(coUSD, await vaults.vUSDC2.getAddress())
+
+        return { ...fixture, optimizer, coUSD }
+    }
+
+    // Yield per interval in bps: vUSDC leads on median, vUSDC2 on recent yield (EMA).
+    const YIELDS = {
+        vUSDC:  [10, 10, 1],
+        vUSDC2: [1, 8, 8]
+    }
+
+    // Captures, then grows each vault by its yield and captures again for every interval, except
+    // the last capture unless 'last' is set.
+    async function captureIntervals({ optimizer, coUSD, tokens, vaults }, last = true) {
+        await optimizer.capture(coUSD)
+        for (let i = 0; i < ENTRIES; i++) {
+            for (const [name, yields] of Object.entries(YIELDS)) {
+                const vault = vaults[name]
+                const assets = await vault.totalAssets()
+                await tokens.USDC.mint(await vault.getAddress(), assets * BigInt(yields[i]) / 10000n)
+            }
+            if (i < ENTRIES - 1 || last) await optimizer.capture(coUSD)
+        }
+    }
+
+    // Reference median and EMA from the captured assets.
+    function expected(assets) {
+        const yields = []
+        for (let i = assets.length - ENTRIES; i < assets.length; i++) {
+            yields.push((assets[i] - assets[i - 1]) * 10n ** 18n / assets[i - 1])
+        }
+        let ema = yields[0]
+        for (let i = 1; i < yields.length; i++) {
+            ema = (yields[i] * 2n + ema * BigInt(ENTRIES - 1)) / BigInt(ENTRIES + 1)
+        }
+        return { median: [...yields].sort((a, b) => a < b ? -1 : a > b ? 1 : 0)[1], ema }
+    }
+
+    it("Should rank vaults by median or EMA yield", async function() {
+
+        const fixture = await loadFixture(deployOptimizer)
+        const { optimizer, coUSD, vaults } = fixture
+        const vUSDC = await vaults.vUSDC.getAddress()
+        const vUSDC2 = await vaults.vUSDC2.getAddress()
+
+        await expect(optimizer.retrieve(vUSDC, ENTRIES, 1))
+            .to.be.revertedWithCustomError(optimizer, 'INSUFFICIENT_ENTRIES')
+        expect(await optimizer.retrieve(vUSDC, ENTRIES, 0)).to.deep.equal([0n, 0n])
+
+        await captureIntervals(fixture)
+
+        for (const vault of [vUSDC, vUSDC2]) {
+            const { median, ema } = expected((await optimizer.getVaultInfo(vault)).assets)
+            expect(await optimizer.retrieve(vault, ENTRIES, 1)).to.deep.equal([median, ema])
+        }
+        const [medianTarget, medianYield] = await optimizer.evaluate(coUSD, ENTRIES, 1, 0)
+        expect(medianTarget).to.equal(vUSDC)
+        expect(medianYield).to.be.closeTo(ethers.parseUnits('0.001', 18), ethers.parseUnits('1', 12))
+        expect((await optimizer.evaluate(coUSD, ENTRIES, 1, 1))[0]).to.equal(vUSDC2)
+
+        await optimizer.setEnabled(vUSDC2, 0)
+        expect((await optimizer.evaluate(coUSD, ENTRIES, 1, 1))[0]).to.equal(vUSDC)
+    })
+
+    it("Should only allow authorized accounts to capture and optimize", async function() {
+
+        const { user, optimizer, coUSD } = await loadFixture(deployOptimizer)
+
+        await expect(optimizer.connect(user).capture(coUSD)).to.be.revertedWith('Caller not authorized')
+        await expect(optimizer.connect(user).optimize(coUSD, ENTRIES, 0, 0)).to.be.revertedWith('Caller not authorized')
+    })
+
+    it("Should propose, then execute, a migration to the best vault", async function() {
+
+        const fixture = await loadFixture(deployOptimizer)
+        const { cofiMoney, optimizer, coUSD, tokens, vaults } = fixture
+        const vUSDC2 = await vaults.vUSDC2.getAddress()
+
+        // The runner takes the last capture.
+        await captureIntervals(fixture, false)
+        const lines = []
+        const run = args => runOptimizer({
+            optimizer, cofiMoney, cofi: [coUSD], entries: ENTRIES, strict: true, ema: true, rounds: 1, log: line => lines.push(line), ...args
+        }).done
+
+        let [[result]] = (await run({ execute: true })).results
+        expect(result).to.include({ propose: true, ready: false, target: vUSDC2 })
+        expect(result.reason).to.equal('Migration not ready: migrationEnabled, buffer')
+        expect(await cofiMoney.getVault(coUSD)).to.equal(await vaults.vUSDC.getAddress())
+
+        await cofiMoney.setUpkeep(await optimizer.getAddress(), 1)
+        await cofiMoney.setBuffer(await tokens.USDC.getAddress(), ethers.parseUnits('10', 6))
+        await tokens.USDC.mint(await cofiMoney.getAddress(), ethers.parseUnits('10', 6))
+
+        // Above the threshold only if the improvement is 0.01% or more per interval.
+        ;[[result]] = (await run({ execute: true, minImprovement: ethers.parseEther('0.01') })).results
+        expect(result.propose).to.equal(false)
+        expect(result.reason).to.equal('Improvement below threshold (1.0%)')
+
+        ;[[result]] = (await run({ execute: true })).results
+        expect(result).to.include({ propose: true, ready: true })
+        expect(result.tx).to.be.a('string')
+        expect(await cofiMoney.getVault(coUSD)).to.equal(vUSDC2)
+        expect(lines).to.include(`${coUSD}: optimize tx ${result.tx}`)
+    })
+})
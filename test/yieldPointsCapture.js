@@ -0,0 +1,110 @@
+/* global ethers */
+
+const { deployCofiWithDeposit } = require("./fixtures/deployCofi.js")
+const { captureYieldPoints, verifyCapture, readState, writeState } = require("../scripts/libs/points.js")
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers")
+const { expect } = require("chai")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const hre = require("hardhat")
+const { ethers } = hre
+
+describe("Test yield points capture", function() {
+
+    async function deployWithHolders() {
+
+        const fixture = await deployCofiWithDeposit()
+        const { user, cofiMoney, tokens, vaults, cofi } = fixture
+        const holders = (await ethers.getSigners()).slice(5, 9)
+
+        for (const holder of holders) {
+            await cofi.coUSD.connect(user).transfer(holder.address, ethers.parseEther('100'))
+        }
+        await tokens.USDC.mint(await vaults.vUSDC.getAddress(), ethers.parseUnits('10', 6))
+        await cofiMoney.rebase(await cofi.coUSD.getAddress())
+
+        return { ...fixture, holders }
+    }
+
+    it("Should capture all holders in gas-bounded batches", async function() {
+
+        const { owner, user, cofiMoney, cofi, holders } = await loadFixture(deployWithHolders)
+        const coUSD = await cofi.coUSD.getAddress()
+        const state = {}
+
+        // Roughly two accounts per batch.
+        const oneGas = await cofiMoney.captureYieldPoints.estimateGas([user.address], coUSD)
+        const result = await captureYieldPoints({
+            cofiMoney,
+            cofi: coUSD,
+            signer: owner,
+            state,
+            maxGas: oneGas * 2n,
+            log: () => {}
+        })
+
+        expect(result.holders).to.include.members([user.address, ...holders.map(holder => holder.address)])
+        expect(result.batches.length).to.be.greaterThan(1)
+        for (const batch of result.batches) {
+            expect(batch.gas).to.be.at.most(oneGas * 2n)
+        }
+        expect(result.remaining).to.be.empty
+
+        // Captured points are unaffected by a new rate.
+        const points = await cofiMoney.getYieldPoints(holders[0].address, [coUSD])
+        expect(points).to.be.greaterThan(0)
+        await cofiMoney.setPointsRate(coUSD, 1e7)
+        expect(await cofiMoney.getYieldPoints(holders[0].address, [coUSD])).to.equal(points)
+        for (const holder of await verifyCapture({ cofiMoney, cofi: coUSD, state })) {
+            expect(holder.captured).to.equal(true)
+        }
+    })
+
+    it("Should resume an interrupted capture", async function() {
+
+        const { owner, user, cofiMoney, tokens, vaults, cofi, holders } = await loadFixture(deployWithHolders)
+        const coUSD = await cofi.coUSD.getAddress()
+        const args = { cofiMoney, cofi: coUSD, signer: owner, batchSize: 2, log: () => {} }
+        const file = path.join(os.tmpdir(), `points-${process.pid}.json`)
+
+        try {
+            let result = await captureYieldPoints({
+                ...args,
+                state: readState(file),
+                save: state => writeState(state, file),
+                maxBatches: 1
+            })
+            expect(result.batches).to.have.lengthOf(1)
+            const captured = result.batches[0].accounts
+            expect(result.remaining).to.have.lengthOf(result.holders.filter(h => !captured.includes(h)).length)
+
+            // New holder since the last run.
+            const [newHolder] = (await ethers.getSigners()).slice(9)
+            await cofi.coUSD.connect(user).transfer(newHolder.address, ethers.parseEther('50'))
+
+            result = await captureYieldPoints({ ...args, state: readState(file), save: state => writeState(state, file) })
+            expect(result.holders).to.include(newHolder.address)
+            for (const batch of result.batches) {
+                for (const account of captured) expect(batch.accounts).to.not.include(account)
+            }
+            expect(result.remaining).to.be.empty
+
+            // A rebase after capture re-opens every holder that earned yield.
+            await tokens.USDC.mint(await vaults.vUSDC.getAddress(), ethers.parseUnits('10', 6))
+            await cofiMoney.rebase(coUSD)
+            const status = await verifyCapture({ cofiMoney, cofi: coUSD, state: readState(file) })
+            expect(status.find(holder => holder.account === holders[0].address).captured).to.equal(false)
+
+            const taskResult = await hre.run('cofi:points:capture', {
+                cofi: coUSD,
+                state: file,
+                diamond: await cofiMoney.getAddress()
+            })
+            expect(taskResult[coUSD].batches).to.have.lengthOf(1)
+            expect(taskResult[coUSD].remaining).to.be.empty
+        } finally {
+            fs.rmSync(file, { force: true })
+        }
+    })
+})